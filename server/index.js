@@ -0,0 +1,645 @@
+/**
+ * TruthtellerAI API Server
+ * Runs question generation and the Hugging Face dataset access on the server, so the
+ * Hugging Face token and LLM credentials never reach the browser. Also serves the
+ * production build from dist/.
+ *
+ *   POST /api/questions/generate  { category, difficulty, count, mode, exclude, rating, topic, seed } -> NDJSON, one question per line
+ *                                 { document: { title, text }, difficulty, count, exclude }     -> NDJSON, questions grounded in the document
+ *   GET  /api/questions/bank      ?category=&difficulty=&count=&mode=&rating=&seed=             -> { questions, repoConfigured }
+ *   POST /api/questions/save      { questions }                                  -> { accepted, added, rejected, clusters }
+ *   POST /api/questions/report    { question: { question, claims }, reason, note }       -> { reported, repeated } - one report per client and question
+ *   GET  /api/questions/admin                                                    -> { questions, reports, reportThreshold, repoConfigured } - the whole bank, for editing
+ *   POST /api/questions/admin     { updates: [{ key, question }], deletions: [key] } -> { updated, deleted, missing, duplicates }
+ *   GET  /api/debug/generations                                                  -> { generations, enabled } - recent generation attempts
+ *   DELETE /api/debug/generations                                                -> { cleared }
+ *   POST /api/quizzes             { questions, category }                        -> { id, count, path } - share a quiz (see sharedQuiz.js)
+ *   GET  /api/quizzes             ?id=                                           -> { quiz } - a shared quiz
+ *   GET  /api/status                                                             -> provider and repo configuration
+ *   WebSocket /api/rooms                                                         -> live multiplayer quiz rooms (see quizRoomService.js)
+ */
+
+import http from 'node:http';
+import { createHash } from 'node:crypto';
+import { existsSync, readFileSync } from 'node:fs';
+import { readFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { streamQuestionsWithAI, streamQuestionsFromDocument, QUIZ_MODES } from '../src/services/aiQuestionService.js';
+import { saveQuestionsToRepo, updateQuestionsInRepo, saveReportToRepo, saveSharedQuizToRepo, loadSharedQuizFromRepo, loadQuestionsFromRepo, loadReportsFromRepo, filterQuestionsFromRepo } from '../src/services/huggingFaceRepoService.js';
+import { getProviderFromEnv } from '../src/services/llmProviders.js';
+import { getVerificationSettingsFromEnv } from '../src/services/verificationService.js';
+import { validateQuestion, validateQuestions, questionKey } from '../src/services/questionSchema.js';
+import { modeConfig } from '../src/services/quizModes.js';
+import { readSetting } from '../src/services/serverEnv.js';
+import { createLogger } from '../src/services/logger.js';
+import { MIN_RATING, MAX_RATING } from '../src/services/adaptiveDifficulty.js';
+import { normalizeTopic } from '../src/services/categories.js';
+import { MAX_DOCUMENT_LENGTH } from '../src/services/documentGrounding.js';
+import { REPORT_REASONS, createReport, summarizeReports, resolveReportThreshold } from '../src/services/questionReports.js';
+import { isTraceEnabled, listTraces, clearTraces } from '../src/services/generationTrace.js';
+import { createRoomServer } from '../src/services/quizRoomService.js';
+import { createRandom } from '../src/services/seededRandom.js';
+import { createSharedQuiz, isSharedQuizId, sharedQuizPath } from '../src/services/sharedQuiz.js';
+import { acceptWebSocket } from './webSocket.js';
+
+const ROOT_DIR = fileURLToPath(new URL('..', import.meta.url));
+const DIST_DIR = path.join(ROOT_DIR, 'dist');
+const DEFAULT_PORT = 8787;
+// Largest JSON body accepted (question saves are the biggest requests)
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_QUESTION_COUNT = 50;
+// Questions the client already has; more than this are ignored
+const MAX_EXCLUDED_QUESTIONS = 200;
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const MAX_DOCUMENT_TITLE_LENGTH = 120;
+// Edits and deletions accepted in one bank editor request
+const MAX_ADMIN_CHANGES = 200;
+const MAX_SEED_LENGTH = 64;
+// Question reports accepted from one client per window
+const REPORT_RATE_LIMIT = 10;
+const REPORT_RATE_WINDOW_MS = 60 * 60 * 1000;
+
+const log = createLogger('server');
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2'
+};
+
+/**
+ * Load KEY=VALUE pairs from .env into process.env without overriding variables already set
+ */
+const loadEnvFile = (filePath) => {
+  if (!existsSync(filePath)) return;
+  readFileSync(filePath, 'utf8').split(/\r?\n/).forEach(line => {
+    const match = line.match(/^\s*(?:export\s+)?([\w.-]+)\s*=\s*(.*)\s*$/);
+    if (!match) return;
+    const [, key, rawValue] = match;
+    const value = rawValue.replace(/^(['"])(.*)\1$/, '$2');
+    if (process.env[key] === undefined) {
+      process.env[key] = value;
+    }
+  });
+};
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const sendJson = (res, status, data) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(data));
+};
+
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(httpError(413, 'Request body too large'));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    const text = Buffer.concat(chunks).toString('utf8');
+    let body;
+    try {
+      body = text ? JSON.parse(text) : {};
+    } catch {
+      reject(httpError(400, 'Request body is not valid JSON'));
+      return;
+    }
+    // Every endpoint takes an object of named fields
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      reject(httpError(400, 'Request body must be a JSON object'));
+      return;
+    }
+    resolve(body);
+  });
+  req.on('error', reject);
+});
+
+/**
+ * Validate and normalize the quiz filters shared by the generate and bank endpoints
+ * @returns {Object} { category, difficulty, count, mode, rating, seed } - rating is the adaptive target rating, or null;
+ *   seed makes the question picks repeatable, or is undefined
+ */
+const parseQuizFilters = (filters, { countRequired = true } = {}) => {
+  if (!filters || typeof filters !== 'object') {
+    throw httpError(400, 'Quiz filters must be an object');
+  }
+  const { category, difficulty, count, mode, rating, seed } = filters;
+  if (category !== undefined && category !== null && (typeof category !== 'string' || !category.trim())) {
+    throw httpError(400, '"category" must be a non-empty string or null');
+  }
+  if (difficulty !== undefined && difficulty !== null && !DIFFICULTIES.includes(difficulty)) {
+    throw httpError(400, `"difficulty" must be one of: ${DIFFICULTIES.join(', ')}`);
+  }
+  if (mode !== undefined && !QUIZ_MODES[mode]) {
+    throw httpError(400, `"mode" must be one of: ${Object.keys(QUIZ_MODES).join(', ')}`);
+  }
+  let parsedCount = null;
+  if (count !== undefined && count !== null && count !== '') {
+    parsedCount = Number(count);
+    if (!Number.isInteger(parsedCount) || parsedCount < 1 || parsedCount > MAX_QUESTION_COUNT) {
+      throw httpError(400, `"count" must be an integer between 1 and ${MAX_QUESTION_COUNT}`);
+    }
+  } else if (countRequired) {
+    throw httpError(400, '"count" is required');
+  }
+  let parsedRating = null;
+  if (rating !== undefined && rating !== null && rating !== '') {
+    parsedRating = Number(rating);
+    if (!Number.isFinite(parsedRating) || parsedRating < MIN_RATING || parsedRating > MAX_RATING) {
+      throw httpError(400, `"rating" must be a number between ${MIN_RATING} and ${MAX_RATING}`);
+    }
+  }
+  if (seed !== undefined && seed !== null && (typeof seed !== 'string' || seed.length > MAX_SEED_LENGTH)) {
+    throw httpError(400, `"seed" must be a string of at most ${MAX_SEED_LENGTH} characters`);
+  }
+  return {
+    category: category || null,
+    difficulty: difficulty || null,
+    count: parsedCount,
+    mode: mode || 'classic',
+    rating: parsedRating,
+    seed: seed || undefined
+  };
+};
+
+/**
+ * Validate the user document of a document quiz
+ * @returns {Object|null} { title, text }, or null when no document was sent
+ */
+const parseDocument = (document) => {
+  if (document === undefined || document === null) return null;
+  if (typeof document !== 'object' || typeof document.text !== 'string' || !document.text.trim()) {
+    throw httpError(400, '"document" must be an object with a non-empty "text"');
+  }
+  if (document.text.length > MAX_DOCUMENT_LENGTH) {
+    throw httpError(413, `Document text is longer than ${MAX_DOCUMENT_LENGTH} characters`);
+  }
+  if (document.title !== undefined && document.title !== null && typeof document.title !== 'string') {
+    throw httpError(400, '"document.title" must be a string');
+  }
+  return {
+    title: String(document.title || '').replace(/\s+/g, ' ').trim().slice(0, MAX_DOCUMENT_TITLE_LENGTH),
+    text: document.text
+  };
+};
+
+const handleGenerate = async (req, res) => {
+  const body = await readJsonBody(req);
+  const { category, difficulty, count, mode, rating, seed } = parseQuizFilters(body);
+  if (body.topic !== undefined && body.topic !== null && typeof body.topic !== 'string') {
+    throw httpError(400, '"topic" must be a string');
+  }
+  // Prompt description of a custom category or free-text topic
+  const topic = normalizeTopic(body.topic);
+  const document = parseDocument(body.document);
+  // Document quizzes have no bank or seed fallback, so fail before the stream starts
+  if (document && !getProviderFromEnv().isConfigured()) {
+    throw httpError(503, 'No LLM provider configured on the server - document quizzes need an AI model');
+  }
+  const exclude = Array.isArray(body.exclude)
+    ? validateQuestions(body.exclude.slice(0, MAX_EXCLUDED_QUESTIONS), 'exclude').valid
+    : [];
+
+  // Stop generating as soon as the client goes away
+  let clientGone = false;
+  res.on('close', () => {
+    clientGone = true;
+  });
+
+  const questions = document
+    ? streamQuestionsFromDocument(document, difficulty || 'medium', count, { exclude, category })
+    : streamQuestionsWithAI(category, difficulty, count, { mode, exclude, rating, topic, seed });
+
+  res.writeHead(200, { 'Content-Type': 'application/x-ndjson; charset=utf-8', 'Cache-Control': 'no-cache' });
+  for await (const question of questions) {
+    if (clientGone) break;
+    res.write(`${JSON.stringify(question)}\n`);
+  }
+  res.end();
+};
+
+const handleBank = async (req, res, url) => {
+  const filters = parseQuizFilters(Object.fromEntries(url.searchParams), { countRequired: false });
+  const apiToken = readSetting('HUGGINGFACE_API_TOKEN');
+  const repoId = readSetting('HUGGINGFACE_REPO_ID');
+  if (!apiToken || !repoId) {
+    sendJson(res, 200, { questions: [], repoConfigured: false });
+    return;
+  }
+
+  const [questions, reports] = await Promise.all([
+    loadQuestionsFromRepo(repoId, apiToken),
+    loadReportsFromRepo(repoId, apiToken)
+  ]);
+  const filtered = filterQuestionsFromRepo(
+    questions,
+    // Several categories can be requested at once: ?category=science,roman-aqueducts
+    filters.category ? filters.category.split(',').map(key => key.trim()).filter(Boolean) : null,
+    filters.difficulty,
+    filters.count ?? questions.length,
+    modeConfig(filters.mode).types,
+    { rating: filters.rating, reports, random: createRandom(filters.seed) }
+  );
+  sendJson(res, 200, { questions: filtered, repoConfigured: true });
+};
+
+const handleSave = async (req, res) => {
+  const body = await readJsonBody(req);
+  if (!Array.isArray(body.questions) || body.questions.length === 0) {
+    throw httpError(400, '"questions" must be a non-empty array');
+  }
+  const apiToken = readSetting('HUGGINGFACE_API_TOKEN');
+  const repoId = readSetting('HUGGINGFACE_REPO_ID');
+  if (!apiToken || !repoId) {
+    throw httpError(503, 'No Hugging Face repo configured on the server (HUGGINGFACE_REPO_ID / HUGGINGFACE_API_TOKEN)');
+  }
+
+  const { valid, rejected } = validateQuestions(body.questions, 'api-save');
+  let result = { added: 0, clusters: [] };
+  if (valid.length > 0) {
+    try {
+      result = await saveQuestionsToRepo(valid, repoId, apiToken);
+    } catch (error) {
+      throw httpError(502, `Could not save to the Hugging Face repo: ${error.message}`);
+    }
+  }
+  // Near-duplicate report: which submitted questions were skipped in favour of which kept one
+  const clusters = result.clusters.map(cluster => ({
+    kept: cluster.kept.question,
+    merged: cluster.merged.map(({ question, similarity }) => ({ question: question.question, similarity }))
+  }));
+  sendJson(res, 200, { accepted: valid.length, added: result.added, rejected, clusters });
+};
+
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+/**
+ * Bank editor and debug requests need the X-Admin-Token header matching ADMIN_TOKEN.
+ * Without ADMIN_TOKEN they are refused - except from this machine when NODE_ENV=development, since a
+ * reverse proxy (or an exposed Vite dev server) on the same machine makes every request look local
+ */
+const requireAdmin = (req) => {
+  const adminToken = readSetting('ADMIN_TOKEN');
+  if (!adminToken) {
+    if (readSetting('NODE_ENV') !== 'development') {
+      throw httpError(403, 'Admin requests are disabled - set ADMIN_TOKEN on the server to enable them');
+    }
+    if (!LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress)) {
+      throw httpError(403, 'Admin requests are only accepted from localhost - set ADMIN_TOKEN to allow them from elsewhere');
+    }
+    return;
+  }
+  if (req.headers['x-admin-token'] !== adminToken) {
+    throw httpError(401, 'Admin token missing or wrong');
+  }
+};
+
+const requireRepo = () => {
+  const apiToken = readSetting('HUGGINGFACE_API_TOKEN');
+  const repoId = readSetting('HUGGINGFACE_REPO_ID');
+  if (!apiToken || !repoId) {
+    throw httpError(503, 'No Hugging Face repo configured on the server (HUGGINGFACE_REPO_ID / HUGGINGFACE_API_TOKEN)');
+  }
+  return { apiToken, repoId };
+};
+
+/**
+ * Address of the client - the first X-Forwarded-For entry when TRUST_PROXY is set (the server runs
+ * behind a reverse proxy, which makes every connection come from the proxy)
+ */
+const clientAddress = (req) => {
+  const forwarded = String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+  return readSetting('TRUST_PROXY') && forwarded ? forwarded : req.socket.remoteAddress;
+};
+
+/**
+ * Anonymous reporter id stored with a report: a hash of the client address, so reports can be told
+ * apart by reporter without putting addresses into the dataset
+ */
+const reporterId = (req, repoId) => createHash('sha256').update(`${repoId}\n${clientAddress(req)}`).digest('hex').slice(0, 16);
+
+// Client address -> times of its recent reports
+const recentReports = new Map();
+
+/**
+ * Count a report against its client's limit; true when the client has sent too many lately
+ */
+const isReportRateLimited = (req) => {
+  const now = Date.now();
+  const fresh = (times) => times.filter(time => now - time < REPORT_RATE_WINDOW_MS);
+  recentReports.forEach((times, address) => {
+    if (fresh(times).length === 0) recentReports.delete(address);
+  });
+  const address = clientAddress(req);
+  const times = fresh(recentReports.get(address) || []);
+  if (times.length >= REPORT_RATE_LIMIT) return true;
+  recentReports.set(address, [...times, now]);
+  return false;
+};
+
+const handleReport = async (req, res) => {
+  if (isReportRateLimited(req)) {
+    throw httpError(429, 'Too many reports from this address - try again later');
+  }
+  const body = await readJsonBody(req);
+  const question = body.question;
+  if (!question || typeof question !== 'object' || typeof question.question !== 'string' || !question.question.trim()) {
+    throw httpError(400, '"question" must be the reported question, with its "question" text');
+  }
+  if (question.claims !== undefined && !(Array.isArray(question.claims) && question.claims.every(claim => typeof claim === 'string'))) {
+    throw httpError(400, '"question.claims" must be an array of strings');
+  }
+  if (!REPORT_REASONS[body.reason]) {
+    throw httpError(400, `"reason" must be one of: ${Object.keys(REPORT_REASONS).join(', ')}`);
+  }
+  if (body.note !== undefined && body.note !== null && typeof body.note !== 'string') {
+    throw httpError(400, '"note" must be a string');
+  }
+  const { apiToken, repoId } = requireRepo();
+  let added;
+  try {
+    added = await saveReportToRepo(createReport(question, body.reason, body.note, reporterId(req, repoId)), repoId, apiToken);
+  } catch (error) {
+    throw httpError(502, `Could not save the report to the Hugging Face repo: ${error.message}`);
+  }
+  sendJson(res, 200, { reported: true, repeated: !added });
+};
+
+const handleShareQuiz = async (req, res) => {
+  const body = await readJsonBody(req);
+  if (!Array.isArray(body.questions) || body.questions.length === 0 || body.questions.length > MAX_QUESTION_COUNT) {
+    throw httpError(400, `"questions" must be an array of 1 to ${MAX_QUESTION_COUNT} questions`);
+  }
+  if (body.category !== undefined && body.category !== null && typeof body.category !== 'string') {
+    throw httpError(400, '"category" must be a string or null');
+  }
+  const { valid, rejected } = validateQuestions(body.questions, 'share');
+  if (rejected.length > 0) {
+    throw httpError(400, `${rejected.length} question(s) are invalid: ${rejected[0].reasons.join('; ')}`);
+  }
+  const { apiToken, repoId } = requireRepo();
+  const quiz = createSharedQuiz(valid, { category: body.category || null });
+  try {
+    await saveSharedQuizToRepo(quiz, repoId, apiToken);
+  } catch (error) {
+    throw httpError(502, `Could not save the quiz to the Hugging Face repo: ${error.message}`);
+  }
+  sendJson(res, 200, { id: quiz.id, count: quiz.questions.length, path: sharedQuizPath(quiz.id) });
+};
+
+const handleSharedQuiz = async (req, res, url) => {
+  const id = url.searchParams.get('id');
+  if (!isSharedQuizId(id)) {
+    throw httpError(400, '"id" must be a shared quiz id');
+  }
+  const { apiToken, repoId } = requireRepo();
+  let quiz;
+  try {
+    quiz = await loadSharedQuizFromRepo(id, repoId, apiToken);
+  } catch (error) {
+    throw httpError(502, `Could not load the quiz from the Hugging Face repo: ${error.message}`);
+  }
+  if (!quiz) {
+    throw httpError(404, `No shared quiz ${id}`);
+  }
+  sendJson(res, 200, { quiz });
+};
+
+const handleAdminList = async (req, res) => {
+  requireAdmin(req);
+  const { apiToken, repoId } = requireRepo();
+  const [questions, reports] = await Promise.all([
+    loadQuestionsFromRepo(repoId, apiToken),
+    loadReportsFromRepo(repoId, apiToken)
+  ]);
+  sendJson(res, 200, {
+    questions: questions.map(q => ({ ...q, key: questionKey(q) })),
+    // Open reports per question key: { count, reasons, notes, lastReportedAt }
+    reports: Object.fromEntries(summarizeReports(questions, reports)),
+    reportThreshold: resolveReportThreshold(),
+    repoConfigured: true
+  });
+};
+
+const handleAdminUpdate = async (req, res) => {
+  requireAdmin(req);
+  const body = await readJsonBody(req);
+  const updates = body.updates ?? [];
+  const deletions = body.deletions ?? [];
+  if (!Array.isArray(updates) || !Array.isArray(deletions)) {
+    throw httpError(400, '"updates" and "deletions" must be arrays');
+  }
+  if (updates.length + deletions.length === 0 || updates.length + deletions.length > MAX_ADMIN_CHANGES) {
+    throw httpError(400, `Send between 1 and ${MAX_ADMIN_CHANGES} updates and deletions`);
+  }
+  if (deletions.some(key => typeof key !== 'string' || !key)) {
+    throw httpError(400, '"deletions" must be question keys');
+  }
+  const validUpdates = updates.map((update, index) => {
+    if (!update || typeof update.key !== 'string' || !update.key) {
+      throw httpError(400, `updates[${index}] needs the "key" of the question it replaces`);
+    }
+    // The key is an editor-side field, not part of the stored question
+    const fields = { ...update.question };
+    delete fields.key;
+    const result = validateQuestion(update.question ? fields : null);
+    if (!result.valid) {
+      throw httpError(400, `updates[${index}] is not a valid question: ${result.errors.join('; ')}`);
+    }
+    return { key: update.key, question: result.question };
+  });
+
+  const { apiToken, repoId } = requireRepo();
+  try {
+    sendJson(res, 200, await updateQuestionsInRepo({ updates: validUpdates, deletions }, repoId, apiToken));
+  } catch (error) {
+    throw httpError(502, `Could not update the Hugging Face repo: ${error.message}`);
+  }
+};
+
+/**
+ * Recent generation attempts for the debug drawer - prompts, raw model output, parse results and timings
+ */
+const handleDebugGenerations = (req, res) => {
+  requireAdmin(req);
+  sendJson(res, 200, {
+    generations: listTraces(),
+    enabled: isTraceEnabled()
+  });
+};
+
+const handleDebugClear = (req, res) => {
+  requireAdmin(req);
+  clearTraces();
+  sendJson(res, 200, { cleared: true });
+};
+
+const handleStatus = (req, res) => {
+  const provider = getProviderFromEnv();
+  sendJson(res, 200, {
+    provider: provider.name,
+    model: provider.model,
+    configured: provider.isConfigured(),
+    repoConfigured: Boolean(readSetting('HUGGINGFACE_API_TOKEN') && readSetting('HUGGINGFACE_REPO_ID'))
+  });
+};
+
+const routes = {
+  'POST /api/questions/generate': handleGenerate,
+  'GET /api/questions/bank': handleBank,
+  'POST /api/questions/save': handleSave,
+  'POST /api/questions/report': handleReport,
+  'GET /api/questions/admin': handleAdminList,
+  'POST /api/questions/admin': handleAdminUpdate,
+  'POST /api/quizzes': handleShareQuiz,
+  'GET /api/quizzes': handleSharedQuiz,
+  'GET /api/debug/generations': handleDebugGenerations,
+  'DELETE /api/debug/generations': handleDebugClear,
+  'GET /api/status': handleStatus
+};
+
+/**
+ * Serve a file from dist/, falling back to index.html for client-side routes
+ */
+const serveStatic = async (res, pathname) => {
+  const requested = path.normalize(path.join(DIST_DIR, decodeURIComponent(pathname)));
+  if (requested !== DIST_DIR && !requested.startsWith(`${DIST_DIR}${path.sep}`)) {
+    throw httpError(403, 'Forbidden');
+  }
+
+  let filePath = requested;
+  const info = await stat(filePath).catch(() => null);
+  if (!info || info.isDirectory()) {
+    filePath = path.join(DIST_DIR, 'index.html');
+  }
+
+  const content = await readFile(filePath).catch(() => null);
+  if (!content) {
+    throw httpError(404, 'Frontend not built. Run "npm run build" first.');
+  }
+  res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+  res.end(content);
+};
+
+const applyCors = (req, res) => {
+  const allowedOrigin = readSetting('CORS_ORIGIN');
+  if (allowedOrigin) {
+    res.setHeader('Access-Control-Allow-Origin', allowedOrigin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Admin-Token');
+  }
+};
+
+const handleRequest = async (req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  applyCors(req, res);
+
+  try {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    const handler = routes[`${req.method} ${url.pathname}`];
+    if (handler) {
+      await handler(req, res, url);
+    } else if (url.pathname.startsWith('/api/')) {
+      throw httpError(404, `No route for ${req.method} ${url.pathname}`);
+    } else if (req.method === 'GET' || req.method === 'HEAD') {
+      await serveStatic(res, url.pathname);
+    } else {
+      throw httpError(405, 'Method not allowed');
+    }
+  } catch (error) {
+    const status = error.status || 500;
+    if (status === 500) {
+      log.error(`❌ ${req.method} ${url.pathname} failed:`, error);
+    }
+    if (res.headersSent) {
+      res.end();
+    } else {
+      sendJson(res, status, { error: error.message });
+    }
+  }
+};
+
+loadEnvFile(path.join(ROOT_DIR, '.env'));
+
+const rooms = createRoomServer();
+
+const LOOPBACK_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Browsers send the page's Origin with a WebSocket upgrade and do not apply CORS to it, so the
+ * server checks it: the app's own host, CORS_ORIGIN, or (for the Vite dev proxy) a localhost page
+ * through a local connection. Clients that are not browsers send no Origin.
+ */
+const isAllowedOrigin = (req) => {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  if (origin === readSetting('CORS_ORIGIN')) return true;
+  let url;
+  try {
+    url = new URL(origin);
+  } catch {
+    return false;
+  }
+  if (url.host === req.headers.host) return true;
+  return LOOPBACK_HOSTNAMES.includes(url.hostname) && LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress);
+};
+
+const handleUpgrade = (req, socket, head) => {
+  if (new URL(req.url, 'http://localhost').pathname !== '/api/rooms') {
+    socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+    return;
+  }
+  if (!isAllowedOrigin(req)) {
+    log.warn(`⚠️ Refused a room connection from origin ${req.headers.origin}`);
+    socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+    return;
+  }
+  const connection = acceptWebSocket(req, socket, head);
+  if (connection) rooms.connect(connection);
+};
+
+/**
+ * Build the configured providers once, so a wrong LLM_PROVIDER or VERIFIER_PROVIDER stops the
+ * server at startup instead of failing every generation request
+ */
+const checkConfiguration = () => {
+  try {
+    getProviderFromEnv();
+    getVerificationSettingsFromEnv();
+  } catch (error) {
+    log.error(`❌ Configuration error: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+checkConfiguration();
+const port = Number(readSetting('PORT')) || DEFAULT_PORT;
+const server = http.createServer(handleRequest);
+server.on('upgrade', handleUpgrade);
+server.listen(port, () => {
+  const provider = getProviderFromEnv();
+  log.info(`🚀 TruthtellerAI API server listening on http://localhost:${port}`);
+  log.info(`🤖 LLM provider: ${provider.name} (configured: ${provider.isConfigured() ? 'Yes' : 'No'})`);
+  if (!provider.isConfigured()) {
+    log.warn(`⚠️ LLM provider "${provider.name}" is not configured - quizzes use fallback questions`);
+  }
+  log.info(`📦 Hugging Face repo: ${readSetting('HUGGINGFACE_REPO_ID') || 'not configured'}`);
+});
@@ -0,0 +1,187 @@
+/**
+ * Minimal WebSocket Server (RFC 6455)
+ * Just enough of the protocol for the quiz rooms: the upgrade handshake, text messages
+ * (fragmented or not), ping/pong and the closing handshake. Binary messages are refused.
+ */
+
+import { createHash } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+// Largest message accepted from a client (rooms only receive small JSON messages)
+const MAX_MESSAGE_BYTES = 64 * 1024;
+// A connection that does not answer a ping within this interval is dropped
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+const CLOSE_CODES = { normal: 1000, protocolError: 1002, unsupportedData: 1003, tooBig: 1009 };
+
+const encodeFrame = (opcode, payload) => {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+};
+
+/**
+ * Complete an HTTP upgrade request and wrap the socket
+ * @param {http.IncomingMessage} req - Request of the server's "upgrade" event
+ * @param {net.Socket} socket - Its socket
+ * @param {Buffer} head - Bytes already read past the request headers
+ * @returns {EventEmitter|null} Connection with send(text) and close(code, reason) that emits
+ *   "message" (text) and "close" - or null when the request is not a valid WebSocket upgrade
+ */
+const acceptWebSocket = (req, socket, head = Buffer.alloc(0)) => {
+  const key = req.headers['sec-websocket-key'];
+  if (String(req.headers.upgrade).toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+    return null;
+  }
+
+  const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+  socket.setNoDelay(true);
+
+  const connection = new EventEmitter();
+  let buffer = Buffer.from(head);
+  let fragments = [];
+  let fragmentBytes = 0;
+  let isClosed = false;
+  let isAlive = true;
+
+  const write = (opcode, payload) => {
+    if (!isClosed && socket.writable) socket.write(encodeFrame(opcode, payload));
+  };
+
+  const close = (code = CLOSE_CODES.normal, reason = '') => {
+    if (isClosed) return;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    write(OPCODES.close, payload);
+    isClosed = true;
+    socket.end();
+  };
+
+  const handleFrame = (isFinal, opcode, payload) => {
+    switch (opcode) {
+      case OPCODES.ping:
+        write(OPCODES.pong, payload);
+        return;
+      case OPCODES.pong:
+        isAlive = true;
+        return;
+      case OPCODES.close:
+        close(payload.length >= 2 ? payload.readUInt16BE(0) : CLOSE_CODES.normal);
+        return;
+      case OPCODES.binary:
+        close(CLOSE_CODES.unsupportedData, 'Only text messages are supported');
+        return;
+      case OPCODES.text:
+      case OPCODES.continuation:
+        if ((opcode === OPCODES.text) === (fragments.length > 0)) {
+          close(CLOSE_CODES.protocolError, 'Unexpected continuation frame');
+          return;
+        }
+        fragments.push(payload);
+        fragmentBytes += payload.length;
+        if (fragmentBytes > MAX_MESSAGE_BYTES) {
+          close(CLOSE_CODES.tooBig, 'Message too big');
+          return;
+        }
+        if (isFinal) {
+          const text = Buffer.concat(fragments).toString('utf8');
+          fragments = [];
+          fragmentBytes = 0;
+          connection.emit('message', text);
+        }
+        return;
+      default:
+        close(CLOSE_CODES.protocolError, 'Unknown opcode');
+    }
+  };
+
+  const readFrames = () => {
+    while (!isClosed && buffer.length >= 2) {
+      const isFinal = (buffer[0] & 0x80) !== 0;
+      const opcode = buffer[0] & 0x0f;
+      const isMasked = (buffer[1] & 0x80) !== 0;
+      let length = buffer[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (buffer.length < 4) return;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffer.length < 10) return;
+        const bigLength = buffer.readBigUInt64BE(2);
+        length = bigLength > BigInt(MAX_MESSAGE_BYTES) ? Infinity : Number(bigLength);
+        offset = 10;
+      }
+      if (!isMasked) {
+        close(CLOSE_CODES.protocolError, 'Client frames must be masked');
+        return;
+      }
+      if (length > MAX_MESSAGE_BYTES) {
+        close(CLOSE_CODES.tooBig, 'Message too big');
+        return;
+      }
+      if (buffer.length < offset + 4 + length) return;
+
+      const mask = buffer.subarray(offset, offset + 4);
+      const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+      }
+      buffer = buffer.subarray(offset + 4 + length);
+      handleFrame(isFinal, opcode, payload);
+    }
+  };
+
+  const heartbeat = setInterval(() => {
+    if (!isAlive) {
+      socket.destroy();
+      return;
+    }
+    isAlive = false;
+    write(OPCODES.ping, Buffer.alloc(0));
+  }, HEARTBEAT_INTERVAL_MS);
+
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    readFrames();
+  });
+  socket.on('error', () => socket.destroy());
+  socket.on('close', () => {
+    clearInterval(heartbeat);
+    isClosed = true;
+    connection.emit('close');
+  });
+
+  connection.send = (text) => write(OPCODES.text, Buffer.from(text, 'utf8'));
+  connection.close = close;
+  // Frames that arrived with the upgrade request are read once the caller has attached its listeners
+  if (buffer.length > 0) setImmediate(readFrames);
+  return connection;
+};
+
+export { acceptWebSocket };
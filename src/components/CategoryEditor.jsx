@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { Plus } from 'lucide-react';
+import { CATEGORY_ICONS, CATEGORY_COLORS, DEFAULT_CATEGORY_ICON, DEFAULT_CATEGORY_COLOR } from './categoryStyles';
+
+/**
+ * Form for a custom category or a free-text topic ("Roman aqueducts")
+ * Only the name is required; the rest is under "More options".
+ */
+const CategoryEditor = ({ onAdd }) => {
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [icon, setIcon] = useState(DEFAULT_CATEGORY_ICON);
+  const [color, setColor] = useState(DEFAULT_CATEGORY_COLOR);
+  const [showOptions, setShowOptions] = useState(false);
+  const [error, setError] = useState(null);
+
+  const submit = (event) => {
+    event.preventDefault();
+    try {
+      onAdd({ name, description, icon, color });
+      setName('');
+      setDescription('');
+      setError(null);
+      setShowOptions(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <form onSubmit={submit} className="mt-3">
+      <div className="flex gap-2">
+        <input
+          value={name}
+          onChange={(event) => setName(event.target.value)}
+          placeholder='Any topic, e.g. "Roman aqueducts"'
+          maxLength={40}
+          className="flex-1 px-3 py-2 border border-gray-200 rounded-lg text-sm"
+        />
+        <button
+          type="submit"
+          disabled={!name.trim()}
+          className="inline-flex items-center px-3 py-2 rounded-lg bg-purple-500 text-white text-sm font-medium disabled:bg-gray-300"
+        >
+          <Plus className="w-4 h-4 mr-1" />
+          Add
+        </button>
+      </div>
+      <button
+        type="button"
+        onClick={() => setShowOptions(!showOptions)}
+        className="mt-1 text-xs text-purple-600 hover:text-purple-700"
+      >
+        {showOptions ? 'Fewer options' : 'More options'}
+      </button>
+      {showOptions && (
+        <div className="mt-2 space-y-2">
+          <textarea
+            value={description}
+            onChange={(event) => setDescription(event.target.value)}
+            placeholder="What should the questions cover? (used in the AI prompt - defaults to the name)"
+            maxLength={200}
+            rows={2}
+            className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm"
+          />
+          <div className="flex flex-wrap gap-1">
+            {Object.entries(CATEGORY_ICONS).map(([key, IconComponent]) => (
+              <button
+                key={key}
+                type="button"
+                onClick={() => setIcon(key)}
+                title={key}
+                className={`p-2 rounded-lg ${icon === key ? 'bg-purple-100 text-purple-700' : 'text-gray-500 hover:bg-gray-100'}`}
+              >
+                <IconComponent className="w-4 h-4" />
+              </button>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            {CATEGORY_COLORS.map(option => (
+              <button
+                key={option}
+                type="button"
+                onClick={() => setColor(option)}
+                className={`w-6 h-6 rounded-full bg-gradient-to-r ${option} ${color === option ? 'ring-2 ring-offset-1 ring-purple-500' : ''}`}
+              />
+            ))}
+          </div>
+        </div>
+      )}
+      {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+    </form>
+  );
+};
+
+export default CategoryEditor;
@@ -0,0 +1,201 @@
+import React, { useState, useEffect } from 'react';
+import { Bug, X, RefreshCw, Trash2, Loader2, ChevronDown, ChevronRight } from 'lucide-react';
+import { fetchGenerationTraces, clearGenerationTraces, readAdminToken, storeAdminToken } from '../services/questionApiClient';
+
+// How often the open drawer asks the server for new attempts
+const REFRESH_INTERVAL_MS = 5000;
+
+const OUTCOME_STYLES = {
+  ai: 'bg-green-100 text-green-700',
+  repo: 'bg-blue-100 text-blue-700',
+  fallback: 'bg-amber-100 text-amber-800',
+  failed: 'bg-red-100 text-red-700',
+  cancelled: 'bg-gray-100 text-gray-600',
+  running: 'bg-purple-100 text-purple-700'
+};
+
+const formatMs = (ms) => (ms === null || ms === undefined ? '–' : ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`);
+
+const TextBlock = ({ label, text }) => (
+  <details className="mt-1">
+    <summary className="cursor-pointer text-gray-600">{label} ({text.length} characters)</summary>
+    <pre className="mt-1 p-2 max-h-64 overflow-auto bg-gray-900 text-gray-100 rounded whitespace-pre-wrap break-words">{text}</pre>
+  </details>
+);
+
+const TraceRequest = ({ request, index }) => (
+  <div className="mt-2 p-2 border border-gray-200 rounded-lg">
+    <p className="font-medium text-gray-700">
+      Request {index + 1} · +{formatMs(request.offsetMs)} · took {formatMs(request.durationMs)}
+    </p>
+    {request.parse && (
+      <p className="text-gray-600">
+        Parsed {request.parse.parsed}, valid {request.parse.valid}
+        {request.parse.rejected.length > 0 && `, rejected ${request.parse.rejected.length}`}
+      </p>
+    )}
+    {request.parse?.rejected.length > 0 && (
+      <ul className="mt-1 list-disc list-inside text-amber-700">
+        {request.parse.rejected.map((reason, i) => <li key={i}>{reason}</li>)}
+      </ul>
+    )}
+    {request.error && <p className="text-red-600">{request.error}</p>}
+    <TextBlock label="Prompt" text={request.prompt} />
+    {request.rawResponse !== null && <TextBlock label="Raw response" text={request.rawResponse} />}
+  </div>
+);
+
+const TraceCard = ({ trace }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const subject = trace.kind === 'document' ? `"${trace.document}"` : (trace.category || 'mixed');
+
+  return (
+    <div className="p-3 border border-gray-200 rounded-xl text-xs">
+      <button onClick={() => setIsOpen(!isOpen)} className="w-full flex items-start text-left">
+        {isOpen ? <ChevronDown className="w-4 h-4 mr-1 flex-shrink-0" /> : <ChevronRight className="w-4 h-4 mr-1 flex-shrink-0" />}
+        <div className="flex-1">
+          <div className="flex items-center justify-between">
+            <span className="font-medium text-gray-800">
+              #{trace.id} {trace.kind} · {subject} · {trace.difficulty}
+            </span>
+            <span className={`px-2 py-0.5 rounded-full ${OUTCOME_STYLES[trace.outcome] || OUTCOME_STYLES.cancelled}`}>
+              {trace.outcome}
+            </span>
+          </div>
+          <p className="text-gray-500">
+            {new Date(trace.startedAt).toLocaleTimeString()} · {trace.provider} ({trace.model}) · {trace.delivered}/{trace.count} delivered
+            {trace.repoHits > 0 && `, ${trace.repoHits} from repo`}
+          </p>
+          <p className="text-gray-500">
+            First question {formatMs(trace.timings.firstQuestionMs)} · total {formatMs(trace.timings.totalMs)} · {trace.requests.length} request(s)
+          </p>
+          {trace.fallbackReason && <p className="text-amber-700">Fallback: {trace.fallbackReason}</p>}
+        </div>
+      </button>
+      {isOpen && trace.requests.map((request, index) => (
+        <TraceRequest key={index} request={request} index={index} />
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Developer drawer listing the API server's recent generation attempts: prompts, raw model
+ * output, parse results, timings and fallback reasons. Shown in dev builds and with ?debug.
+ */
+const DebugDrawer = () => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [traces, setTraces] = useState(null);
+  const [enabled, setEnabled] = useState(true);
+  const [adminToken, setAdminToken] = useState(readAdminToken);
+  const [tokenInput, setTokenInput] = useState('');
+  const [needsToken, setNeedsToken] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = async (token = adminToken) => {
+    try {
+      const result = await fetchGenerationTraces({ adminToken: token });
+      setNeedsToken(false);
+      setError(null);
+      setEnabled(result.enabled);
+      setTraces(result.generations);
+    } catch (err) {
+      if (err.status === 401) {
+        setNeedsToken(true);
+        return;
+      }
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    if (!isOpen || needsToken) return undefined;
+    load();
+    const timer = setInterval(load, REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [isOpen, needsToken, adminToken]);
+
+  const clear = async () => {
+    try {
+      await clearGenerationTraces({ adminToken });
+      setTraces([]);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const submitToken = (event) => {
+    event.preventDefault();
+    const token = tokenInput.trim();
+    storeAdminToken(token);
+    setAdminToken(token);
+    setNeedsToken(false);
+  };
+
+  if (!isOpen) {
+    return (
+      <button
+        onClick={() => setIsOpen(true)}
+        className="fixed bottom-4 right-4 inline-flex items-center px-3 py-2 bg-gray-800 hover:bg-gray-900 text-white text-xs font-medium rounded-full shadow-lg"
+      >
+        <Bug className="w-4 h-4 mr-1" />
+        Debug
+      </button>
+    );
+  }
+
+  return (
+    <div className="fixed inset-y-0 right-0 w-full max-w-xl bg-white shadow-2xl border-l border-gray-200 flex flex-col z-50">
+      <div className="flex items-center justify-between p-4 border-b border-gray-200">
+        <h2 className="text-sm font-semibold text-gray-800 inline-flex items-center">
+          <Bug className="w-4 h-4 mr-2 text-purple-500" />
+          Generation attempts
+        </h2>
+        <div className="flex items-center gap-1">
+          <button onClick={() => load()} title="Refresh" className="p-1.5 text-gray-500 hover:text-gray-800">
+            <RefreshCw className="w-4 h-4" />
+          </button>
+          <button onClick={clear} title="Clear" className="p-1.5 text-gray-500 hover:text-red-600">
+            <Trash2 className="w-4 h-4" />
+          </button>
+          <button onClick={() => setIsOpen(false)} title="Close" className="p-1.5 text-gray-500 hover:text-gray-800">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-4 space-y-3">
+        {error && (
+          <div className="p-2 bg-red-100 border border-red-400 text-red-700 text-xs rounded-lg">{error}</div>
+        )}
+        {needsToken ? (
+          <form onSubmit={submitToken} className="flex gap-2">
+            <input
+              type="password"
+              value={tokenInput}
+              onChange={(e) => setTokenInput(e.target.value)}
+              placeholder="Admin token"
+              className="flex-1 p-2 border border-gray-200 rounded-lg text-sm"
+            />
+            <button type="submit" className="px-3 py-2 bg-purple-500 hover:bg-purple-600 text-white text-sm font-medium rounded-lg">
+              Unlock
+            </button>
+          </form>
+        ) : traces === null ? (
+          <div className="flex items-center justify-center py-8 text-sm text-gray-500">
+            <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+            Loading…
+          </div>
+        ) : !enabled ? (
+          <p className="text-sm text-gray-600">The server keeps no generation traces. Set DEBUG_TRACE_SIZE to record them.</p>
+        ) : traces.length === 0 ? (
+          <p className="text-sm text-gray-600">No generation attempts yet - start a quiz.</p>
+        ) : (
+          traces.map(trace => <TraceCard key={trace.id} trace={trace} />)
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DebugDrawer;
@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { FileText, Upload, Loader2, X } from 'lucide-react';
+import { extractDocumentText, SUPPORTED_EXTENSIONS } from '../services/documentText';
+import { MAX_DOCUMENT_LENGTH } from '../services/documentGrounding';
+
+/**
+ * Source document for a document quiz: pasted text or an uploaded .txt/.md/.pdf file
+ * Calls onChange({ title, text }) when a document is ready and onChange(null) when it is removed.
+ */
+const DocumentPanel = ({ document, disabled, onChange }) => {
+  const [pastedText, setPastedText] = useState('');
+  const [isReading, setIsReading] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const readFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    setIsReading(true);
+    setError(null);
+    try {
+      const { title, text, truncated } = await extractDocumentText(file);
+      onChange({ title, text });
+      setNotice(truncated ? `Only the first ${MAX_DOCUMENT_LENGTH.toLocaleString()} characters are used.` : null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsReading(false);
+    }
+  };
+
+  const usePastedText = () => {
+    const text = pastedText.trim();
+    if (!text) return;
+    onChange({ title: 'Pasted text', text: text.slice(0, MAX_DOCUMENT_LENGTH) });
+    setNotice(text.length > MAX_DOCUMENT_LENGTH ? `Only the first ${MAX_DOCUMENT_LENGTH.toLocaleString()} characters are used.` : null);
+    setPastedText('');
+    setError(null);
+  };
+
+  if (document) {
+    return (
+      <div className="p-3 rounded-lg border border-purple-200 bg-white">
+        <div className="flex items-center">
+          <FileText className="w-4 h-4 mr-2 text-purple-600" />
+          <span className="flex-1 text-sm font-medium text-gray-800 truncate">{document.title}</span>
+          <span className="mx-2 text-xs text-gray-500">{document.text.length.toLocaleString()} characters</span>
+          <button
+            onClick={() => onChange(null)}
+            disabled={disabled}
+            title="Remove document"
+            className="p-1 rounded-full text-gray-400 hover:text-red-500 hover:bg-red-50"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+        <p className="mt-1 text-xs text-gray-600">
+          Questions use only this document, and each explanation quotes the passage it comes from.
+        </p>
+        {notice && <p className="mt-1 text-xs text-amber-600">{notice}</p>}
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <textarea
+        value={pastedText}
+        onChange={(event) => setPastedText(event.target.value)}
+        placeholder="Paste notes, an article or a chapter to be quizzed on it"
+        rows={3}
+        disabled={disabled}
+        className="w-full px-3 py-2 border border-gray-200 rounded-lg text-sm"
+      />
+      <div className="mt-2 flex gap-2">
+        <button
+          onClick={usePastedText}
+          disabled={disabled || !pastedText.trim()}
+          className="inline-flex items-center px-3 py-2 rounded-lg bg-purple-500 text-white text-sm font-medium disabled:bg-gray-300"
+        >
+          <FileText className="w-4 h-4 mr-1" />
+          Use text
+        </button>
+        <label
+          className={`inline-flex items-center px-3 py-2 rounded-lg border border-gray-300 text-sm font-medium text-gray-700 ${
+            disabled || isReading ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer hover:bg-gray-100'
+          }`}
+        >
+          {isReading ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Upload className="w-4 h-4 mr-1" />}
+          {isReading ? 'Reading...' : 'Upload file'}
+          <input
+            type="file"
+            accept={SUPPORTED_EXTENSIONS.map(ext => `.${ext}`).join(',')}
+            onChange={readFile}
+            disabled={disabled || isReading}
+            className="hidden"
+          />
+        </label>
+      </div>
+      <p className="mt-1 text-xs text-gray-500">.txt, .md or .pdf - scanned PDFs have no text to read</p>
+      {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default DocumentPanel;
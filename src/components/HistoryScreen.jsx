@@ -0,0 +1,224 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { ArrowLeft, Download, Loader2, TrendingUp, TrendingDown, Minus, ChevronDown, ChevronUp, BarChart3 } from 'lucide-react';
+import { listQuizResults, exportPlayerData } from '../services/playerHistoryStore';
+import { summarizeHistory, quizAccuracy } from '../services/historyStats';
+import { createLogger } from '../services/logger';
+
+const log = createLogger('players');
+
+// Most recent quizzes listed under "Recent Quizzes"
+const RECENT_QUIZ_COUNT = 10;
+
+const formatPercent = (value) => (value === null || value === undefined ? '—' : `${Math.round(value * 100)}%`);
+const formatSeconds = (value) => (value === null || value === undefined ? '—' : `${value.toFixed(1)}s`);
+const formatDate = (iso) => new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+/**
+ * Accuracy change indicator (recent quizzes vs the ones before)
+ */
+const TrendChange = ({ change }) => {
+  if (change === null) {
+    return <span className="text-xs text-gray-400">—</span>;
+  }
+  const points = Math.round(change * 100);
+  if (points > 0) {
+    return <span className="inline-flex items-center text-xs text-green-600"><TrendingUp className="w-4 h-4 mr-1" />+{points}</span>;
+  }
+  if (points < 0) {
+    return <span className="inline-flex items-center text-xs text-red-600"><TrendingDown className="w-4 h-4 mr-1" />{points}</span>;
+  }
+  return <span className="inline-flex items-center text-xs text-gray-500"><Minus className="w-4 h-4 mr-1" />0</span>;
+};
+
+/**
+ * Bar per recent quiz, height = accuracy
+ */
+const TrendBars = ({ trend }) => (
+  <div className="flex items-end gap-0.5 h-8">
+    {trend.map((point, index) => (
+      <div
+        key={index}
+        title={`${formatDate(point.completedAt)}: ${formatPercent(point.accuracy)}`}
+        className="w-2 bg-gradient-to-t from-purple-500 to-blue-400 rounded-sm"
+        style={{ height: `${Math.max((point.accuracy || 0) * 100, 4)}%` }}
+      />
+    ))}
+  </div>
+);
+
+const GroupTable = ({ title, groups, labelOf }) => (
+  <div className="mb-6">
+    <h3 className="text-sm font-semibold text-gray-700 mb-2">{title}</h3>
+    <div className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+      {Object.entries(groups).map(([key, group]) => (
+        <div key={key} className="flex items-center justify-between px-4 py-2">
+          <div className="w-28 text-sm font-medium text-gray-800">{labelOf(key)}</div>
+          <div className="w-16 text-xs text-gray-500">{group.quizzes} quiz{group.quizzes === 1 ? '' : 'zes'}</div>
+          <div className="w-12 text-sm font-semibold text-gray-800">{formatPercent(group.accuracy)}</div>
+          <div className="w-12"><TrendChange change={group.change} /></div>
+          <TrendBars trend={group.trend} />
+        </div>
+      ))}
+    </div>
+  </div>
+);
+
+/**
+ * Quiz history of one player: overall stats, trends per category and difficulty,
+ * recent quizzes with every answer, and a JSON export. Rendered inside the TruthtellerAI card.
+ */
+const HistoryScreen = ({ profile, categoryNames, difficultyLabels, modeLabels, onClose }) => {
+  const [results, setResults] = useState(null);
+  const [expandedQuiz, setExpandedQuiz] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    listQuizResults(profile.id)
+      .then(loaded => {
+        if (!cancelled) setResults(loaded);
+      })
+      .catch(err => {
+        log.error('❌ Failed to load quiz history:', err);
+        if (!cancelled) setError(`Could not load history: ${err.message}`);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [profile.id]);
+
+  const exportHistory = async () => {
+    try {
+      const data = await exportPlayerData(profile.id);
+      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `truthteller-history-${profile.name.replace(/\W+/g, '-').toLowerCase()}-${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      log.error('❌ Failed to export quiz history:', err);
+      setError(`Could not export history: ${err.message}`);
+    }
+  };
+
+  const summary = results ? summarizeHistory(results) : null;
+  const recentQuizzes = results ? [...results].reverse().slice(0, RECENT_QUIZ_COUNT) : [];
+  const categoryLabel = (key) => categoryNames[key] || (key === 'mixed' ? 'Mixed' : key);
+  const difficultyLabel = (key) => difficultyLabels[key] || key;
+
+  return (
+    <motion.div
+      key="history"
+      initial={{ opacity: 0, x: -20 }}
+      animate={{ opacity: 1, x: 0 }}
+      exit={{ opacity: 0, x: 20 }}
+    >
+      <div className="flex items-center justify-between mb-6">
+        <button
+          onClick={onClose}
+          className="inline-flex items-center text-sm font-medium text-gray-600 hover:text-gray-800"
+        >
+          <ArrowLeft className="w-4 h-4 mr-1" />
+          Back
+        </button>
+        <h2 className="text-xl font-semibold text-gray-800 inline-flex items-center">
+          <BarChart3 className="w-5 h-5 mr-2 text-purple-500" />
+          {profile.name}'s History
+        </h2>
+        <button
+          onClick={exportHistory}
+          disabled={!results || results.length === 0}
+          className="inline-flex items-center text-sm font-medium text-purple-600 hover:text-purple-700 disabled:text-gray-300"
+        >
+          <Download className="w-4 h-4 mr-1" />
+          Export
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {!results && !error && (
+        <div className="flex justify-center py-12">
+          <Loader2 className="w-6 h-6 animate-spin text-purple-500" />
+        </div>
+      )}
+
+      {results && results.length === 0 && (
+        <p className="text-center text-gray-600 py-12">No completed quizzes yet. Finish a quiz to start tracking your progress!</p>
+      )}
+
+      {summary && results.length > 0 && (
+        <>
+          {/* Overall */}
+          <div className="grid grid-cols-4 gap-3 mb-6">
+            {[
+              ['Quizzes', summary.overall.quizzes],
+              ['Accuracy', formatPercent(summary.overall.accuracy)],
+              ['Avg. time', formatSeconds(summary.overall.averageTime)],
+              ['Best score', summary.overall.bestScore]
+            ].map(([label, value]) => (
+              <div key={label} className="p-3 bg-gray-50 rounded-lg text-center">
+                <div className="text-lg font-bold text-gray-800">{value}</div>
+                <div className="text-xs text-gray-500">{label}</div>
+              </div>
+            ))}
+          </div>
+
+          <GroupTable title="By Category" groups={summary.byCategory} labelOf={categoryLabel} />
+          <GroupTable title="By Difficulty" groups={summary.byDifficulty} labelOf={difficultyLabel} />
+
+          {/* Recent quizzes */}
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">Recent Quizzes</h3>
+          <div className="space-y-2">
+            {recentQuizzes.map(result => (
+              <div key={result.id} className="border border-gray-200 rounded-lg">
+                <button
+                  onClick={() => setExpandedQuiz(expandedQuiz === result.id ? null : result.id)}
+                  className="w-full flex items-center justify-between px-4 py-2 text-left"
+                >
+                  <div>
+                    <div className="text-sm font-medium text-gray-800">
+                      {categoryLabel(result.category)} · {difficultyLabel(result.difficulty)} · {modeLabels[result.mode] || result.mode}
+                    </div>
+                    <div className="text-xs text-gray-500">{formatDate(result.completedAt)}</div>
+                  </div>
+                  <div className="flex items-center">
+                    <span className="text-sm font-semibold text-purple-600 mr-2">
+                      {result.score}/{result.maxScore} · {formatPercent(quizAccuracy(result))}
+                    </span>
+                    {expandedQuiz === result.id ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                  </div>
+                </button>
+                {expandedQuiz === result.id && (
+                  <ol className="px-4 pb-3 space-y-2">
+                    {result.answers.map((answer, index) => (
+                      <li key={index} className="text-sm">
+                        <div className="text-gray-800">
+                          {answer.isCorrect ? '✅' : '❌'} {answer.question}
+                        </div>
+                        <div className="text-xs text-gray-500 ml-6">
+                          {answer.timedOut ? 'Time ran out' : `Your answer: ${answer.answerText}`}
+                          {!answer.isCorrect && ` · Correct: ${answer.correctAnswerText}`}
+                          {` · ${formatSeconds(answer.timeTaken)}`}
+                        </div>
+                      </li>
+                    ))}
+                  </ol>
+                )}
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </motion.div>
+  );
+};
+
+export default HistoryScreen;
@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { CheckCircle, XCircle, Square, CheckSquare } from 'lucide-react';
+
+/**
+ * Multi-select question: tick every correct option, then submit
+ * Remount (key) per question so the ticks reset.
+ */
+const MultiSelectQuestion = ({ question, showResult, selectedAnswer, onSubmit }) => {
+  const [picked, setPicked] = useState([]);
+  const shown = showResult ? selectedAnswer || [] : picked;
+
+  const toggle = (index) => {
+    setPicked(picked.includes(index) ? picked.filter(i => i !== index) : [...picked, index]);
+  };
+
+  return (
+    <div className="mb-6">
+      <p className="text-sm text-gray-500 text-center mb-3">Select all that apply</p>
+      <div className="space-y-3">
+        {question.options.map((option, index) => {
+          const isPicked = shown.includes(index);
+          // Multiplayer rooms send the question without its answer until the reveal
+          const isCorrect = showResult && question.correct.includes(index);
+          return (
+            <motion.button
+              key={index}
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              onClick={() => !showResult && toggle(index)}
+              disabled={showResult}
+              className={`w-full p-4 rounded-lg text-left transition-all duration-200 ${
+                showResult
+                  ? isCorrect
+                    ? 'bg-green-100 border-2 border-green-500 text-green-800'
+                    : isPicked
+                    ? 'bg-red-100 border-2 border-red-500 text-red-800'
+                    : 'bg-gray-100 text-gray-600'
+                  : isPicked
+                  ? 'bg-purple-50 border-2 border-purple-500 text-gray-800'
+                  : 'bg-gray-50 hover:bg-gray-100 text-gray-800 border border-gray-200'
+              }`}
+            >
+              <div className="flex items-center">
+                {showResult && isCorrect && <CheckCircle className="w-5 h-5 text-green-500 mr-3" />}
+                {showResult && !isCorrect && isPicked && <XCircle className="w-5 h-5 text-red-500 mr-3" />}
+                {!showResult && (isPicked
+                  ? <CheckSquare className="w-5 h-5 text-purple-500 mr-3" />
+                  : <Square className="w-5 h-5 text-gray-400 mr-3" />)}
+                <span className="font-medium">{option}</span>
+              </div>
+            </motion.button>
+          );
+        })}
+      </div>
+      {!showResult && (
+        <div className="text-center mt-4">
+          <button
+            onClick={() => onSubmit([...picked].sort((a, b) => a - b))}
+            disabled={picked.length === 0}
+            className="px-6 py-2 rounded-lg bg-purple-500 text-white font-medium disabled:bg-gray-300"
+          >
+            Submit Answer
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MultiSelectQuestion;
@@ -0,0 +1,429 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { ArrowLeft, Users, Crown, Play, Lock, LogOut, WifiOff, Loader2, Trophy, CheckCircle, XCircle } from 'lucide-react';
+import { openRoomConnection } from '../services/roomClient';
+import { describeAnswer } from '../services/answerScoring';
+import MultiSelectQuestion from './MultiSelectQuestion';
+import OrderingQuestion from './OrderingQuestion';
+import TypedAnswerQuestion from './TypedAnswerQuestion';
+
+// How often the countdown is redrawn
+const TICK_MS = 250;
+
+const inputClass = 'w-full p-2 border border-gray-200 rounded-lg text-sm';
+
+/**
+ * Players by rank; the current player is highlighted
+ */
+const Leaderboard = ({ entries, playerId, hostId }) => (
+  <ol className="space-y-2">
+    {entries.map(entry => (
+      <li
+        key={entry.id}
+        className={`flex items-center p-2 rounded-lg text-sm ${
+          entry.id === playerId ? 'bg-purple-50 border border-purple-300' : 'bg-gray-50 border border-gray-200'
+        } ${entry.connected ? '' : 'opacity-50'}`}
+      >
+        <span className="w-8 font-semibold text-gray-500">{entry.rank}.</span>
+        <span className="flex-1 font-medium text-gray-800 inline-flex items-center">
+          {entry.name}
+          {entry.id === hostId && <Crown className="w-4 h-4 ml-1 text-amber-500" />}
+          {!entry.connected && <WifiOff className="w-4 h-4 ml-1 text-gray-400" />}
+        </span>
+        <span className="font-semibold text-gray-800">{entry.score} pts</span>
+      </li>
+    ))}
+  </ol>
+);
+
+/**
+ * A room question - answerable while open, marked with the answer after the reveal
+ */
+const RoomQuestion = ({ question, showResult, selectedAnswer, isCorrect, onAnswer }) => {
+  if (question.type === 'multi-select') {
+    return <MultiSelectQuestion question={question} showResult={showResult} selectedAnswer={selectedAnswer} onSubmit={onAnswer} />;
+  }
+  if (question.type === 'ordering') {
+    return <OrderingQuestion question={question} showResult={showResult} selectedAnswer={selectedAnswer} onSubmit={onAnswer} />;
+  }
+  if (question.type === 'numeric' || question.type === 'short-answer') {
+    return <TypedAnswerQuestion question={question} showResult={showResult} selectedAnswer={selectedAnswer} isCorrect={isCorrect} onSubmit={onAnswer} />;
+  }
+
+  const choices = question.type === 'true-false'
+    ? [{ value: true, label: 'True' }, { value: false, label: 'False' }]
+    : question.options.map((option, index) => ({ value: index, label: option }));
+  return (
+    <div className={question.type === 'true-false' ? 'grid grid-cols-2 gap-4 mb-6' : 'space-y-3 mb-6'}>
+      {choices.map(({ value, label }) => {
+        const isAnswer = showResult && value === question.correct;
+        const isWrongPick = showResult && value === selectedAnswer && !isAnswer;
+        return (
+          <motion.button
+            key={String(value)}
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+            onClick={() => !showResult && onAnswer(value)}
+            disabled={showResult}
+            className={`w-full p-4 rounded-lg text-left transition-all duration-200 ${
+              isAnswer
+                ? 'bg-green-100 border-2 border-green-500 text-green-800'
+                : isWrongPick
+                ? 'bg-red-100 border-2 border-red-500 text-red-800'
+                : showResult
+                ? 'bg-gray-100 text-gray-600'
+                : 'bg-gray-50 hover:bg-gray-100 text-gray-800 border border-gray-200'
+            }`}
+          >
+            <div className="flex items-center">
+              {isAnswer && <CheckCircle className="w-5 h-5 text-green-500 mr-3" />}
+              {isWrongPick && <XCircle className="w-5 h-5 text-red-500 mr-3" />}
+              <span className="font-medium">{label}</span>
+            </div>
+          </motion.button>
+        );
+      })}
+    </div>
+  );
+};
+
+/**
+ * Live multiplayer quiz: create a room from the current quiz settings or join one with its code.
+ * Everyone gets the same question at the same time; the room server keeps the time and the scores.
+ * Rendered inside the TruthtellerAI card.
+ */
+const MultiplayerScreen = ({ settings, categoryName, difficultyLabel, typeLabels, defaultName, onClose }) => {
+  const [name, setName] = useState(defaultName || '');
+  const [codeInput, setCodeInput] = useState('');
+  // { code, playerId } once in a room
+  const [seat, setSeat] = useState(null);
+  const [room, setRoom] = useState(null);
+  // The open question message, with the local time it closes
+  const [current, setCurrent] = useState(null);
+  // undefined until this player has answered the open question
+  const [myAnswer, setMyAnswer] = useState(undefined);
+  const [reveal, setReveal] = useState(null);
+  const [finalLeaderboard, setFinalLeaderboard] = useState(null);
+  const [timeLeft, setTimeLeft] = useState(0);
+  const [isConnecting, setIsConnecting] = useState(false);
+  const [error, setError] = useState(null);
+  const connectionRef = useRef(null);
+  // { code, token } of the last seat, so a dropped connection can reclaim it
+  const reconnectRef = useRef(null);
+
+  const handleMessage = (message) => {
+    switch (message.type) {
+      case 'joined':
+        setIsConnecting(false);
+        setSeat({ code: message.code, playerId: message.playerId });
+        reconnectRef.current = { code: message.code, token: message.token };
+        setCodeInput(message.code);
+        break;
+      case 'room':
+        setRoom(message.room);
+        if (message.room.state === 'loading') {
+          setCurrent(null);
+          setReveal(null);
+          setFinalLeaderboard(null);
+        }
+        break;
+      case 'question':
+        setCurrent({ ...message, closesAt: Date.now() + message.remainingMs });
+        setMyAnswer(undefined);
+        setReveal(null);
+        setError(null);
+        break;
+      case 'reveal':
+        setReveal(message);
+        break;
+      case 'finished':
+        setFinalLeaderboard(message.leaderboard);
+        break;
+      case 'error':
+        setIsConnecting(false);
+        setError(message.message);
+        break;
+      default:
+        break;
+    }
+  };
+
+  const disconnect = () => {
+    connectionRef.current?.close();
+    connectionRef.current = null;
+  };
+
+  useEffect(() => disconnect, []);
+
+  // Countdown of the open question
+  useEffect(() => {
+    if (!current || reveal) return undefined;
+    const tick = () => setTimeLeft(Math.max(0, Math.ceil((current.closesAt - Date.now()) / 1000)));
+    tick();
+    const timer = setInterval(tick, TICK_MS);
+    return () => clearInterval(timer);
+  }, [current, reveal]);
+
+  const send = (message) => {
+    if (!connectionRef.current) {
+      connectionRef.current = openRoomConnection({
+        onMessage: handleMessage,
+        onClose: ({ wasOpen }) => {
+          connectionRef.current = null;
+          setIsConnecting(false);
+          setSeat(null);
+          setRoom(null);
+          setError(wasOpen
+            ? 'Lost the connection to the room. Join again with the same name to get your seat back.'
+            : 'Could not reach the room server. Is "npm run server" running?');
+        }
+      });
+    }
+    connectionRef.current.send(message);
+  };
+
+  const createRoom = () => {
+    setError(null);
+    setIsConnecting(true);
+    send({ type: 'create', name, settings });
+  };
+
+  const joinRoom = (event) => {
+    event.preventDefault();
+    setError(null);
+    setIsConnecting(true);
+    // The server only hands the seat back when the name matches too
+    const last = reconnectRef.current;
+    const token = last?.code === codeInput.trim().toUpperCase() ? last.token : undefined;
+    send({ type: 'join', code: codeInput, name, token });
+  };
+
+  const submitAnswer = (answer) => {
+    if (myAnswer !== undefined) return;
+    setMyAnswer(answer);
+    send({ type: 'answer', index: current.index, answer });
+  };
+
+  const leaveRoom = () => {
+    send({ type: 'leave' });
+    disconnect();
+    reconnectRef.current = null;
+    setSeat(null);
+    setRoom(null);
+    setCurrent(null);
+    setReveal(null);
+    setFinalLeaderboard(null);
+  };
+
+  const isHost = Boolean(room && seat && room.hostId === seat.playerId);
+  const myResult = reveal && seat ? reveal.results[seat.playerId] : null;
+  const connectedPlayers = room ? room.players.filter(player => player.connected) : [];
+
+  const renderJoinForm = () => (
+    <div className="space-y-6">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">Your name</label>
+        <input value={name} onChange={(e) => setName(e.target.value)} maxLength={24} placeholder="Name shown to the other players" className={inputClass} />
+      </div>
+
+      <div className="p-4 bg-gray-50 rounded-xl">
+        <h3 className="font-semibold text-gray-800 mb-1">Host a room</h3>
+        <p className="text-sm text-gray-600 mb-3">
+          {categoryName} · {difficultyLabel} · {settings.count} questions · {settings.timeLimit}s per question · {settings.points} points each
+        </p>
+        <button
+          onClick={createRoom}
+          disabled={!name.trim() || isConnecting}
+          className="px-4 py-2 bg-purple-500 hover:bg-purple-600 text-white text-sm font-medium rounded-lg disabled:bg-gray-300"
+        >
+          Create Room
+        </button>
+      </div>
+
+      <form onSubmit={joinRoom} className="p-4 bg-gray-50 rounded-xl">
+        <h3 className="font-semibold text-gray-800 mb-3">Join a room</h3>
+        <div className="flex gap-2">
+          <input
+            value={codeInput}
+            onChange={(e) => setCodeInput(e.target.value.toUpperCase())}
+            maxLength={5}
+            placeholder="Room code"
+            className={`${inputClass} uppercase tracking-widest`}
+          />
+          <button
+            type="submit"
+            disabled={!name.trim() || codeInput.trim().length === 0 || isConnecting}
+            className="px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white text-sm font-medium rounded-lg disabled:bg-gray-300"
+          >
+            Join
+          </button>
+        </div>
+      </form>
+      {isConnecting && (
+        <p className="flex items-center justify-center text-sm text-gray-500">
+          <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+          Connecting…
+        </p>
+      )}
+    </div>
+  );
+
+  const renderLobby = () => (
+    <div>
+      <div className="text-center mb-6">
+        <p className="text-sm text-gray-600">Room code</p>
+        <p className="text-4xl font-bold tracking-widest text-purple-600">{room.code}</p>
+        <p className="text-sm text-gray-500 mt-1">
+          {room.settings.count} questions · {difficultyLabel} · {room.settings.timeLimit}s per question
+        </p>
+      </div>
+      <h3 className="text-sm font-semibold text-gray-700 mb-2">Players ({connectedPlayers.length})</h3>
+      <ul className="space-y-2 mb-6">
+        {room.players.map(player => (
+          <li key={player.id} className={`flex items-center p-2 bg-gray-50 border border-gray-200 rounded-lg text-sm ${player.connected ? '' : 'opacity-50'}`}>
+            <span className="flex-1 font-medium text-gray-800">{player.name}{player.id === seat.playerId && ' (you)'}</span>
+            {player.id === room.hostId && <Crown className="w-4 h-4 text-amber-500" />}
+          </li>
+        ))}
+      </ul>
+      {room.state === 'loading' ? (
+        <p className="flex items-center justify-center text-sm text-gray-600">
+          <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+          Preparing the questions…
+        </p>
+      ) : isHost ? (
+        <div className="text-center">
+          <button
+            onClick={() => send({ type: 'start' })}
+            className="inline-flex items-center px-6 py-3 bg-gradient-to-r from-purple-500 to-blue-500 text-white font-semibold rounded-lg"
+          >
+            <Play className="w-4 h-4 mr-2" />
+            Start Quiz
+          </button>
+        </div>
+      ) : (
+        <p className="text-center text-sm text-gray-600">Waiting for the host to start the quiz…</p>
+      )}
+    </div>
+  );
+
+  const renderQuestion = () => {
+    const question = reveal ? reveal.question : current.question;
+    return (
+      <div>
+        <div className="flex justify-between items-center mb-4 text-sm text-gray-600">
+          <span>Question {current.index + 1} of {current.total}</span>
+          <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-purple-100 text-purple-800">
+            {typeLabels[question.type] || 'Question'}
+          </span>
+        </div>
+
+        {!reveal && (
+          <div className="text-center mb-6">
+            <div className={`inline-flex items-center justify-center w-12 h-12 rounded-full font-bold text-lg text-white ${timeLeft <= 10 ? 'bg-red-500' : 'bg-blue-500'}`}>
+              {timeLeft}
+            </div>
+          </div>
+        )}
+
+        <h2 className="text-xl font-semibold text-gray-800 mb-6 text-center">{question.question}</h2>
+
+        {!reveal && myAnswer !== undefined ? (
+          <div className="p-4 mb-6 bg-purple-50 border border-purple-200 rounded-xl text-center">
+            <p className="inline-flex items-center font-medium text-purple-800">
+              <Lock className="w-4 h-4 mr-2" />
+              Answer locked in: {describeAnswer(question, myAnswer)}
+            </p>
+            <p className="text-sm text-gray-600 mt-1">
+              {connectedPlayers.filter(player => player.answered).length} of {connectedPlayers.length} players have answered
+            </p>
+          </div>
+        ) : (
+          <RoomQuestion
+            key={current.index}
+            question={question}
+            showResult={Boolean(reveal)}
+            selectedAnswer={myResult ? myResult.answer : undefined}
+            isCorrect={myResult ? myResult.isCorrect : false}
+            onAnswer={submitAnswer}
+          />
+        )}
+
+        {reveal && (
+          <div>
+            <div className={`p-4 mb-4 rounded-xl ${myResult?.isCorrect ? 'bg-green-50 border border-green-200' : 'bg-gray-50 border border-gray-200'}`}>
+              <p className="font-semibold text-gray-800">
+                {myResult?.answer === null ? "Time's up!" : myResult?.isCorrect ? 'Correct!' : myResult?.credit > 0 ? 'Partly right' : 'Not quite'}
+                {myResult && ` +${myResult.points} points`}
+              </p>
+              {question.explanation && <p className="text-sm text-gray-600 mt-1">{question.explanation}</p>}
+            </div>
+            <Leaderboard entries={reveal.leaderboard} playerId={seat.playerId} hostId={room.hostId} />
+            {reveal.index + 1 < current.total && (
+              <p className="text-center text-sm text-gray-500 mt-4">Next question in a moment…</p>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderFinished = () => (
+    <div>
+      <div className="text-center mb-6">
+        <Trophy className="w-12 h-12 mx-auto text-amber-500 mb-2" />
+        <h2 className="text-2xl font-bold text-gray-800">Final Results</h2>
+      </div>
+      <Leaderboard entries={finalLeaderboard} playerId={seat.playerId} hostId={room.hostId} />
+      <div className="text-center mt-6">
+        {isHost ? (
+          <button
+            onClick={() => send({ type: 'start' })}
+            className="inline-flex items-center px-6 py-3 bg-gradient-to-r from-purple-500 to-blue-500 text-white font-semibold rounded-lg"
+          >
+            <Play className="w-4 h-4 mr-2" />
+            Play Again
+          </button>
+        ) : (
+          <p className="text-sm text-gray-600">The host can start another round.</p>
+        )}
+      </div>
+    </div>
+  );
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-xl font-semibold text-gray-800 inline-flex items-center">
+          <Users className="w-5 h-5 mr-2 text-purple-500" />
+          Play With Friends
+        </h2>
+        {seat ? (
+          <button onClick={leaveRoom} className="inline-flex items-center text-sm text-gray-600 hover:text-gray-800">
+            <LogOut className="w-4 h-4 mr-1" />
+            Leave Room
+          </button>
+        ) : (
+          <button onClick={onClose} className="inline-flex items-center text-sm text-gray-600 hover:text-gray-800">
+            <ArrowLeft className="w-4 h-4 mr-1" />
+            Back
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 text-sm rounded-lg">{error}</div>
+      )}
+
+      {!seat || !room
+        ? renderJoinForm()
+        : room.state === 'finished' && finalLeaderboard
+        ? renderFinished()
+        : (room.state === 'question' || room.state === 'reveal') && current
+        ? renderQuestion()
+        : renderLobby()}
+    </div>
+  );
+};
+
+export default MultiplayerScreen;
@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { CheckCircle, XCircle, ArrowUp, ArrowDown } from 'lucide-react';
+import { createRandom, shuffle } from '../services/seededRandom';
+
+/**
+ * Starting arrangement: the items shuffled, never already in the correct order
+ * (multiplayer rooms send the items already shuffled and without the correct order).
+ * A seed (shared quizzes) gives everyone the same arrangement.
+ */
+const scrambledOrder = (options, correct = [], seed) => {
+  const order = shuffle(options.map((_, index) => index), createRandom(seed));
+  if (correct.length > 0 && order.every((item, index) => item === correct[index])) {
+    return [...order.slice(1), order[0]];
+  }
+  return order;
+};
+
+/**
+ * Ordering question: move the items into the right order, then submit
+ * Remount (key) per question so the arrangement is shuffled again.
+ */
+const OrderingQuestion = ({ question, seed, showResult, selectedAnswer, onSubmit }) => {
+  const [order, setOrder] = useState(() => scrambledOrder(question.options, question.correct, seed));
+  const shown = showResult && Array.isArray(selectedAnswer) ? selectedAnswer : order;
+
+  const move = (position, offset) => {
+    const target = position + offset;
+    if (target < 0 || target >= order.length) return;
+    const next = [...order];
+    [next[position], next[target]] = [next[target], next[position]];
+    setOrder(next);
+  };
+
+  return (
+    <div className="mb-6">
+      <p className="text-sm text-gray-500 text-center mb-3">Use the arrows to put the items in order, first at the top</p>
+      <ol className="space-y-2">
+        {shown.map((item, position) => {
+          const inPlace = question.correct[position] === item;
+          return (
+            <li
+              key={item}
+              className={`flex items-center p-3 rounded-lg transition-all duration-200 ${
+                showResult
+                  ? inPlace
+                    ? 'bg-green-100 border-2 border-green-500 text-green-800'
+                    : 'bg-red-100 border-2 border-red-500 text-red-800'
+                  : 'bg-gray-50 text-gray-800 border border-gray-200'
+              }`}
+            >
+              <span className="w-6 text-sm font-semibold text-gray-500">{position + 1}.</span>
+              {showResult && (inPlace
+                ? <CheckCircle className="w-5 h-5 text-green-500 mr-2" />
+                : <XCircle className="w-5 h-5 text-red-500 mr-2" />)}
+              <span className="flex-1 font-medium">{question.options[item]}</span>
+              {!showResult && (
+                <span className="flex gap-1">
+                  <button
+                    onClick={() => move(position, -1)}
+                    disabled={position === 0}
+                    title="Move up"
+                    className="p-1 rounded text-gray-500 hover:bg-gray-200 disabled:opacity-30"
+                  >
+                    <ArrowUp className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => move(position, 1)}
+                    disabled={position === order.length - 1}
+                    title="Move down"
+                    className="p-1 rounded text-gray-500 hover:bg-gray-200 disabled:opacity-30"
+                  >
+                    <ArrowDown className="w-4 h-4" />
+                  </button>
+                </span>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+      {showResult && shown.some((item, position) => question.correct[position] !== item) && (
+        <p className="mt-3 text-sm text-gray-700 text-center">
+          Correct order: {question.correct.map(index => question.options[index]).join(' → ')}
+        </p>
+      )}
+      {!showResult && (
+        <div className="text-center mt-4">
+          <button
+            onClick={() => onSubmit(order)}
+            className="px-6 py-2 rounded-lg bg-purple-500 text-white font-medium"
+          >
+            Submit Order
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OrderingQuestion;
@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { User, UserPlus, History } from 'lucide-react';
+
+/**
+ * Active player picker: switch profile, add a new one, open the quiz history
+ */
+const ProfileBar = ({ profile, profiles, disabled, onSwitch, onCreate, onShowHistory }) => {
+  const [isAdding, setIsAdding] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [error, setError] = useState(null);
+
+  const submitNewProfile = async (event) => {
+    event.preventDefault();
+    try {
+      await onCreate(newName);
+      setNewName('');
+      setError(null);
+      setIsAdding(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (!profile) return null;
+
+  return (
+    <div className="mb-6">
+      <div className="flex items-center justify-center gap-2 text-sm">
+        <User className="w-4 h-4 text-gray-500" />
+        <select
+          value={profile.id}
+          onChange={(event) => onSwitch(event.target.value)}
+          disabled={disabled}
+          className="px-2 py-1 border border-gray-200 rounded-lg bg-white text-gray-800"
+        >
+          {profiles.map(option => (
+            <option key={option.id} value={option.id}>{option.name}</option>
+          ))}
+        </select>
+        <button
+          onClick={() => setIsAdding(!isAdding)}
+          disabled={disabled}
+          title="New player"
+          className="p-1 rounded-lg text-gray-600 hover:bg-gray-100"
+        >
+          <UserPlus className="w-4 h-4" />
+        </button>
+        <button
+          onClick={onShowHistory}
+          disabled={disabled}
+          className="inline-flex items-center px-2 py-1 rounded-lg text-purple-600 hover:bg-purple-50 font-medium"
+        >
+          <History className="w-4 h-4 mr-1" />
+          History
+        </button>
+      </div>
+      {isAdding && (
+        <form onSubmit={submitNewProfile} className="mt-2 flex items-center justify-center gap-2 text-sm">
+          <input
+            autoFocus
+            value={newName}
+            onChange={(event) => setNewName(event.target.value)}
+            placeholder="Player name"
+            maxLength={40}
+            className="px-2 py-1 border border-gray-200 rounded-lg"
+          />
+          <button type="submit" className="px-3 py-1 rounded-lg bg-purple-500 text-white font-medium">
+            Add
+          </button>
+        </form>
+      )}
+      {error && <p className="mt-1 text-center text-xs text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default ProfileBar;
@@ -0,0 +1,377 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { ArrowLeft, Database, Search, Loader2, Pencil, Trash2, CheckCircle2, ShieldCheck, RefreshCw, Flag } from 'lucide-react';
+import { fetchBankForEditing, updateBankQuestions, readAdminToken, storeAdminToken } from '../services/questionApiClient';
+import { getQuestionsFromStore, removeQuestionFromStore, saveQuestionsToStore } from '../services/localQuestionStore';
+import { questionKey } from '../services/questionSchema';
+import { describeAnswer } from '../services/answerScoring';
+import { REPORT_REASONS } from '../services/questionReports';
+import { createLogger } from '../services/logger';
+import QuestionEditor from './QuestionEditor';
+
+const log = createLogger('questions');
+
+// Questions listed before "Show more"
+const PAGE_SIZE = 25;
+
+const EMPTY_FILTERS = { search: '', category: '', difficulty: '', type: '', source: '', reviewed: '', reports: '' };
+
+const searchableText = (q) => [q.question, q.explanation, ...(q.options || []), ...(q.claims || []), ...(q.acceptedAnswers || []), q.correct]
+  .filter(value => value !== undefined && value !== null)
+  .join(' ')
+  .toLowerCase();
+
+// Report filter: any open report, or enough to keep the question out of quizzes
+const matchesReportFilter = (summary, filter, threshold) => {
+  if (filter === 'reported') return Boolean(summary);
+  if (filter === 'flagged') return Boolean(summary) && summary.count >= threshold;
+  return true;
+};
+
+const matchesFilters = (q, filters) => (
+  (!filters.search || searchableText(q).includes(filters.search.trim().toLowerCase()))
+  && (!filters.category || q.category === filters.category)
+  && (!filters.difficulty || q.difficulty === filters.difficulty)
+  && (!filters.type || q.type === filters.type)
+  && (!filters.source || q.source === filters.source)
+  && (!filters.reviewed || String(Boolean(q.reviewed)) === filters.reviewed)
+);
+
+/**
+ * Keep the local question bank in step with an edit or deletion, when it has a copy
+ */
+const syncLocalCopy = async (original, updated) => {
+  try {
+    const [local] = await getQuestionsFromStore([original]);
+    if (!local) return;
+    await removeQuestionFromStore(original);
+    if (updated) await saveQuestionsToStore([updated]);
+  } catch (err) {
+    log.warn('⚠️ Could not update the local copy of an edited question:', err.message);
+  }
+};
+
+/**
+ * Admin view of the shared Hugging Face question bank: search and filter, edit, mark as
+ * reviewed and delete. Every change is committed to the dataset repo through the API server.
+ * Rendered inside the TruthtellerAI card.
+ */
+const QuestionBankScreen = ({ categoryNames, difficultyLabels, typeLabels, onClose }) => {
+  const [questions, setQuestions] = useState(null);
+  const [reports, setReports] = useState({});
+  const [reportThreshold, setReportThreshold] = useState(null);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+  const [editingKey, setEditingKey] = useState(null);
+  const [busyKey, setBusyKey] = useState(null);
+  const [adminToken, setAdminToken] = useState(readAdminToken);
+  const [tokenInput, setTokenInput] = useState('');
+  const [needsToken, setNeedsToken] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const loadBank = async (token = adminToken) => {
+    setQuestions(null);
+    setError(null);
+    try {
+      const bank = await fetchBankForEditing({ adminToken: token });
+      setNeedsToken(false);
+      setReports(bank.reports || {});
+      setReportThreshold(bank.reportThreshold);
+      setQuestions(bank.questions);
+    } catch (err) {
+      if (err.status === 401) {
+        setNeedsToken(true);
+        setQuestions([]);
+        return;
+      }
+      log.error('❌ Failed to load the question bank:', err);
+      setError(`Could not load the question bank: ${err.message}`);
+      setQuestions([]);
+    }
+  };
+
+  useEffect(() => {
+    loadBank();
+  }, []);
+
+  const submitToken = (event) => {
+    event.preventDefault();
+    const token = tokenInput.trim();
+    storeAdminToken(token);
+    setAdminToken(token);
+    loadBank(token);
+  };
+
+  /**
+   * Commit one change to the repo, then apply it to the list
+   * @param {Object} original - Question as listed (with its key)
+   * @param {Object|null} updated - New version, or null to delete
+   */
+  const applyChange = async (original, updated) => {
+    setBusyKey(original.key);
+    setError(null);
+    setNotice(null);
+    try {
+      const { key, ...fields } = updated || {};
+      const result = await updateBankQuestions(
+        updated ? { updates: [{ key: original.key, question: fields }] } : { deletions: [original.key] },
+        { adminToken }
+      );
+      if (result.duplicates.length > 0) {
+        setError('Another question in the bank already has this text.');
+        return;
+      }
+      if (result.missing.length > 0) {
+        setNotice('This question is no longer in the repo - it was changed or deleted elsewhere.');
+        setQuestions(current => current.filter(q => q.key !== original.key));
+        return;
+      }
+      const newKey = updated ? questionKey(fields) : null;
+      setQuestions(current => (updated
+        ? current.map(q => (q.key === original.key ? { ...fields, key: newKey } : q))
+        : current.filter(q => q.key !== original.key)));
+      // Open reports follow an edited question; clearing or deleting closes them
+      setReports(current => {
+        const { [original.key]: summary, ...rest } = current;
+        return summary && updated && fields.reportsClearedAt === original.reportsClearedAt
+          ? { ...rest, [newKey]: summary }
+          : rest;
+      });
+      setEditingKey(null);
+      syncLocalCopy(original, updated ? fields : null);
+    } catch (err) {
+      if (err.status === 401) setNeedsToken(true);
+      log.error('❌ Failed to update the question bank:', err);
+      setError(`Could not save the change: ${err.message}`);
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const markReviewed = (q) => applyChange(q, { ...q, reviewed: true, reviewedAt: new Date().toISOString() });
+
+  // Reports filed before reportsClearedAt no longer count (see questionReports)
+  const clearReports = (q) => applyChange(q, { ...q, reportsClearedAt: new Date().toISOString() });
+
+  const deleteQuestion = (q) => {
+    if (window.confirm(`Delete "${q.question}" from the shared question bank?`)) {
+      applyChange(q, null);
+    }
+  };
+
+  const setFilter = (name, value) => {
+    setFilters(current => ({ ...current, [name]: value }));
+    setVisibleCount(PAGE_SIZE);
+  };
+
+  const filtered = (questions || [])
+    .filter(q => matchesFilters(q, filters) && matchesReportFilter(reports[q.key], filters.reports, reportThreshold))
+    // The moderation queue lists the most reported questions first
+    .sort((a, b) => (filters.reports ? (reports[b.key]?.count || 0) - (reports[a.key]?.count || 0) : 0));
+  const flaggedCount = (questions || []).filter(q => matchesReportFilter(reports[q.key], 'flagged', reportThreshold)).length;
+  const categoryKeys = [...new Set((questions || []).map(q => q.category).filter(Boolean))].sort();
+  const sources = [...new Set((questions || []).map(q => q.source).filter(Boolean))].sort();
+  const selectClass = 'p-2 border border-gray-200 rounded-lg text-sm bg-white';
+
+  return (
+    <motion.div
+      key="bank"
+      initial={{ opacity: 0, x: -20 }}
+      animate={{ opacity: 1, x: 0 }}
+      exit={{ opacity: 0, x: 20 }}
+    >
+      <div className="flex items-center justify-between mb-6">
+        <button
+          onClick={onClose}
+          className="inline-flex items-center text-sm font-medium text-gray-600 hover:text-gray-800"
+        >
+          <ArrowLeft className="w-4 h-4 mr-1" />
+          Back
+        </button>
+        <h2 className="text-xl font-semibold text-gray-800 inline-flex items-center">
+          <Database className="w-5 h-5 mr-2 text-purple-500" />
+          Question Bank
+        </h2>
+        <button
+          onClick={() => loadBank()}
+          disabled={questions === null}
+          className="inline-flex items-center text-sm font-medium text-purple-600 hover:text-purple-700 disabled:text-gray-300"
+        >
+          <RefreshCw className="w-4 h-4 mr-1" />
+          Reload
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg">
+          {error}
+        </div>
+      )}
+      {notice && (
+        <div className="mb-4 p-3 bg-amber-100 border border-amber-400 text-amber-800 rounded-lg">
+          {notice}
+        </div>
+      )}
+
+      {needsToken ? (
+        <form onSubmit={submitToken} className="p-4 border border-gray-200 rounded-xl">
+          <p className="text-sm text-gray-700 mb-3">The server requires the admin token to edit the question bank.</p>
+          <div className="flex gap-2">
+            <input
+              type="password"
+              value={tokenInput}
+              onChange={(e) => setTokenInput(e.target.value)}
+              placeholder="Admin token"
+              className="flex-1 p-2 border border-gray-200 rounded-lg text-sm"
+            />
+            <button type="submit" className="px-4 py-2 bg-purple-500 hover:bg-purple-600 text-white text-sm font-medium rounded-lg">
+              Unlock
+            </button>
+          </div>
+        </form>
+      ) : questions === null ? (
+        <div className="flex items-center justify-center py-12 text-gray-500">
+          <Loader2 className="w-6 h-6 mr-2 animate-spin" />
+          Loading question bank…
+        </div>
+      ) : (
+        <>
+          {/* Search and filters */}
+          <div className="mb-4 space-y-2">
+            <div className="relative">
+              <Search className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+              <input
+                value={filters.search}
+                onChange={(e) => setFilter('search', e.target.value)}
+                placeholder="Search questions, answers and explanations"
+                className="w-full pl-9 p-2 border border-gray-200 rounded-lg text-sm"
+              />
+            </div>
+            <div className="flex flex-wrap gap-2">
+              <select value={filters.category} onChange={(e) => setFilter('category', e.target.value)} className={selectClass}>
+                <option value="">All categories</option>
+                {categoryKeys.map(key => <option key={key} value={key}>{categoryNames[key] || key}</option>)}
+              </select>
+              <select value={filters.difficulty} onChange={(e) => setFilter('difficulty', e.target.value)} className={selectClass}>
+                <option value="">All difficulties</option>
+                {Object.entries(difficultyLabels).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+              </select>
+              <select value={filters.type} onChange={(e) => setFilter('type', e.target.value)} className={selectClass}>
+                <option value="">All types</option>
+                {Object.entries(typeLabels).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+              </select>
+              <select value={filters.source} onChange={(e) => setFilter('source', e.target.value)} className={selectClass}>
+                <option value="">All sources</option>
+                {sources.map(source => <option key={source} value={source}>{source}</option>)}
+              </select>
+              <select value={filters.reviewed} onChange={(e) => setFilter('reviewed', e.target.value)} className={selectClass}>
+                <option value="">Reviewed or not</option>
+                <option value="true">Reviewed</option>
+                <option value="false">Not reviewed</option>
+              </select>
+              <select value={filters.reports} onChange={(e) => setFilter('reports', e.target.value)} className={selectClass}>
+                <option value="">Reported or not</option>
+                <option value="reported">Reported</option>
+                <option value="flagged">Held back ({flaggedCount})</option>
+              </select>
+            </div>
+            <p className="text-xs text-gray-500">{filtered.length} of {questions.length} question(s)</p>
+          </div>
+
+          {/* Question list */}
+          <div className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+            {filtered.slice(0, visibleCount).map(q => (
+              <div key={q.key} className="px-4 py-3">
+                <div className="flex items-start justify-between gap-3">
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-800">{q.question}</p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {typeLabels[q.type] || q.type} · {categoryNames[q.category] || q.category} · {difficultyLabels[q.difficulty] || q.difficulty}
+                      {q.source && ` · ${q.source}`}
+                    </p>
+                    <p className="text-xs text-green-700 mt-1">Answer: {describeAnswer(q, q.correct)}</p>
+                    {reports[q.key] && (
+                      <div className={`mt-2 p-2 rounded-lg text-xs ${
+                        reports[q.key].count >= reportThreshold ? 'bg-red-50 text-red-700' : 'bg-amber-50 text-amber-800'
+                      }`}>
+                        <p className="inline-flex items-center font-medium">
+                          <Flag className="w-3 h-3 mr-1" />
+                          Reported by {reports[q.key].count} player(s){reports[q.key].count >= reportThreshold && ' - held back from quizzes'}:{' '}
+                          {Object.entries(reports[q.key].reasons).map(([reason, count]) => `${REPORT_REASONS[reason] || reason} ×${count}`).join(', ')}
+                        </p>
+                        {reports[q.key].notes.map((note, index) => <p key={index} className="mt-1 italic">"{note}"</p>)}
+                        <button
+                          onClick={() => clearReports(q)}
+                          disabled={busyKey !== null}
+                          className="mt-1 font-medium underline disabled:opacity-50"
+                        >
+                          Clear reports
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-1 flex-shrink-0">
+                    {q.reviewed ? (
+                      <span title={`Reviewed ${q.reviewedAt ? new Date(q.reviewedAt).toLocaleDateString() : ''}`} className="p-1 text-green-600">
+                        <ShieldCheck className="w-4 h-4" />
+                      </span>
+                    ) : (
+                      <button
+                        onClick={() => markReviewed(q)}
+                        disabled={busyKey !== null}
+                        title="Mark as reviewed"
+                        className="p-1 text-gray-400 hover:text-green-600 disabled:opacity-50"
+                      >
+                        <CheckCircle2 className="w-4 h-4" />
+                      </button>
+                    )}
+                    <button
+                      onClick={() => setEditingKey(editingKey === q.key ? null : q.key)}
+                      disabled={busyKey !== null}
+                      title="Edit"
+                      className="p-1 text-gray-400 hover:text-purple-600 disabled:opacity-50"
+                    >
+                      <Pencil className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => deleteQuestion(q)}
+                      disabled={busyKey !== null}
+                      title="Delete"
+                      className="p-1 text-gray-400 hover:text-red-600 disabled:opacity-50"
+                    >
+                      {busyKey === q.key ? <Loader2 className="w-4 h-4 animate-spin" /> : <Trash2 className="w-4 h-4" />}
+                    </button>
+                  </div>
+                </div>
+                {editingKey === q.key && (
+                  <QuestionEditor
+                    question={q}
+                    categoryNames={categoryNames}
+                    difficultyLabels={difficultyLabels}
+                    saving={busyKey === q.key}
+                    onSave={(updated) => applyChange(q, updated)}
+                    onCancel={() => setEditingKey(null)}
+                  />
+                )}
+              </div>
+            ))}
+            {filtered.length === 0 && (
+              <p className="px-4 py-6 text-sm text-center text-gray-500">No questions match.</p>
+            )}
+          </div>
+          {filtered.length > visibleCount && (
+            <button
+              onClick={() => setVisibleCount(count => count + PAGE_SIZE)}
+              className="mt-3 w-full py-2 text-sm font-medium text-purple-600 hover:text-purple-700"
+            >
+              Show more ({filtered.length - visibleCount} left)
+            </button>
+          )}
+        </>
+      )}
+    </motion.div>
+  );
+};
+
+export default QuestionBankScreen;
@@ -0,0 +1,227 @@
+import React, { useState } from 'react';
+import { ArrowUp, ArrowDown, Plus, Trash2, Loader2, Save } from 'lucide-react';
+import { validateQuestion } from '../services/questionSchema';
+
+// Option counts the editor allows per type (see questionSchema)
+const OPTION_LIMITS = {
+  'multiple-choice': { min: 4, max: 4 },
+  'multi-select': { min: 4, max: 6 },
+  ordering: { min: 3, max: 6 },
+  'spot-hallucination': { min: 3, max: 6 }
+};
+
+const inputClass = 'w-full p-2 border border-gray-200 rounded-lg text-sm';
+
+/**
+ * Editable copy of a question; ordering items are kept in their correct order
+ */
+const toDraft = (question) => {
+  const draft = { ...question, acceptedText: (question.acceptedAnswers || []).join('\n') };
+  if (question.type === 'ordering') {
+    draft.options = question.correct.map(index => question.options[index]);
+  }
+  if (question.type === 'spot-hallucination') {
+    draft.options = [...question.claims];
+  }
+  return draft;
+};
+
+const fromDraft = (draft) => {
+  const { acceptedText, ...question } = draft;
+  switch (draft.type) {
+    case 'ordering':
+      return { ...question, correct: draft.options.map((_, index) => index) };
+    case 'short-answer':
+      return { ...question, acceptedAnswers: acceptedText.split('\n').map(answer => answer.trim()).filter(Boolean) };
+    case 'spot-hallucination':
+      return { ...question, claims: draft.options, options: [] };
+    default:
+      return question;
+  }
+};
+
+/**
+ * Form for one bank question: text, category, difficulty, options, correct answer and explanation.
+ * The draft is validated with the question schema before onSave receives it.
+ */
+const QuestionEditor = ({ question, categoryNames, difficultyLabels, saving, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(() => toDraft(question));
+  const [errors, setErrors] = useState([]);
+  const limits = OPTION_LIMITS[draft.type];
+
+  const update = (fields) => setDraft(current => ({ ...current, ...fields }));
+
+  const setOption = (index, text) => update({ options: draft.options.map((option, i) => (i === index ? text : option)) });
+
+  // Keep correct indices pointing at the same options when one is removed or moved
+  const removeOption = (index) => {
+    const options = draft.options.filter((_, i) => i !== index);
+    const shift = (i) => (i > index ? i - 1 : i);
+    if (draft.type === 'multi-select') {
+      update({ options, correct: draft.correct.filter(i => i !== index).map(shift) });
+    } else if (draft.type === 'spot-hallucination') {
+      update({ options, correct: draft.correct === index ? 0 : shift(draft.correct) });
+    } else {
+      update({ options });
+    }
+  };
+
+  const moveOption = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= draft.options.length) return;
+    const options = [...draft.options];
+    [options[index], options[target]] = [options[target], options[index]];
+    update({ options });
+  };
+
+  const toggleCorrect = (index) => {
+    const correct = draft.correct.includes(index)
+      ? draft.correct.filter(i => i !== index)
+      : [...draft.correct, index].sort((a, b) => a - b);
+    update({ correct });
+  };
+
+  const save = (event) => {
+    event.preventDefault();
+    const result = validateQuestion(fromDraft(draft));
+    if (!result.valid) {
+      setErrors(result.errors);
+      return;
+    }
+    setErrors([]);
+    onSave(result.question);
+  };
+
+  const categoryOptions = { ...categoryNames, ...(draft.category && !categoryNames[draft.category] && { [draft.category]: draft.category }) };
+
+  return (
+    <form onSubmit={save} className="mt-3 p-4 bg-gray-50 rounded-lg space-y-3">
+      <textarea
+        value={draft.question}
+        onChange={(e) => update({ question: e.target.value })}
+        rows={2}
+        className={inputClass}
+        placeholder="Question"
+      />
+      <div className="grid grid-cols-2 gap-3">
+        <select value={draft.category || ''} onChange={(e) => update({ category: e.target.value })} className={inputClass}>
+          {Object.entries(categoryOptions).map(([key, name]) => (
+            <option key={key} value={key}>{name}</option>
+          ))}
+        </select>
+        <select value={draft.difficulty || ''} onChange={(e) => update({ difficulty: e.target.value })} className={inputClass}>
+          {Object.entries(difficultyLabels).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {limits && (
+        <div className="space-y-2">
+          {draft.options.map((option, index) => (
+            <div key={index} className="flex items-center gap-2">
+              {draft.type === 'multiple-choice' && (
+                <input type="radio" checked={draft.correct === index} onChange={() => update({ correct: index })} title="Correct answer" />
+              )}
+              {draft.type === 'spot-hallucination' && (
+                <input type="radio" checked={draft.correct === index} onChange={() => update({ correct: index })} title="Hallucinated claim" />
+              )}
+              {draft.type === 'multi-select' && (
+                <input type="checkbox" checked={draft.correct.includes(index)} onChange={() => toggleCorrect(index)} title="Correct answer" />
+              )}
+              {draft.type === 'ordering' && <span className="w-5 text-xs text-gray-500">{index + 1}.</span>}
+              <input value={option} onChange={(e) => setOption(index, e.target.value)} className={inputClass} />
+              {draft.type === 'ordering' && (
+                <>
+                  <button type="button" onClick={() => moveOption(index, -1)} className="p-1 text-gray-500 hover:text-gray-800"><ArrowUp className="w-4 h-4" /></button>
+                  <button type="button" onClick={() => moveOption(index, 1)} className="p-1 text-gray-500 hover:text-gray-800"><ArrowDown className="w-4 h-4" /></button>
+                </>
+              )}
+              {draft.options.length > limits.min && (
+                <button type="button" onClick={() => removeOption(index)} className="p-1 text-gray-400 hover:text-red-600"><Trash2 className="w-4 h-4" /></button>
+              )}
+            </div>
+          ))}
+          {draft.options.length < limits.max && (
+            <button
+              type="button"
+              onClick={() => update({ options: [...draft.options, ''] })}
+              className="inline-flex items-center text-xs font-medium text-purple-600 hover:text-purple-700"
+            >
+              <Plus className="w-3 h-3 mr-1" />
+              Add {draft.type === 'spot-hallucination' ? 'claim' : draft.type === 'ordering' ? 'item' : 'option'}
+            </button>
+          )}
+          {draft.type === 'ordering' && <p className="text-xs text-gray-500">Items are listed in the correct order.</p>}
+        </div>
+      )}
+
+      {draft.type === 'spot-hallucination' && (
+        <input
+          value={draft.hallucinatedSpan || ''}
+          onChange={(e) => update({ hallucinatedSpan: e.target.value })}
+          className={inputClass}
+          placeholder="Fabricated words in the selected claim"
+        />
+      )}
+
+      {draft.type === 'true-false' && (
+        <select value={String(draft.correct)} onChange={(e) => update({ correct: e.target.value === 'true' })} className={inputClass}>
+          <option value="true">True</option>
+          <option value="false">False</option>
+        </select>
+      )}
+
+      {draft.type === 'numeric' && (
+        <div className="grid grid-cols-3 gap-3">
+          <input value={draft.correct} onChange={(e) => update({ correct: e.target.value })} inputMode="decimal" className={inputClass} placeholder="Answer" />
+          <input value={draft.tolerance ?? ''} onChange={(e) => update({ tolerance: e.target.value })} inputMode="decimal" className={inputClass} placeholder="Tolerance (±)" />
+          <input value={draft.unit || ''} onChange={(e) => update({ unit: e.target.value })} className={inputClass} placeholder="Unit" />
+        </div>
+      )}
+
+      {draft.type === 'short-answer' && (
+        <>
+          <input value={draft.correct} onChange={(e) => update({ correct: e.target.value })} className={inputClass} placeholder="Answer" />
+          <textarea
+            value={draft.acceptedText}
+            onChange={(e) => update({ acceptedText: e.target.value })}
+            rows={2}
+            className={inputClass}
+            placeholder="Other accepted answers, one per line"
+          />
+        </>
+      )}
+
+      <textarea
+        value={draft.explanation || ''}
+        onChange={(e) => update({ explanation: e.target.value })}
+        rows={2}
+        className={inputClass}
+        placeholder="Explanation"
+      />
+
+      {errors.length > 0 && (
+        <div className="p-2 bg-red-100 border border-red-400 text-red-700 text-sm rounded-lg">
+          {errors.join('; ')}
+        </div>
+      )}
+
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-800">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="inline-flex items-center px-3 py-1.5 bg-purple-500 hover:bg-purple-600 text-white text-sm font-medium rounded-lg disabled:opacity-50"
+        >
+          {saving ? <Loader2 className="w-4 h-4 mr-1 animate-spin" /> : <Save className="w-4 h-4 mr-1" />}
+          Save
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default QuestionEditor;
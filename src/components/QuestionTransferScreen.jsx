@@ -0,0 +1,300 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { ArrowLeft, ArrowLeftRight, Download, Upload, Loader2, Database, AlertTriangle } from 'lucide-react';
+import { QUESTION_FORMATS, detectFormat, exportQuestions, importQuestions } from '../services/questionFormats';
+import { queryQuestionsFromStore, saveQuestionsToStore } from '../services/localQuestionStore';
+import { saveQuestions } from '../services/questionApiClient';
+import { createLogger } from '../services/logger';
+
+const log = createLogger('questions');
+
+// Errors listed under an import before "and N more"
+const MAX_LISTED_ERRORS = 20;
+
+const downloadFile = ({ filename, mimeType, data }) => {
+  const url = URL.createObjectURL(new Blob([data], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const selectClass = 'w-full p-2 border border-gray-200 rounded-lg text-sm bg-white';
+
+/**
+ * Question import and export in GIFT, Moodle XML, CSV and QTI 2.1.
+ * Exports the last quiz or a slice of the local question bank; imports are validated
+ * line by line and added to the local bank and the shared repo. Rendered inside the TruthtellerAI card.
+ */
+const QuestionTransferScreen = ({ categoryNames, difficultyLabels, quizQuestions, onClose }) => {
+  const [exportFormat, setExportFormat] = useState('gift');
+  const [exportSource, setExportSource] = useState(quizQuestions.length > 0 ? 'quiz' : 'bank');
+  const [bankCategory, setBankCategory] = useState('');
+  const [bankDifficulty, setBankDifficulty] = useState('');
+  const [exportResult, setExportResult] = useState(null);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const [importFile, setImportFile] = useState(null);
+  const [importFormat, setImportFormat] = useState('gift');
+  const [importCategory, setImportCategory] = useState('');
+  const [importDifficulty, setImportDifficulty] = useState('medium');
+  const [importResult, setImportResult] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const [saveMessage, setSaveMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const runExport = async () => {
+    setIsExporting(true);
+    setError(null);
+    try {
+      const questions = exportSource === 'quiz'
+        ? quizQuestions
+        : await queryQuestionsFromStore({ category: bankCategory || null, difficulty: bankDifficulty || null });
+      if (questions.length === 0) {
+        setExportResult(null);
+        setError('There are no questions to export.');
+        return;
+      }
+      const result = exportQuestions(questions, exportFormat);
+      if (result.skipped.length < questions.length) {
+        downloadFile(result);
+      }
+      setExportResult({ count: questions.length - result.skipped.length, skipped: result.skipped });
+    } catch (err) {
+      log.error('❌ Failed to export questions:', err);
+      setError(`Could not export questions: ${err.message}`);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const readImport = async (file, format, category, difficulty) => {
+    if (!file) return;
+    setIsImporting(true);
+    setError(null);
+    setSaveMessage(null);
+    try {
+      const input = QUESTION_FORMATS[format].binary ? await file.arrayBuffer() : await file.text();
+      setImportResult(await importQuestions(input, format, { category: category || undefined, difficulty }));
+    } catch (err) {
+      log.error('❌ Failed to import questions:', err);
+      setImportResult(null);
+      setError(`Could not read ${file.name}: ${err.message}`);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const chooseFile = (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    const format = detectFormat(file.name) || importFormat;
+    setImportFile(file);
+    setImportFormat(format);
+    readImport(file, format, importCategory, importDifficulty);
+  };
+
+  // Re-read the chosen file when the format or defaults change
+  const changeImportOption = (format, category, difficulty) => {
+    setImportFormat(format);
+    setImportCategory(category);
+    setImportDifficulty(difficulty);
+    readImport(importFile, format, category, difficulty);
+  };
+
+  const addToBank = async () => {
+    const { questions } = importResult;
+    setIsImporting(true);
+    setError(null);
+    try {
+      const added = await saveQuestionsToStore(questions);
+      let repoNote = '';
+      try {
+        const saved = await saveQuestions(questions);
+        repoNote = ` ${saved.added} added to the shared repo.`;
+      } catch (err) {
+        log.warn('⚠️ Could not save imported questions to the repo:', err.message);
+        repoNote = ' The shared repo could not be reached; they are saved on this device only.';
+      }
+      setSaveMessage(`${added} new question(s) added to your bank.${repoNote}`);
+      setImportResult(null);
+      setImportFile(null);
+    } catch (err) {
+      log.error('❌ Failed to save imported questions:', err);
+      setError(`Could not save questions: ${err.message}`);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <motion.div
+      key="transfer"
+      initial={{ opacity: 0, x: -20 }}
+      animate={{ opacity: 1, x: 0 }}
+      exit={{ opacity: 0, x: 20 }}
+    >
+      <div className="flex items-center justify-between mb-6">
+        <button
+          onClick={onClose}
+          className="inline-flex items-center text-sm font-medium text-gray-600 hover:text-gray-800"
+        >
+          <ArrowLeft className="w-4 h-4 mr-1" />
+          Back
+        </button>
+        <h2 className="text-xl font-semibold text-gray-800 inline-flex items-center">
+          <ArrowLeftRight className="w-5 h-5 mr-2 text-purple-500" />
+          Import / Export
+        </h2>
+        <div className="w-16" />
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {/* Export */}
+      <div className="mb-6 p-4 border border-gray-200 rounded-xl">
+        <h3 className="text-sm font-semibold text-gray-700 mb-3 inline-flex items-center">
+          <Download className="w-4 h-4 mr-2" />
+          Export Questions
+        </h3>
+        <div className="grid grid-cols-2 gap-3 mb-3">
+          <select value={exportSource} onChange={(e) => setExportSource(e.target.value)} className={selectClass}>
+            <option value="quiz" disabled={quizQuestions.length === 0}>Last quiz ({quizQuestions.length})</option>
+            <option value="bank">Question bank</option>
+          </select>
+          <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)} className={selectClass}>
+            {Object.entries(QUESTION_FORMATS).map(([key, format]) => (
+              <option key={key} value={key}>{format.label}</option>
+            ))}
+          </select>
+          {exportSource === 'bank' && (
+            <>
+              <select value={bankCategory} onChange={(e) => setBankCategory(e.target.value)} className={selectClass}>
+                <option value="">All categories</option>
+                {Object.entries(categoryNames).map(([key, name]) => (
+                  <option key={key} value={key}>{name}</option>
+                ))}
+              </select>
+              <select value={bankDifficulty} onChange={(e) => setBankDifficulty(e.target.value)} className={selectClass}>
+                <option value="">All difficulties</option>
+                {Object.entries(difficultyLabels).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </>
+          )}
+        </div>
+        <button
+          onClick={runExport}
+          disabled={isExporting}
+          className="inline-flex items-center px-4 py-2 bg-purple-500 hover:bg-purple-600 text-white text-sm font-medium rounded-lg disabled:opacity-50"
+        >
+          {isExporting ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Download className="w-4 h-4 mr-2" />}
+          Download
+        </button>
+        {exportResult && (
+          <div className="mt-3 text-sm text-gray-600">
+            <p>Exported {exportResult.count} question(s).</p>
+            {exportResult.skipped.length > 0 && (
+              <ul className="mt-2 space-y-1 text-amber-700">
+                {exportResult.skipped.map(({ question, reason }, index) => (
+                  <li key={index} className="flex items-start">
+                    <AlertTriangle className="w-4 h-4 mr-1 mt-0.5 flex-shrink-0" />
+                    <span>Skipped "{question.question}": {reason}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Import */}
+      <div className="p-4 border border-gray-200 rounded-xl">
+        <h3 className="text-sm font-semibold text-gray-700 mb-3 inline-flex items-center">
+          <Upload className="w-4 h-4 mr-2" />
+          Import Questions
+        </h3>
+        <div className="grid grid-cols-3 gap-3 mb-3">
+          <select
+            value={importFormat}
+            onChange={(e) => changeImportOption(e.target.value, importCategory, importDifficulty)}
+            className={selectClass}
+          >
+            {Object.entries(QUESTION_FORMATS).map(([key, format]) => (
+              <option key={key} value={key}>{format.label}</option>
+            ))}
+          </select>
+          <select
+            value={importCategory}
+            onChange={(e) => changeImportOption(importFormat, e.target.value, importDifficulty)}
+            className={selectClass}
+            title="Category for questions that do not name one"
+          >
+            <option value="">Imported</option>
+            {Object.entries(categoryNames).map(([key, name]) => (
+              <option key={key} value={key}>{name}</option>
+            ))}
+          </select>
+          <select
+            value={importDifficulty}
+            onChange={(e) => changeImportOption(importFormat, importCategory, e.target.value)}
+            className={selectClass}
+            title="Difficulty for questions that do not name one"
+          >
+            {Object.entries(difficultyLabels).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <label className="inline-flex items-center px-4 py-2 bg-gray-100 hover:bg-gray-200 text-sm font-medium rounded-lg cursor-pointer">
+          {isImporting ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Upload className="w-4 h-4 mr-2" />}
+          {importFile ? importFile.name : 'Choose file'}
+          <input
+            type="file"
+            accept={Object.values(QUESTION_FORMATS).map(format => `.${format.extension}`).concat('.txt').join(',')}
+            onChange={chooseFile}
+            disabled={isImporting}
+            className="hidden"
+          />
+        </label>
+
+        {importResult && (
+          <div className="mt-3 text-sm">
+            <p className="text-gray-700">
+              {importResult.questions.length} question(s) ready to import
+              {importResult.errors.length > 0 && `, ${importResult.errors.length} problem(s) found`}.
+            </p>
+            {importResult.errors.length > 0 && (
+              <ul className="mt-2 max-h-40 overflow-y-auto space-y-1 text-red-700">
+                {importResult.errors.slice(0, MAX_LISTED_ERRORS).map(({ line, message }, index) => (
+                  <li key={index}>Line {line}: {message}</li>
+                ))}
+                {importResult.errors.length > MAX_LISTED_ERRORS && (
+                  <li>…and {importResult.errors.length - MAX_LISTED_ERRORS} more</li>
+                )}
+              </ul>
+            )}
+            <button
+              onClick={addToBank}
+              disabled={isImporting || importResult.questions.length === 0}
+              className="mt-3 inline-flex items-center px-4 py-2 bg-purple-500 hover:bg-purple-600 text-white text-sm font-medium rounded-lg disabled:opacity-50"
+            >
+              <Database className="w-4 h-4 mr-2" />
+              Add to bank
+            </button>
+          </div>
+        )}
+        {saveMessage && <p className="mt-3 text-sm text-green-700">{saveMessage}</p>}
+      </div>
+    </motion.div>
+  );
+};
+
+export default QuestionTransferScreen;
@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import { CheckCircle, XCircle, Clock, AlertCircle, BookmarkPlus, CheckSquare, Square, Loader2 } from 'lucide-react';
+import { createLogger } from '../services/logger';
+
+const log = createLogger('review');
+
+const FILTERS = {
+  all: { label: 'All', matches: () => true },
+  missed: { label: 'Missed', matches: (answer) => !answer.isCorrect },
+  timedOut: { label: 'Time ran out', matches: (answer) => answer.timedOut }
+};
+
+/**
+ * How an answer went - running out of time is shown apart from a wrong answer
+ */
+const answerStatus = (answer) => {
+  if (answer.timedOut) {
+    return { label: 'Time ran out', icon: Clock, className: 'bg-gray-200 text-gray-700', border: 'border-gray-300' };
+  }
+  if (answer.isCorrect) {
+    return { label: 'Correct', icon: CheckCircle, className: 'bg-green-100 text-green-800', border: 'border-green-200' };
+  }
+  if (answer.credit > 0) {
+    return { label: `Partly right (${Math.round(answer.credit * 100)}%)`, icon: AlertCircle, className: 'bg-amber-100 text-amber-800', border: 'border-amber-200' };
+  }
+  return { label: 'Wrong', icon: XCircle, className: 'bg-red-100 text-red-800', border: 'border-red-200' };
+};
+
+const formatTime = (answer) => {
+  if (answer.timedOut) return answer.timeLimit ? `all ${answer.timeLimit}s` : 'the full time';
+  return answer.timeLimit ? `${answer.timeTaken}s of ${answer.timeLimit}s` : `${answer.timeTaken}s`;
+};
+
+/**
+ * Every question of a finished quiz with the player's answer, the correct answer, the
+ * explanation and the time taken. Missed questions can be picked for the review deck.
+ * `answers[i]` is the answer to `questions[i]`.
+ */
+const QuizReview = ({ questions, answers, typeLabels, onSaveToDeck }) => {
+  const [filter, setFilter] = useState('all');
+  // Indexes of the questions picked for the review deck - the missed ones to start with
+  const [picked, setPicked] = useState(() => answers.flatMap((answer, index) => (answer.isCorrect ? [] : [index])));
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveMessage, setSaveMessage] = useState(null);
+
+  const togglePicked = (index) => {
+    setPicked(picked.includes(index) ? picked.filter(i => i !== index) : [...picked, index]);
+    setSaveMessage(null);
+  };
+
+  const saveToDeck = async () => {
+    setIsSaving(true);
+    try {
+      const saved = await onSaveToDeck(picked.map(index => questions[index]));
+      setSaveMessage(`${saved} question${saved === 1 ? '' : 's'} will come up in your next review.`);
+    } catch (error) {
+      log.error('❌ Failed to save to the review deck:', error);
+      setSaveMessage('Could not save to the review deck.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const shown = answers.map((answer, index) => ({ answer, index })).filter(({ answer }) => FILTERS[filter].matches(answer));
+
+  return (
+    <div className="mb-6 text-left">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h3 className="text-lg font-semibold text-gray-800">Your Answers</h3>
+        <div className="flex gap-1">
+          {Object.entries(FILTERS).map(([key, { label, matches }]) => (
+            <button
+              key={key}
+              onClick={() => setFilter(key)}
+              className={`px-3 py-1 rounded-full text-xs font-medium ${
+                filter === key ? 'bg-purple-500 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {label} ({answers.filter(matches).length})
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {shown.length === 0 && (
+        <p className="text-sm text-gray-500 py-4 text-center">No questions here.</p>
+      )}
+      <ol className="space-y-3">
+        {shown.map(({ answer, index }) => {
+          const question = questions[index];
+          const status = answerStatus(answer);
+          const StatusIcon = status.icon;
+          return (
+            <li key={index} className={`p-4 border rounded-xl text-sm ${status.border}`}>
+              <div className="flex items-center justify-between gap-2 mb-2">
+                <span className="text-xs text-gray-500">
+                  {index + 1}. {typeLabels[answer.type] || 'Question'} · {formatTime(answer)}
+                  {answer.points !== undefined && ` · ${answer.points > 0 ? '+' : ''}${answer.points} pts`}
+                </span>
+                <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${status.className}`}>
+                  <StatusIcon className="w-3 h-3 mr-1" />
+                  {status.label}
+                </span>
+              </div>
+              <p className="font-medium text-gray-800 mb-2">{answer.question}</p>
+              <p className="text-gray-700">
+                <span className="text-gray-500">Your answer: </span>
+                {answer.timedOut ? <em className="text-gray-500">no answer</em> : answer.answerText}
+              </p>
+              {!answer.isCorrect && (
+                <p className="text-gray-700">
+                  <span className="text-gray-500">Correct answer: </span>
+                  <strong>{answer.correctAnswerText}</strong>
+                </p>
+              )}
+              {question?.explanation && <p className="mt-2 text-blue-800 bg-blue-50 rounded-lg p-2">{question.explanation}</p>}
+              {onSaveToDeck && question && (
+                <button
+                  onClick={() => togglePicked(index)}
+                  className="mt-2 inline-flex items-center text-xs text-gray-600 hover:text-purple-700"
+                >
+                  {picked.includes(index)
+                    ? <CheckSquare className="w-4 h-4 mr-1 text-purple-500" />
+                    : <Square className="w-4 h-4 mr-1 text-gray-400" />}
+                  Add to review deck
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+
+      {onSaveToDeck && (
+        <div className="mt-4 flex flex-wrap items-center gap-3">
+          <button
+            onClick={saveToDeck}
+            disabled={picked.length === 0 || isSaving}
+            className="inline-flex items-center px-4 py-2 border-2 border-purple-500 text-purple-600 hover:bg-purple-50 rounded-lg text-sm font-semibold disabled:border-gray-200 disabled:text-gray-400"
+          >
+            {isSaving ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <BookmarkPlus className="w-4 h-4 mr-2" />}
+            Save {picked.length} to Review Deck
+          </button>
+          {saveMessage && <span className="text-sm text-gray-600">{saveMessage}</span>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuizReview;
@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import { Flag, Loader2, Check } from 'lucide-react';
+import { reportQuestion } from '../services/questionApiClient';
+import { REPORT_REASONS } from '../services/questionReports';
+import { createLogger } from '../services/logger';
+
+const log = createLogger('questions');
+
+/**
+ * "Report this question" link for the explanation panel: pick a reason, add an optional
+ * note and send it to the moderators. Remount (key) per question.
+ */
+const ReportQuestionButton = ({ question }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [reason, setReason] = useState(null);
+  const [note, setNote] = useState('');
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState(null);
+
+  const send = async () => {
+    setStatus('sending');
+    setError(null);
+    try {
+      await reportQuestion(question, reason, note);
+      setStatus('sent');
+    } catch (err) {
+      log.error('❌ Failed to report question:', err);
+      setError(err.message);
+      setStatus('idle');
+    }
+  };
+
+  if (status === 'sent') {
+    return (
+      <p className="mt-3 inline-flex items-center text-xs text-gray-500">
+        <Check className="w-3 h-3 mr-1" />
+        Thanks - the question was reported to the moderators.
+      </p>
+    );
+  }
+
+  if (!isOpen) {
+    return (
+      <button
+        onClick={() => setIsOpen(true)}
+        className="mt-3 inline-flex items-center text-xs text-gray-500 hover:text-red-600"
+      >
+        <Flag className="w-3 h-3 mr-1" />
+        Report this question
+      </button>
+    );
+  }
+
+  return (
+    <div className="mt-3 p-3 bg-white border border-gray-200 rounded-lg text-left">
+      <p className="text-xs font-medium text-gray-700 mb-2">What is wrong with this question?</p>
+      <div className="flex flex-wrap gap-2 mb-2">
+        {Object.entries(REPORT_REASONS).map(([key, label]) => (
+          <button
+            key={key}
+            onClick={() => setReason(key)}
+            className={`px-2 py-1 text-xs rounded-full border ${
+              reason === key ? 'bg-red-50 border-red-400 text-red-700' : 'border-gray-200 text-gray-600 hover:border-gray-300'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <input
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        maxLength={500}
+        placeholder="Details (optional)"
+        className="w-full p-2 mb-2 border border-gray-200 rounded-lg text-xs"
+      />
+      {error && <p className="mb-2 text-xs text-red-600">{error}</p>}
+      <div className="flex justify-end gap-2">
+        <button onClick={() => setIsOpen(false)} className="px-2 py-1 text-xs text-gray-500 hover:text-gray-700">
+          Cancel
+        </button>
+        <button
+          onClick={send}
+          disabled={!reason || status === 'sending'}
+          className="inline-flex items-center px-3 py-1 bg-red-500 hover:bg-red-600 text-white text-xs font-medium rounded-lg disabled:opacity-50"
+        >
+          {status === 'sending' && <Loader2 className="w-3 h-3 mr-1 animate-spin" />}
+          Send report
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ReportQuestionButton;
@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import { Share2, Loader2, Copy, Check } from 'lucide-react';
+import { shareQuiz } from '../services/questionApiClient';
+import { sharedQuizPath } from '../services/sharedQuiz';
+import { createLogger } from '../services/logger';
+
+const log = createLogger('quiz');
+
+const linkFor = (id) => `${window.location.origin}${sharedQuizPath(id)}`;
+
+/**
+ * "Share this quiz" for the results screen: stores the quiz's questions and shows a link that
+ * plays exactly this quiz. A shared quiz that is being replayed already has its link.
+ */
+const ShareQuizPanel = ({ questions, category, sharedQuizId }) => {
+  const [link, setLink] = useState(sharedQuizId ? linkFor(sharedQuizId) : null);
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState(null);
+
+  const share = async () => {
+    setStatus('sharing');
+    setError(null);
+    try {
+      const { id } = await shareQuiz(questions, { category });
+      setLink(linkFor(id));
+      setStatus('idle');
+    } catch (err) {
+      log.error('❌ Failed to share quiz:', err);
+      setError(err.status === 503 ? 'Sharing needs a Hugging Face repo on the server.' : err.message);
+      setStatus('idle');
+    }
+  };
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(link);
+      setStatus('copied');
+    } catch {
+      // Clipboard blocked - the link can still be selected by hand
+      setError('Could not copy - select the link instead.');
+    }
+  };
+
+  if (!link) {
+    return (
+      <div className="mb-6 text-center">
+        <button
+          onClick={share}
+          disabled={status === 'sharing'}
+          className="inline-flex items-center px-4 py-2 border-2 border-blue-500 text-blue-600 hover:bg-blue-50 rounded-lg text-sm font-semibold disabled:opacity-50"
+        >
+          {status === 'sharing' ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Share2 className="w-4 h-4 mr-2" />}
+          Share this quiz
+        </button>
+        {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="mb-6 p-3 bg-blue-50 border border-blue-200 rounded-lg text-left">
+      <p className="text-sm font-medium text-gray-800 mb-2">Anyone with this link gets the same questions in the same order:</p>
+      <div className="flex gap-2">
+        <input
+          readOnly
+          value={link}
+          onFocus={(e) => e.target.select()}
+          className="flex-1 min-w-0 p-2 border border-gray-200 rounded-lg text-sm bg-white"
+        />
+        <button
+          onClick={copy}
+          className="inline-flex items-center px-3 py-2 bg-blue-500 hover:bg-blue-600 text-white text-sm font-medium rounded-lg"
+        >
+          {status === 'copied' ? <Check className="w-4 h-4 mr-1" /> : <Copy className="w-4 h-4 mr-1" />}
+          {status === 'copied' ? 'Copied' : 'Copy'}
+        </button>
+      </div>
+      {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default ShareQuizPanel;
@@ -1,7 +1,48 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Brain, Trophy, RotateCcw, CheckCircle, XCircle, Settings, BookOpen, Globe, Cpu, FlaskConical, Loader2 } from 'lucide-react';
-import { generateQuestionsWithAI } from '../services/aiQuestionService';
+import { Brain, Trophy, RotateCcw, CheckCircle, XCircle, Settings, BookOpen, Globe, Cpu, FlaskConical, Loader2, Eye, Repeat, X, FileText, ArrowLeftRight, Database, Users, Pause, Play, History, Link } from 'lucide-react';
+import { streamQuestions, streamDocumentQuestions, streamReviewQuestions, fetchServerStatus, fetchSharedQuiz } from '../services/questionApiClient';
+import { recordReview, saveToReviewDeck, countDueCards } from '../services/reviewStore';
+import { getActiveProfile, listProfiles, createProfile, setActiveProfile, updateProfileRating, saveQuizResult } from '../services/playerHistoryStore';
+import { updateQuestionRating } from '../services/localQuestionStore';
+import { questionKey } from '../services/questionSchema';
+import { scoreAnswer, describeAnswer } from '../services/answerScoring';
+import { updateRatings, targetQuestionRating, ratingToDifficulty, questionRating, DEFAULT_RATING } from '../services/adaptiveDifficulty';
+import { listCustomCategories, addCustomCategory, removeCustomCategory } from '../services/customCategoryStore';
+import { SCORING_OPTIONS, scoreQuestion, maxQuizScore, summarizeScore } from '../services/scoringEngine';
+import { loadScoringOptions, saveScoringOptions } from '../services/scoringSettingsStore';
+import { saveQuizSession, loadQuizSession, clearQuizSession } from '../services/quizSessionStore';
+import { createLogger } from '../services/logger';
+import { sharedQuizIdFromPath, isSharedQuizId } from '../services/sharedQuiz';
+import HalluciQuiz from './HalluciQuiz';
+import CategoryEditor from './CategoryEditor';
+import DocumentPanel from './DocumentPanel';
+import MultiSelectQuestion from './MultiSelectQuestion';
+import OrderingQuestion from './OrderingQuestion';
+import TypedAnswerQuestion from './TypedAnswerQuestion';
+import { CATEGORY_ICONS, DEFAULT_CATEGORY_ICON, DEFAULT_CATEGORY_COLOR } from './categoryStyles';
+import ProfileBar from './ProfileBar';
+import HistoryScreen from './HistoryScreen';
+import QuestionTransferScreen from './QuestionTransferScreen';
+import QuestionBankScreen from './QuestionBankScreen';
+import ReportQuestionButton from './ReportQuestionButton';
+import QuizReview from './QuizReview';
+import ShareQuizPanel from './ShareQuizPanel';
+import DebugDrawer from './DebugDrawer';
+import MultiplayerScreen from './MultiplayerScreen';
+
+const log = createLogger('quiz');
+
+// The generation debug drawer is for development - production builds show it with ?debug
+const showDebugDrawer = import.meta.env.DEV || new URLSearchParams(window.location.search).has('debug');
+
+/**
+ * Shared quiz the page was opened for: /quiz/<id>, or ?quiz=<id> where only the index page is served
+ */
+const linkedQuizId = () => {
+  const fromQuery = new URLSearchParams(window.location.search).get('quiz');
+  return sharedQuizIdFromPath(window.location.pathname) || (isSharedQuizId(fromQuery) ? fromQuery : null);
+};
 
 const TruthtellerAI = () => {
   const [currentQuestion, setCurrentQuestion] = useState(0);
@@ -12,19 +53,66 @@ const TruthtellerAI = () => {
   const [timeLeft, setTimeLeft] = useState(30);
   const [selectedCategory, setSelectedCategory] = useState(null);
   const [selectedDifficulty, setSelectedDifficulty] = useState('medium');
+  // Adaptive mode: each question's difficulty follows the player's rating
+  const [isAdaptive, setIsAdaptive] = useState(false);
+  // Review mode: the session is the player's due spaced-repetition cards
+  const [isReview, setIsReview] = useState(false);
+  const [dueCount, setDueCount] = useState(0);
+  // Retry: the session replays the questions missed in the last quiz
+  const [isRetry, setIsRetry] = useState(false);
+  // Shared quiz being played ({ id, category }) - its questions are fixed, nothing is fetched
+  const [sharedQuiz, setSharedQuiz] = useState(null);
+  // Shared quiz from the page link, offered on the start screen: { id, quiz, error }
+  const [linkedQuiz, setLinkedQuiz] = useState(() => {
+    const id = linkedQuizId();
+    return id ? { id, quiz: null, error: null } : null;
+  });
   const [selectedQuestionCount, setSelectedQuestionCount] = useState(10);
   const [showSettings, setShowSettings] = useState(false);
   const [questions, setQuestions] = useState([]);
   const [isLoadingQuestions, setIsLoadingQuestions] = useState(false);
   const [questionError, setQuestionError] = useState(null);
+  const [isStreamingQuestions, setIsStreamingQuestions] = useState(false);
+  const [gameMode, setGameMode] = useState('classic');
+  // Optional scoring rules: speed bonus, streaks, negative marking, question type weights
+  const [scoringOptions, setScoringOptions] = useState(loadScoringOptions);
+  const [customCategories, setCustomCategories] = useState(listCustomCategories);
+  // { title, text } of the document new quizzes are grounded in, or null
+  const [sourceDocument, setSourceDocument] = useState(null);
+  const [profile, setProfile] = useState(null);
+  const [profiles, setProfiles] = useState([]);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showTransfer, setShowTransfer] = useState(false);
+  const [showBank, setShowBank] = useState(false);
+  const [showRooms, setShowRooms] = useState(false);
+  const [answers, setAnswers] = useState([]);
+  // Paused quizzes freeze the timer and hide the question
+  const [isPaused, setIsPaused] = useState(false);
+  // Quiz in progress found in storage on load, offered as "Resume quiz"
+  const [savedSession, setSavedSession] = useState(loadQuizSession);
+  // Set after resuming a quiz whose questions were still arriving when the page closed
+  const [needsMoreQuestions, setNeedsMoreQuestions] = useState(false);
+  // Set once the finished quiz is in the player's history
+  const resultSavedRef = useRef(false);
+  // Incremented on every start/reset so a stale question stream stops appending
+  const streamIdRef = useRef(0);
 
-  // Quiz categories and their icons
+  // Quiz categories and their icons - built-in first, then the player's own
   const categories = {
     science: { name: "Science", icon: FlaskConical, color: "from-green-500 to-emerald-500" },
     history: { name: "History", icon: BookOpen, color: "from-amber-500 to-orange-500" },
     geography: { name: "Geography", icon: Globe, color: "from-blue-500 to-cyan-500" },
-    technology: { name: "Technology", icon: Cpu, color: "from-purple-500 to-pink-500" }
+    technology: { name: "Technology", icon: Cpu, color: "from-purple-500 to-pink-500" },
+    ...Object.fromEntries(customCategories.map(category => [category.key, {
+      name: category.name,
+      icon: CATEGORY_ICONS[category.icon] || CATEGORY_ICONS[DEFAULT_CATEGORY_ICON],
+      color: category.color || DEFAULT_CATEGORY_COLOR,
+      description: category.description,
+      custom: true
+    }]))
   };
+  // Prompt description sent with custom categories; built-in ones are described by the server
+  const selectedTopic = categories[selectedCategory]?.custom ? categories[selectedCategory].description : undefined;
 
   // Difficulty settings
   const difficultySettings = {
@@ -33,152 +121,578 @@ const TruthtellerAI = () => {
     hard: { timeLimit: 15, points: 30, label: "Hard" }
   };
 
+  // Badges for the answer verification status of AI questions
+  const verificationBadges = {
+    verified: { label: "✓ Fact-checked", className: "bg-green-100 text-green-800" },
+    disputed: { label: "⚠ Answer disputed", className: "bg-amber-100 text-amber-800" },
+    unverified: { label: "Unverified", className: "bg-gray-100 text-gray-600" }
+  };
+
+  // Labels of the classic question types
+  const questionTypeLabels = {
+    'multiple-choice': "Multiple Choice",
+    'true-false': "True/False",
+    'multi-select': "Select All That Apply",
+    ordering: "Put in Order",
+    numeric: "Number",
+    'short-answer': "Short Answer"
+  };
+
+  // Game modes
+  const gameModes = {
+    classic: { label: "Classic Quiz", description: "Choice, ordering, numbers & short answers" },
+    'spot-hallucination': { label: "Spot the Hallucination", description: "Find the fabricated fact" }
+  };
+
   // Question count options
   const questionCountOptions = [5, 10, 20];
 
-  // Questions are now generated dynamically using AI - no static questions
+  const playerRating = profile?.rating ?? DEFAULT_RATING;
+  // Difficulty used before a question is known (adaptive: the band of the next target rating)
+  const baseDifficulty = isAdaptive ? ratingToDifficulty(targetQuestionRating(playerRating)) : selectedDifficulty;
+  // Time limit and points follow each question's own difficulty in adaptive, review, retry and shared quizzes
+  const settingsFor = (question, perQuestion = isAdaptive || isReview || isRetry || Boolean(sharedQuiz)) => (
+    perQuestion && question && difficultySettings[question.difficulty]
+      ? difficultySettings[question.difficulty]
+      : difficultySettings[baseDifficulty]
+  );
 
-  // Function to load AI-generated questions
-  const loadQuestions = async () => {
-    setIsLoadingQuestions(true);
-    setQuestionError(null);
-    try {
-      const generatedQuestions = await generateQuestionsWithAI(
-        selectedCategory,
-        selectedDifficulty,
-        selectedQuestionCount
-      );
-      setQuestions(generatedQuestions);
-    } catch (error) {
-      console.error('Failed to generate questions:', error);
-      setQuestionError('Failed to generate questions. Please try again.');
-    } finally {
-      setIsLoadingQuestions(false);
-    }
-  };
+  // Questions come from the local question bank and the API server - no static questions
 
   // Timer effect
   useEffect(() => {
+    if (isPaused) return undefined;
     if (quizStarted && !showResult && timeLeft > 0) {
       const timer = setTimeout(() => setTimeLeft(timeLeft - 1), 1000);
       return () => clearTimeout(timer);
     } else if (timeLeft === 0 && !showResult) {
       handleAnswerSelect(null);
     }
-  }, [timeLeft, quizStarted, showResult]);
+  }, [timeLeft, quizStarted, showResult, isPaused]);
 
-  // Update timer when difficulty changes
+  // Update timer when difficulty changes (not while a quiz runs - a resumed quiz keeps its time)
   useEffect(() => {
-    setTimeLeft(difficultySettings[selectedDifficulty].timeLimit);
+    if (!quizStarted) setTimeLeft(difficultySettings[selectedDifficulty].timeLimit);
   }, [selectedDifficulty]);
 
-  const handleAnswerSelect = (answerIndex) => {
+  // Load the active player profile
+  useEffect(() => {
+    const loadProfiles = async () => {
+      try {
+        const active = await getActiveProfile();
+        setProfile(active);
+        setProfiles(await listProfiles());
+      } catch (error) {
+        log.error('❌ Failed to load player profiles:', error);
+      }
+    };
+    loadProfiles();
+  }, []);
+
+  // Load the shared quiz the page was opened for
+  useEffect(() => {
+    if (!linkedQuiz) return;
+    fetchSharedQuiz(linkedQuiz.id)
+      .then(quiz => setLinkedQuiz({ id: quiz.id, quiz, error: null }))
+      .catch(error => {
+        log.error('❌ Failed to load shared quiz:', error);
+        setLinkedQuiz({
+          id: linkedQuiz.id,
+          quiz: null,
+          error: error.status === 404 ? 'This quiz link does not point to a quiz.' : 'The shared quiz could not be loaded. Try again later.'
+        });
+      });
+  }, []);
+
+  const changeSourceDocument = (document) => {
+    setSourceDocument(document);
+    // Document quizzes are generated in one go at a fixed difficulty
+    if (document) setIsAdaptive(false);
+  };
+
+  const addCategory = (input) => {
+    const category = addCustomCategory(input);
+    setCustomCategories(listCustomCategories());
+    setSelectedCategory(category.key);
+  };
+
+  const deleteCategory = (key) => {
+    removeCustomCategory(key);
+    setCustomCategories(listCustomCategories());
+    if (selectedCategory === key) setSelectedCategory(null);
+  };
+
+  const toggleScoringOption = (key) => {
+    const next = { ...scoringOptions, [key]: !scoringOptions[key] };
+    setScoringOptions(next);
+    saveScoringOptions(next);
+  };
+
+  const switchProfile = (profileId) => {
+    const next = profiles.find(p => p.id === profileId);
+    if (!next) return;
+    setActiveProfile(profileId);
+    setProfile(next);
+  };
+
+  const addProfile = async (name) => {
+    const created = await createProfile(name);
+    setProfiles(await listProfiles());
+    setProfile(created);
+  };
+
+  const handleAnswerSelect = (answer) => {
     if (!questions[currentQuestion]) {
-      console.error('No question found at index:', currentQuestion);
+      log.error('❌ No question found at index:', currentQuestion);
       return;
     }
     
-    setSelectedAnswer(answerIndex);
+    setSelectedAnswer(answer);
     const currentQ = questions[currentQuestion];
-    let isCorrect = false;
+    // Multi-select and ordering answers can earn part of the points
+    const { credit, isCorrect } = scoreAnswer(currentQ, answer);
     
-    if (currentQ.type === 'true-false') {
-      isCorrect = answerIndex === currentQ.correct;
-    } else {
-      isCorrect = answerIndex === currentQ.correct;
+    const { timeLimit, points } = settingsFor(currentQ);
+    const timeTaken = timeLimit - timeLeft;
+    const previousStreak = answers.length > 0 ? answers[answers.length - 1].streak : 0;
+    const scored = scoreQuestion({
+      question: currentQ,
+      basePoints: points,
+      credit,
+      isCorrect,
+      timedOut: answer === null,
+      timeLeft,
+      timeLimit,
+      previousStreak
+    }, scoringOptions);
+    setScore(score + scored.points);
+
+    // Every answer teaches both the player's and the question's rating - partial credit counts in part
+    const ratings = updateRatings(profile || {}, currentQ, { isCorrect, credit, timeTaken, timeLimit });
+    if (profile) {
+      setProfile({ ...profile, ...ratings.player });
+      updateProfileRating(profile.id, ratings.player).catch(error => {
+        log.error('❌ Failed to save player rating:', error);
+      });
     }
-    
-    if (isCorrect) {
-      setScore(score + difficultySettings[selectedDifficulty].points);
+    updateQuestionRating(currentQ, ratings.questionRating).catch(error => {
+      log.warn('⚠️ Could not save question rating:', error.message);
+    });
+    if (profile) {
+      recordReview(profile.id, currentQ, { isCorrect, timedOut: answer === null, timeTaken, timeLimit }).catch(error => {
+        log.error('❌ Failed to schedule review:', error);
+      });
     }
+    if (isAdaptive && !isReview && !isRetry && !sharedQuiz && questions.length < selectedQuestionCount) {
+      // Fetch the next question while the explanation is shown
+      fetchAdaptiveQuestion(ratings.player.rating, questions);
+    }
+
+    setAnswers(prev => [...prev, {
+      questionId: questionKey(currentQ),
+      question: currentQ.question,
+      type: currentQ.type,
+      answer,
+      correctAnswer: currentQ.correct,
+      answerText: describeAnswer(currentQ, answer),
+      correctAnswerText: describeAnswer(currentQ, currentQ.correct),
+      isCorrect,
+      credit,
+      points: scored.points,
+      scoreParts: scored.parts,
+      streak: scored.streak,
+      difficulty: currentQ.difficulty,
+      rating: questionRating(currentQ),
+      timeTaken,
+      timeLimit,
+      timedOut: answer === null
+    }]);
     setShowResult(true);
   };
 
   const nextQuestion = () => {
     if (questions.length === 0) {
-      console.error('No questions available');
+      log.error('❌ No questions available');
+      return;
+    }
+    
+    // Next question is still being generated - the button is disabled until it arrives
+    if (currentQuestion >= questions.length - 1 && isStreamingQuestions) {
       return;
     }
     
-    console.log(`Current question: ${currentQuestion + 1} of ${questions.length}`);
+    log.debug(`Current question: ${currentQuestion + 1} of ${questions.length}`);
     
     if (currentQuestion < questions.length - 1) {
       // Move to next question
       const nextIndex = currentQuestion + 1;
-      console.log(`Moving to question ${nextIndex + 1} of ${questions.length}`);
+      log.debug(`Moving to question ${nextIndex + 1} of ${questions.length}`);
       setCurrentQuestion(nextIndex);
       setSelectedAnswer(null);
       setShowResult(false);
-      setTimeLeft(difficultySettings[selectedDifficulty].timeLimit);
+      setTimeLeft(settingsFor(questions[nextIndex]).timeLimit);
     } else {
       // Quiz completed - we're on the last question
-      console.log(`Quiz complete! Answered all ${questions.length} questions.`);
+      log.info(`Quiz complete! Answered all ${questions.length} questions.`);
       setShowResult(true);
     }
   };
 
   const resetQuiz = () => {
+    streamIdRef.current++;
+    setIsStreamingQuestions(false);
     setCurrentQuestion(0);
     setScore(0);
+    setAnswers([]);
     setShowResult(false);
     setSelectedAnswer(null);
     setQuizStarted(false);
-    setTimeLeft(difficultySettings[selectedDifficulty].timeLimit);
+    setIsReview(false);
+    setIsRetry(false);
+    setSharedQuiz(null);
+    setIsPaused(false);
+    clearQuizSession();
+    setTimeLeft(difficultySettings[baseDifficulty].timeLimit);
     // Note: We don't reset question count, category, or difficulty to preserve user preferences
   };
 
-  const startQuiz = async () => {
-    // Generate questions when starting quiz
+  /**
+   * Stream more questions into the running quiz, skipping the ones already asked
+   * @param {Object} options - Extra streamQuestions options, e.g. { rating }
+   */
+  const fetchMoreQuestions = async (difficulty, count, askedQuestions, options = {}) => {
+    const streamId = streamIdRef.current;
+    setIsStreamingQuestions(true);
+    try {
+      for await (const question of streamQuestions(selectedCategory, difficulty, count, { topic: selectedTopic, exclude: askedQuestions, ...options })) {
+        if (streamIdRef.current !== streamId) return; // Quiz was reset or restarted
+        setQuestions(prev => [...prev, question]);
+      }
+    } catch (error) {
+      log.error('❌ Failed to fetch more questions:', error);
+    } finally {
+      if (streamIdRef.current === streamId) {
+        setIsStreamingQuestions(false);
+      }
+    }
+  };
+
+  /**
+   * Adaptive quizzes: fetch one question rated for the player's updated rating
+   */
+  const fetchAdaptiveQuestion = (rating, askedQuestions) => {
+    const target = targetQuestionRating(rating);
+    log.info(`🎚️ Next question: player rating ${rating}, target question rating ${target}`);
+    return fetchMoreQuestions(ratingToDifficulty(target), 1, askedQuestions, { rating: target });
+  };
+
+  /**
+   * Pick up the quiz found in storage - paused, so the player can get ready first
+   */
+  const resumeQuiz = () => {
+    const session = savedSession;
+    const { settings } = session;
+    streamIdRef.current++;
+    if (session.profileId && profile && session.profileId !== profile.id) {
+      switchProfile(session.profileId);
+    }
+    setGameMode('classic');
+    setSelectedCategory(settings.category);
+    setSelectedDifficulty(settings.difficulty);
+    setIsAdaptive(settings.isAdaptive);
+    setIsReview(settings.isReview);
+    setIsRetry(Boolean(settings.isRetry));
+    setSharedQuiz(settings.sharedQuiz || null);
+    setSelectedQuestionCount(settings.questionCount);
+    setScoringOptions(settings.scoringOptions);
+    setSourceDocument(settings.sourceDocument);
+    setQuestions(session.questions);
+    setCurrentQuestion(session.currentQuestion);
+    setScore(session.score);
+    setAnswers(session.answers);
+    setShowResult(session.showResult);
+    setSelectedAnswer(session.selectedAnswer);
+    setTimeLeft(session.timeLeft);
+    setIsPaused(!session.showResult);
+    setQuestionError(null);
+    resultSavedRef.current = false;
+    setQuizStarted(true);
+    setSavedSession(null);
+    // Questions still missing: the rest of the quiz, or the next adaptive question if it had not arrived.
+    // Review, retry, shared and document quizzes are not topped up - their questions cannot be asked for again.
+    const isLastQuestion = session.currentQuestion >= session.questions.length - 1;
+    const needsMore = !settings.isReview && !settings.isRetry && !settings.sharedQuiz && !settings.sourceDocument &&
+      session.questions.length < settings.questionCount &&
+      (!settings.isAdaptive || (session.showResult && isLastQuestion));
+    // Marked as streaming right away so the quiz does not look finished before the fetch starts
+    setIsStreamingQuestions(needsMore);
+    setNeedsMoreQuestions(needsMore);
+  };
+
+  /**
+   * Play the questions missed in the finished quiz again (wrong, partly right or out of time)
+   */
+  const retryMissed = () => {
+    const missed = questions.filter((_, index) => answers[index] && !answers[index].isCorrect);
+    if (missed.length === 0) return;
+    streamIdRef.current++;
+    setIsRetry(true);
+    setSharedQuiz(null);
+    setIsStreamingQuestions(false);
+    setQuestions(missed);
+    setCurrentQuestion(0);
+    setScore(0);
+    setAnswers([]);
+    resultSavedRef.current = false;
+    setSelectedAnswer(null);
+    setShowResult(false);
+    setIsPaused(false);
+    setQuestionError(null);
+    setTimeLeft(settingsFor(missed[0], true).timeLimit);
+  };
+
+  const addToReviewDeck = (picked) => saveToReviewDeck(profile.id, picked);
+
+  const discardSavedQuiz = () => {
+    clearQuizSession();
+    setSavedSession(null);
+  };
+
+  /**
+   * Play a shared quiz - exactly its questions, in its order
+   */
+  const playSharedQuiz = (quiz) => {
+    discardSavedQuiz();
+    streamIdRef.current++;
+    setGameMode('classic');
+    setSharedQuiz({ id: quiz.id, category: quiz.category });
+    setIsReview(false);
+    setIsRetry(false);
+    setIsStreamingQuestions(false);
+    setQuestions(quiz.questions);
+    setCurrentQuestion(0);
+    setScore(0);
+    setAnswers([]);
+    resultSavedRef.current = false;
+    setSelectedAnswer(null);
+    setShowResult(false);
+    setIsPaused(false);
+    setQuestionError(null);
+    setTimeLeft(settingsFor(quiz.questions[0], true).timeLimit);
+    setQuizStarted(true);
+  };
+
+  /**
+   * @param {boolean} review - Play the player's due review cards instead of new questions
+   */
+  const startQuiz = async (review = false) => {
+    discardSavedQuiz();
+    setIsPaused(false);
+    // Stream questions and start the quiz as soon as the first valid one arrives
+    // (adaptive quizzes fetch one question now and each next one after an answer)
+    const adaptive = isAdaptive && !review;
+    const document = review ? null : sourceDocument;
+    const requested = adaptive ? 1 : selectedQuestionCount;
+    const streamOptions = { topic: selectedTopic, ...(adaptive && { rating: targetQuestionRating(playerRating) }) };
+    const streamId = ++streamIdRef.current;
+    setIsReview(review);
+    setIsRetry(false);
+    setSharedQuiz(null);
     setIsLoadingQuestions(true);
     setQuestionError(null);
+    setQuestions([]);
+    setCurrentQuestion(0); // Reset to first question
+    setScore(0); // Reset score
+    setAnswers([]);
+    resultSavedRef.current = false;
+    setSelectedAnswer(null);
+    setShowResult(false);
+    let received = 0;
     try {
-      // Check if API token is configured
-      const hasToken = import.meta.env.VITE_HUGGINGFACE_API_TOKEN;
-      if (!hasToken) {
-        console.warn('⚠️ No API token found in environment variables');
-        setQuestionError('No API token configured. Add VITE_HUGGINGFACE_API_TOKEN to your .env file. Using fallback questions.');
+      if (review) {
+        for await (const question of streamReviewQuestions(profile.id, selectedQuestionCount)) {
+          if (streamIdRef.current !== streamId) return; // Quiz was reset or restarted
+          received++;
+          setQuestions(prev => [...prev, question]);
+          if (received === 1) {
+            setIsStreamingQuestions(true);
+            setIsLoadingQuestions(false);
+            setQuizStarted(true);
+            setTimeLeft(settingsFor(question, true).timeLimit);
+          }
+        }
+        if (streamIdRef.current === streamId && received === 0) {
+          setIsReview(false);
+          setQuestionError('Nothing is due for review right now. Play a quiz and missed questions will show up here.');
+        }
+        return;
       }
-      
-      console.log(`Generating ${selectedQuestionCount} questions for category: ${selectedCategory || 'all'}, difficulty: ${selectedDifficulty}`);
-      console.log('API token configured:', hasToken ? 'Yes' : 'No');
-      
-      const generatedQuestions = await generateQuestionsWithAI(
-        selectedCategory,
-        selectedDifficulty,
-        selectedQuestionCount
-      );
-      
-      console.log(`✅ Generated ${generatedQuestions.length} questions (requested: ${selectedQuestionCount})`);
-      
-      if (generatedQuestions.length === 0) {
-        setQuestionError('No questions could be generated. Please check your API token and try again.');
-        setIsLoadingQuestions(false);
+
+      if (document) {
+        log.info(`Generating ${requested} questions from "${document.title}", difficulty: ${selectedDifficulty}`);
+        for await (const question of streamDocumentQuestions(document, selectedDifficulty, requested)) {
+          if (streamIdRef.current !== streamId) return; // Quiz was reset or restarted
+          received++;
+          setQuestions(prev => [...prev, question]);
+          if (received === 1) {
+            setIsStreamingQuestions(true);
+            setIsLoadingQuestions(false);
+            setQuizStarted(true);
+            setTimeLeft(settingsFor(question, false).timeLimit);
+          }
+        }
+        if (streamIdRef.current !== streamId) return;
+        if (received === 0) {
+          setQuestionError(`No questions about "${document.title}" passed the source check. Try a longer or more factual document.`);
+        } else if (received < requested) {
+          setQuestionError(`Only ${received} questions could be backed by the document (requested ${requested}). You can still proceed.`);
+        }
         return;
       }
+
+      // Check that the API server is up and its LLM provider is configured
+      const status = await fetchServerStatus();
+      if (streamIdRef.current !== streamId) return;
+      if (!status) {
+        log.warn('⚠️ API server is not reachable');
+        setQuestionError('Cannot reach the question server (start it with "npm run server"). Using your offline question bank.');
+      } else if (!status.configured) {
+        log.warn(`⚠️ LLM provider "${status.provider}" is not configured on the server`);
+        setQuestionError('No API token configured on the server. Add HUGGINGFACE_API_TOKEN (or another LLM_PROVIDER) to your .env file. Using fallback questions.');
+      }
+      
+      log.info(`Generating ${requested} questions for category: ${selectedCategory || 'all'}, difficulty: ${adaptive ? `adaptive (rating ${streamOptions.rating})` : selectedDifficulty}`);
+      log.info(`LLM provider: ${status ? `${status.provider} (configured: ${status.configured ? 'Yes' : 'No'})` : 'unknown (server unreachable)'}`);
       
-      // Check if we got fallback questions (only 5 available)
-      if (generatedQuestions.length <= 5 && selectedQuestionCount > 5) {
-        setQuestionError(`⚠️ Only ${generatedQuestions.length} fallback questions available. Configure your API token for AI-generated questions.`);
-      } else if (generatedQuestions.length < selectedQuestionCount) {
-        console.warn(`Only got ${generatedQuestions.length} questions, but requested ${selectedQuestionCount}`);
-        setQuestionError(`Only ${generatedQuestions.length} questions were generated (requested ${selectedQuestionCount}). You can still proceed.`);
+      for await (const question of streamQuestions(selectedCategory, baseDifficulty, requested, streamOptions)) {
+        if (streamIdRef.current !== streamId) return; // Quiz was reset or restarted
+        received++;
+        setQuestions(prev => [...prev, question]);
+        if (received === 1) {
+          setIsStreamingQuestions(true);
+          setIsLoadingQuestions(false);
+          setQuizStarted(true);
+          setTimeLeft(settingsFor(question, adaptive).timeLimit);
+        }
       }
+      if (streamIdRef.current !== streamId) return;
+      
+      log.info(`✅ Generated ${received} questions (requested: ${requested})`);
       
-      setQuestions(generatedQuestions);
-      setCurrentQuestion(0); // Reset to first question
-      setScore(0); // Reset score
-      setQuizStarted(true);
-      setTimeLeft(difficultySettings[selectedDifficulty].timeLimit);
+      if (received === 0) {
+        setQuestionError('No questions could be generated. Please check the server configuration and try again.');
+      } else if (received < requested) {
+        log.warn(`Only got ${received} questions, but requested ${requested}`);
+        setQuestionError(`Only ${received} questions were generated (requested ${requested}). You can still proceed.`);
+      }
     } catch (error) {
-      console.error('Failed to generate questions:', error);
-      setQuestionError(`Failed to generate questions: ${error.message}. Check browser console for details.`);
+      log.error('❌ Failed to generate questions:', error);
+      if (received === 0) {
+        setQuestionError(`Failed to generate questions: ${error.message}. Check browser console for details.`);
+      }
     } finally {
-      setIsLoadingQuestions(false);
+      if (streamIdRef.current === streamId) {
+        setIsStreamingQuestions(false);
+        setIsLoadingQuestions(false);
+      }
     }
   };
 
   // Check if quiz is complete - must be on last question AND have shown result
-  const isQuizComplete = questions.length > 0 && currentQuestion >= questions.length - 1 && showResult;
+  const isQuizComplete = questions.length > 0 && currentQuestion >= questions.length - 1 && showResult && !isStreamingQuestions;
+  // While streaming (or adapting), show progress against the requested count rather than what has arrived so far
+  const totalQuestions = isStreamingQuestions || (isAdaptive && !isRetry && !sharedQuiz && !isQuizComplete)
+    ? Math.max(selectedQuestionCount, questions.length)
+    : questions.length;
+  const maxScore = maxQuizScore(questions.map(question => ({
+    question,
+    basePoints: settingsFor(question).points,
+    timeLimit: settingsFor(question).timeLimit
+  })), scoringOptions);
+  const lastAnswer = answers.length > 0 ? answers[answers.length - 1] : null;
+  const scoreSummary = summarizeScore(answers);
+  const isWaitingForNextQuestion = isStreamingQuestions && currentQuestion >= questions.length - 1;
+
+  // Keep the "due for review" count current between quizzes
+  useEffect(() => {
+    if (!profile || (quizStarted && !isQuizComplete)) return;
+    countDueCards(profile.id)
+      .then(setDueCount)
+      .catch(error => {
+        log.warn('⚠️ Could not count due review cards:', error.message);
+      });
+  }, [profile?.id, quizStarted, isQuizComplete]);
+
+  // Fetch the questions a resumed quiz is still missing (runs after the resumed settings are applied)
+  useEffect(() => {
+    if (!needsMoreQuestions) return;
+    setNeedsMoreQuestions(false);
+    if (isAdaptive) {
+      fetchAdaptiveQuestion(playerRating, questions);
+    } else {
+      fetchMoreQuestions(baseDifficulty, selectedQuestionCount - questions.length, questions);
+    }
+  }, [needsMoreQuestions]);
+
+  // The quiz in progress, kept in storage after every answer, question and pause and when the page is hidden
+  const activeSessionRef = useRef(null);
+  activeSessionRef.current = quizStarted && !isQuizComplete && questions.length > 0 ? {
+    profileId: profile?.id || null,
+    questions,
+    currentQuestion,
+    score,
+    answers,
+    showResult,
+    selectedAnswer,
+    timeLeft,
+    isPaused,
+    settings: {
+      category: selectedCategory,
+      difficulty: selectedDifficulty,
+      isAdaptive,
+      isReview,
+      isRetry,
+      sharedQuiz,
+      questionCount: selectedQuestionCount,
+      scoringOptions,
+      sourceDocument
+    }
+  } : null;
+
+  useEffect(() => {
+    if (activeSessionRef.current) {
+      saveQuizSession(activeSessionRef.current);
+    } else if (isQuizComplete) {
+      clearQuizSession();
+    }
+  }, [questions.length, currentQuestion, answers.length, showResult, isPaused, isQuizComplete]);
+
+  useEffect(() => {
+    const saveOnExit = () => {
+      if (activeSessionRef.current) saveQuizSession(activeSessionRef.current);
+    };
+    window.addEventListener('pagehide', saveOnExit);
+    return () => window.removeEventListener('pagehide', saveOnExit);
+  }, []);
+
+  // Record the finished quiz once
+  useEffect(() => {
+    if (!isQuizComplete || !profile || resultSavedRef.current) return;
+    resultSavedRef.current = true;
+    saveQuizResult({
+      profileId: profile.id,
+      mode: isReview ? 'review' : isRetry ? 'retry' : sharedQuiz ? 'shared' : sourceDocument ? 'document' : 'classic',
+      // Review and shared quizzes mix the difficulties of their questions
+      category: isReview ? null : sharedQuiz ? sharedQuiz.category : sourceDocument ? 'document' : selectedCategory,
+      difficulty: isReview || sharedQuiz ? 'mixed' : isAdaptive ? 'adaptive' : selectedDifficulty,
+      score,
+      maxScore,
+      scoring: scoringOptions,
+      answers
+    }).catch(error => {
+      log.error('❌ Failed to save quiz result:', error);
+    });
+  }, [isQuizComplete]);
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-purple-50 to-blue-50 flex items-center justify-center p-4">
@@ -201,18 +715,59 @@ const TruthtellerAI = () => {
             <h1 className="text-3xl font-bold text-gray-800 mb-2">TruthtellerAI</h1>
             <p className="text-gray-600">Test your knowledge with AI-powered questions</p>
             
-            {/* Settings Button */}
-            <motion.button
-              whileHover={{ scale: 1.05 }}
-              whileTap={{ scale: 0.95 }}
-              onClick={() => setShowSettings(!showSettings)}
-              className="mt-4 inline-flex items-center px-4 py-2 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors"
-            >
-              <Settings className="w-4 h-4 mr-2" />
-              Settings
-            </motion.button>
+            {/* Settings, Import / Export, Question Bank and Multiplayer Buttons */}
+            <div className="mt-4 flex flex-wrap justify-center gap-2">
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => setShowSettings(!showSettings)}
+                className="inline-flex items-center px-4 py-2 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors"
+              >
+                <Settings className="w-4 h-4 mr-2" />
+                Settings
+              </motion.button>
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => setShowTransfer(true)}
+                disabled={quizStarted && !isQuizComplete}
+                className="inline-flex items-center px-4 py-2 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors disabled:opacity-50"
+              >
+                <ArrowLeftRight className="w-4 h-4 mr-2" />
+                Import / Export
+              </motion.button>
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => setShowBank(true)}
+                disabled={quizStarted && !isQuizComplete}
+                className="inline-flex items-center px-4 py-2 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors disabled:opacity-50"
+              >
+                <Database className="w-4 h-4 mr-2" />
+                Question Bank
+              </motion.button>
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => setShowRooms(true)}
+                disabled={quizStarted && !isQuizComplete}
+                className="inline-flex items-center px-4 py-2 bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors disabled:opacity-50"
+              >
+                <Users className="w-4 h-4 mr-2" />
+                Play With Friends
+              </motion.button>
+            </div>
           </div>
 
+          <ProfileBar
+            profile={profile}
+            profiles={profiles}
+            disabled={quizStarted || isLoadingQuestions}
+            onSwitch={switchProfile}
+            onCreate={addProfile}
+            onShowHistory={() => setShowHistory(true)}
+          />
+
           {/* Settings Panel */}
           <AnimatePresence>
             {showSettings && (
@@ -224,6 +779,30 @@ const TruthtellerAI = () => {
               >
                 <h3 className="text-lg font-semibold text-gray-800 mb-4">Quiz Settings</h3>
                 
+                {/* Game Mode Selection */}
+                <div className="mb-6">
+                  <label className="block text-sm font-medium text-gray-700 mb-3">Game Mode</label>
+                  <div className="flex gap-3">
+                    {Object.entries(gameModes).map(([key, mode]) => (
+                      <motion.button
+                        key={key}
+                        whileHover={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                        onClick={() => !quizStarted && setGameMode(key)}
+                        disabled={quizStarted}
+                        className={`px-4 py-2 rounded-lg font-medium transition-all ${
+                          gameMode === key
+                            ? 'bg-purple-500 text-white'
+                            : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                        }`}
+                      >
+                        {mode.label}
+                        <div className="text-xs opacity-75">{mode.description}</div>
+                      </motion.button>
+                    ))}
+                  </div>
+                </div>
+
                 {/* Category Selection */}
                 <div className="mb-6">
                   <label className="block text-sm font-medium text-gray-700 mb-3">Select Category</label>
@@ -236,12 +815,26 @@ const TruthtellerAI = () => {
                           whileHover={{ scale: 1.02 }}
                           whileTap={{ scale: 0.98 }}
                           onClick={() => setSelectedCategory(selectedCategory === key ? null : key)}
-                          className={`p-4 rounded-lg border-2 transition-all ${
+                          title={category.description || ''}
+                          className={`relative p-4 rounded-lg border-2 transition-all ${
                             selectedCategory === key
                               ? `border-purple-500 bg-purple-50`
                               : 'border-gray-200 bg-white hover:border-gray-300'
                           }`}
                         >
+                          {category.custom && (
+                            <span
+                              role="button"
+                              title="Remove category"
+                              onClick={(event) => {
+                                event.stopPropagation();
+                                deleteCategory(key);
+                              }}
+                              className="absolute top-1 right-1 p-1 rounded-full text-gray-400 hover:text-red-500 hover:bg-red-50"
+                            >
+                              <X className="w-3 h-3" />
+                            </span>
+                          )}
                           <div className={`inline-flex items-center justify-center w-8 h-8 bg-gradient-to-r ${category.color} rounded-full mb-2`}>
                             <IconComponent className="w-4 h-4 text-white" />
                           </div>
@@ -250,11 +843,18 @@ const TruthtellerAI = () => {
                       );
                     })}
                   </div>
-                  {selectedCategory && (
+                  {selectedCategory && categories[selectedCategory] && (
                     <p className="mt-2 text-sm text-gray-600">
                       Selected: {categories[selectedCategory].name}
                     </p>
                   )}
+                  <CategoryEditor onAdd={addCategory} />
+                </div>
+
+                {/* Source Document */}
+                <div className="mb-6">
+                  <label className="block text-sm font-medium text-gray-700 mb-3">Quiz From a Document</label>
+                  <DocumentPanel document={sourceDocument} disabled={quizStarted || isLoadingQuestions} onChange={changeSourceDocument} />
                 </div>
 
                 {/* Difficulty Selection */}
@@ -266,9 +866,12 @@ const TruthtellerAI = () => {
                         key={key}
                         whileHover={{ scale: 1.05 }}
                         whileTap={{ scale: 0.95 }}
-                        onClick={() => setSelectedDifficulty(key)}
+                        onClick={() => {
+                          setSelectedDifficulty(key);
+                          setIsAdaptive(false);
+                        }}
                         className={`px-4 py-2 rounded-lg font-medium transition-all ${
-                          selectedDifficulty === key
+                          !isAdaptive && selectedDifficulty === key
                             ? 'bg-purple-500 text-white'
                             : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
                         }`}
@@ -279,7 +882,27 @@ const TruthtellerAI = () => {
                         </div>
                       </motion.button>
                     ))}
+                    <motion.button
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                      onClick={() => !quizStarted && !sourceDocument && setIsAdaptive(true)}
+                      disabled={quizStarted || !!sourceDocument}
+                      title={sourceDocument ? 'Not available for document quizzes' : ''}
+                      className={`px-4 py-2 rounded-lg font-medium transition-all ${
+                        isAdaptive
+                          ? 'bg-purple-500 text-white'
+                          : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                      }`}
+                    >
+                      Adaptive
+                      <div className="text-xs opacity-75">Follows your level</div>
+                    </motion.button>
                   </div>
+                  {isAdaptive && (
+                    <p className="mt-2 text-sm text-gray-600">
+                      Your rating: {playerRating} - each question is picked so you get about 70% right
+                    </p>
+                  )}
                 </div>
 
                 {/* Question Count Selection */}
@@ -304,11 +927,36 @@ const TruthtellerAI = () => {
                   </div>
                 </div>
 
+                {/* Scoring Rules */}
+                <div className="mb-6">
+                  <label className="block text-sm font-medium text-gray-700 mb-3">Scoring</label>
+                  <div className="grid grid-cols-2 gap-3">
+                    {Object.entries(SCORING_OPTIONS).map(([key, option]) => (
+                      <motion.button
+                        key={key}
+                        whileHover={{ scale: 1.02 }}
+                        whileTap={{ scale: 0.98 }}
+                        onClick={() => !quizStarted && toggleScoringOption(key)}
+                        disabled={quizStarted}
+                        className={`p-3 rounded-lg text-left transition-all ${
+                          scoringOptions[key]
+                            ? 'bg-purple-500 text-white'
+                            : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                        } ${quizStarted ? 'opacity-50 cursor-not-allowed' : ''}`}
+                      >
+                        <div className="text-sm font-medium">{option.label}</div>
+                        <div className="text-xs opacity-75">{option.description}</div>
+                      </motion.button>
+                    ))}
+                  </div>
+                </div>
+
                 {/* Quiz Info */}
                 <div className="text-sm text-gray-600">
                   <p>Questions in quiz: {selectedQuestionCount}</p>
-                  <p>Time per question: {difficultySettings[selectedDifficulty].timeLimit} seconds</p>
-                  <p>Points per correct answer: {difficultySettings[selectedDifficulty].points}</p>
+                  <p>Time per question: {isAdaptive ? 'depends on each question' : `${difficultySettings[selectedDifficulty].timeLimit} seconds`}</p>
+                  <p>Points per correct answer: {isAdaptive ? 'depends on each question' : difficultySettings[selectedDifficulty].points}</p>
+                  <p>Scoring extras: {Object.keys(SCORING_OPTIONS).filter(key => scoringOptions[key]).map(key => SCORING_OPTIONS[key].label).join(', ') || 'none'}</p>
                   <p className="text-purple-600 font-medium mt-2">
                     ✨ Questions are AI-generated and unique each time!
                   </p>
@@ -317,6 +965,72 @@ const TruthtellerAI = () => {
             )}
           </AnimatePresence>
 
+          {showRooms ? (
+            <MultiplayerScreen
+              settings={{
+                category: selectedCategory,
+                topic: selectedTopic,
+                difficulty: baseDifficulty,
+                count: selectedQuestionCount,
+                timeLimit: difficultySettings[baseDifficulty].timeLimit,
+                points: difficultySettings[baseDifficulty].points
+              }}
+              categoryName={categories[selectedCategory]?.name || 'Mixed'}
+              difficultyLabel={difficultySettings[baseDifficulty].label}
+              typeLabels={questionTypeLabels}
+              defaultName={profile?.name}
+              onClose={() => setShowRooms(false)}
+            />
+          ) : showBank ? (
+            <QuestionBankScreen
+              categoryNames={{
+                ...Object.fromEntries(Object.entries(categories).map(([key, category]) => [key, category.name])),
+                mixed: 'Mixed'
+              }}
+              difficultyLabels={Object.fromEntries(Object.entries(difficultySettings).map(([key, difficulty]) => [key, difficulty.label]))}
+              typeLabels={{ ...questionTypeLabels, 'spot-hallucination': 'Spot the Hallucination' }}
+              onClose={() => setShowBank(false)}
+            />
+          ) : showTransfer ? (
+            <QuestionTransferScreen
+              categoryNames={Object.fromEntries(Object.entries(categories).map(([key, category]) => [key, category.name]))}
+              difficultyLabels={Object.fromEntries(Object.entries(difficultySettings).map(([key, difficulty]) => [key, difficulty.label]))}
+              quizQuestions={questions}
+              onClose={() => setShowTransfer(false)}
+            />
+          ) : showHistory && profile ? (
+            <HistoryScreen
+              profile={profile}
+              categoryNames={{
+                ...Object.fromEntries(Object.entries(categories).map(([key, category]) => [key, category.name])),
+                document: 'Document'
+              }}
+              difficultyLabels={{
+                ...Object.fromEntries(Object.entries(difficultySettings).map(([key, difficulty]) => [key, difficulty.label])),
+                adaptive: 'Adaptive',
+                mixed: 'Mixed'
+              }}
+              modeLabels={{
+                ...Object.fromEntries(Object.entries(gameModes).map(([key, mode]) => [key, mode.label])),
+                review: 'Review',
+                retry: 'Retry Missed',
+                shared: 'Shared Quiz',
+                document: 'Document'
+              }}
+              onClose={() => setShowHistory(false)}
+            />
+          ) : gameMode === 'spot-hallucination' ? (
+            <HalluciQuiz
+              category={selectedCategory}
+              topic={selectedTopic}
+              difficulty={baseDifficulty}
+              questionCount={selectedQuestionCount}
+              timeLimit={difficultySettings[baseDifficulty].timeLimit}
+              points={difficultySettings[baseDifficulty].points}
+              profileId={profile?.id}
+              onExit={() => setGameMode('classic')}
+            />
+          ) : (
           <AnimatePresence mode="wait">
             {!quizStarted ? (
               <motion.div
@@ -333,10 +1047,68 @@ const TruthtellerAI = () => {
                   <p className="text-gray-600">
                     {isLoadingQuestions
                       ? 'Generating AI questions...'
+                      : sourceDocument
+                      ? `You'll answer ${selectedQuestionCount} questions about "${sourceDocument.title}" with ${difficultySettings[selectedDifficulty].timeLimit} seconds each. Good luck!`
+                      : isAdaptive
+                      ? `You'll answer ${selectedQuestionCount} AI-generated questions that get harder or easier as you play. Good luck!`
                       : `You'll answer ${selectedQuestionCount} AI-generated questions with ${difficultySettings[selectedDifficulty].timeLimit} seconds each. Good luck!`
                     }
                   </p>
                 </div>
+                {linkedQuiz && !isLoadingQuestions && (
+                  <div className="mb-4 p-4 bg-blue-50 border border-blue-200 rounded-lg text-left flex items-center gap-3">
+                    <Link className="w-6 h-6 text-blue-500 flex-shrink-0" />
+                    <div className="flex-1 text-sm text-gray-700">
+                      <p className="font-semibold text-gray-800">Shared quiz</p>
+                      <p>
+                        {linkedQuiz.error
+                          || (linkedQuiz.quiz
+                            ? `${linkedQuiz.quiz.questions.length} questions${categories[linkedQuiz.quiz.category] ? ` · ${categories[linkedQuiz.quiz.category].name}` : ''} · everyone with the link gets the same quiz`
+                            : 'Loading the quiz...')}
+                      </p>
+                    </div>
+                    {linkedQuiz.quiz && (
+                      <button
+                        onClick={() => playSharedQuiz(linkedQuiz.quiz)}
+                        className="px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white text-sm font-medium rounded-lg"
+                      >
+                        Play
+                      </button>
+                    )}
+                    <button
+                      onClick={() => setLinkedQuiz(null)}
+                      title="Dismiss the shared quiz"
+                      className="p-2 text-gray-400 hover:text-red-500"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </div>
+                )}
+                {savedSession && !isLoadingQuestions && (
+                  <div className="mb-4 p-4 bg-purple-50 border border-purple-200 rounded-lg text-left flex items-center gap-3">
+                    <History className="w-6 h-6 text-purple-500 flex-shrink-0" />
+                    <div className="flex-1 text-sm text-gray-700">
+                      <p className="font-semibold text-gray-800">You have a quiz in progress</p>
+                      <p>
+                        {savedSession.answers.length} of {Math.max(savedSession.settings.questionCount, savedSession.questions.length)} answered
+                        {' · '}{savedSession.score} points · saved {new Date(savedSession.savedAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })}
+                      </p>
+                    </div>
+                    <button
+                      onClick={resumeQuiz}
+                      className="px-4 py-2 bg-purple-500 hover:bg-purple-600 text-white text-sm font-medium rounded-lg"
+                    >
+                      Resume quiz
+                    </button>
+                    <button
+                      onClick={discardSavedQuiz}
+                      title="Discard the saved quiz"
+                      className="p-2 text-gray-400 hover:text-red-500"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </div>
+                )}
                 {questionError && (
                   <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg">
                     {questionError}
@@ -345,7 +1117,7 @@ const TruthtellerAI = () => {
                 <motion.button
                   whileHover={{ scale: 1.05 }}
                   whileTap={{ scale: 0.95 }}
-                  onClick={startQuiz}
+                  onClick={() => startQuiz()}
                   disabled={isLoadingQuestions}
                   className={`px-8 py-3 rounded-lg font-semibold text-lg shadow-lg transition-all duration-200 ${
                     isLoadingQuestions
@@ -362,6 +1134,33 @@ const TruthtellerAI = () => {
                     'Start Quiz'
                   )}
                 </motion.button>
+                {profile && (
+                  <motion.button
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                    onClick={() => startQuiz(true)}
+                    disabled={isLoadingQuestions || dueCount === 0}
+                    title={dueCount === 0 ? 'No questions are due for review' : ''}
+                    className={`ml-3 px-6 py-3 rounded-lg font-semibold text-lg border-2 transition-all duration-200 inline-flex items-center ${
+                      isLoadingQuestions || dueCount === 0
+                        ? 'border-gray-200 text-gray-400 cursor-not-allowed'
+                        : 'border-purple-500 text-purple-600 hover:bg-purple-50'
+                    }`}
+                  >
+                    <Repeat className="w-5 h-5 mr-2" />
+                    Review ({dueCount})
+                  </motion.button>
+                )}
+                <div className="mt-4">
+                  <button
+                    onClick={() => setGameMode('spot-hallucination')}
+                    disabled={isLoadingQuestions}
+                    className="inline-flex items-center text-sm font-medium text-red-600 hover:text-red-700"
+                  >
+                    <Eye className="w-4 h-4 mr-1" />
+                    Or play Spot the Hallucination
+                  </button>
+                </div>
               </motion.div>
             ) : !isQuizComplete ? (
               <motion.div
@@ -369,14 +1168,36 @@ const TruthtellerAI = () => {
                 initial={{ opacity: 0, x: -20 }}
                 animate={{ opacity: 1, x: 0 }}
                 exit={{ opacity: 0, x: 20 }}
+                className="relative"
               >
+                {/* Pause Overlay - hides the question while the timer is frozen */}
+                {isPaused && (
+                  <div className="absolute inset-0 z-10 bg-white flex flex-col items-center justify-center text-center">
+                    <Pause className="w-10 h-10 text-purple-500 mb-3" />
+                    <h2 className="text-xl font-semibold text-gray-800 mb-1">Quiz paused</h2>
+                    <p className="text-gray-600 mb-6">
+                      Question {currentQuestion + 1} of {totalQuestions} · {timeLeft} seconds left · {score} points
+                    </p>
+                    <motion.button
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                      onClick={() => setIsPaused(false)}
+                      className="inline-flex items-center px-8 py-3 rounded-lg font-semibold bg-gradient-to-r from-purple-500 to-blue-500 text-white shadow-lg"
+                    >
+                      <Play className="w-5 h-5 mr-2" />
+                      Resume
+                    </motion.button>
+                  </div>
+                )}
+
                 {/* Progress Bar */}
                 <div className="mb-6">
                   <div className="flex justify-between items-center mb-2">
                     <span className="text-sm font-medium text-gray-600">
-                      Question {currentQuestion + 1} of {questions.length}
+                      Question {currentQuestion + 1} of {totalQuestions}
                     </span>
                     <span className="text-sm font-medium text-gray-600">
+                      {scoringOptions.streaks && lastAnswer?.streak > 1 && `🔥 ${lastAnswer.streak} in a row · `}
                       Score: {score} points
                     </span>
                   </div>
@@ -384,7 +1205,7 @@ const TruthtellerAI = () => {
                     <motion.div
                       className="bg-gradient-to-r from-purple-500 to-blue-500 h-2 rounded-full"
                       initial={{ width: 0 }}
-                      animate={{ width: `${((currentQuestion + 1) / questions.length) * 100}%` }}
+                      animate={{ width: `${((currentQuestion + 1) / totalQuestions) * 100}%` }}
                       transition={{ duration: 0.5 }}
                     />
                   </div>
@@ -394,13 +1215,32 @@ const TruthtellerAI = () => {
                 {questions[currentQuestion] && (
                   <div className="text-center mb-4">
                     <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-purple-100 text-purple-800">
-                      {questions[currentQuestion].type === 'true-false' ? 'True/False' : 'Multiple Choice'}
+                      {questionTypeLabels[questions[currentQuestion].type] || 'Question'}
                     </span>
+                    {questions[currentQuestion].verification && verificationBadges[questions[currentQuestion].verification.status] && (
+                      <span
+                        title={questions[currentQuestion].verification.reason || ''}
+                        className={`ml-2 inline-flex items-center px-3 py-1 rounded-full text-xs font-medium ${verificationBadges[questions[currentQuestion].verification.status].className}`}
+                      >
+                        {verificationBadges[questions[currentQuestion].verification.status].label}
+                        {questions[currentQuestion].verification.confidence !== null &&
+                          ` · ${Math.round(questions[currentQuestion].verification.confidence * 100)}%`}
+                      </span>
+                    )}
+                    {questions[currentQuestion].citation && (
+                      <span
+                        title={`"${questions[currentQuestion].citation.quote}"`}
+                        className="ml-2 inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800"
+                      >
+                        <FileText className="w-3 h-3 mr-1" />
+                        {questions[currentQuestion].citation.document} · {questions[currentQuestion].citation.passage}
+                      </span>
+                    )}
                   </div>
                 )}
 
                 {/* Timer */}
-                <div className="text-center mb-6">
+                <div className="relative text-center mb-6">
                   <motion.div
                     key={timeLeft}
                     initial={{ scale: 1.2 }}
@@ -411,6 +1251,16 @@ const TruthtellerAI = () => {
                   >
                     {timeLeft}
                   </motion.div>
+                  {!showResult && (
+                    <button
+                      onClick={() => setIsPaused(true)}
+                      title="Pause"
+                      className="absolute right-0 top-1/2 -translate-y-1/2 inline-flex items-center px-3 py-1.5 text-sm text-gray-600 bg-gray-100 hover:bg-gray-200 rounded-lg"
+                    >
+                      <Pause className="w-4 h-4 mr-1" />
+                      Pause
+                    </button>
+                  )}
                 </div>
 
                 {/* Question */}
@@ -493,6 +1343,41 @@ const TruthtellerAI = () => {
                   </div>
                 )}
 
+                {/* Options - Select All That Apply */}
+                {questions[currentQuestion] && questions[currentQuestion].type === 'multi-select' && (
+                  <MultiSelectQuestion
+                    key={currentQuestion}
+                    question={questions[currentQuestion]}
+                    showResult={showResult}
+                    selectedAnswer={selectedAnswer}
+                    onSubmit={handleAnswerSelect}
+                  />
+                )}
+
+                {/* Options - Put in Order */}
+                {questions[currentQuestion] && questions[currentQuestion].type === 'ordering' && (
+                  <OrderingQuestion
+                    key={currentQuestion}
+                    question={questions[currentQuestion]}
+                    seed={sharedQuiz ? `${sharedQuiz.id}:${questionKey(questions[currentQuestion])}` : undefined}
+                    showResult={showResult}
+                    selectedAnswer={selectedAnswer}
+                    onSubmit={handleAnswerSelect}
+                  />
+                )}
+
+                {/* Typed Answer - Number or Short Answer */}
+                {questions[currentQuestion] && ['numeric', 'short-answer'].includes(questions[currentQuestion].type) && (
+                  <TypedAnswerQuestion
+                    key={currentQuestion}
+                    question={questions[currentQuestion]}
+                    showResult={showResult}
+                    selectedAnswer={selectedAnswer}
+                    isCorrect={showResult && scoreAnswer(questions[currentQuestion], selectedAnswer).isCorrect}
+                    onSubmit={handleAnswerSelect}
+                  />
+                )}
+
                 {/* Explanation */}
                 {showResult && questions[currentQuestion] && (
                   <motion.div
@@ -500,9 +1385,24 @@ const TruthtellerAI = () => {
                     animate={{ opacity: 1, y: 0 }}
                     className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6"
                   >
+                    {lastAnswer && (
+                      <p className={`text-sm font-semibold mb-2 ${lastAnswer.points < 0 ? 'text-red-700' : 'text-purple-700'}`}>
+                        {lastAnswer.timedOut && <span className="mr-2 text-gray-700">⏰ Time's up!</span>}
+                        {lastAnswer.points >= 0 ? '+' : ''}{lastAnswer.points} points
+                        {summarizeScore([lastAnswer]).parts.filter(part => part.key !== 'base').map(part => (
+                          <span key={part.key} className="ml-2 font-normal text-gray-600">
+                            {part.label}: {part.points > 0 ? '+' : ''}{part.points}
+                          </span>
+                        ))}
+                      </p>
+                    )}
                     <p className="text-blue-800">
                       <strong>Explanation:</strong> {questions[currentQuestion].explanation}
                     </p>
+                    {/* Document questions are never stored, so there is nothing to moderate */}
+                    {questions[currentQuestion].source !== 'ai-grounded' && (
+                      <ReportQuestionButton key={currentQuestion} question={questions[currentQuestion]} />
+                    )}
                   </motion.div>
                 )}
 
@@ -514,9 +1414,19 @@ const TruthtellerAI = () => {
                     whileHover={{ scale: 1.05 }}
                     whileTap={{ scale: 0.95 }}
                     onClick={nextQuestion}
-                    className="w-full bg-gradient-to-r from-purple-500 to-blue-500 text-white py-3 rounded-lg font-semibold shadow-lg hover:shadow-xl transition-all duration-200"
+                    disabled={isWaitingForNextQuestion}
+                    className={`w-full py-3 rounded-lg font-semibold shadow-lg transition-all duration-200 ${
+                      isWaitingForNextQuestion
+                        ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                        : 'bg-gradient-to-r from-purple-500 to-blue-500 text-white hover:shadow-xl'
+                    }`}
                   >
-                    {currentQuestion < questions.length - 1 ? 'Next Question' : 'Finish Quiz'}
+                    {isWaitingForNextQuestion ? (
+                      <span className="flex items-center justify-center">
+                        <Loader2 className="w-5 h-5 mr-2 animate-spin" />
+                        Generating next question...
+                      </span>
+                    ) : currentQuestion < questions.length - 1 ? 'Next Question' : 'Finish Quiz'}
                   </motion.button>
                 )}
               </motion.div>
@@ -539,38 +1449,87 @@ const TruthtellerAI = () => {
                 <h2 className="text-2xl font-bold text-gray-800 mb-4">Quiz Complete!</h2>
                 <p className="text-lg text-gray-600 mb-6">
                   You earned <span className="font-bold text-purple-600">{score}</span> points out of{' '}
-                  <span className="font-bold text-purple-600">{questions.length * difficultySettings[selectedDifficulty].points}</span> possible points
+                  <span className="font-bold text-purple-600">{maxScore}</span> possible points
                 </p>
                 
                 <div className="mb-6">
                   <div className="text-4xl font-bold text-gray-800 mb-2">
-                    {Math.round((score / (questions.length * difficultySettings[selectedDifficulty].points)) * 100)}%
+                    {maxScore > 0 ? Math.max(0, Math.round((score / maxScore) * 100)) : 0}%
                   </div>
                   <p className="text-gray-600">
-                    {score === questions.length * difficultySettings[selectedDifficulty].points
+                    {answers.length > 0 && answers.every(answer => answer.isCorrect)
                       ? 'Perfect! You got everything right! 🎉'
-                      : score >= (questions.length * difficultySettings[selectedDifficulty].points) * 0.8
+                      : score >= maxScore * 0.8
                       ? 'Great job! You did really well! 👏'
-                      : score >= (questions.length * difficultySettings[selectedDifficulty].points) * 0.6
+                      : score >= maxScore * 0.6
                       ? 'Good effort! Keep learning! 💪'
                       : 'Keep studying and try again! 📚'}
                   </p>
                 </div>
 
-                <motion.button
-                  whileHover={{ scale: 1.05 }}
-                  whileTap={{ scale: 0.95 }}
-                  onClick={resetQuiz}
-                  className="bg-gradient-to-r from-purple-500 to-blue-500 text-white px-8 py-3 rounded-lg font-semibold shadow-lg hover:shadow-xl transition-all duration-200 inline-flex items-center"
-                >
-                  <RotateCcw className="w-5 h-5 mr-2" />
-                  Try Again
-                </motion.button>
+                {/* Score Breakdown */}
+                <div className="mb-6 mx-auto max-w-sm text-sm text-left bg-gray-50 rounded-lg p-4">
+                  <h3 className="font-semibold text-gray-800 mb-2">How your score was built</h3>
+                  {scoreSummary.parts.map(part => (
+                    <div key={part.key} className="flex justify-between py-0.5 text-gray-700">
+                      <span>{part.label}</span>
+                      <span className={part.points < 0 ? 'text-red-600' : ''}>{part.points > 0 && part.key !== 'base' ? '+' : ''}{part.points}</span>
+                    </div>
+                  ))}
+                  <div className="flex justify-between pt-1 mt-1 border-t border-gray-200 font-semibold text-gray-800">
+                    <span>Total</span>
+                    <span>{scoreSummary.total}</span>
+                  </div>
+                  {scoringOptions.streaks && (
+                    <p className="mt-2 text-xs text-gray-500">Best streak: {scoreSummary.bestStreak} in a row</p>
+                  )}
+                </div>
+
+                {/* Answer Review */}
+                <QuizReview
+                  questions={questions}
+                  answers={answers}
+                  typeLabels={questionTypeLabels}
+                  onSaveToDeck={profile ? addToReviewDeck : null}
+                />
+
+                {!isReview && !isRetry && (
+                  <ShareQuizPanel
+                    questions={questions}
+                    category={sharedQuiz ? sharedQuiz.category : selectedCategory}
+                    sharedQuizId={sharedQuiz?.id}
+                  />
+                )}
+
+                <div className="flex flex-wrap justify-center gap-3">
+                  <motion.button
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                    onClick={resetQuiz}
+                    className="bg-gradient-to-r from-purple-500 to-blue-500 text-white px-8 py-3 rounded-lg font-semibold shadow-lg hover:shadow-xl transition-all duration-200 inline-flex items-center"
+                  >
+                    <RotateCcw className="w-5 h-5 mr-2" />
+                    Try Again
+                  </motion.button>
+                  {answers.some(answer => !answer.isCorrect) && (
+                    <motion.button
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                      onClick={retryMissed}
+                      className="px-6 py-3 rounded-lg font-semibold border-2 border-purple-500 text-purple-600 hover:bg-purple-50 transition-all duration-200 inline-flex items-center"
+                    >
+                      <Repeat className="w-5 h-5 mr-2" />
+                      Retry the {answers.filter(answer => !answer.isCorrect).length} I Missed
+                    </motion.button>
+                  )}
+                </div>
               </motion.div>
             )}
           </AnimatePresence>
+          )}
         </motion.div>
       </div>
+      {showDebugDrawer && <DebugDrawer />}
     </div>
   );
 };
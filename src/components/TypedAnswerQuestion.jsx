@@ -0,0 +1,63 @@
+import React, { useState } from 'react';
+import { CheckCircle, XCircle } from 'lucide-react';
+import { describeAnswer } from '../services/answerScoring';
+
+/**
+ * Numeric or short-answer question: type the answer and press Enter
+ * Remount (key) per question so the input is cleared.
+ */
+const TypedAnswerQuestion = ({ question, showResult, selectedAnswer, isCorrect, onSubmit }) => {
+  const [text, setText] = useState('');
+  const isNumeric = question.type === 'numeric';
+
+  const submit = (event) => {
+    event.preventDefault();
+    if (!text.trim() || showResult) return;
+    onSubmit(text.trim());
+  };
+
+  return (
+    <form onSubmit={submit} className="mb-6">
+      <div className="flex items-center gap-2">
+        <input
+          value={showResult ? selectedAnswer ?? '' : text}
+          onChange={(event) => setText(event.target.value)}
+          disabled={showResult}
+          autoFocus
+          inputMode={isNumeric ? 'decimal' : 'text'}
+          placeholder={isNumeric ? 'Enter a number' : 'Type your answer'}
+          className={`flex-1 p-4 rounded-lg text-lg transition-all duration-200 ${
+            showResult
+              ? isCorrect
+                ? 'bg-green-100 border-2 border-green-500 text-green-800'
+                : 'bg-red-100 border-2 border-red-500 text-red-800'
+              : 'bg-gray-50 border border-gray-200 text-gray-800'
+          }`}
+        />
+        {isNumeric && question.unit && <span className="text-lg text-gray-600">{question.unit}</span>}
+      </div>
+      {showResult ? (
+        <div className="flex items-center justify-center mt-3 text-sm">
+          {isCorrect
+            ? <CheckCircle className="w-5 h-5 text-green-500 mr-2" />
+            : <XCircle className="w-5 h-5 text-red-500 mr-2" />}
+          <span className="text-gray-700">
+            {isCorrect ? 'Correct!' : 'Correct answer:'} {!isCorrect && <strong>{describeAnswer(question, question.correct)}</strong>}
+          </span>
+        </div>
+      ) : (
+        <div className="text-center mt-4">
+          <button
+            type="submit"
+            disabled={!text.trim()}
+            className="px-6 py-2 rounded-lg bg-purple-500 text-white font-medium disabled:bg-gray-300"
+          >
+            Submit Answer
+          </button>
+        </div>
+      )}
+    </form>
+  );
+};
+
+export default TypedAnswerQuestion;
@@ -0,0 +1,34 @@
+import { Tag, Sparkles, Landmark, Music, Palette, Trophy, Leaf, Film, Heart, BookOpen, Globe, Cpu, FlaskConical } from 'lucide-react';
+
+// Icons a custom category can use, by the name stored with the category
+const CATEGORY_ICONS = {
+  tag: Tag,
+  sparkles: Sparkles,
+  landmark: Landmark,
+  music: Music,
+  palette: Palette,
+  trophy: Trophy,
+  leaf: Leaf,
+  film: Film,
+  heart: Heart,
+  book: BookOpen,
+  globe: Globe,
+  cpu: Cpu,
+  flask: FlaskConical
+};
+
+// Gradient colours a custom category can use (full class names so Tailwind keeps them)
+const CATEGORY_COLORS = [
+  'from-rose-500 to-red-500',
+  'from-amber-500 to-orange-500',
+  'from-lime-500 to-green-500',
+  'from-teal-500 to-cyan-500',
+  'from-sky-500 to-indigo-500',
+  'from-fuchsia-500 to-purple-500',
+  'from-slate-500 to-gray-600'
+];
+
+const DEFAULT_CATEGORY_ICON = 'tag';
+const DEFAULT_CATEGORY_COLOR = CATEGORY_COLORS[CATEGORY_COLORS.length - 1];
+
+export { CATEGORY_ICONS, CATEGORY_COLORS, DEFAULT_CATEGORY_ICON, DEFAULT_CATEGORY_COLOR };
@@ -0,0 +1,240 @@
+/**
+ * Seed Questions
+ * Built-in questions that seed the local question bank and serve as the fallback
+ * when no LLM provider is available. Plain ES module so both the browser bundle
+ * and the Node API server can import it.
+ */
+
+const seedQuestions = [
+  {
+    id: 1,
+    category: "science",
+    difficulty: "easy",
+    type: "multiple-choice",
+    question: "Which planet is known as the Red Planet?",
+    options: ["Venus", "Mars", "Jupiter", "Saturn"],
+    correct: 1,
+    explanation: "Mars is called the Red Planet due to iron oxide on its surface."
+  },
+  {
+    id: 2,
+    category: "science",
+    difficulty: "easy",
+    type: "true-false",
+    question: "Water boils at 100 degrees Celsius at sea level.",
+    correct: true,
+    explanation: "Yes, water boils at 100°C (212°F) at standard atmospheric pressure."
+  },
+  {
+    id: 3,
+    category: "science",
+    difficulty: "medium",
+    type: "true-false",
+    question: "The human body has 206 bones.",
+    correct: true,
+    explanation: "Yes, the adult human body has 206 bones."
+  },
+  {
+    id: 4,
+    category: "science",
+    difficulty: "medium",
+    type: "multiple-choice",
+    question: "What is the chemical symbol for gold?",
+    options: ["Go", "Gd", "Au", "Ag"],
+    correct: 2,
+    explanation: "Au is the chemical symbol for gold (from Latin 'aurum')."
+  },
+  {
+    id: 5,
+    category: "science",
+    difficulty: "hard",
+    type: "multiple-choice",
+    question: "What is the speed of light in a vacuum?",
+    options: ["300,000 km/s", "150,000 km/s", "450,000 km/s", "299,792 km/s"],
+    correct: 3,
+    explanation: "The speed of light in a vacuum is exactly 299,792,458 meters per second (approximately 300,000 km/s)."
+  },
+  {
+    id: 6,
+    category: "history",
+    difficulty: "easy",
+    type: "multiple-choice",
+    question: "In which year did World War II end?",
+    options: ["1944", "1945", "1946", "1947"],
+    correct: 1,
+    explanation: "World War II ended in 1945."
+  },
+  {
+    id: 7,
+    category: "history",
+    difficulty: "easy",
+    type: "true-false",
+    question: "The United States declared independence in 1776.",
+    correct: true,
+    explanation: "Yes, the Declaration of Independence was signed on July 4, 1776."
+  },
+  {
+    id: 8,
+    category: "history",
+    difficulty: "medium",
+    type: "multiple-choice",
+    question: "Who was the first person to walk on the moon?",
+    options: ["Buzz Aldrin", "Neil Armstrong", "Michael Collins", "John Glenn"],
+    correct: 1,
+    explanation: "Neil Armstrong was the first person to walk on the moon on July 20, 1969."
+  },
+  {
+    id: 9,
+    category: "history",
+    difficulty: "hard",
+    type: "multiple-choice",
+    question: "The Renaissance period began in which country?",
+    options: ["France", "Germany", "Italy", "Spain"],
+    correct: 2,
+    explanation: "The Renaissance began in Italy in the 14th century, particularly in Florence."
+  },
+  {
+    id: 10,
+    category: "geography",
+    difficulty: "easy",
+    type: "multiple-choice",
+    question: "What is the capital of France?",
+    options: ["London", "Berlin", "Paris", "Madrid"],
+    correct: 2,
+    explanation: "Paris is the capital of France."
+  },
+  {
+    id: 11,
+    category: "geography",
+    difficulty: "easy",
+    type: "true-false",
+    question: "Mount Everest is the tallest mountain in the world.",
+    correct: true,
+    explanation: "Yes, Mount Everest is the highest peak above sea level at 8,848 meters (29,029 feet)."
+  },
+  {
+    id: 12,
+    category: "geography",
+    difficulty: "medium",
+    type: "multiple-choice",
+    question: "Which is the largest ocean on Earth?",
+    options: ["Atlantic", "Indian", "Arctic", "Pacific"],
+    correct: 3,
+    explanation: "The Pacific Ocean is the largest ocean, covering about one-third of Earth's surface."
+  },
+  {
+    id: 13,
+    category: "geography",
+    difficulty: "hard",
+    type: "multiple-choice",
+    question: "What is the deepest point in the ocean?",
+    options: ["Mariana Trench", "Puerto Rico Trench", "Java Trench", "Tonga Trench"],
+    correct: 0,
+    explanation: "The Mariana Trench in the Pacific Ocean is the deepest point, reaching about 11,034 meters (36,201 feet)."
+  },
+  {
+    id: 14,
+    category: "technology",
+    difficulty: "easy",
+    type: "true-false",
+    question: "HTML stands for HyperText Markup Language.",
+    correct: true,
+    explanation: "Yes, HTML stands for HyperText Markup Language."
+  },
+  {
+    id: 15,
+    category: "technology",
+    difficulty: "easy",
+    type: "multiple-choice",
+    question: "What does CPU stand for?",
+    options: ["Central Processing Unit", "Computer Personal Unit", "Central Program Utility", "Computer Processing Unit"],
+    correct: 0,
+    explanation: "CPU stands for Central Processing Unit, the main processor in a computer."
+  },
+  {
+    id: 16,
+    category: "technology",
+    difficulty: "medium",
+    type: "multiple-choice",
+    question: "Which programming language was created by Guido van Rossum?",
+    options: ["Java", "Python", "JavaScript", "C++"],
+    correct: 1,
+    explanation: "Python was created by Guido van Rossum and first released in 1991."
+  },
+  {
+    id: 17,
+    category: "technology",
+    difficulty: "hard",
+    type: "multiple-choice",
+    question: "What is the time complexity of binary search?",
+    options: ["O(n)", "O(log n)", "O(n log n)", "O(1)"],
+    correct: 1,
+    explanation: "Binary search has O(log n) time complexity because it eliminates half of the search space in each iteration."
+  },
+  {
+    id: 101,
+    category: "science",
+    difficulty: "easy",
+    type: "spot-hallucination",
+    question: "Which claim about the Moon is fabricated?",
+    claims: [
+      "The Moon orbits the Earth roughly once every 27 days.",
+      "Neil Armstrong first walked on the Moon in 1969.",
+      "The Moon has a thick atmosphere made mostly of nitrogen.",
+      "The same side of the Moon always faces the Earth."
+    ],
+    correct: 2,
+    hallucinatedSpan: "a thick atmosphere made mostly of nitrogen",
+    explanation: "The Moon has only an extremely thin exosphere, not a thick nitrogen atmosphere."
+  },
+  {
+    id: 102,
+    category: "history",
+    difficulty: "medium",
+    type: "spot-hallucination",
+    question: "Which claim about the printing press is fabricated?",
+    claims: [
+      "Johannes Gutenberg developed his movable-type press in Mainz.",
+      "The Gutenberg Bible was printed in the 1450s.",
+      "Gutenberg's press used movable metal type.",
+      "Gutenberg was knighted by Queen Elizabeth I for his invention."
+    ],
+    correct: 3,
+    hallucinatedSpan: "knighted by Queen Elizabeth I",
+    explanation: "Gutenberg died in 1468, decades before Elizabeth I was born; he was never knighted by an English monarch."
+  },
+  {
+    id: 103,
+    category: "geography",
+    difficulty: "easy",
+    type: "spot-hallucination",
+    question: "Which claim about Australia is fabricated?",
+    claims: [
+      "Canberra is the capital of Australia.",
+      "The Great Barrier Reef lies off the coast of Queensland.",
+      "Australia is both a country and a continent.",
+      "Mount Kosciuszko, Australia's highest peak, is over 5,000 meters tall."
+    ],
+    correct: 3,
+    hallucinatedSpan: "over 5,000 meters tall",
+    explanation: "Mount Kosciuszko is about 2,228 meters tall."
+  },
+  {
+    id: 104,
+    category: "technology",
+    difficulty: "medium",
+    type: "spot-hallucination",
+    question: "Which claim about the World Wide Web is fabricated?",
+    claims: [
+      "Tim Berners-Lee proposed the World Wide Web in 1989.",
+      "The Web was first developed at CERN.",
+      "The first website went online in 1975.",
+      "HTTP is the protocol used to transfer web pages."
+    ],
+    correct: 2,
+    hallucinatedSpan: "in 1975",
+    explanation: "The first website went online at CERN in 1991."
+  }
+];
+
+export default seedQuestions;
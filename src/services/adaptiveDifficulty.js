@@ -0,0 +1,113 @@
+/**
+ * Adaptive Difficulty
+ * Elo-style ratings for players and questions. A player's rating rises when they answer
+ * questions above their level (quickly), a question's rating rises when players miss it.
+ * Adaptive quizzes ask for questions rated so the player is expected to get ~70% right.
+ */
+
+// Rating of a new player, and of a medium question nobody has answered yet
+const DEFAULT_RATING = 1000;
+// Starting ratings of unanswered questions by their labelled difficulty
+const DIFFICULTY_RATINGS = {
+  easy: 800,
+  medium: 1000,
+  hard: 1200
+};
+const MIN_RATING = 100;
+const MAX_RATING = 3000;
+// Success rate adaptive quizzes aim for - hard enough to learn, easy enough to keep playing
+const TARGET_SUCCESS_RATE = 0.7;
+// Questions within this distance of the target rating count as a match
+const RATING_WINDOW = 150;
+// Share of a correct answer's score that depends on speed (an instant answer scores 1, a last-second one 0.8)
+const SPEED_WEIGHT = 0.2;
+// Players move fast while their rating is provisional, questions move slowly
+const PROVISIONAL_ANSWERS = 10;
+const PLAYER_K_PROVISIONAL = 48;
+const PLAYER_K = 24;
+const QUESTION_K = 16;
+
+const clampRating = (rating) => Math.min(MAX_RATING, Math.max(MIN_RATING, Math.round(rating)));
+
+const isRating = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Current rating of a question - its learned rating, else the start rating of its difficulty
+ */
+const questionRating = (question) => (
+  isRating(question.rating) ? question.rating : (DIFFICULTY_RATINGS[question.difficulty] ?? DEFAULT_RATING)
+);
+
+/**
+ * Probability (0..1) that a player of `playerRating` answers a question of `rating` correctly
+ */
+const expectedScore = (playerRating, rating) => 1 / (1 + 10 ** ((rating - playerRating) / 400));
+
+/**
+ * Observed score of one answer (0..1) - credit, lowered a little for slow correct answers
+ * @param {Object} outcome - { isCorrect, credit, timeTaken, timeLimit } - credit overrides isCorrect
+ */
+const performanceScore = ({ isCorrect, credit, timeTaken, timeLimit }) => {
+  const base = typeof credit === 'number' ? credit : (isCorrect ? 1 : 0);
+  if (base === 0 || !(timeLimit > 0) || typeof timeTaken !== 'number') return base;
+  const slowness = Math.min(Math.max(timeTaken / timeLimit, 0), 1);
+  return base * (1 - SPEED_WEIGHT * slowness);
+};
+
+/**
+ * Update the player's and the question's rating after one answer
+ * @param {Object} player - { rating, ratedAnswers } - ratedAnswers counts the answers behind the rating
+ * @param {Object} question - The answered question
+ * @param {Object} outcome - See performanceScore
+ * @returns {Object} { player: { rating, ratedAnswers }, questionRating }
+ */
+const updateRatings = (player, question, outcome) => {
+  const playerRating = isRating(player.rating) ? player.rating : DEFAULT_RATING;
+  const ratedAnswers = player.ratedAnswers || 0;
+  const rating = questionRating(question);
+  const surprise = performanceScore(outcome) - expectedScore(playerRating, rating);
+  const playerK = ratedAnswers < PROVISIONAL_ANSWERS ? PLAYER_K_PROVISIONAL : PLAYER_K;
+
+  return {
+    player: { rating: clampRating(playerRating + playerK * surprise), ratedAnswers: ratedAnswers + 1 },
+    questionRating: clampRating(rating - QUESTION_K * surprise)
+  };
+};
+
+/**
+ * Question rating to ask for next, so the player is expected to succeed TARGET_SUCCESS_RATE of the time
+ */
+const targetQuestionRating = (playerRating = DEFAULT_RATING) => clampRating(
+  playerRating + 400 * Math.log10((1 - TARGET_SUCCESS_RATE) / TARGET_SUCCESS_RATE)
+);
+
+/**
+ * Difficulty label whose start rating is closest to `rating`
+ */
+const ratingToDifficulty = (rating) => Object.entries(DIFFICULTY_RATINGS)
+  .reduce((best, [difficulty, start]) => (
+    Math.abs(start - rating) < Math.abs(DIFFICULTY_RATINGS[best] - rating) ? difficulty : best
+  ), 'medium');
+
+/**
+ * Keep the questions within RATING_WINDOW of the target rating, closest first
+ */
+const selectByRating = (questions, rating) => questions
+  .map(question => ({ question, distance: Math.abs(questionRating(question) - rating) }))
+  .filter(({ distance }) => distance <= RATING_WINDOW)
+  .sort((a, b) => a.distance - b.distance)
+  .map(({ question }) => question);
+
+export {
+  questionRating,
+  expectedScore,
+  performanceScore,
+  updateRatings,
+  targetQuestionRating,
+  ratingToDifficulty,
+  selectByRating,
+  isRating,
+  DEFAULT_RATING,
+  MIN_RATING,
+  MAX_RATING
+};
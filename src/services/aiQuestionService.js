@@ -2,86 +2,115 @@
  * AI Question Generation Service
  * Generates fact-based quiz questions using AI
  * Also saves questions to Hugging Face dataset/repo for reuse
+ * Runs inside the API server (server/index.js) - the browser reaches it through questionApiClient
  */
 
-import { saveQuestionsToRepo, loadQuestionsFromRepo, filterQuestionsFromRepo } from './huggingFaceRepoService';
+import { saveQuestionsToRepo, loadQuestionsFromRepo, loadReportsFromRepo, filterQuestionsFromRepo } from './huggingFaceRepoService.js';
+import { createRandom, pickOne } from './seededRandom.js';
+import { getProviderFromEnv } from './llmProviders.js';
+import { validateQuestions, questionKey } from './questionSchema.js';
+import { createQuestionStreamParser } from './questionStreamParser.js';
+import { applyVerification, getVerificationSettingsFromEnv, verificationSource, isAISource } from './verificationService.js';
+import { QUIZ_MODES, modeConfig } from './quizModes.js';
+import { readSetting } from './serverEnv.js';
+import { isRating, ratingToDifficulty } from './adaptiveDifficulty.js';
+import { describeCategory, normalizeTopic } from './categories.js';
+import { chunkDocument, spreadChunks, checkCitation } from './documentGrounding.js';
+import { createLogger } from './logger.js';
+import { startTrace, startTraceRequest, endTraceRequest, traceDelivered, finishTrace } from './generationTrace.js';
+import seedQuestions from '../data/seedQuestions.js';
 
-const generateQuestionsWithAI = async (category, difficulty, count) => {
-  // Get Hugging Face API token and repo ID from environment variables
-  const API_TOKEN = import.meta.env.VITE_HUGGINGFACE_API_TOKEN || '';
-  const REPO_ID = import.meta.env.VITE_HUGGINGFACE_REPO_ID || '';
-  
-  // Try to load questions from repo first (if repo is configured) - but don't block if it fails
-  // Skip repo loading if it's taking too long or failing - prioritize API generation
-  if (REPO_ID && API_TOKEN) {
-    try {
-      console.log('📦 Checking repo for existing questions...');
-      const repoQuestions = await Promise.race([
-        loadQuestionsFromRepo(REPO_ID, API_TOKEN),
-        new Promise((_, reject) => setTimeout(() => reject(new Error('Repo load timeout')), 2000))
-      ]);
-      if (repoQuestions && repoQuestions.length > 0) {
-        const filtered = filterQuestionsFromRepo(repoQuestions, category, difficulty, count);
-        if (filtered.length >= count) {
-          console.log(`✅ Using ${filtered.length} questions from Hugging Face repo`);
-          return filtered;
-        } else {
-          console.log(`📦 Found ${filtered.length} questions in repo, need ${count}. Generating more via API...`);
-        }
-      } else {
-        console.log('📦 No questions found in repo, generating new ones via API...');
-      }
-    } catch (error) {
-      console.log('📦 Could not load from repo (non-critical, continuing with API):', error.message);
-      // Continue to generate new questions - don't let repo errors block API calls
-    }
-  }
-  
-  if (!API_TOKEN) {
-    console.warn('⚠️ No Hugging Face API token found. Using fallback questions.');
-    console.warn('💡 Add VITE_HUGGINGFACE_API_TOKEN to your .env file');
-    return generateFallbackQuestions(category, difficulty, count);
-  }
+// Follow-up batch requests allowed when the model returns fewer questions than asked for
+const MAX_TOP_UP_ATTEMPTS = 3;
+// Repo questions are skipped when loading them takes longer than this - generation goes ahead
+const REPO_LOAD_TIMEOUT_MS = 2000;
+// How many already-collected questions are quoted back to the model to avoid repeats
+const MAX_EXCLUDED_IN_PROMPT = 20;
+// Passages quoted in one grounded prompt (document quizzes)
+const PASSAGES_PER_PROMPT = 4;
+// Quote and passage id make grounded questions longer than classic ones
+const TOKENS_PER_GROUNDED_QUESTION = 300;
+// Document quizzes use the types whose answer can be checked against a quote
+const GROUNDED_TYPES = ['multiple-choice', 'true-false'];
 
-  console.log('✅ API token found, generating questions with Hugging Face...');
+// Question formats that suit a category best, suggested in classic prompts
+const CATEGORY_FORMAT_HINTS = {
+  history: 'Use "ordering" for putting events in chronological order.',
+  geography: 'Use "numeric" for heights, lengths, areas and populations.',
+  science: 'Use "numeric" for measurable quantities and constants.'
+};
 
-  try {
-    const categoryDescription = {
-      science: "science, biology, chemistry, physics, astronomy, and natural sciences",
-      history: "world history, historical events, famous people, and historical facts",
-      geography: "geography, countries, capitals, landmarks, natural features, and world geography",
-      technology: "technology, computers, programming, internet, software, and tech innovations"
-    };
-
-    const difficultyDescription = {
-      easy: "easy and straightforward",
-      medium: "moderately challenging",
-      hard: "difficult and advanced"
-    };
-
-    const categoryDesc = category 
-      ? categoryDescription[category] 
-      : "general knowledge across science, history, geography, and technology";
-    
-    const difficultyDesc = difficultyDescription[difficulty] || "moderately challenging";
-
-    // Add randomness to ensure different questions each time
-    const randomSeed = Date.now() + Math.random() * 1000;
-    const uniqueTopics = [
-      "specific historical events", "scientific discoveries", "geographical features", 
-      "technological innovations", "famous people", "natural phenomena", 
-      "cultural facts", "scientific principles", "world landmarks", "tech history"
-    ];
-    const randomTopic = uniqueTopics[Math.floor(Math.random() * uniqueTopics.length)];
-    
-    // Format prompt for instruction-following models (Llama/Mistral format)
-    const prompt = `You are a quiz question generator. Generate exactly ${count} ${difficultyDesc} fact-based quiz questions about ${categoryDesc}.
+const log = createLogger('generation');
+
+const difficultyDescription = {
+  easy: "easy and straightforward",
+  medium: "moderately challenging",
+  hard: "difficult and advanced"
+};
+
+/**
+ * Difficulty wording for prompts; a target rating (adaptive quizzes) is spelled out on the rating scale
+ */
+const describeDifficulty = (difficulty, rating) => {
+  const description = difficultyDescription[difficulty] || "moderately challenging";
+  return isRating(rating)
+    ? `${description} (difficulty rating about ${rating}, on a scale where 800 is easy, 1000 is medium and 1200 is hard)`
+    : description;
+};
+
+/**
+ * Prompt suffix listing questions the model must not repeat
+ */
+const buildExclusionNote = (excludeQuestions) => {
+  const excluded = excludeQuestions
+    .slice(-MAX_EXCLUDED_IN_PROMPT)
+    .map(q => `- ${q.type === 'spot-hallucination' ? q.claims.join(' ') : q.question}`)
+    .join('\n');
+  return excluded
+    ? `\n\nThese questions already exist. Do NOT repeat or rephrase any of them:\n${excluded}`
+    : '';
+};
+
+/**
+ * Build the instruction prompt for a batch of questions
+ * @param {string|null} category - Category key or null for mixed
+ * @param {string} difficulty - easy | medium | hard
+ * @param {number} count - Number of questions to ask for
+ * @param {Array} excludeQuestions - Questions the model must not repeat (used for top-up batches)
+ * @param {Object} promptOptions - { rating, topic, random } - target difficulty rating of adaptive quizzes,
+ *   the description of a custom category or free-text topic and the random source of seeded quizzes (all optional)
+ */
+const buildQuestionPrompt = (category, difficulty, count, excludeQuestions = [], { rating, topic, random = Math.random } = {}) => {
+  const categoryDesc = describeCategory(category, topic);
+  
+  const difficultyDesc = describeDifficulty(difficulty, rating);
+
+  // Add randomness to ensure different questions each time
+  const uniqueTopics = [
+    "specific historical events", "scientific discoveries", "geographical features", 
+    "technological innovations", "famous people", "natural phenomena", 
+    "cultural facts", "scientific principles", "world landmarks", "tech history"
+  ];
+  const randomTopic = pickOne(uniqueTopics, random);
+  // A custom topic is usually narrow - vary within it instead of steering to unrelated themes
+  const focusNote = normalizeTopic(topic)
+    ? 'Cover different aspects of the topic'
+    : `Focus on ${randomTopic}`;
+  const exclusionNote = buildExclusionNote(excludeQuestions);
+  const formatHint = CATEGORY_FORMAT_HINTS[category] ? `\n- ${CATEGORY_FORMAT_HINTS[category]}` : '';
+  
+  // Format prompt for instruction-following models (Llama/Mistral format)
+  return `You are a quiz question generator. Generate exactly ${count} ${difficultyDesc} fact-based quiz questions about ${categoryDesc}.
 
-IMPORTANT: Generate UNIQUE and DIFFERENT questions. Do NOT repeat common questions. Focus on ${randomTopic} and vary the specific topics.
+IMPORTANT: Generate UNIQUE and DIFFERENT questions. Do NOT repeat common questions. ${focusNote} and vary the specific topics.${exclusionNote}
 
 Requirements:
 - Questions must be factual and educational (NOT math problems)
-- Mix of multiple-choice (4 options) and true/false questions
+- Mostly multiple-choice (4 options) and true/false questions, plus some of these formats where they fit:
+  - "multi-select": 4-6 options, "correct" is the array of ALL correct option indices (at least 2, not all)
+  - "ordering": 3-6 items in "options" listed in the CORRECT order, "correct" is [0, 1, 2, ...]
+  - "numeric": "correct" is a number, "tolerance" how far off still counts, optional "unit"
+  - "short-answer": "correct" is a name or term of 1-3 words, "acceptedAnswers" lists other accepted spellings${formatHint}
 - Each question must have a clear correct answer
 - Include brief explanations for each answer
 - Vary the topics within the category - avoid repeating the same questions
@@ -102,429 +131,829 @@ Return ONLY a valid JSON array with this EXACT structure:
     "question": "The Earth is round.",
     "correct": true,
     "explanation": "Yes, the Earth is approximately spherical."
+  },
+  {
+    "type": "multi-select",
+    "question": "Which of these are noble gases?",
+    "options": ["Helium", "Nitrogen", "Neon", "Argon", "Oxygen"],
+    "correct": [0, 2, 3],
+    "explanation": "Helium, neon and argon are noble gases; nitrogen and oxygen are not."
+  },
+  {
+    "type": "ordering",
+    "question": "Put these events in chronological order, earliest first.",
+    "options": ["Fall of the Western Roman Empire", "Norman conquest of England", "Fall of Constantinople"],
+    "correct": [0, 1, 2],
+    "explanation": "476, 1066 and 1453."
+  },
+  {
+    "type": "numeric",
+    "question": "How tall is Mount Everest, in metres?",
+    "correct": 8849,
+    "tolerance": 50,
+    "unit": "m",
+    "explanation": "Mount Everest is 8,849 metres tall."
+  },
+  {
+    "type": "short-answer",
+    "question": "Which scientist proposed the theory of general relativity?",
+    "correct": "Albert Einstein",
+    "acceptedAnswers": ["Einstein"],
+    "explanation": "Einstein published general relativity in 1915."
   }
 ]
 
 Return ONLY the JSON array, no markdown, no code blocks, no additional text.`;
+};
 
-    // Use Hugging Face Inference API with a free open-source model
-    // Try multiple models - some may be faster/more reliable
-    // Using meta-llama/Llama-3.2-3B-Instruct for better JSON generation
-    const model = "meta-llama/Llama-3.2-3B-Instruct";
-    
-    // Alternative models to try if this fails:
-    // "mistralai/Mistral-7B-Instruct-v0.2"
-    // "google/gemma-2b-it"
-    
-    console.log('Calling Hugging Face API via proxy...');
-    console.log('Model:', model);
-    console.log('Prompt length:', prompt.length);
-    
-    // Use Vite proxy to avoid CORS issues
-    const proxyUrl = `/api/huggingface/models/${model}`;
-    console.log('Proxy URL:', proxyUrl);
-    
-    const response = await fetch(proxyUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-HF-Token': API_TOKEN // Pass token in custom header for proxy
-      },
-      body: JSON.stringify({
-        inputs: prompt,
-        parameters: {
-          temperature: 1.2, // Higher temperature for more variety and creativity
-          max_new_tokens: count * 200, // Increased to ensure we get all questions
-          return_full_text: false,
-          top_p: 0.95, // Nucleus sampling for diversity
-          do_sample: true // Enable sampling for randomness
-        }
-      })
-    }).catch(fetchError => {
-      console.error('Fetch error (network/CORS):', fetchError);
-      throw new Error(`Network error: ${fetchError.message}. Make sure dev server is running with proxy enabled.`);
-    });
+/**
+ * Build the prompt for "spot the hallucination" rounds
+ * Each round is a handful of short claims on one topic, exactly one of which contains a fabricated fact
+ */
+const buildHallucinationPrompt = (category, difficulty, count, excludeQuestions = [], { rating, topic } = {}) => {
+  const categoryDesc = describeCategory(category, topic);
+  const difficultyDesc = describeDifficulty(difficulty, rating);
+  const exclusionNote = buildExclusionNote(excludeQuestions);
 
-    console.log('Hugging Face API response status:', response.status);
-    console.log('Response headers:', Object.fromEntries(response.headers.entries()));
-
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      console.error('Hugging Face API error:', errorData);
-      
-      // Handle model loading case
-      if (errorData.error && errorData.error.includes('loading')) {
-        console.warn('Model is loading, this may take 20-30 seconds. Retrying in 5 seconds...');
-        // Wait and retry once
-        await new Promise(resolve => setTimeout(resolve, 5000));
-        return generateQuestionsWithAI(category, difficulty, count); // Retry
-      }
-      
-      throw new Error(`Hugging Face API error: ${response.status} - ${errorData.error || JSON.stringify(errorData) || response.statusText}`);
-    }
+  return `You are designing a "spot the hallucination" game. Generate exactly ${count} ${difficultyDesc} rounds about ${categoryDesc}.
 
-    const data = await response.json();
-    console.log('Hugging Face API response data:', data);
-    
-    // Hugging Face returns different formats depending on the model
-    let content = '';
-    if (Array.isArray(data)) {
-      // Array format: [{generated_text: "..."}]
-      if (data[0]?.generated_text) {
-        content = data[0].generated_text.trim();
-      } else if (data[0]?.text) {
-        content = data[0].text.trim();
-      }
-    } else if (data.generated_text) {
-      // Direct format: {generated_text: "..."}
-      content = data.generated_text.trim();
-    } else if (data[0]?.generated_text) {
-      // Nested array format
-      content = data[0].generated_text.trim();
+Each round is 4 short factual claims about ONE specific topic. Exactly ONE claim contains a single fabricated fact
+(a wrong date, name, number or place) that sounds plausible. The other 3 claims must be completely true.${exclusionNote}
+
+Requirements:
+- "correct" is the 0-based index of the fabricated claim
+- "hallucinatedSpan" is the exact fabricated words, copied verbatim from that claim (a few words, not the whole claim)
+- "explanation" says what the true fact is
+- Vary which position holds the fabricated claim
+
+Return ONLY a valid JSON array with this EXACT structure:
+[
+  {
+    "type": "spot-hallucination",
+    "question": "Which claim about the Eiffel Tower is fabricated?",
+    "claims": [
+      "The Eiffel Tower was completed in 1889.",
+      "It was designed by the engineer Isambard Kingdom Brunel.",
+      "It was built for the 1889 World's Fair.",
+      "It is made mostly of wrought iron."
+    ],
+    "correct": 1,
+    "hallucinatedSpan": "Isambard Kingdom Brunel",
+    "explanation": "The tower was designed by Gustave Eiffel's company; Brunel was a British engineer who died in 1859."
+  }
+]
+
+Return ONLY the JSON array, no markdown, no code blocks, no additional text.`;
+};
+
+/**
+ * Build the prompt for questions grounded only in passages of a user document
+ * @param {Array} passages - [{ id, text }] from chunkDocument
+ * @param {string} title - Document title
+ * @param {string} difficulty - easy | medium | hard
+ * @param {number} count - Number of questions to ask for
+ * @param {Array} excludeQuestions - Questions the model must not repeat
+ */
+const buildGroundedPrompt = (passages, title, difficulty, count, excludeQuestions = []) => {
+  const difficultyDesc = describeDifficulty(difficulty);
+  const exclusionNote = buildExclusionNote(excludeQuestions);
+  const passageText = passages.map(passage => `[${passage.id}]\n${passage.text}`).join('\n\n');
+
+  return `You are a quiz question generator. Generate exactly ${count} ${difficultyDesc} quiz questions about the document "${title}".
+
+Use ONLY the passages below. Every fact in a question, its answer and its explanation must be stated in the passages.
+Do NOT use outside knowledge, even if you believe it is true.${exclusionNote}
+
+PASSAGES:
+${passageText}
+
+Requirements:
+- Mix of multiple-choice (4 options) and true/false questions
+- "passage" is the id of the passage that supports the answer (e.g. "${passages[0].id}")
+- "quote" is the sentence from that passage that proves the answer, copied word for word
+- For multiple-choice, the correct option must appear in the quote
+- Spread the questions over the passages
+
+Return ONLY a valid JSON array with this EXACT structure:
+[
+  {
+    "type": "multiple-choice",
+    "question": "According to the document, when was the bridge completed?",
+    "options": ["1889", "1901", "1923", "1937"],
+    "correct": 2,
+    "explanation": "The document says the bridge was completed in 1923.",
+    "passage": "${passages[0].id}",
+    "quote": "The bridge was completed in 1923 after six years of work."
+  },
+  {
+    "type": "true-false",
+    "question": "The bridge took six years to build.",
+    "correct": true,
+    "explanation": "Construction took six years.",
+    "passage": "${passages[0].id}",
+    "quote": "The bridge was completed in 1923 after six years of work."
+  }
+]
+
+Return ONLY the JSON array, no markdown, no code blocks, no additional text.`;
+};
+
+const promptBuilders = {
+  classic: buildQuestionPrompt,
+  'spot-hallucination': buildHallucinationPrompt
+};
+
+/**
+ * Provider parameters for a batch of `count` questions in the given mode
+ */
+const generationParams = (count, mode) => ({
+  count,
+  temperature: 1.2, // Higher temperature for more variety and creativity
+  maxTokens: count * modeConfig(mode).tokensPerQuestion, // Sized to fit every requested question
+  topP: 0.95 // Nucleus sampling for diversity
+});
+
+/**
+ * Keep only questions whose type belongs to the game mode
+ */
+const filterByMode = (questions, mode) => {
+  const { types } = modeConfig(mode);
+  return questions.filter(q => types.includes(q.type));
+};
+
+/**
+ * Extract and parse the JSON array of questions from raw model output
+ * Handles markdown code fences and leading/trailing chatter
+ * @param {string} content - Raw text returned by the provider
+ * @returns {Array} Parsed question objects
+ */
+const parseQuestionsFromContent = (content) => {
+  let jsonContent = content;
+  
+  // Remove markdown code blocks if present
+  if (content.includes('```json')) {
+    const jsonMatch = content.match(/```json\s*([\s\S]*?)\s*```/);
+    if (jsonMatch) {
+      jsonContent = jsonMatch[1].trim();
     } else {
-      console.error('Unexpected response format:', data);
-      throw new Error('Unexpected response format from Hugging Face API. Response: ' + JSON.stringify(data).substring(0, 200));
+      jsonContent = content.replace(/```json\n?/g, '').replace(/```\n?/g, '');
     }
-    
+  } else if (content.includes('```')) {
+    const codeMatch = content.match(/```\s*([\s\S]*?)\s*```/);
+    if (codeMatch) {
+      jsonContent = codeMatch[1].trim();
+    } else {
+      jsonContent = content.replace(/```\n?/g, '');
+    }
+  }
+  
+  // Try to find JSON array in the content if it's not at the start
+  if (!jsonContent.trim().startsWith('[')) {
+    const jsonArrayMatch = jsonContent.match(/\[[\s\S]*\]/);
+    if (jsonArrayMatch) {
+      jsonContent = jsonArrayMatch[0];
+    }
+  }
+  
+  let questions;
+  try {
+    questions = JSON.parse(jsonContent);
+  } catch (parseError) {
+    log.debug('Content that failed to parse:', jsonContent.substring(0, 500));
+    throw new Error(`Failed to parse JSON from AI response: ${parseError.message}`);
+  }
+  
+  // Validate that we got an array
+  if (!Array.isArray(questions)) {
+    throw new Error('AI did not return an array of questions');
+  }
+  return questions;
+};
+
+/**
+ * Parse result of one model response for the generation trace
+ * @param {Array} parsed - Objects parsed from the response
+ * @param {Object} batch - validateQuestions result
+ * @param {Array} valid - Valid questions of the game mode's types
+ * @param {number} offset - Position of the first object in the response (streamed items are checked one at a time)
+ */
+const describeBatch = (parsed, batch, valid, offset = 0) => ({
+  parsed: parsed.length,
+  valid: valid.length,
+  rejected: [
+    ...batch.rejected.map(({ index, reasons }) => `#${offset + index}: ${reasons.join('; ')}`),
+    ...(batch.valid.length > valid.length ? [`${batch.valid.length - valid.length} question(s) of a type outside the game mode`] : [])
+  ]
+});
+
+/**
+ * Ask the provider for one batch of questions and validate the result
+ * @param {string} mode - Game mode (see QUIZ_MODES); questions of other types are discarded
+ * @param {Object} promptOptions - { rating, topic } (see buildQuestionPrompt)
+ * @param {Object} trace - Generation trace the request is recorded in (see generationTrace)
+ * @returns {Object} { valid, rejected } as returned by validateQuestions
+ */
+const requestQuestionBatch = async (provider, category, difficulty, count, excludeQuestions = [], mode = 'classic', promptOptions = {}, trace) => {
+  const prompt = (promptBuilders[mode] || buildQuestionPrompt)(category, difficulty, count, excludeQuestions, promptOptions);
+  log.debug(`Requesting ${count} question(s), prompt length ${prompt.length}`);
+  const request = startTraceRequest(trace, prompt);
+
+  let content;
+  try {
+    content = await provider.generate(prompt, generationParams(count, mode));
     if (!content) {
-      throw new Error('No generated text in response from Hugging Face API');
+      throw new Error(`No generated text in response from provider "${provider.name}"`);
     }
-    
-    console.log('Extracted content length:', content.length);
-    
-    // Extract JSON from response (handle cases where AI adds markdown formatting)
-    let jsonContent = content;
-    
-    // Remove markdown code blocks if present
-    if (content.includes('```json')) {
-      const jsonMatch = content.match(/```json\s*([\s\S]*?)\s*```/);
-      if (jsonMatch) {
-        jsonContent = jsonMatch[1].trim();
-      } else {
-        jsonContent = content.replace(/```json\n?/g, '').replace(/```\n?/g, '');
+    log.debug('Raw model output:', content);
+
+    const parsed = parseQuestionsFromContent(content);
+    const batch = validateQuestions(parsed, 'ai');
+    const valid = filterByMode(batch.valid, mode);
+    endTraceRequest(trace, request, { rawResponse: content, parse: describeBatch(parsed, batch, valid) });
+    return { ...batch, valid };
+  } catch (error) {
+    endTraceRequest(trace, request, { rawResponse: content ?? null, error });
+    throw error;
+  }
+};
+
+/**
+ * Request batches until `count` unique valid questions are collected or the retry budget runs out
+ * The first request's errors propagate so the caller can fall back; later failures end the loop
+ * @param {Object} provider - LLM provider
+ * @param {Object} options
+ * @param {Array} options.existing - Questions already in the quiz (e.g. repo hits), used for dedup
+ * @param {number} options.maxAttempts - Follow-up requests allowed after the first batch
+ * @param {Object|null} options.verification - Settings for applyVerification; dropped questions are topped up
+ * @param {string} options.mode - Game mode (see QUIZ_MODES)
+ * @param {Object} options.promptOptions - { rating, topic } (see buildQuestionPrompt)
+ * @param {Object} options.trace - Generation trace the requests are recorded in
+ * @returns {Array} Validated, unformatted questions (at most `count`)
+ */
+const generateWithTopUp = async (provider, category, difficulty, count, { existing = [], maxAttempts = MAX_TOP_UP_ATTEMPTS, verification = null, mode = 'classic', promptOptions = {}, trace } = {}) => {
+  const seen = new Set(existing.map(questionKey));
+  const collected = [];
+
+  for (let attempt = 0; attempt <= maxAttempts && collected.length < count; attempt++) {
+    const missing = count - collected.length;
+    if (attempt > 0) {
+      log.info(`🔁 Top-up ${attempt}/${maxAttempts}: requesting ${missing} more question(s)...`);
+    }
+
+    let batch;
+    try {
+      batch = await requestQuestionBatch(provider, category, difficulty, missing, [...existing, ...collected], mode, promptOptions, trace);
+    } catch (error) {
+      if (attempt === 0) throw error;
+      log.warn(`⚠️ Top-up request failed, keeping ${collected.length} question(s):`, error.message);
+      break;
+    }
+
+    let duplicates = 0;
+    const unique = [];
+    batch.valid.forEach(q => {
+      const key = questionKey(q);
+      if (seen.has(key)) {
+        duplicates++;
+        return;
       }
-    } else if (content.includes('```')) {
-      const codeMatch = content.match(/```\s*([\s\S]*?)\s*```/);
-      if (codeMatch) {
-        jsonContent = codeMatch[1].trim();
+      seen.add(key);
+      unique.push(q);
+    });
+    if (duplicates > 0) {
+      log.debug(`♻️ Skipped ${duplicates} duplicate question(s)`);
+    }
+
+    collected.push(...await applyVerification(unique, verification));
+  }
+
+  if (collected.length < count) {
+    log.warn(`⚠️ AI only generated ${collected.length} questions after ${maxAttempts} top-up attempts, requested ${count}`);
+  }
+  return collected.slice(0, count);
+};
+
+/**
+ * Append questions from `extra` that are not already in `base`, up to `count`
+ */
+const mergeUnique = (base, extra, count) => {
+  const seen = new Set(base.map(questionKey));
+  const merged = [...base];
+  extra.forEach(q => {
+    const key = questionKey(q);
+    if (merged.length < count && !seen.has(key)) {
+      seen.add(key);
+      merged.push(q);
+    }
+  });
+  return merged;
+};
+
+/**
+ * Load questions matching the filters from the Hugging Face repo, if one is configured
+ * Never throws - repo problems must not block generation
+ * @param {Array} exclude - Questions already in the quiz
+ * @param {number} rating - Target difficulty rating; replaces the difficulty filter when set
+ * @returns {Array} Matching questions (may be more or fewer than `count`)
+ */
+const loadRepoHits = async (category, difficulty, count, mode = 'classic', exclude = [], rating, random = Math.random) => {
+  const API_TOKEN = readSetting('HUGGINGFACE_API_TOKEN');
+  const REPO_ID = readSetting('HUGGINGFACE_REPO_ID');
+  if (!REPO_ID || !API_TOKEN) {
+    return [];
+  }
+
+  // Skip repo loading if it's taking too long or failing - prioritize API generation
+  try {
+    log.debug('📦 Checking repo for existing questions...');
+    let timer;
+    const [repoQuestions, reports] = await Promise.race([
+      Promise.all([loadQuestionsFromRepo(REPO_ID, API_TOKEN), loadReportsFromRepo(REPO_ID, API_TOKEN)]),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error('Repo load timeout')), REPO_LOAD_TIMEOUT_MS);
+      })
+    ]).finally(() => clearTimeout(timer));
+    if (repoQuestions && repoQuestions.length > 0) {
+      const excluded = new Set(exclude.map(questionKey));
+      const candidates = repoQuestions.filter(q => !excluded.has(questionKey(q)));
+      const filtered = filterQuestionsFromRepo(candidates, category, difficulty, count, modeConfig(mode).types, { rating, reports, random });
+      if (filtered.length >= count) {
+        log.info(`✅ Using ${filtered.length} questions from Hugging Face repo`);
       } else {
-        jsonContent = content.replace(/```\n?/g, '');
+        log.info(`📦 Found ${filtered.length} questions in repo, need ${count}. Generating more via API...`);
       }
+      return filtered;
     }
+    log.info('📦 No questions found in repo, generating new ones via API...');
+  } catch (error) {
+    log.warn('📦 Could not load from repo (non-critical, continuing with API):', error.message);
+    // Continue to generate new questions - don't let repo errors block API calls
+  }
+  return [];
+};
+
+/**
+ * Add IDs and metadata to validated AI questions
+ * @param {Object} meta - { category, difficulty, rating, provider } - rating (adaptive quizzes) becomes the
+ *   question's starting rating
+ * @param {number} startIndex - Offset added to the generated IDs (used when formatting one at a time)
+ */
+const formatGeneratedQuestions = (questions, { category, difficulty, rating, provider }, startIndex = 0) => (
+  questions.map((q, index) => ({
+    id: Date.now() + startIndex + index,
+    category: category || 'mixed',
+    difficulty: difficulty,
+    ...(isRating(rating) && { rating }),
+    type: q.type,
+    question: q.question,
+    options: q.options,
+    correct: q.correct,
+    explanation: q.explanation,
+    ...(q.type === 'spot-hallucination' && { claims: q.claims, hallucinatedSpan: q.hallucinatedSpan }),
+    ...(q.type === 'numeric' && { tolerance: q.tolerance, ...(q.unit && { unit: q.unit }) }),
+    ...(q.type === 'short-answer' && { acceptedAnswers: q.acceptedAnswers }),
+    source: verificationSource(q.verification), // Mark as AI-generated, with verification status
+    verification: q.verification || null,
+    provider: provider.name,
+    generatedAt: new Date().toISOString()
+  }))
+);
+
+/**
+ * Save AI-generated questions to the Hugging Face repo in the background
+ * Only AI-generated questions are saved, never fallback questions
+ */
+const saveGeneratedQuestions = (formattedQuestions) => {
+  const API_TOKEN = readSetting('HUGGINGFACE_API_TOKEN');
+  const REPO_ID = readSetting('HUGGINGFACE_REPO_ID');
+
+  // Disputed answers are kept out of the shared bank
+  const aiGenerated = formattedQuestions.filter(q => isAISource(q.source) && q.source !== 'ai-disputed');
+  if (aiGenerated.length === 0) {
+    log.debug('💾 Skipping repo save: No AI-generated questions to save');
+    return;
+  }
+
+  if (!REPO_ID) {
+    log.debug('💾 Skipping repo save: No REPO_ID configured');
+    return;
+  }
+  if (!API_TOKEN) {
+    log.debug('💾 Skipping repo save: No API_TOKEN configured');
+    return;
+  }
+
+  log.debug(`💾 Attempting to save ${aiGenerated.length} AI-generated questions to repo: ${REPO_ID}`);
+  // Don't await - let it run in background
+  saveQuestionsToRepo(aiGenerated, REPO_ID, API_TOKEN)
+    .then(() => {
+      log.debug('✅ Questions saved to repo successfully');
+    })
+    .catch(err => {
+      log.error('❌ Background save to repo failed (non-critical):', err.message);
+      // Don't break the flow - this is a background operation
+    });
+};
+
+/**
+ * Verification settings for a generation call - options.verification overrides the environment
+ */
+const resolveVerificationSettings = (options) => (
+  options.verification !== undefined
+    ? options.verification
+    : getVerificationSettingsFromEnv(seedQuestions)
+);
+
+const logGenerationError = (error, provider) => {
+  log.error(`❌ Error generating AI questions with provider "${provider.name}":`, error.message);
+  log.debug(error.stack);
+  
+  // Show user-friendly error message
+  if (error.message.includes('API error')) {
+    log.warn('⚠️ API call failed. Check your API token and network connection.');
+  } else if (error.message.includes('parse')) {
+    log.warn('⚠️ AI response format issue. The model may need better prompting.');
+  }
+};
+
+/**
+ * Generate quiz questions
+ * @param {string|null} category - Category key or null for mixed
+ * @param {string} requestedDifficulty - easy | medium | hard (replaced by the band of options.rating when set)
+ * @param {number} count - Number of questions
+ * @param {Object} options - { provider, maxTopUpAttempts, verification, mode, exclude, rating, topic, seed } - provider overrides the one
+ *   selected by LLM_PROVIDER, verification overrides VERIFY_QUESTIONS (null disables it),
+ *   mode picks the game mode ("classic" by default, see QUIZ_MODES),
+ *   exclude lists questions the caller already has (never returned, never regenerated),
+ *   rating (adaptive quizzes) is the target difficulty rating and takes precedence over `difficulty`,
+ *   topic describes a custom category or free-text topic for the prompt (`category` is then its key),
+ *   seed makes the repo picks and prompt topics repeatable (see seededRandom)
+ */
+const generateQuestionsWithAI = async (category, requestedDifficulty, count, options = {}) => {
+  const provider = options.provider || getProviderFromEnv();
+  const mode = options.mode || 'classic';
+  const exclude = options.exclude || [];
+  const rating = isRating(options.rating) ? Math.round(options.rating) : undefined;
+  const difficulty = rating === undefined ? requestedDifficulty : ratingToDifficulty(rating);
+  // Seeded quizzes pick the same repo questions and prompt topics every time
+  const random = createRandom(options.seed);
+  const promptOptions = { rating, topic: options.topic, random };
+  
+  const trace = startTrace({ kind: 'batch', category, difficulty, count, mode, provider: provider.name, model: provider.model });
+  
+  // Try to load questions from repo first (if repo is configured) - but don't block if it fails
+  const repoHits = await loadRepoHits(category, difficulty, count, mode, exclude, rating, random);
+  trace.repoHits = repoHits.length;
+  if (repoHits.length >= count) {
+    traceDelivered(trace, count);
+    finishTrace(trace, 'repo');
+    return repoHits.slice(0, count);
+  }
+
+  const fallBack = (reason) => {
+    const questions = mergeUnique(repoHits, generateFallbackQuestions(category, difficulty, count, mode, exclude), count);
+    traceDelivered(trace, questions.length);
+    finishTrace(trace, 'fallback', reason);
+    return questions;
+  };
+  
+  if (!provider.isConfigured()) {
+    log.warn(`⚠️ LLM provider "${provider.name}" is not configured. Using fallback questions.`);
+    log.warn('💡 Set LLM_PROVIDER and its credentials (e.g. HUGGINGFACE_API_TOKEN) in the server .env file');
+    return fallBack(`LLM provider "${provider.name}" is not configured`);
+  }
+
+  log.info(`✅ Generating questions with provider "${provider.name}" (model: ${provider.model})...`);
+
+  try {
+    const limitedQuestions = await generateWithTopUp(provider, category, difficulty, count - repoHits.length, {
+      existing: [...exclude, ...repoHits],
+      maxAttempts: options.maxTopUpAttempts ?? MAX_TOP_UP_ATTEMPTS,
+      verification: resolveVerificationSettings(options),
+      mode,
+      promptOptions,
+      trace
+    });
     
-    // Try to find JSON array in the content if it's not at the start
-    if (!jsonContent.trim().startsWith('[')) {
-      const jsonArrayMatch = jsonContent.match(/\[[\s\S]*\]/);
-      if (jsonArrayMatch) {
-        jsonContent = jsonArrayMatch[0];
-      }
+    if (limitedQuestions.length === 0) {
+      throw new Error('AI returned no valid questions');
     }
     
-    console.log('Attempting to parse JSON, content preview:', jsonContent.substring(0, 200));
+    const formattedQuestions = formatGeneratedQuestions(limitedQuestions, { category, difficulty, rating, provider });
     
-    let questions;
-    try {
-      questions = JSON.parse(jsonContent);
-    } catch (parseError) {
-      console.error('JSON parse error:', parseError);
-      console.error('Content that failed to parse:', jsonContent.substring(0, 500));
-      throw new Error(`Failed to parse JSON from AI response: ${parseError.message}`);
-    }
+    log.info(`✅ Successfully generated ${formattedQuestions.length} AI questions`);
     
-    // Validate that we got an array
-    if (!Array.isArray(questions)) {
-      throw new Error('AI did not return an array of questions');
-    }
+    saveGeneratedQuestions(formattedQuestions);
     
-    // Ensure we have exactly the requested number of questions
-    // If AI generated fewer, we'll use what we have (but log a warning)
-    // If AI generated more, we'll take only the requested count
-    const limitedQuestions = questions.slice(0, count);
+    // Repo hits first, then the newly generated questions
+    const questions = [...repoHits, ...formattedQuestions];
+    traceDelivered(trace, questions.length);
+    finishTrace(trace, 'ai', questions.length < count ? `AI only generated ${formattedQuestions.length} of ${count - repoHits.length} question(s)` : null);
+    return questions;
+
+  } catch (error) {
+    logGenerationError(error, provider);
     
-    if (limitedQuestions.length < count) {
-      console.warn(`AI only generated ${limitedQuestions.length} questions, requested ${count}`);
+    // Fallback to static questions
+    log.info('🔄 Falling back to default questions...');
+    return fallBack(error.message);
+  }
+};
+
+/**
+ * Streaming variant of generateQuestionsWithAI
+ * Yields each question as soon as it is available: repo hits first, then questions parsed
+ * incrementally from the streamed model output, then non-streamed top-up batches and,
+ * if the AI produced nothing, fallback questions. Yields at most `count` unique questions.
+ * @param {string|null} category - Category key or null for mixed
+ * @param {string} requestedDifficulty - easy | medium | hard (replaced by the band of options.rating when set)
+ * @param {number} count - Number of questions
+ * @param {Object} options - Same as generateQuestionsWithAI
+ * @returns {AsyncGenerator<Object>} Formatted question objects
+ */
+async function* streamQuestionsWithAI(category, requestedDifficulty, count, options = {}) {
+  const provider = options.provider || getProviderFromEnv();
+  const mode = options.mode || 'classic';
+  const exclude = options.exclude || [];
+  const rating = isRating(options.rating) ? Math.round(options.rating) : undefined;
+  const difficulty = rating === undefined ? requestedDifficulty : ratingToDifficulty(rating);
+  // Seeded quizzes pick the same repo questions and prompt topics every time
+  const random = createRandom(options.seed);
+  const promptOptions = { rating, topic: options.topic, random };
+  const delivered = [];
+  const seen = new Set(exclude.map(questionKey));
+  const accept = (q) => {
+    const key = questionKey(q);
+    if (delivered.length >= count || seen.has(key)) return false;
+    seen.add(key);
+    delivered.push(q);
+    return true;
+  };
+
+  const trace = startTrace({ kind: 'stream', category, difficulty, count, mode, provider: provider.name, model: provider.model });
+  const deliver = (q) => {
+    if (!accept(q)) return false;
+    traceDelivered(trace);
+    return true;
+  };
+
+  // A closed connection ends the generator early - the trace still gets closed
+  try {
+    const repoHits = await loadRepoHits(category, difficulty, count, mode, exclude, rating, random);
+    trace.repoHits = repoHits.length;
+    for (const q of repoHits) {
+      if (deliver(q)) yield q;
     }
-    
-    // Add IDs and ensure proper formatting
-    const formattedQuestions = limitedQuestions.map((q, index) => ({
-      id: Date.now() + index,
-      category: category || 'mixed',
-      difficulty: difficulty,
-      type: q.type || 'multiple-choice',
-      question: q.question,
-      options: q.options || [],
-      correct: q.correct,
-      explanation: q.explanation || 'No explanation provided.',
-      source: 'ai-generated', // Mark as AI-generated
-      generatedAt: new Date().toISOString()
-    }));
-    
-    console.log(`✅ Successfully generated ${formattedQuestions.length} AI questions`);
-    console.log(`📝 Sample question: "${formattedQuestions[0]?.question?.substring(0, 50)}..."`);
-    
-    // If we got fewer questions than requested, try to generate more
-    if (formattedQuestions.length < count && formattedQuestions.length > 0) {
-      console.log(`Got ${formattedQuestions.length} questions, need ${count}. This is normal if AI response was truncated.`);
+    if (delivered.length >= count) {
+      finishTrace(trace, 'repo');
+      return;
     }
-    
-    // Save questions to Hugging Face repo (background operation, don't wait)
-    // Only save AI-generated questions, not fallback questions
-    if (REPO_ID && API_TOKEN && formattedQuestions.length > 0) {
-      // Check if these are AI-generated (not fallback)
-      const isAIGenerated = formattedQuestions.some(q => q.source === 'ai-generated');
-      if (isAIGenerated) {
-        console.log(`💾 Attempting to save ${formattedQuestions.length} AI-generated questions to repo: ${REPO_ID}`);
-        // Don't await - let it run in background
-        saveQuestionsToRepo(formattedQuestions, REPO_ID, API_TOKEN)
-          .then(() => {
-            console.log('✅ Questions saved to repo successfully');
-          })
-          .catch(err => {
-            console.error('❌ Background save to repo failed (non-critical):', err.message);
-            // Don't break the flow - this is a background operation
+
+    const generated = [];
+    const verification = resolveVerificationSettings(options);
+    let streamFailed = false;
+    let fallbackReason;
+
+    if (provider.isConfigured()) {
+      log.info(`✅ Streaming questions with provider "${provider.name}" (model: ${provider.model})...`);
+      const missing = count - delivered.length;
+      const params = generationParams(missing, mode);
+      const prompt = (promptBuilders[mode] || buildQuestionPrompt)(category, difficulty, missing, [...exclude, ...delivered], promptOptions);
+      const request = startTraceRequest(trace, prompt);
+      const parse = { parsed: 0, valid: 0, rejected: [] };
+      let content = '';
+
+      try {
+        const parser = createQuestionStreamParser();
+        // Providers without streaming support deliver the whole completion as a single chunk
+        const chunks = provider.stream
+          ? provider.stream(prompt, params)
+          : [await provider.generate(prompt, params)];
+
+        // Validate, verify and deliver parsed items one by one
+        const deliverParsed = async function* (items) {
+          for (const raw of items) {
+            parse.parsed++;
+            const batch = validateQuestions([raw], 'ai-stream');
+            const valid = filterByMode(batch.valid, mode);
+            parse.rejected.push(...describeBatch([raw], batch, valid, parse.parsed - 1).rejected);
+            if (valid.length === 0) continue;
+            parse.valid++;
+            if (seen.has(questionKey(valid[0]))) continue;
+            const verified = await applyVerification(valid, verification);
+            if (verified.length === 0) continue;
+            const [formatted] = formatGeneratedQuestions(verified, { category, difficulty, rating, provider }, generated.length);
+            if (deliver(formatted)) {
+              generated.push(formatted);
+              yield formatted;
+            }
+          }
+        };
+
+        for await (const chunk of chunks) {
+          content += chunk || '';
+          yield* deliverParsed(parser.push(chunk));
+          if (delivered.length >= count || parser.isDone()) break;
+        }
+        // Nothing came out of the stream parser (e.g. an array it could not find) - parse the whole completion
+        if (parse.parsed === 0 && content.trim()) {
+          let parsed = [];
+          try {
+            parsed = parseQuestionsFromContent(content);
+          } catch (error) {
+            log.warn('⚠️ Could not parse the streamed completion:', error.message);
+          }
+          yield* deliverParsed(parsed);
+        }
+        log.debug('Raw model output:', content);
+        endTraceRequest(trace, request, { rawResponse: content, parse });
+      } catch (error) {
+        streamFailed = true;
+        fallbackReason = error.message;
+        endTraceRequest(trace, request, { rawResponse: content, parse, error });
+        logGenerationError(error, provider);
+      }
+
+      // Top up whatever the stream did not deliver, using the remaining retry budget
+      if (delivered.length < count && (!streamFailed || generated.length > 0)) {
+        const budget = Math.max((options.maxTopUpAttempts ?? MAX_TOP_UP_ATTEMPTS) - 1, 0);
+        try {
+          const rest = await generateWithTopUp(provider, category, difficulty, count - delivered.length, {
+            existing: [...exclude, ...delivered],
+            maxAttempts: budget,
+            verification,
+            mode,
+            promptOptions,
+            trace
           });
-      } else {
-        console.log('💾 Skipping repo save: Questions are fallback (not AI-generated)');
+          for (const formatted of formatGeneratedQuestions(rest, { category, difficulty, rating, provider }, generated.length)) {
+            if (deliver(formatted)) {
+              generated.push(formatted);
+              yield formatted;
+            }
+          }
+        } catch (error) {
+          fallbackReason = error.message;
+          log.warn('⚠️ Top-up after stream failed:', error.message);
+        }
       }
-    } else {
-      if (!REPO_ID) {
-        console.log('💾 Skipping repo save: No REPO_ID configured');
-      } else if (!API_TOKEN) {
-        console.log('💾 Skipping repo save: No API_TOKEN configured');
-      } else if (formattedQuestions.length === 0) {
-        console.log('💾 Skipping repo save: No questions to save');
+
+      if (generated.length > 0) {
+        log.info(`✅ Successfully streamed ${generated.length} AI questions`);
+        saveGeneratedQuestions(generated);
+        finishTrace(trace, 'ai', delivered.length < count ? `AI only generated ${generated.length} of ${count - repoHits.length} question(s)` : null);
+        return;
       }
+      fallbackReason = fallbackReason || 'AI returned no valid questions';
+    } else {
+      log.warn(`⚠️ LLM provider "${provider.name}" is not configured. Using fallback questions.`);
+      fallbackReason = `LLM provider "${provider.name}" is not configured`;
     }
-    
-    return formattedQuestions;
 
-  } catch (error) {
-    console.error('❌ Error generating AI questions with Hugging Face:', error);
-    console.error('Error details:', {
-      message: error.message,
-      stack: error.stack
-    });
-    
-    // Show user-friendly error message
-    if (error.message.includes('API error')) {
-      console.warn('⚠️ API call failed. Check your API token and network connection.');
-    } else if (error.message.includes('parse')) {
-      console.warn('⚠️ AI response format issue. The model may need better prompting.');
-    }
-    
     // Fallback to static questions
-    console.log('🔄 Falling back to default questions...');
-    return generateFallbackQuestions(category, difficulty, count);
+    log.info('🔄 Falling back to default questions...');
+    finishTrace(trace, 'fallback', fallbackReason);
+    for (const q of generateFallbackQuestions(category, difficulty, count, mode, exclude)) {
+      if (deliver(q)) yield q;
+    }
+  } finally {
+    if (trace.outcome === 'running') finishTrace(trace, 'cancelled');
+  }
+}
+
+/**
+ * Generate questions grounded only in a user-supplied document
+ * The document is split into passages; each prompt quotes a few of them and asks for questions
+ * citing a passage and a supporting quote. Questions whose quote is not in the cited passage,
+ * or whose answer is not in the quote, are dropped and replaced in later requests.
+ * Nothing is saved to the repo and there are no fallback questions - they would not be about the document.
+ * @param {Object} document - { title, text }
+ * @param {string} difficulty - easy | medium | hard
+ * @param {number} count - Number of questions
+ * @param {Object} options - { provider, maxTopUpAttempts, exclude, category } - category is stored on the
+ *   questions ("document" by default)
+ * @returns {AsyncGenerator<Object>} Formatted questions with a `citation` ({ document, passage, quote })
+ */
+async function* streamQuestionsFromDocument(document, difficulty, count, options = {}) {
+  const provider = options.provider || getProviderFromEnv();
+  if (!provider.isConfigured()) {
+    throw new Error(`LLM provider "${provider.name}" is not configured - document quizzes need an AI model`);
+  }
+  const title = String(document.title || '').trim() || 'Untitled document';
+  const chunks = chunkDocument(document.text);
+  if (chunks.length === 0) {
+    throw new Error('The document contains no text');
   }
-};
 
-// Fallback questions if AI fails or no API key
-const generateFallbackQuestions = (category, difficulty, count) => {
-  console.warn('⚠️ Using FALLBACK questions (AI generation failed or no API token)');
-  const fallbackQuestions = [
-    // Science - Easy
-    {
-      id: 1,
-      category: "science",
-      difficulty: "easy",
-      type: "multiple-choice",
-      question: "Which planet is known as the Red Planet?",
-      options: ["Venus", "Mars", "Jupiter", "Saturn"],
-      correct: 1,
-      explanation: "Mars is called the Red Planet due to iron oxide on its surface."
-    },
-    {
-      id: 2,
-      category: "science",
-      difficulty: "easy",
-      type: "true-false",
-      question: "Water boils at 100 degrees Celsius at sea level.",
-      correct: true,
-      explanation: "Yes, water boils at 100°C (212°F) at standard atmospheric pressure."
-    },
-    // Science - Medium
-    {
-      id: 3,
-      category: "science",
-      difficulty: "medium",
-      type: "true-false",
-      question: "The human body has 206 bones.",
-      correct: true,
-      explanation: "Yes, the adult human body has 206 bones."
-    },
-    {
-      id: 4,
-      category: "science",
-      difficulty: "medium",
-      type: "multiple-choice",
-      question: "What is the chemical symbol for gold?",
-      options: ["Go", "Gd", "Au", "Ag"],
-      correct: 2,
-      explanation: "Au is the chemical symbol for gold (from Latin 'aurum')."
-    },
-    // Science - Hard
-    {
-      id: 5,
-      category: "science",
-      difficulty: "hard",
-      type: "multiple-choice",
-      question: "What is the speed of light in a vacuum?",
-      options: ["300,000 km/s", "150,000 km/s", "450,000 km/s", "299,792 km/s"],
-      correct: 3,
-      explanation: "The speed of light in a vacuum is exactly 299,792,458 meters per second (approximately 300,000 km/s)."
-    },
-    // History - Easy
-    {
-      id: 6,
-      category: "history",
-      difficulty: "easy",
-      type: "multiple-choice",
-      question: "In which year did World War II end?",
-      options: ["1944", "1945", "1946", "1947"],
-      correct: 1,
-      explanation: "World War II ended in 1945."
-    },
-    {
-      id: 7,
-      category: "history",
-      difficulty: "easy",
-      type: "true-false",
-      question: "The United States declared independence in 1776.",
-      correct: true,
-      explanation: "Yes, the Declaration of Independence was signed on July 4, 1776."
-    },
-    // History - Medium
-    {
-      id: 8,
-      category: "history",
-      difficulty: "medium",
-      type: "multiple-choice",
-      question: "Who was the first person to walk on the moon?",
-      options: ["Buzz Aldrin", "Neil Armstrong", "Michael Collins", "John Glenn"],
-      correct: 1,
-      explanation: "Neil Armstrong was the first person to walk on the moon on July 20, 1969."
-    },
-    // History - Hard
-    {
-      id: 9,
-      category: "history",
-      difficulty: "hard",
-      type: "multiple-choice",
-      question: "The Renaissance period began in which country?",
-      options: ["France", "Germany", "Italy", "Spain"],
-      correct: 2,
-      explanation: "The Renaissance began in Italy in the 14th century, particularly in Florence."
-    },
-    // Geography - Easy
-    {
-      id: 10,
-      category: "geography",
-      difficulty: "easy",
-      type: "multiple-choice",
-      question: "What is the capital of France?",
-      options: ["London", "Berlin", "Paris", "Madrid"],
-      correct: 2,
-      explanation: "Paris is the capital of France."
-    },
-    {
-      id: 11,
-      category: "geography",
-      difficulty: "easy",
-      type: "true-false",
-      question: "Mount Everest is the tallest mountain in the world.",
-      correct: true,
-      explanation: "Yes, Mount Everest is the highest peak above sea level at 8,848 meters (29,029 feet)."
-    },
-    // Geography - Medium
-    {
-      id: 12,
-      category: "geography",
-      difficulty: "medium",
-      type: "multiple-choice",
-      question: "Which is the largest ocean on Earth?",
-      options: ["Atlantic", "Indian", "Arctic", "Pacific"],
-      correct: 3,
-      explanation: "The Pacific Ocean is the largest ocean, covering about one-third of Earth's surface."
-    },
-    // Geography - Hard
-    {
-      id: 13,
-      category: "geography",
-      difficulty: "hard",
-      type: "multiple-choice",
-      question: "What is the deepest point in the ocean?",
-      options: ["Mariana Trench", "Puerto Rico Trench", "Java Trench", "Tonga Trench"],
-      correct: 0,
-      explanation: "The Mariana Trench in the Pacific Ocean is the deepest point, reaching about 11,034 meters (36,201 feet)."
-    },
-    // Technology - Easy
-    {
-      id: 14,
-      category: "technology",
-      difficulty: "easy",
-      type: "true-false",
-      question: "HTML stands for HyperText Markup Language.",
-      correct: true,
-      explanation: "Yes, HTML stands for HyperText Markup Language."
-    },
-    {
-      id: 15,
-      category: "technology",
-      difficulty: "easy",
-      type: "multiple-choice",
-      question: "What does CPU stand for?",
-      options: ["Central Processing Unit", "Computer Personal Unit", "Central Program Utility", "Computer Processing Unit"],
-      correct: 0,
-      explanation: "CPU stands for Central Processing Unit, the main processor in a computer."
-    },
-    // Technology - Medium
-    {
-      id: 16,
-      category: "technology",
-      difficulty: "medium",
-      type: "multiple-choice",
-      question: "Which programming language was created by Guido van Rossum?",
-      options: ["Java", "Python", "JavaScript", "C++"],
-      correct: 1,
-      explanation: "Python was created by Guido van Rossum and first released in 1991."
-    },
-    // Technology - Hard
-    {
-      id: 17,
-      category: "technology",
-      difficulty: "hard",
-      type: "multiple-choice",
-      question: "What is the time complexity of binary search?",
-      options: ["O(n)", "O(log n)", "O(n log n)", "O(1)"],
-      correct: 1,
-      explanation: "Binary search has O(log n) time complexity because it eliminates half of the search space in each iteration."
+  // At most one passage per question, spread over the whole document
+  const passages = spreadChunks(chunks, count);
+  const groups = [];
+  for (let i = 0; i < passages.length; i += PASSAGES_PER_PROMPT) {
+    groups.push(passages.slice(i, i + PASSAGES_PER_PROMPT));
+  }
+  const perGroup = Math.ceil(count / groups.length);
+  const maxRequests = groups.length + (options.maxTopUpAttempts ?? MAX_TOP_UP_ATTEMPTS);
+  log.info(`📄 Generating ${count} questions from "${title}" (${chunks.length} passages, ${groups.length} prompt(s))`);
+  const trace = startTrace({ kind: 'document', document: title, difficulty, count, provider: provider.name, model: provider.model });
+
+  const exclude = options.exclude || [];
+  const seen = new Set(exclude.map(questionKey));
+  const delivered = [];
+  let rejectedCount = 0;
+
+  try {
+    for (let request = 0; request < maxRequests && delivered.length < count; request++) {
+      const group = groups[request % groups.length];
+      const wanted = Math.min(perGroup, count - delivered.length);
+      const prompt = buildGroundedPrompt(group, title, difficulty, wanted, [...exclude, ...delivered]);
+      const traceRequest = startTraceRequest(trace, prompt);
+      let content;
+      let batch;
+      let parse;
+      try {
+        content = await provider.generate(prompt, {
+          ...generationParams(wanted, 'classic'),
+          temperature: 0.7, // Stay close to the text
+          maxTokens: wanted * TOKENS_PER_GROUNDED_QUESTION
+        });
+        log.debug('Raw model output:', content);
+        const parsed = parseQuestionsFromContent(content || '[]');
+        const validated = validateQuestions(parsed, 'ai-document');
+        batch = validated.valid.filter(q => GROUNDED_TYPES.includes(q.type));
+        parse = describeBatch(parsed, validated, batch);
+        // Ungrounded questions are added to parse.rejected below
+        endTraceRequest(trace, traceRequest, { rawResponse: content, parse });
+      } catch (error) {
+        endTraceRequest(trace, traceRequest, { rawResponse: content ?? null, error });
+        if (request === 0) {
+          finishTrace(trace, 'failed', error.message);
+          throw error;
+        }
+        log.warn(`⚠️ Document request ${request + 1} failed:`, error.message);
+        continue;
+      }
+
+      for (const q of batch) {
+        if (delivered.length >= count || seen.has(questionKey(q))) continue;
+        const check = checkCitation(q, chunks);
+        if (!check.grounded) {
+          rejectedCount++;
+          parse.rejected.push(`Ungrounded "${q.question}": ${check.reason}`);
+          log.debug(`🚫 Dropped ungrounded question "${q.question}": ${check.reason}`);
+          continue;
+        }
+        seen.add(questionKey(q));
+        const quote = String(q.quote).trim();
+        const [formatted] = formatGeneratedQuestions([q], { category: options.category || 'document', difficulty, provider }, delivered.length);
+        const grounded = {
+          ...formatted,
+          source: 'ai-grounded',
+          explanation: `${formatted.explanation} (Source: "${title}", passage ${check.chunk.id}: "${quote}")`,
+          citation: { document: title, passage: check.chunk.id, quote }
+        };
+        delivered.push(grounded);
+        traceDelivered(trace);
+        yield grounded;
+      }
     }
-  ];
+
+    finishTrace(trace, 'ai', delivered.length < count ? `Only ${delivered.length} of ${count} question(s) were grounded in the document` : null);
+    log.info(`✅ Generated ${delivered.length} grounded question(s) from "${title}"${rejectedCount > 0 ? `, dropped ${rejectedCount} ungrounded` : ''}`);
+  } finally {
+    if (trace.outcome === 'running') finishTrace(trace, 'cancelled');
+  }
+}
+
+// Fallback questions if AI fails or no API key - the seed bank bundled with the app
+const generateFallbackQuestions = (category, difficulty, count, mode = 'classic', exclude = []) => {
+  log.warn('⚠️ Using FALLBACK questions (AI generation failed or no API token)');
+
+  const excluded = new Set(exclude.map(questionKey));
+  const available = validateQuestions(filterByMode(seedQuestions, mode), 'fallback')
+    .valid.filter(q => !excluded.has(questionKey(q)))
+    .map(q => ({ ...q, source: 'fallback' }));
 
   // Filter by category and difficulty
-  let filtered = fallbackQuestions;
+  let filtered = available;
   if (category) {
     filtered = filtered.filter(q => q.category === category);
   }
   if (difficulty) {
     filtered = filtered.filter(q => q.difficulty === difficulty);
   }
+  if (filtered.length === 0) {
+    // Small banks may have nothing for this combination - relax the filters rather than return nothing
+    const sameCategory = available.filter(q => !category || q.category === category);
+    filtered = sameCategory.length > 0 ? sameCategory : available;
+  }
   
-  // If filtering results in too few questions, use all available and repeat if needed
+  // Never repeat questions to pad a quiz - a shorter quiz is better than duplicates
   if (filtered.length < count) {
-    console.warn(`⚠️ Only ${filtered.length} fallback questions match your filters. Repeating questions to reach ${count}.`);
-    const repeated = [];
-    for (let i = 0; i < count; i++) {
-      repeated.push({
-        ...filtered[i % filtered.length],
-        id: filtered[i % filtered.length].id + (i * 1000) // Make IDs unique
-      });
-    }
-    return repeated;
+    log.warn(`⚠️ Only ${filtered.length} fallback questions match your filters (requested ${count}).`);
   }
   
   return filtered.slice(0, count);
 };
 
-export { generateQuestionsWithAI };
+export { generateQuestionsWithAI, streamQuestionsWithAI, streamQuestionsFromDocument, QUIZ_MODES };
 
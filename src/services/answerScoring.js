@@ -0,0 +1,157 @@
+/**
+ * Answer Scoring
+ * Checks a player's answer for every classic question type and returns the credit it earns.
+ * Choice questions are right or wrong; multi-select and ordering answers earn partial credit,
+ * numeric answers count within the question's tolerance, and short answers are matched
+ * after normalization with a few typos allowed.
+ */
+
+import { toNumber } from './questionSchema.js';
+
+// Typos allowed in a short answer, by length of the expected answer
+const TYPO_ALLOWANCE = [
+  { maxLength: 3, typos: 0 },
+  { maxLength: 6, typos: 1 },
+  { maxLength: 12, typos: 2 },
+  { maxLength: Infinity, typos: 3 }
+];
+// Absorbs floating point error in numeric comparisons (0.1 + 0.2)
+const NUMERIC_EPSILON = 1e-9;
+
+/**
+ * Normalized form of a short answer: no accents, case, punctuation or leading article
+ */
+const normalizeShortAnswer = (text) => String(text ?? '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim()
+  .replace(/^(the|a|an) /, '');
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Whether free text matches the expected answer or one of its accepted alternatives
+ * Numbers in the answer must match exactly - "1945" is not a typo of "1946"
+ */
+const matchesShortAnswer = (question, text) => {
+  const given = normalizeShortAnswer(text);
+  if (!given) return false;
+  const digitsOf = (value) => value.replace(/\D/g, '');
+
+  return [question.correct, ...(question.acceptedAnswers || [])].some(expectedText => {
+    const expected = normalizeShortAnswer(expectedText);
+    if (!expected) return false;
+    if (given === expected || given.replace(/ /g, '') === expected.replace(/ /g, '')) return true;
+    if (digitsOf(given) !== digitsOf(expected)) return false;
+    const { typos } = TYPO_ALLOWANCE.find(({ maxLength }) => expected.length <= maxLength);
+    return levenshtein(given, expected) <= typos;
+  });
+};
+
+/**
+ * Multi-select credit: correct picks minus wrong picks, as a share of the correct options
+ */
+const multiSelectCredit = (correct, selected) => {
+  const expected = new Set(correct);
+  const picks = new Set(selected);
+  let hits = 0;
+  picks.forEach(index => {
+    if (expected.has(index)) hits++;
+  });
+  return Math.max(0, (hits - (picks.size - hits)) / expected.size);
+};
+
+/**
+ * Ordering credit: share of item pairs the player put in the right relative order
+ */
+const orderingCredit = (correct, order) => {
+  if (!Array.isArray(order) || order.length !== correct.length) return 0;
+  const position = new Map(order.map((item, index) => [item, index]));
+  let pairs = 0;
+  let inOrder = 0;
+  for (let i = 0; i < correct.length; i++) {
+    for (let j = i + 1; j < correct.length; j++) {
+      pairs++;
+      if (position.get(correct[i]) < position.get(correct[j])) inOrder++;
+    }
+  }
+  return pairs === 0 ? 1 : inOrder / pairs;
+};
+
+/**
+ * Score an answer to a classic question
+ * @param {Object} question - Validated question
+ * @param {*} answer - Option index, boolean, index array (multi-select: picked options;
+ *   ordering: items in the player's order), number or text - null when the timer expired
+ * @returns {Object} { credit: 0..1, isCorrect } - isCorrect only for a fully correct answer
+ */
+const scoreAnswer = (question, answer) => {
+  if (answer === null || answer === undefined) {
+    return { credit: 0, isCorrect: false };
+  }
+
+  let credit;
+  switch (question.type) {
+    case 'multi-select':
+      credit = Array.isArray(answer) ? multiSelectCredit(question.correct, answer) : 0;
+      break;
+    case 'ordering':
+      credit = orderingCredit(question.correct, answer);
+      break;
+    case 'numeric': {
+      const value = toNumber(answer);
+      credit = value !== undefined && Math.abs(value - question.correct) <= (question.tolerance || 0) + NUMERIC_EPSILON ? 1 : 0;
+      break;
+    }
+    case 'short-answer':
+      credit = matchesShortAnswer(question, answer) ? 1 : 0;
+      break;
+    default:
+      credit = answer === question.correct ? 1 : 0;
+  }
+  return { credit, isCorrect: credit === 1 };
+};
+
+/**
+ * Readable form of an answer (or of `question.correct`) for explanations and the history screen
+ */
+const describeAnswer = (question, answer) => {
+  if (answer === null || answer === undefined) return '';
+  switch (question.type) {
+    case 'true-false':
+      return answer ? 'True' : 'False';
+    case 'multi-select':
+      return (Array.isArray(answer) ? answer : []).map(index => question.options[index]).join(', ');
+    case 'ordering':
+      return (Array.isArray(answer) ? answer : []).map(index => question.options[index]).join(' → ');
+    case 'numeric':
+      if (question.tolerance > 0 && answer === question.correct) {
+        return `${answer} ± ${question.tolerance}${question.unit ? ` ${question.unit}` : ''}`;
+      }
+      return `${answer}${question.unit ? ` ${question.unit}` : ''}`;
+    case 'short-answer':
+      return String(answer);
+    case 'spot-hallucination':
+      return String(question.claims?.[answer] ?? answer);
+    default:
+      return String(question.options?.[answer] ?? answer);
+  }
+};
+
+export { scoreAnswer, describeAnswer, matchesShortAnswer, normalizeShortAnswer };
@@ -0,0 +1,50 @@
+/**
+ * Quiz Categories
+ * The built-in categories and the helpers shared by custom categories: category keys
+ * and the topic descriptions used in generation prompts.
+ */
+
+// Built-in categories and how prompts describe them
+const BUILT_IN_CATEGORIES = {
+  science: { name: "Science", description: "science, biology, chemistry, physics, astronomy, and natural sciences" },
+  history: { name: "History", description: "world history, historical events, famous people, and historical facts" },
+  geography: { name: "Geography", description: "geography, countries, capitals, landmarks, natural features, and world geography" },
+  technology: { name: "Technology", description: "technology, computers, programming, internet, software, and tech innovations" }
+};
+
+const MIXED_DESCRIPTION = "general knowledge across science, history, geography, and technology";
+// Longest topic description accepted for a prompt
+const MAX_TOPIC_LENGTH = 200;
+const MAX_CATEGORY_KEY_LENGTH = 48;
+
+/**
+ * Category key for a name or free-text topic ("Roman aqueducts" -> "roman-aqueducts")
+ * Keys are also used as directory names in the Hugging Face repo, so they stay [a-z0-9-]
+ */
+const categoryKeyFor = (name) => String(name || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, MAX_CATEGORY_KEY_LENGTH)
+  .replace(/-+$/, '');
+
+/**
+ * Single-line topic text safe to place in a prompt, or '' when empty
+ */
+const normalizeTopic = (topic) => String(topic || '').replace(/\s+/g, ' ').trim().slice(0, MAX_TOPIC_LENGTH);
+
+/**
+ * What a prompt should say the questions are about
+ * @param {string|null} category - Category key or null for mixed
+ * @param {string} topic - Description of a custom category or free-text topic; takes precedence
+ */
+const describeCategory = (category, topic) => {
+  const customTopic = normalizeTopic(topic);
+  if (customTopic) return customTopic;
+  if (!category) return MIXED_DESCRIPTION;
+  return BUILT_IN_CATEGORIES[category]?.description || category.replace(/-/g, ' ');
+};
+
+export { BUILT_IN_CATEGORIES, categoryKeyFor, normalizeTopic, describeCategory, MAX_TOPIC_LENGTH };
@@ -0,0 +1,210 @@
+/**
+ * CSV Format
+ * One question per row, for editing in a spreadsheet. Columns:
+ *
+ *   type, category, difficulty, question, option_a ... option_f, correct, accepted_answers, tolerance, unit, explanation
+ *
+ * `correct` is an option letter ("C") for multiple choice, TRUE/FALSE, letters separated by ";"
+ * for multi-select ("A;C") and ordering (correct order, "C;A;B"), a number, or the answer text.
+ * `accepted_answers` lists other accepted short answers separated by ";".
+ */
+
+const OPTION_COLUMNS = ['option_a', 'option_b', 'option_c', 'option_d', 'option_e', 'option_f'];
+const COLUMNS = ['type', 'category', 'difficulty', 'question', ...OPTION_COLUMNS, 'correct', 'accepted_answers', 'tolerance', 'unit', 'explanation'];
+const CSV_TYPES = ['multiple-choice', 'true-false', 'multi-select', 'ordering', 'numeric', 'short-answer'];
+const LIST_SEPARATOR = ';';
+
+const letter = (index) => String.fromCharCode(65 + index);
+
+const escapeCsv = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * The `correct` cell of a question
+ */
+const correctCell = (q) => {
+  switch (q.type) {
+    case 'multiple-choice':
+      return letter(q.correct);
+    case 'true-false':
+      return q.correct ? 'TRUE' : 'FALSE';
+    case 'multi-select':
+    case 'ordering':
+      return q.correct.map(letter).join(LIST_SEPARATOR);
+    default:
+      return q.correct;
+  }
+};
+
+/**
+ * Write questions as CSV (with a header row)
+ * @param {Array} questions - Validated questions
+ * @returns {Object} { content, skipped: [{ question, reason }] }
+ */
+const formatCsv = (questions) => {
+  const skipped = [];
+  const rows = [COLUMNS.join(',')];
+  questions.forEach(q => {
+    if (!CSV_TYPES.includes(q.type)) {
+      skipped.push({ question: q, reason: `CSV export has no ${q.type} questions` });
+      return;
+    }
+    const options = q.options || [];
+    const row = [
+      q.type,
+      q.category,
+      q.difficulty,
+      q.question,
+      ...OPTION_COLUMNS.map((_, i) => options[i]),
+      correctCell(q),
+      (q.acceptedAnswers || []).join(LIST_SEPARATOR),
+      q.type === 'numeric' ? q.tolerance : '',
+      q.unit,
+      q.explanation
+    ];
+    rows.push(row.map(escapeCsv).join(','));
+  });
+  return { content: `${rows.join('\r\n')}\r\n`, skipped };
+};
+
+/**
+ * Split CSV text into rows of cells (RFC 4180: quoted cells may contain commas, quotes and newlines)
+ * @returns {Array} [{ line, cells }] - line is where the row starts
+ * @throws {Error} With the line number of an unterminated quoted cell
+ */
+const readCsvRows = (text) => {
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let line = 1;
+  let rowLine = 1;
+  let quoted = false;
+  let quoteLine = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+      quoteLine = line;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      cells.push(cell);
+      rows.push({ line: rowLine, cells });
+      cells = [];
+      cell = '';
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw new Error(`Line ${quoteLine}: quoted cell is never closed`);
+  }
+  if (cell !== '' || cells.length > 0) {
+    cells.push(cell);
+    rows.push({ line: rowLine, cells });
+  }
+  return rows.filter(row => row.cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * Resolve "A;C" (or option texts) to option indices; unknown entries stay as given for validation to report
+ */
+const parseLetters = (value, options) => value.split(LIST_SEPARATOR).map(entry => entry.trim()).filter(Boolean).map(entry => {
+  if (/^[A-F]$/i.test(entry)) return entry.toUpperCase().charCodeAt(0) - 65;
+  const byText = options.findIndex(option => option.toLowerCase() === entry.toLowerCase());
+  return byText !== -1 ? byText : entry;
+});
+
+/**
+ * Convert one CSV row to question fields
+ */
+const readRow = (record) => {
+  const options = OPTION_COLUMNS.map(column => record[column]?.trim()).filter(Boolean);
+  const correct = record.correct?.trim() ?? '';
+  const question = {
+    type: record.type?.trim().toLowerCase() || undefined,
+    question: record.question,
+    explanation: record.explanation?.trim() || undefined,
+    ...(record.category?.trim() && { category: record.category.trim() }),
+    ...(record.difficulty?.trim() && { difficulty: record.difficulty.trim().toLowerCase() })
+  };
+
+  switch (question.type) {
+    case 'multiple-choice':
+      return { ...question, options, correct: /^[A-F]$/i.test(correct) ? correct.toUpperCase() : correct };
+    case 'multi-select':
+    case 'ordering':
+      return { ...question, options, correct: correct ? parseLetters(correct, options) : undefined };
+    case 'numeric':
+      return { ...question, correct, tolerance: record.tolerance?.trim() || undefined, unit: record.unit };
+    case 'short-answer':
+      return {
+        ...question,
+        correct,
+        acceptedAnswers: (record.accepted_answers || '').split(LIST_SEPARATOR).map(answer => answer.trim()).filter(Boolean)
+      };
+    default:
+      return { ...question, options, correct };
+  }
+};
+
+/**
+ * Read CSV with a header row (column names as in COLUMNS, any order, case-insensitive)
+ * @param {string} text - CSV file content
+ * @returns {Object} { records: [{ line, question }], errors: [{ line, message }] } - questions are unvalidated
+ */
+const parseCsv = (text) => {
+  let rows;
+  try {
+    rows = readCsvRows(text.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    const line = Number(error.message.match(/^Line (\d+)/)?.[1]) || 1;
+    return { records: [], errors: [{ line, message: error.message.replace(/^Line \d+: /, '') }] };
+  }
+  if (rows.length === 0) {
+    return { records: [], errors: [{ line: 1, message: 'the file is empty' }] };
+  }
+
+  const [header, ...body] = rows;
+  const columns = header.cells.map(cell => cell.trim().toLowerCase().replace(/\s+/g, '_'));
+  const missing = ['type', 'question', 'correct'].filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    return { records: [], errors: [{ line: header.line, message: `header is missing column(s): ${missing.join(', ')}` }] };
+  }
+
+  const errors = [];
+  const records = [];
+  body.forEach(({ line, cells }) => {
+    if (cells.length > columns.length) {
+      errors.push({ line, message: `${cells.length} cells but only ${columns.length} columns - quote cells that contain commas` });
+      return;
+    }
+    const record = Object.fromEntries(columns.map((column, i) => [column, cells[i] ?? '']));
+    const type = record.type.trim().toLowerCase();
+    if (type && !CSV_TYPES.includes(type)) {
+      errors.push({ line, message: `unknown type "${record.type.trim()}" - use one of: ${CSV_TYPES.join(', ')}` });
+      return;
+    }
+    records.push({ line, question: readRow(record) });
+  });
+  return { records, errors };
+};
+
+export { formatCsv, parseCsv, CSV_TYPES };
@@ -0,0 +1,79 @@
+/**
+ * Custom Category Store
+ * User-defined quiz categories (name, icon, colour and prompt description), including
+ * free-text topics saved as categories. Kept in localStorage; when storage is disabled
+ * they only last for the session.
+ */
+
+import { BUILT_IN_CATEGORIES, categoryKeyFor, normalizeTopic } from './categories.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('questions');
+
+const STORAGE_KEY = 'truthteller.customCategories';
+const MAX_NAME_LENGTH = 40;
+
+// Session copy used when localStorage is unavailable
+let memoryCategories = [];
+
+const readCategories = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return memoryCategories;
+  }
+};
+
+const writeCategories = (categories) => {
+  memoryCategories = categories;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(categories));
+  } catch {
+    // Storage disabled - keep the session copy
+  }
+};
+
+/**
+ * All custom categories, oldest first
+ * @returns {Array} [{ key, name, icon, color, description, createdAt }]
+ */
+const listCustomCategories = () => readCategories();
+
+/**
+ * Add a custom category (or a free-text topic - then only `name` is given)
+ * @param {Object} category - { name, icon, color, description } - description defaults to the name
+ * @returns {Object} The stored category with its key
+ */
+const addCustomCategory = ({ name, icon, color, description }) => {
+  const trimmedName = String(name || '').replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH);
+  const key = categoryKeyFor(trimmedName);
+  if (!key) {
+    throw new Error('Category name needs at least one letter or digit');
+  }
+  const categories = readCategories();
+  if (BUILT_IN_CATEGORIES[key] || key === 'mixed' || categories.some(category => category.key === key)) {
+    throw new Error(`A category named "${trimmedName}" already exists`);
+  }
+
+  const category = {
+    key,
+    name: trimmedName,
+    icon: icon || null,
+    color: color || null,
+    description: normalizeTopic(description) || trimmedName,
+    createdAt: new Date().toISOString()
+  };
+  writeCategories([...categories, category]);
+  log.info(`🏷️ Added custom category "${trimmedName}" (${key})`);
+  return category;
+};
+
+/**
+ * Remove a custom category - questions already generated for it stay in the banks
+ */
+const removeCustomCategory = (key) => {
+  writeCategories(readCategories().filter(category => category.key !== key));
+};
+
+export { listCustomCategories, addCustomCategory, removeCustomCategory };
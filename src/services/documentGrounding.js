@@ -0,0 +1,120 @@
+/**
+ * Document Grounding
+ * Splits user-supplied documents into numbered passages for grounded prompts, and checks
+ * that a generated question is really backed by the passage it cites: the quote must be
+ * in the passage and the correct answer must be found in the quote.
+ */
+
+// Target passage size in characters - large enough for context, small enough to cite precisely
+const CHUNK_SIZE = 1200;
+// Longest document text accepted (about 50 pages of prose)
+const MAX_DOCUMENT_LENGTH = 150000;
+// Share of the answer's words that must appear in the quoted text
+const MIN_ANSWER_COVERAGE = 0.6;
+// Share of a quote's words that must appear in the cited passage (tolerates small copying slips)
+const MIN_QUOTE_COVERAGE = 0.9;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'of', 'in', 'on', 'at', 'to', 'for', 'by', 'with', 'from', 'as', 'and', 'or',
+  'is', 'are', 'was', 'were', 'be', 'been', 'it', 'its', 'this', 'that', 'which', 'what', 'who'
+]);
+
+const normalizeText = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[’‘]/g, "'")
+  .replace(/[“”]/g, '"')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const words = (text) => normalizeText(text)
+  .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+  .split(' ')
+  .filter(word => word && !STOP_WORDS.has(word));
+
+/**
+ * Share (0..1) of the words of `text` that occur in `source`
+ */
+const wordCoverage = (text, source) => {
+  const needed = words(text);
+  if (needed.length === 0) return 0;
+  const available = new Set(words(source));
+  return needed.filter(word => available.has(word)).length / needed.length;
+};
+
+/**
+ * Split a document into passages of about CHUNK_SIZE characters, on paragraph and sentence boundaries
+ * @param {string} text - Document text
+ * @returns {Array} [{ id, text }] - ids are "P1", "P2", ... for citing in prompts
+ */
+const chunkDocument = (text) => {
+  const paragraphs = String(text || '')
+    .slice(0, MAX_DOCUMENT_LENGTH)
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+  // Paragraphs longer than a chunk are split into sentences
+  const pieces = paragraphs.flatMap(paragraph => (
+    paragraph.length <= CHUNK_SIZE ? [paragraph] : paragraph.match(/[^.!?]+[.!?]+["')\]]*\s*|[^.!?]+$/g).map(s => s.trim())
+  ));
+
+  const chunks = [];
+  let current = '';
+  pieces.forEach(piece => {
+    if (current && current.length + piece.length + 1 > CHUNK_SIZE) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current} ${piece}` : piece;
+  });
+  if (current) chunks.push(current);
+
+  return chunks.map((chunkText, index) => ({ id: `P${index + 1}`, text: chunkText }));
+};
+
+/**
+ * Pick up to `limit` passages spread evenly over the document, so quizzes cover all of it
+ */
+const spreadChunks = (chunks, limit) => {
+  if (chunks.length <= limit) return chunks;
+  const step = chunks.length / limit;
+  return Array.from({ length: limit }, (_, i) => chunks[Math.floor(i * step)]);
+};
+
+/**
+ * Text of the correct answer, as it should be found in the source
+ */
+const answerText = (question) => {
+  if (question.type === 'multiple-choice') return String(question.options?.[question.correct] ?? '');
+  // A true statement is itself the fact; a false one is checked through its question text
+  return question.question;
+};
+
+/**
+ * Check a generated question against the passage it cites
+ * @param {Object} question - Validated question with `passage` (passage id) and `quote`
+ * @param {Array} chunks - Passages from chunkDocument
+ * @returns {Object} { grounded, reason, chunk } - chunk is the cited passage when found
+ */
+const checkCitation = (question, chunks) => {
+  const chunk = chunks.find(c => c.id === String(question.passage || '').trim().toUpperCase());
+  if (!chunk) {
+    return { grounded: false, reason: `cites unknown passage "${question.passage}"`, chunk: null };
+  }
+  const quote = String(question.quote || '').trim();
+  if (!quote) {
+    return { grounded: false, reason: 'no supporting quote', chunk };
+  }
+  if (!normalizeText(chunk.text).includes(normalizeText(quote)) && wordCoverage(quote, chunk.text) < MIN_QUOTE_COVERAGE) {
+    return { grounded: false, reason: `quote not found in passage ${chunk.id}`, chunk };
+  }
+  // Multiple-choice answers must appear in the quote; true/false statements must be about it
+  const required = question.type === 'multiple-choice' ? MIN_ANSWER_COVERAGE : MIN_ANSWER_COVERAGE / 2;
+  const coverage = wordCoverage(answerText(question), quote);
+  if (coverage < required) {
+    return { grounded: false, reason: `answer not supported by the quote (${Math.round(coverage * 100)}% of its words)`, chunk };
+  }
+  return { grounded: true, reason: null, chunk };
+};
+
+export { chunkDocument, spreadChunks, checkCitation, MAX_DOCUMENT_LENGTH };
@@ -0,0 +1,94 @@
+/**
+ * Document Text
+ * Reads the text of a file the player uploads for a document quiz, in the browser.
+ * Plain text and Markdown are read directly; PDFs go through pdf.js, which is only
+ * loaded when a PDF is picked.
+ */
+
+import { MAX_DOCUMENT_LENGTH } from './documentGrounding.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('questions');
+
+const TEXT_EXTENSIONS = ['txt', 'md', 'markdown'];
+const SUPPORTED_EXTENSIONS = [...TEXT_EXTENSIONS, 'pdf'];
+
+const extensionOf = (fileName) => (String(fileName).match(/\.([a-z0-9]+)$/i)?.[1] || '').toLowerCase();
+
+/**
+ * Remove Markdown syntax that would end up in quotes (headings, emphasis, links, code fences)
+ */
+const stripMarkdown = (text) => text
+  .replace(/^```.*$/gm, '')
+  .replace(/^#{1,6}\s+/gm, '')
+  .replace(/^\s*>\s?/gm, '')
+  .replace(/^\s*[-*+]\s+/gm, '')
+  .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+  .replace(/(\*\*|__)(.+?)\1/g, '$2')
+  .replace(/(\*|_)(.+?)\1/g, '$2')
+  .replace(/`([^`]+)`/g, '$1');
+
+/**
+ * Text of a PDF, one paragraph per page
+ */
+const readPdfText = async (file) => {
+  const [pdfjs, { default: workerUrl }] = await Promise.all([
+    import('pdfjs-dist'),
+    import('pdfjs-dist/build/pdf.worker.min.js?url')
+  ]);
+  pdfjs.GlobalWorkerOptions.workerSrc = workerUrl;
+
+  const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+  const pages = [];
+  let length = 0;
+  for (let pageNumber = 1; pageNumber <= pdf.numPages && length < MAX_DOCUMENT_LENGTH; pageNumber++) {
+    const page = await pdf.getPage(pageNumber);
+    const content = await page.getTextContent();
+    const pageText = content.items
+      .map(item => `${item.str}${item.hasEOL ? '\n' : ''}`)
+      .join('')
+      .replace(/[ \t]+/g, ' ')
+      .trim();
+    pages.push(pageText);
+    length += pageText.length;
+  }
+  await pdf.destroy();
+  return pages.join('\n\n');
+};
+
+/**
+ * Read the text of an uploaded .txt, .md or .pdf file
+ * @param {File} file - File from an <input type="file">
+ * @returns {Object} { title, text, truncated } - title is the file name without extension;
+ *   truncated is true when the text was cut to MAX_DOCUMENT_LENGTH
+ */
+const extractDocumentText = async (file) => {
+  const extension = extensionOf(file.name);
+  if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+    throw new Error(`Unsupported file type ".${extension}" - use ${SUPPORTED_EXTENSIONS.map(ext => `.${ext}`).join(', ')}`);
+  }
+
+  let text;
+  if (extension === 'pdf') {
+    text = await readPdfText(file);
+  } else {
+    text = await file.text();
+    if (extension !== 'txt') text = stripMarkdown(text);
+  }
+  text = text.replace(/\r\n?/g, '\n').trim();
+  if (!text) {
+    throw new Error(extension === 'pdf'
+      ? 'No text found in this PDF - scanned documents are not supported'
+      : 'The file is empty');
+  }
+
+  log.info(`📄 Read ${text.length} characters from ${file.name}`);
+  return {
+    title: file.name.replace(/\.[^.]+$/, ''),
+    text: text.slice(0, MAX_DOCUMENT_LENGTH),
+    truncated: text.length > MAX_DOCUMENT_LENGTH
+  };
+};
+
+export { extractDocumentText, SUPPORTED_EXTENSIONS };
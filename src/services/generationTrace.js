@@ -0,0 +1,117 @@
+/**
+ * Generation Trace
+ * Keeps the last DEBUG_TRACE_SIZE generation attempts in memory for the debug drawer
+ * (GET /api/debug/generations): the prompts sent, raw model output, parse results, timings
+ * and why the attempt fell back to seed questions. Off by default in production.
+ */
+
+import { readSetting } from './serverEnv.js';
+import { isProduction } from './logger.js';
+
+const DEFAULT_TRACE_SIZE = 20;
+// Prompts and raw responses are cut to this many characters
+const MAX_TRACE_TEXT = 20000;
+
+const traces = [];
+let nextTraceId = 1;
+
+const traceLimit = () => {
+  const value = Number(readSetting('DEBUG_TRACE_SIZE', String(isProduction() ? 0 : DEFAULT_TRACE_SIZE)));
+  return Number.isInteger(value) && value >= 0 ? value : DEFAULT_TRACE_SIZE;
+};
+
+const isTraceEnabled = () => traceLimit() > 0;
+
+const clip = (text) => {
+  const value = String(text ?? '');
+  return value.length > MAX_TRACE_TEXT ? `${value.slice(0, MAX_TRACE_TEXT)}… (${value.length - MAX_TRACE_TEXT} more characters)` : value;
+};
+
+const elapsedMs = (trace) => Date.now() - Date.parse(trace.startedAt);
+
+/**
+ * Start recording a generation attempt
+ * The trace is a plain object that the generation code fills in as it goes
+ * @param {Object} details - { kind, category, difficulty, count, mode, provider, model }
+ * @returns {Object} Trace - also returned (unrecorded) when tracing is disabled
+ */
+const startTrace = (details) => {
+  const trace = {
+    id: nextTraceId++,
+    startedAt: new Date().toISOString(),
+    ...details,
+    repoHits: 0,
+    requests: [],
+    delivered: 0,
+    outcome: 'running',
+    fallbackReason: null,
+    timings: { firstQuestionMs: null, totalMs: null }
+  };
+  if (isTraceEnabled()) {
+    traces.push(trace);
+    traces.splice(0, Math.max(traces.length - traceLimit(), 0));
+  }
+  return trace;
+};
+
+/**
+ * Record one prompt sent to the provider
+ * @returns {Object} Request record - pass it to endTraceRequest
+ */
+const startTraceRequest = (trace, prompt) => {
+  const request = {
+    prompt: clip(prompt),
+    rawResponse: null,
+    parse: null,
+    error: null,
+    offsetMs: elapsedMs(trace),
+    durationMs: null
+  };
+  trace.requests.push(request);
+  return request;
+};
+
+/**
+ * Finish a request record
+ * @param {Object} fields - { rawResponse, parse: { parsed, valid, rejected }, error }
+ */
+const endTraceRequest = (trace, request, { rawResponse, parse, error } = {}) => {
+  if (rawResponse !== undefined) request.rawResponse = clip(rawResponse);
+  if (parse) request.parse = parse;
+  if (error) request.error = error.message || String(error);
+  request.durationMs = elapsedMs(trace) - request.offsetMs;
+};
+
+/**
+ * Count a question handed to the player; the first one sets timings.firstQuestionMs
+ */
+const traceDelivered = (trace, amount = 1) => {
+  if (amount > 0 && trace.timings.firstQuestionMs === null) {
+    trace.timings.firstQuestionMs = elapsedMs(trace);
+  }
+  trace.delivered += amount;
+};
+
+/**
+ * Close a trace
+ * @param {string} outcome - "repo" | "ai" | "fallback" | "failed"
+ * @param {string} fallbackReason - Why AI questions were not (or not all) used
+ */
+const finishTrace = (trace, outcome, fallbackReason = null) => {
+  // Requests still open were cut short (e.g. the player left during a stream)
+  trace.requests.filter(request => request.durationMs === null).forEach(request => endTraceRequest(trace, request));
+  trace.outcome = outcome;
+  trace.fallbackReason = fallbackReason;
+  trace.timings.totalMs = elapsedMs(trace);
+};
+
+/**
+ * Recorded attempts, newest first
+ */
+const listTraces = () => [...traces].reverse();
+
+const clearTraces = () => {
+  traces.length = 0;
+};
+
+export { isTraceEnabled, startTrace, startTraceRequest, endTraceRequest, traceDelivered, finishTrace, listTraces, clearTraces };
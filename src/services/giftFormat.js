@@ -0,0 +1,267 @@
+/**
+ * GIFT Format
+ * Moodle's plain-text question format (https://docs.moodle.org/en/GIFT_format).
+ *
+ *   // difficulty: medium
+ *   ::Q1:: What is the capital of France? {=Paris ~London ~Berlin ~Madrid ####Paris is the capital.}
+ *
+ * GIFT has no ordering questions; they are skipped on export. The difficulty travels in
+ * a "// difficulty:" comment, which other GIFT readers ignore.
+ */
+
+import { categoryKeyFor } from './categories.js';
+
+const GIFT_TYPES = ['multiple-choice', 'true-false', 'multi-select', 'numeric', 'short-answer'];
+const SPECIAL_CHARACTERS = /[~=#{}:\\]/g;
+// Answer weights of multi-select options Moodle accepts, by number of correct options
+const MULTI_SELECT_WEIGHTS = { 1: '100', 2: '50', 3: '33.33333', 4: '25', 5: '20' };
+
+const escapeGift = (text) => String(text ?? '').replace(SPECIAL_CHARACTERS, '\\$&').replace(/\n/g, '\\n');
+
+const unescapeGift = (text) => text.replace(/\\n/g, '\n').replace(/\\([~=#{}:\\])/g, '$1').trim();
+
+/**
+ * Split text on a separator character that is not escaped with a backslash
+ * @returns {Array<string>} Parts, still escaped
+ */
+const splitUnescaped = (text, separator) => {
+  const parts = [];
+  let current = '';
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\' && i + 1 < text.length) {
+      current += text[i] + text[i + 1];
+      i++;
+    } else if (text.startsWith(separator, i)) {
+      parts.push(current);
+      current = '';
+      i += separator.length - 1;
+    } else {
+      current += text[i];
+    }
+  }
+  parts.push(current);
+  return parts;
+};
+
+/**
+ * Index of the first unescaped occurrence of `character`, or -1
+ */
+const indexOfUnescaped = (text, character, from = 0) => {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') i++;
+    else if (text[i] === character) return i;
+  }
+  return -1;
+};
+
+/**
+ * Write questions as GIFT
+ * @param {Array} questions - Validated questions
+ * @returns {Object} { content, skipped: [{ question, reason }] }
+ */
+const formatGift = (questions) => {
+  const skipped = [];
+  const blocks = [];
+  let currentCategory;
+
+  questions.forEach((q, index) => {
+    if (!GIFT_TYPES.includes(q.type)) {
+      skipped.push({ question: q, reason: `GIFT has no ${q.type} questions` });
+      return;
+    }
+    const lines = [];
+    if (q.category && q.category !== currentCategory) {
+      currentCategory = q.category;
+      lines.push(`$CATEGORY: $course$/TruthtellerAI/${q.category}`, '');
+    }
+    if (q.difficulty) lines.push(`// difficulty: ${q.difficulty}`);
+
+    let answers;
+    switch (q.type) {
+      case 'true-false':
+        answers = q.correct ? 'TRUE' : 'FALSE';
+        break;
+      case 'multiple-choice':
+        answers = q.options.map((option, i) => `${i === q.correct ? '=' : '~'}${escapeGift(option)}`).join(' ');
+        break;
+      case 'multi-select': {
+        const weight = MULTI_SELECT_WEIGHTS[q.correct.length] || (100 / q.correct.length).toFixed(5);
+        answers = q.options.map((option, i) => `~%${q.correct.includes(i) ? weight : '-100'}%${escapeGift(option)}`).join(' ');
+        break;
+      }
+      case 'numeric':
+        answers = `#${q.correct}${q.tolerance ? `:${q.tolerance}` : ''}`;
+        break;
+      default:
+        answers = [q.correct, ...(q.acceptedAnswers || [])].map(answer => `=${escapeGift(answer)}`).join(' ');
+    }
+    const unit = q.type === 'numeric' && q.unit ? ` (${escapeGift(q.unit)})` : '';
+    const feedback = q.explanation ? ` ####${escapeGift(q.explanation)}` : '';
+    lines.push(`::Q${index + 1}:: ${escapeGift(q.question)}${unit} {${answers}${feedback}}`);
+    blocks.push(lines.join('\n'));
+  });
+
+  return { content: `// Exported from TruthtellerAI\n\n${blocks.join('\n\n')}\n`, skipped };
+};
+
+/**
+ * Parse the answer block of a GIFT question (the text between the braces)
+ * @returns {Object} Question fields { type, options, correct, tolerance, acceptedAnswers, explanation }
+ * @throws {Error} For question kinds the app cannot play
+ */
+const parseAnswerBlock = (block) => {
+  const [answerText, ...feedbackParts] = splitUnescaped(block, '####');
+  const explanation = feedbackParts.length > 0 ? unescapeGift(feedbackParts.join('####')) : undefined;
+  const answers = answerText.trim();
+
+  if (!answers) {
+    throw new Error('essay questions are not supported');
+  }
+
+  // Numeric: {#8849:50}, {#8800..8900} or {#=8849:50 =8800:100}
+  if (answers.startsWith('#')) {
+    // With several answers the first one is taken; its weight and feedback are dropped
+    const first = answers.slice(1).trim().replace(/^=/, '').split(/[=~]/)[0]
+      .replace(/^%[-\d.]+%/, '').split('#')[0].trim();
+    const range = first.match(/^(-?[\d.]+)\s*\.\.\s*(-?[\d.]+)$/);
+    if (range) {
+      const [low, high] = [Number(range[1]), Number(range[2])];
+      return { type: 'numeric', correct: (low + high) / 2, tolerance: Math.abs(high - low) / 2, explanation };
+    }
+    const [value, tolerance] = first.split(':');
+    return { type: 'numeric', correct: value.trim(), tolerance: tolerance?.trim(), explanation };
+  }
+
+  // True/false: {T}, {TRUE}, {F#wrong feedback#right feedback}
+  const trueFalse = answers.match(/^(TRUE|FALSE|T|F)\b/i);
+  if (trueFalse && !/[=~]/.test(answers.slice(trueFalse[0].length))) {
+    return { type: 'true-false', correct: trueFalse[1][0].toUpperCase() === 'T', explanation };
+  }
+
+  // Choices: split before each unescaped = or ~
+  const choices = [];
+  let start = -1;
+  for (let i = 0; i < answers.length; i++) {
+    if (answers[i] === '\\') {
+      i++;
+    } else if (answers[i] === '=' || answers[i] === '~') {
+      if (start !== -1) choices.push(answers.slice(start, i));
+      start = i;
+    }
+  }
+  if (start === -1) {
+    throw new Error(`cannot read answers "${answers}"`);
+  }
+  choices.push(answers.slice(start));
+
+  const parsed = choices.map(choice => {
+    const mark = choice[0];
+    let text = choice.slice(1);
+    let weight = mark === '=' ? 100 : 0;
+    const weightMatch = text.match(/^\s*%(-?[\d.]+)%/);
+    if (weightMatch) {
+      weight = Number(weightMatch[1]);
+      text = text.slice(weightMatch[0].length);
+    }
+    // Per-answer feedback after an unescaped # is dropped
+    const feedbackIndex = indexOfUnescaped(text, '#');
+    if (feedbackIndex !== -1) text = text.slice(0, feedbackIndex);
+    if (/->/.test(text)) {
+      throw new Error('matching questions are not supported');
+    }
+    return { mark, weight, text: unescapeGift(text) };
+  });
+
+  if (parsed.every(choice => choice.mark === '=')) {
+    return {
+      type: 'short-answer',
+      correct: parsed[0].text,
+      acceptedAnswers: parsed.slice(1).map(choice => choice.text),
+      explanation
+    };
+  }
+  const options = parsed.map(choice => choice.text);
+  const correct = parsed.map((choice, i) => (choice.weight > 0 ? i : -1)).filter(i => i !== -1);
+  if (parsed.some(choice => choice.mark === '~' && choice.weight > 0) || correct.length > 1) {
+    return { type: 'multi-select', options, correct, explanation };
+  }
+  return { type: 'multiple-choice', options, correct: correct[0], explanation };
+};
+
+/**
+ * Read GIFT text
+ * @param {string} text - GIFT file content
+ * @returns {Object} { records: [{ line, question }], errors: [{ line, message }] } - questions are unvalidated
+ */
+const parseGift = (text) => {
+  const records = [];
+  const errors = [];
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  let category;
+  let difficulty;
+  let block = [];
+  let blockLine = 0;
+
+  const finishBlock = () => {
+    if (block.length === 0) return;
+    const source = block.join('\n');
+    const line = blockLine;
+    block = [];
+    try {
+      const body = source.replace(/^\s*::(?:[^:\\]|\\.)*::/, '').replace(/^\s*\[(html|moodle|plain|markdown)\]/, '');
+      const open = indexOfUnescaped(body, '{');
+      const close = open === -1 ? -1 : indexOfUnescaped(body, '}', open);
+      if (open === -1 || close === -1) {
+        throw new Error('no answer block {...}');
+      }
+      const before = body.slice(0, open).trim();
+      const after = body.slice(close + 1).trim();
+      // "Missing word" questions have text after the answers: the blank stands for them
+      let questionText = unescapeGift(after ? `${before} _____ ${after}` : before);
+      const answer = parseAnswerBlock(body.slice(open + 1, close));
+      // Numeric units are exported as "(unit)" at the end of the question text
+      const unitMatch = answer.type === 'numeric' && questionText.match(/\s\(([^()\s]{1,12})\)$/);
+      if (unitMatch) {
+        questionText = questionText.slice(0, unitMatch.index);
+        answer.unit = unitMatch[1];
+      }
+      records.push({
+        line,
+        question: {
+          question: questionText,
+          ...answer,
+          ...(category && { category }),
+          ...(difficulty && { difficulty })
+        }
+      });
+    } catch (error) {
+      errors.push({ line, message: error.message });
+    }
+    difficulty = undefined;
+  };
+
+  lines.forEach((rawLine, index) => {
+    const trimmed = rawLine.trim();
+    if (trimmed.startsWith('//')) {
+      const difficultyMatch = trimmed.match(/^\/\/\s*difficulty:\s*(easy|medium|hard)\b/i);
+      if (difficultyMatch && block.length === 0) difficulty = difficultyMatch[1].toLowerCase();
+      return;
+    }
+    if (!trimmed) {
+      finishBlock();
+      return;
+    }
+    if (block.length === 0 && /^\$CATEGORY:/i.test(trimmed)) {
+      // Last path segment: "$course$/top/TruthtellerAI/science" -> "science"
+      category = categoryKeyFor(trimmed.replace(/^\$CATEGORY:/i, '').split('/').pop()) || undefined;
+      return;
+    }
+    if (block.length === 0) blockLine = index + 1;
+    block.push(rawLine);
+  });
+  finishBlock();
+
+  return { records, errors };
+};
+
+export { formatGift, parseGift, GIFT_TYPES };
@@ -0,0 +1,69 @@
+/**
+ * Spot-the-Hallucination Scoring
+ * Players pick the fabricated claim, then mark the words that are made up.
+ * Picking the right claim earns CLAIM_CREDIT; the rest is earned by how well
+ * the marked words overlap the hallucinated span.
+ */
+
+const CLAIM_CREDIT = 0.5;
+
+/**
+ * Split a claim into the word tokens the player can click
+ * @param {string} claim - Claim text
+ * @returns {Array<string>} Tokens (punctuation stays attached to its word)
+ */
+const tokenizeClaim = (claim) => claim.split(/\s+/).filter(Boolean);
+
+const normalizeToken = (token) => token.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+
+/**
+ * Indices of the claim tokens covered by the hallucinated span
+ * @param {string} claim - Claim text
+ * @param {string} span - Fabricated fragment of the claim
+ * @returns {Array<number>} Token indices (empty if the span cannot be located)
+ */
+const spanTokenIndices = (claim, span) => {
+  const tokens = tokenizeClaim(claim).map(normalizeToken);
+  const spanTokens = tokenizeClaim(span).map(normalizeToken).filter(Boolean);
+  if (spanTokens.length === 0) return [];
+
+  for (let start = 0; start + spanTokens.length <= tokens.length; start++) {
+    if (spanTokens.every((token, offset) => tokens[start + offset] === token)) {
+      return spanTokens.map((_, offset) => start + offset);
+    }
+  }
+
+  // Span boundaries fall inside words - fall back to tokens that contain a span word
+  const spanSet = new Set(spanTokens);
+  return tokens.reduce((indices, token, index) => (spanSet.has(token) ? [...indices, index] : indices), []);
+};
+
+/**
+ * Score a spot-the-hallucination answer
+ * @param {Object} question - Question of type "spot-hallucination"
+ * @param {Object|null} answer - { claimIndex, tokenIndices } or null when the timer expired
+ * @returns {Object} { credit: 0..1, claimCorrect, spanOverlap: 0..1 }
+ */
+const scoreSpotHallucination = (question, answer) => {
+  if (!answer || answer.claimIndex !== question.correct) {
+    return { credit: 0, claimCorrect: false, spanOverlap: 0 };
+  }
+
+  const expected = new Set(spanTokenIndices(question.claims[question.correct], question.hallucinatedSpan));
+  const selected = new Set(answer.tokenIndices || []);
+  let intersection = 0;
+  selected.forEach(index => {
+    if (expected.has(index)) intersection++;
+  });
+  const union = expected.size + selected.size - intersection;
+  // Intersection over union so that marking the whole claim is not rewarded
+  const spanOverlap = union === 0 ? 0 : intersection / union;
+
+  return {
+    credit: CLAIM_CREDIT + (1 - CLAIM_CREDIT) * spanOverlap,
+    claimCorrect: true,
+    spanOverlap
+  };
+};
+
+export { tokenizeClaim, spanTokenIndices, scoreSpotHallucination };
@@ -0,0 +1,79 @@
+/**
+ * Quiz History Statistics
+ * Turns stored quiz results into per-category and per-difficulty trends for the history screen.
+ */
+
+// Quizzes compared on each side when computing the recent change in accuracy
+const TREND_WINDOW = 5;
+// Most recent quizzes kept in a group's trend line
+const TREND_LENGTH = 10;
+
+/**
+ * Credit earned for one answer (0..1) - partial credit where the mode awards it
+ */
+const answerCredit = (answer) => (
+  typeof answer.credit === 'number' ? answer.credit : (answer.isCorrect ? 1 : 0)
+);
+
+/**
+ * Accuracy of one quiz (0..1), or null when it has no answers
+ */
+const quizAccuracy = (result) => {
+  const answers = result.answers || [];
+  if (answers.length === 0) return null;
+  return answers.reduce((total, answer) => total + answerCredit(answer), 0) / answers.length;
+};
+
+const average = (values) => (
+  values.length === 0 ? null : values.reduce((total, value) => total + value, 0) / values.length
+);
+
+/**
+ * Aggregate a group of quiz results (oldest first)
+ * @returns {Object} { quizzes, answered, accuracy, averageTime, bestScore, change, trend }
+ *   change is recent accuracy minus the accuracy before it (null until there are enough quizzes)
+ */
+const summarizeGroup = (results) => {
+  const answers = results.flatMap(result => result.answers || []);
+  const accuracies = results.map(quizAccuracy).filter(value => value !== null);
+  const timed = answers.filter(answer => typeof answer.timeTaken === 'number');
+
+  const recent = accuracies.slice(-TREND_WINDOW);
+  const before = accuracies.slice(-2 * TREND_WINDOW, -TREND_WINDOW);
+
+  return {
+    quizzes: results.length,
+    answered: answers.length,
+    accuracy: answers.length === 0 ? null : answers.reduce((total, answer) => total + answerCredit(answer), 0) / answers.length,
+    averageTime: average(timed.map(answer => answer.timeTaken)),
+    bestScore: results.reduce((best, result) => Math.max(best, result.score || 0), 0),
+    change: before.length > 0 ? average(recent) - average(before) : null,
+    trend: results
+      .slice(-TREND_LENGTH)
+      .map(result => ({ completedAt: result.completedAt, accuracy: quizAccuracy(result) }))
+  };
+};
+
+const groupBy = (results, keyOf) => results.reduce((groups, result) => {
+  const key = keyOf(result);
+  (groups[key] = groups[key] || []).push(result);
+  return groups;
+}, {});
+
+const summarizeGroups = (groups) => Object.fromEntries(
+  Object.entries(groups).map(([key, group]) => [key, summarizeGroup(group)])
+);
+
+/**
+ * Summarize a player's history
+ * @param {Array} results - Stored quiz results, oldest first
+ * @returns {Object} { overall, byCategory, byDifficulty, byMode } - each group as returned by summarizeGroup
+ */
+const summarizeHistory = (results) => ({
+  overall: summarizeGroup(results),
+  byCategory: summarizeGroups(groupBy(results, result => result.category || 'mixed')),
+  byDifficulty: summarizeGroups(groupBy(results, result => result.difficulty)),
+  byMode: summarizeGroups(groupBy(results, result => result.mode || 'classic'))
+});
+
+export { summarizeHistory, quizAccuracy };
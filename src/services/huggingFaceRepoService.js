@@ -1,168 +1,534 @@
 /**
  * Hugging Face Repository Service
  * Saves and retrieves questions from a Hugging Face dataset/repo
+ *
+ * Repo layout: one JSONL shard per category and day, e.g. questions/science/2024-05-01.jsonl
+ * (one question per line). Saves only touch the shards they append to and are committed
+ * against the commit they were based on, so concurrent saves retry instead of overwriting
+ * each other. The legacy single questions.json file is still read; it is only written when
+ * the bank editor changes or deletes one of its questions (edited ones move to a shard).
+ * Player reports (see questionReports) are appended to reports/<YYYY-MM-DD>.jsonl.
+ * Shared quizzes (see sharedQuiz) are stored as quizzes/<id>.json and never change once written.
+ * Shard and report texts are cached by their blob id, so each quiz only downloads the files that
+ * changed since the last read (usually just today's shards) instead of every file in the repo.
  */
 
+import { validateQuestions, questionKey } from './questionSchema.js';
+import { findNearDuplicateClusters, dedupeQuestions, logClusterReport } from './questionSimilarity.js';
+import { isRating, selectByRating } from './adaptiveDifficulty.js';
+import { categoryKeyFor } from './categories.js';
+import { validateReport, isRepeatReport, summarizeReports, flaggedKeys } from './questionReports.js';
+import { shuffle } from './seededRandom.js';
+import { createLogger } from './logger.js';
+
+const HUB_URL = 'https://huggingface.co';
+const SHARD_DIR = 'questions';
+const LEGACY_QUESTIONS_FILE = 'questions.json';
+const REPORT_DIR = 'reports';
+const SHARED_QUIZ_DIR = 'quizzes';
+const REVISION = 'main';
+// Commits retried when another save landed first
+const MAX_COMMIT_ATTEMPTS = 4;
+// Base delay between conflicting commits, multiplied by the attempt number
+const COMMIT_RETRY_DELAY_MS = 500;
+
+const log = createLogger('repo');
+
+// Text of shard, report and legacy files by "repoId/path" -> { blobId, text }
+const fileCache = new Map();
+
+const authHeaders = (apiToken) => ({ 'Authorization': `Bearer ${apiToken}` });
+
+const isShardPath = (path) => path.startsWith(`${SHARD_DIR}/`) && path.endsWith('.jsonl');
+
+const isReportPath = (path) => path.startsWith(`${REPORT_DIR}/`) && path.endsWith('.jsonl');
+
+/**
+ * Shard a question is appended to: questions/<category>/<YYYY-MM-DD>.jsonl
+ */
+const shardPathFor = (question, date = new Date()) => {
+  const category = categoryKeyFor(question.category) || 'mixed';
+  return `${SHARD_DIR}/${category}/${date.toISOString().slice(0, 10)}.jsonl`;
+};
+
+/**
+ * Parse a JSONL shard, skipping (and reporting) lines that are not valid JSON
+ */
+const parseJsonl = (text, path) => {
+  const questions = [];
+  text.split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      questions.push(JSON.parse(line));
+    } catch {
+      log.warn(`⚠️ Skipping malformed line ${index + 1} in ${path}`);
+    }
+  });
+  return questions;
+};
+
+const toJsonl = (questions) => questions.map(q => JSON.stringify(q)).join('\n') + '\n';
+
+/**
+ * Current head commit of the repo and the files it contains
+ * @returns {Object} { sha, files, blobIds } - blobIds maps file paths to their content hash
+ */
+const fetchRepoHead = async (repoId, apiToken) => {
+  const response = await fetch(`${HUB_URL}/api/datasets/${repoId}/revision/${REVISION}?blobs=true`, {
+    headers: authHeaders(apiToken)
+  });
+  if (!response.ok) {
+    const error = new Error(`Could not read repo ${repoId} (status ${response.status})`);
+    error.status = response.status;
+    throw error;
+  }
+  const info = await response.json();
+  const siblings = info.siblings || [];
+  return {
+    sha: info.sha,
+    files: siblings.map(file => file.rfilename),
+    blobIds: new Map(siblings.filter(file => file.blobId).map(file => [file.rfilename, file.blobId]))
+  };
+};
+
+/**
+ * Raw text of a file at a given commit, or null when it does not exist
+ */
+const readRepoFile = async (repoId, apiToken, revision, path) => {
+  const response = await fetch(`${HUB_URL}/datasets/${repoId}/resolve/${revision}/${path}`, {
+    headers: authHeaders(apiToken)
+  });
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`Could not read ${path} (status ${response.status})`);
+  }
+  return response.text();
+};
+
+/**
+ * Text of a file at the head commit, downloaded only when its blob changed since the last read
+ */
+const readCachedFile = async (repoId, apiToken, head, path) => {
+  const cacheKey = `${repoId}/${path}`;
+  const blobId = head.blobIds.get(path);
+  const cached = fileCache.get(cacheKey);
+  if (blobId && cached?.blobId === blobId) return cached.text;
+  const text = await readRepoFile(repoId, apiToken, head.sha, path);
+  if (blobId && text !== null) fileCache.set(cacheKey, { blobId, text });
+  return text;
+};
+
+/**
+ * Drop cached files of a repo that are no longer in it
+ */
+const pruneFileCache = (repoId, head) => {
+  const current = new Set(head.files.map(path => `${repoId}/${path}`));
+  [...fileCache.keys()].forEach(key => {
+    if (key.startsWith(`${repoId}/`) && !current.has(key)) fileCache.delete(key);
+  });
+};
+
+/**
+ * Read every shard (and the legacy questions.json) at the given head commit
+ * @returns {Object} { questions, shards, legacy } - shards maps shard path to its current text;
+ *   legacy is the array in questions.json, or null
+ */
+const readAllQuestions = async (repoId, apiToken, head) => {
+  const shardPaths = head.files.filter(isShardPath);
+  const hasLegacyFile = head.files.includes(LEGACY_QUESTIONS_FILE);
+
+  pruneFileCache(repoId, head);
+  const [legacyText, ...shardTexts] = await Promise.all([
+    hasLegacyFile ? readCachedFile(repoId, apiToken, head, LEGACY_QUESTIONS_FILE) : null,
+    ...shardPaths.map(path => readCachedFile(repoId, apiToken, head, path))
+  ]);
+
+  const questions = [];
+  let legacy = null;
+  if (legacyText) {
+    try {
+      const parsed = JSON.parse(legacyText);
+      if (Array.isArray(parsed)) {
+        legacy = parsed;
+        questions.push(...parsed);
+      } else {
+        log.warn(`⚠️ ${LEGACY_QUESTIONS_FILE} is not an array, ignoring it.`);
+      }
+    } catch {
+      log.warn(`⚠️ ${LEGACY_QUESTIONS_FILE} is not valid JSON, ignoring it.`);
+    }
+  }
+
+  const shards = new Map();
+  shardPaths.forEach((path, index) => {
+    const text = shardTexts[index] || '';
+    shards.set(path, text);
+    questions.push(...parseJsonl(text, path));
+  });
+
+  return { questions, shards, legacy };
+};
+
+/**
+ * Commit files on top of `parentCommit` using the Hub commit API
+ * Fails with status 409/412 when the branch moved since `parentCommit`
+ * @param {Array} files - [{ path, content }] with UTF-8 text content; content null deletes the file
+ */
+const commitFiles = async (repoId, apiToken, files, summary, parentCommit) => {
+  const lines = [
+    { key: 'header', value: { summary, parentCommit } },
+    ...files.map(file => (file.content === null
+      ? { key: 'deletedFile', value: { path: file.path } }
+      : {
+        key: 'file',
+        value: {
+          path: file.path,
+          encoding: 'base64',
+          content: Buffer.from(file.content, 'utf8').toString('base64')
+        }
+      }))
+  ];
+
+  const response = await fetch(`${HUB_URL}/api/datasets/${repoId}/commit/${REVISION}`, {
+    method: 'POST',
+    headers: {
+      ...authHeaders(apiToken),
+      'Content-Type': 'application/x-ndjson'
+    },
+    body: lines.map(line => JSON.stringify(line)).join('\n')
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => '');
+    let errorData;
+    try {
+      errorData = JSON.parse(errorText);
+    } catch {
+      errorData = { error: errorText };
+    }
+    const error = new Error(`Hugging Face API error: ${response.status} - ${errorData.error || errorData.message || errorText}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.json().catch(() => ({}));
+};
+
+const isCommitConflict = (error) => error.status === 409 || error.status === 412;
+
+/**
+ * Run a read-and-commit operation, starting it over when another commit landed first
+ * @param {string} label - What is being done, for the retry log ("editing")
+ * @param {Function} operation - Async function that reads the head and commits on top of it
+ */
+const retryOnConflict = async (label, operation) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (!isCommitConflict(error) || attempt >= MAX_COMMIT_ATTEMPTS) throw error;
+      log.warn(`🔁 Repo changed while ${label} (attempt ${attempt}/${MAX_COMMIT_ATTEMPTS}), retrying...`);
+      await new Promise(resolve => setTimeout(resolve, COMMIT_RETRY_DELAY_MS * attempt));
+    }
+  }
+};
+
+const logCommitError = (error, repoId) => {
+  log.error('❌ Failed to save to Hugging Face repo:', error.message);
+  if (error.status === 401) {
+    log.error('🔑 Authentication failed. Check your API token has write access.');
+  } else if (error.status === 403) {
+    log.error('🚫 Permission denied. Make sure your token has "Write" access to the repo.');
+  } else if (error.status === 404) {
+    log.error('🔍 Repo not found. Make sure the repo exists and the path is correct.');
+    log.error(`   Expected format: "username/repo-name"`);
+    log.error(`   Your repo ID: "${repoId}"`);
+  }
+};
+
 /**
  * Save questions to Hugging Face repository
+ * New questions are appended to their category/day shards; questions that are (near-)duplicates
+ * of one already in the repo, or of an earlier one in the batch, are skipped.
+ * If another save is committed first, the repo is re-read and the save retried.
  * @param {Array} questions - Array of question objects to save
  * @param {string} repoId - Hugging Face repo ID (e.g., "username/questions-dataset")
  * @param {string} apiToken - Hugging Face API token with write access
+ * @param {Object} options - { threshold } - near-duplicate similarity threshold (see questionSimilarity)
+ * @returns {Object} { added, clusters } - number of questions added and the near-duplicate clusters skipped
  */
-const saveQuestionsToRepo = async (questions, repoId, apiToken) => {
+const saveQuestionsToRepo = async (questions, repoId, apiToken, options = {}) => {
   if (!apiToken || !repoId) {
-    console.warn('⚠️ Missing API token or repo ID. Skipping save to Hugging Face.');
-    console.warn(`   Token: ${apiToken ? '✅ Present' : '❌ Missing'}`);
-    console.warn(`   Repo ID: ${repoId || '❌ Missing'}`);
-    return;
+    log.warn('⚠️ Missing API token or repo ID. Skipping save to Hugging Face.');
+    log.warn(`   Token: ${apiToken ? '✅ Present' : '❌ Missing'}`);
+    log.warn(`   Repo ID: ${repoId || '❌ Missing'}`);
+    return { added: 0, clusters: [] };
   }
 
-  console.log(`💾 Starting save process for ${questions.length} questions to ${repoId}...`);
+  log.debug(`💾 Starting save process for ${questions.length} questions to ${repoId}...`);
 
   try {
-    // First, try to get existing questions from the repo
-    let existingQuestions = [];
-    try {
-      console.log(`📥 Checking for existing questions in repo...`);
-      const response = await fetch(
-        `https://huggingface.co/datasets/${repoId}/resolve/main/questions.json`,
-        {
-          headers: {
-            'Authorization': `Bearer ${apiToken}`
-          }
-        }
-      );
-      
-      if (response.ok) {
-        existingQuestions = await response.json();
-        if (!Array.isArray(existingQuestions)) {
-          console.warn('⚠️ Existing questions file is not an array, starting fresh.');
-          existingQuestions = [];
-        } else {
-          console.log(`📦 Found ${existingQuestions.length} existing questions in repo`);
-        }
-      } else if (response.status === 404) {
-        console.log('📝 No existing questions file found, starting fresh.');
-      } else {
-        console.warn(`⚠️ Could not load existing questions (status ${response.status}), starting fresh.`);
+    return await retryOnConflict('saving', async () => {
+      const head = await fetchRepoHead(repoId, apiToken);
+      const { questions: existingQuestions, shards } = await readAllQuestions(repoId, apiToken, head);
+      log.debug(`📦 Found ${existingQuestions.length} existing questions in repo (commit ${head.sha?.slice(0, 7)})`);
+
+      // Skip near-duplicates of questions already in the repo (and of earlier ones in this batch).
+      // Existing questions come first, so they are the ones kept in each cluster.
+      const offset = existingQuestions.length;
+      const clusters = findNearDuplicateClusters([...existingQuestions, ...questions], options)
+        .map(cluster => ({ ...cluster, merged: cluster.merged.filter(({ index }) => index >= offset) }))
+        .filter(cluster => cluster.merged.length > 0);
+      const skipped = new Set(clusters.flatMap(cluster => cluster.merged.map(({ index }) => index - offset)));
+      const newQuestions = questions.filter((q, index) => questionKey(q) && !skipped.has(index));
+      logClusterReport(clusters, 'repo save');
+
+      log.debug(`🆕 Found ${newQuestions.length} new questions (${questions.length - newQuestions.length} duplicates skipped)`);
+      if (newQuestions.length === 0) {
+        log.info('✅ All questions already exist in repo, skipping save.');
+        return { added: 0, clusters };
       }
-    } catch (error) {
-      console.log('📝 No existing questions file found (or error loading), starting fresh.');
-      console.log('   Error:', error.message);
-      existingQuestions = [];
-    }
 
-    // Merge new questions with existing ones (avoid duplicates by question text)
-    const existingQuestionTexts = new Set(existingQuestions.map(q => q.question?.toLowerCase().trim()));
-    const newQuestions = questions.filter(q => {
-      const questionText = q.question?.toLowerCase().trim();
-      return questionText && !existingQuestionTexts.has(questionText);
+      const additions = new Map();
+      newQuestions.forEach(q => {
+        const path = shardPathFor(q);
+        additions.set(path, [...(additions.get(path) || []), q]);
+      });
+      const files = [...additions].map(([path, added]) => ({
+        path,
+        content: (shards.get(path) || '') + toJsonl(added)
+      }));
+
+      await commitFiles(
+        repoId,
+        apiToken,
+        files,
+        `Add ${newQuestions.length} new quiz questions - ${new Date().toISOString()}`,
+        head.sha
+      );
+
+      log.info(`✅ Successfully saved ${newQuestions.length} new questions to Hugging Face repo: ${repoId}`);
+      log.debug(`🗂️ Shards updated: ${files.map(file => file.path).join(', ')}`);
+      log.debug(`🔗 View repo: ${HUB_URL}/datasets/${repoId}`);
+      return { added: newQuestions.length, clusters };
     });
-    
-    console.log(`🆕 Found ${newQuestions.length} new questions (${questions.length - newQuestions.length} duplicates skipped)`);
-    
-    if (newQuestions.length === 0) {
-      console.log('✅ All questions already exist in repo, skipping save.');
-      return;
-    }
-    
-    const allQuestions = [...existingQuestions, ...newQuestions];
-    console.log(`📊 Total questions after merge: ${allQuestions.length}`);
-    
-    // Save to Hugging Face using the commits API (correct method for datasets)
-    await saveQuestionsViaCommit(newQuestions, repoId, apiToken, allQuestions);
   } catch (error) {
-    console.error('❌ Error saving questions to Hugging Face:', error);
-    console.error('   This is a background operation, so the app will continue.');
+    logCommitError(error, repoId);
+    log.error('   This is a background operation, so the app will continue.');
     // Re-throw so caller can log it, but caller should catch it
     throw error;
   }
 };
 
 /**
- * Save questions using Hugging Face commits API
- * Uses the Hub API which requires write access token
+ * Edit and delete questions in the Hugging Face repository (the bank editor)
+ * Questions are matched by their normalized text before the edit, in every shard and the
+ * legacy questions.json. An edited question stays in its shard unless its category changed,
+ * in which case it moves to today's shard of the new category. Conflicting commits are retried.
+ * @param {Object} changes - { updates: [{ key, question }], deletions: [key] } - keys are questionKey values
+ * @param {string} repoId - Hugging Face repo ID
+ * @param {string} apiToken - Hugging Face API token with write access
+ * @returns {Object} { updated, deleted, missing, duplicates } - missing lists keys not in the repo,
+ *   duplicates the updates skipped because their new text is already another question's
  */
-const saveQuestionsViaCommit = async (newQuestions, repoId, apiToken, allQuestions) => {
+const updateQuestionsInRepo = async ({ updates = [], deletions = [] }, repoId, apiToken) => {
+  if (!apiToken || !repoId) {
+    throw new Error('Missing API token or repo ID');
+  }
+
   try {
-    console.log(`📤 Preparing to commit ${newQuestions.length} new questions to ${repoId}...`);
-    
-    const content = JSON.stringify(allQuestions, null, 2);
-    console.log(`📝 Content size: ${content.length} characters`);
-    
-    // Encode content to base64
-    const base64Content = btoa(unescape(encodeURIComponent(content)));
-    
-    // Use Hugging Face Hub API to commit file
-    // API endpoint: POST /api/datasets/{repo_id}/commit/{revision}
-    const apiUrl = `https://huggingface.co/api/datasets/${repoId}/commit/main`;
-    console.log(`🌐 Calling Hugging Face Hub API: ${apiUrl}`);
-    
-    const commitResponse = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiToken}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        operations: [
-          {
-            operation: 'addOrUpdate',
-            path: 'questions.json',
-            content: base64Content
+    return await retryOnConflict('editing', async () => {
+      const head = await fetchRepoHead(repoId, apiToken);
+      const { questions, shards, legacy } = await readAllQuestions(repoId, apiToken, head);
+      const deleted = new Set(deletions);
+      const existingKeys = new Set(questions.map(questionKey));
+      const duplicates = [];
+      const updatesByKey = new Map();
+      updates.forEach(({ key, question }) => {
+        const newKey = questionKey(question);
+        if (newKey !== key && existingKeys.has(newKey) && !deleted.has(newKey)) {
+          duplicates.push(key);
+        } else {
+          updatesByKey.set(key, question);
+        }
+      });
+
+      const found = new Set();
+      const moved = [];
+      // Apply the changes to one file's questions; null when nothing in it changed
+      const applyChanges = (fileQuestions, shardCategory) => {
+        let changed = false;
+        const kept = [];
+        fileQuestions.forEach(q => {
+          const key = questionKey(q);
+          if (deleted.has(key)) {
+            found.add(key);
+            changed = true;
+          } else if (updatesByKey.has(key)) {
+            found.add(key);
+            changed = true;
+            const updated = updatesByKey.get(key);
+            if ((categoryKeyFor(updated.category) || 'mixed') === shardCategory) {
+              kept.push(updated);
+            } else {
+              moved.push(updated);
+            }
+          } else {
+            kept.push(q);
           }
-        ],
-        commit_message: `Add ${newQuestions.length} new quiz questions - ${new Date().toISOString()}`
-      })
+        });
+        return changed ? kept : null;
+      };
+
+      const files = new Map();
+      shards.forEach((text, path) => {
+        const kept = applyChanges(parseJsonl(text, path), path.split('/')[1]);
+        if (kept) files.set(path, kept.length > 0 ? toJsonl(kept) : null);
+      });
+      if (legacy) {
+        const kept = applyChanges(legacy, null);
+        if (kept) files.set(LEGACY_QUESTIONS_FILE, JSON.stringify(kept, null, 2));
+      }
+      moved.forEach(q => {
+        const path = shardPathFor(q);
+        const base = files.has(path) ? files.get(path) : shards.get(path);
+        files.set(path, (base || '') + toJsonl([q]));
+      });
+
+      const updatedCount = [...updatesByKey.keys()].filter(key => found.has(key)).length;
+      const deletedCount = [...deleted].filter(key => found.has(key)).length;
+      const missing = [...updatesByKey.keys(), ...deleted].filter(key => !found.has(key));
+      if (files.size === 0) {
+        log.info('✏️ No matching questions in the repo, nothing to commit');
+        return { updated: 0, deleted: 0, missing, duplicates };
+      }
+
+      await commitFiles(
+        repoId,
+        apiToken,
+        [...files].map(([path, content]) => ({ path, content })),
+        `Edit ${updatedCount} and delete ${deletedCount} quiz questions - ${new Date().toISOString()}`,
+        head.sha
+      );
+      log.info(`✏️ Edited ${updatedCount} and deleted ${deletedCount} question(s) in ${repoId} (${files.size} file(s) changed)`);
+      return { updated: updatedCount, deleted: deletedCount, missing, duplicates };
     });
+  } catch (error) {
+    logCommitError(error, repoId);
+    throw error;
+  }
+};
 
-    console.log(`📡 Response status: ${commitResponse.status} ${commitResponse.statusText}`);
+/**
+ * Every valid report in the repo at a head
+ */
+const readReports = async (repoId, apiToken, head) => {
+  const paths = head.files.filter(isReportPath);
+  const texts = await Promise.all(paths.map(path => readCachedFile(repoId, apiToken, head, path)));
+  return texts.flatMap((text, index) => parseJsonl(text || '', paths[index])).map(validateReport).filter(Boolean);
+};
 
-    if (commitResponse.ok) {
-      const responseData = await commitResponse.json().catch(() => ({}));
-      console.log(`✅ Successfully saved ${newQuestions.length} new questions to Hugging Face repo: ${repoId}`);
-      console.log(`📊 Total questions in repo: ${allQuestions.length}`);
-      console.log(`🔗 View repo: https://huggingface.co/datasets/${repoId}`);
-      return responseData;
+/**
+ * Append a player report to today's report file - unless its reporter already reported the question,
+ * so repeating a report neither counts twice nor adds a commit
+ * @param {Object} report - Validated report (see questionReports)
+ * @param {string} repoId - Hugging Face repo ID
+ * @param {string} apiToken - Hugging Face API token with write access
+ * @returns {boolean} Whether the report was new
+ */
+const saveReportToRepo = async (report, repoId, apiToken) => {
+  if (!apiToken || !repoId) {
+    throw new Error('Missing API token or repo ID');
+  }
+  const path = `${REPORT_DIR}/${report.reportedAt.slice(0, 10)}.jsonl`;
+
+  try {
+    const added = await retryOnConflict('reporting', async () => {
+      const head = await fetchRepoHead(repoId, apiToken);
+      if (isRepeatReport(await readReports(repoId, apiToken, head), report)) return false;
+      const existing = head.files.includes(path) ? await readCachedFile(repoId, apiToken, head, path) : '';
+      await commitFiles(
+        repoId,
+        apiToken,
+        [{ path, content: (existing || '') + toJsonl([report]) }],
+        `Report quiz question (${report.reason}) - ${report.reportedAt}`,
+        head.sha
+      );
+      return true;
+    });
+    if (added) {
+      log.info(`🚩 Saved ${report.reason} report for "${report.key}"`);
     } else {
-      const errorText = await commitResponse.text();
-      let errorData;
-      try {
-        errorData = JSON.parse(errorText);
-      } catch {
-        errorData = { message: errorText };
-      }
-      
-      console.error('❌ Failed to save to Hugging Face repo');
-      console.error('Status:', commitResponse.status, commitResponse.statusText);
-      console.error('Error response:', errorData);
-      
-      if (commitResponse.status === 401) {
-        console.error('🔑 Authentication failed. Check your API token has write access.');
-      } else if (commitResponse.status === 403) {
-        console.error('🚫 Permission denied. Make sure your token has "Write" access to the repo.');
-      } else if (commitResponse.status === 404) {
-        console.error('🔍 Repo not found. Make sure the repo exists and the path is correct.');
-        console.error(`   Expected format: "username/repo-name"`);
-        console.error(`   Your repo ID: "${repoId}"`);
-      } else {
-        console.error('❓ Unknown error. Check Hugging Face API status.');
-      }
-      
-      throw new Error(`Hugging Face API error: ${commitResponse.status} - ${errorData.message || errorText}`);
+      log.info(`🚩 Skipped a repeated ${report.reason} report for "${report.key}"`);
     }
+    return added;
   } catch (error) {
-    console.error('❌ Error committing to Hugging Face:', error);
-    if (error.message.includes('CORS')) {
-      console.error('⚠️ CORS error detected. The Hugging Face Hub API may need to be called from a backend.');
-      console.error('💡 Consider using a backend proxy or Vite proxy for Hub API calls.');
-    }
-    throw error; // Re-throw so caller can handle it
+    logCommitError(error, repoId);
+    throw error;
+  }
+};
+
+/**
+ * Store a shared quiz - its id is a hash of its questions, so a quiz that is already
+ * stored is left alone
+ * @param {Object} quiz - Shared quiz (see sharedQuiz.createSharedQuiz)
+ * @param {string} repoId - Hugging Face repo ID
+ * @param {string} apiToken - Hugging Face API token with write access
+ * @returns {boolean} Whether the quiz was new
+ */
+const saveSharedQuizToRepo = async (quiz, repoId, apiToken) => {
+  if (!apiToken || !repoId) {
+    throw new Error('Missing API token or repo ID');
+  }
+  const path = `${SHARED_QUIZ_DIR}/${quiz.id}.json`;
+
+  try {
+    const added = await retryOnConflict('sharing', async () => {
+      const head = await fetchRepoHead(repoId, apiToken);
+      if (head.files.includes(path)) return false;
+      await commitFiles(repoId, apiToken, [{ path, content: `${JSON.stringify(quiz, null, 2)}\n` }], `Share quiz ${quiz.id}`, head.sha);
+      return true;
+    });
+    log.info(added ? `🔗 Shared quiz ${quiz.id} (${quiz.questions.length} questions)` : `🔗 Quiz ${quiz.id} was already shared`);
+    return added;
+  } catch (error) {
+    logCommitError(error, repoId);
+    throw error;
+  }
+};
+
+/**
+ * Load a shared quiz
+ * @param {string} id - Shared quiz id (see sharedQuiz.isSharedQuizId)
+ * @returns {Object|null} The quiz, or null when there is no quiz with that id
+ */
+const loadSharedQuizFromRepo = async (id, repoId, apiToken) => {
+  const text = await readRepoFile(repoId, apiToken, REVISION, `${SHARED_QUIZ_DIR}/${id}.json`);
+  return text === null ? null : JSON.parse(text);
+};
+
+/**
+ * Load every player report from the Hugging Face repository
+ * @param {string} repoId - Hugging Face repo ID
+ * @param {string} apiToken - Hugging Face API token
+ * @returns {Array} Valid reports (an empty list when they cannot be read)
+ */
+const loadReportsFromRepo = async (repoId, apiToken) => {
+  if (!apiToken || !repoId) {
+    return [];
   }
+
+  try {
+    return await readReports(repoId, apiToken, await fetchRepoHead(repoId, apiToken));
+  } catch (error) {
+    log.info('Could not load question reports from repo:', error.message);
+  }
+
+  return [];
 };
 
 /**
  * Load questions from Hugging Face repository
+ * Reads and merges every shard plus the legacy questions.json, dropping duplicates
  * @param {string} repoId - Hugging Face repo ID
  * @param {string} apiToken - Hugging Face API token
  * @returns {Array} Array of questions
@@ -173,24 +539,22 @@ const loadQuestionsFromRepo = async (repoId, apiToken) => {
   }
 
   try {
-    const response = await fetch(
-      `https://huggingface.co/datasets/${repoId}/resolve/main/questions.json`,
-      {
-        headers: {
-          'Authorization': `Bearer ${apiToken}`
-        }
-      }
-    );
-
-    if (response.ok) {
-      const questions = await response.json();
-      console.log(`✅ Loaded ${questions.length} questions from Hugging Face repo`);
-      return Array.isArray(questions) ? questions : [];
-    } else if (response.status === 404) {
-      console.log('Questions file not found in repo yet (will be created on first save)');
-    }
+    const head = await fetchRepoHead(repoId, apiToken);
+    const { questions } = await readAllQuestions(repoId, apiToken, head);
+
+    const seen = new Set();
+    const unique = questions.filter(q => {
+      const key = questionKey(q);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    const { valid } = validateQuestions(unique, 'repo');
+    log.info(`✅ Loaded ${valid.length} questions from Hugging Face repo (${questions.length - valid.length} invalid or duplicate skipped)`);
+    return valid;
   } catch (error) {
-    console.log('Could not load questions from repo (may not exist yet):', error.message);
+    log.info('Could not load questions from repo (may not exist yet):', error.message);
   }
 
   return [];
@@ -198,26 +562,49 @@ const loadQuestionsFromRepo = async (repoId, apiToken) => {
 
 /**
  * Filter questions from repo by category and difficulty
+ * Near-duplicates are collapsed so a quiz never asks the same fact twice
  * @param {Array} questions - All questions from repo
- * @param {string} category - Category to filter by
+ * @param {string|Array<string>} category - Category key(s) to filter by - built-in or custom (see categories)
  * @param {string} difficulty - Difficulty to filter by
  * @param {number} count - Number of questions to return
+ * @param {Array<string>} types - Question types to keep (all types when omitted)
+ * @param {Object} options - { threshold, rating, reports, reportThreshold, random } - near-duplicate similarity threshold (see questionSimilarity);
+ *   rating picks questions near that difficulty rating instead of filtering by difficulty (see adaptiveDifficulty);
+ *   questions with reportThreshold (default REPORT_THRESHOLD) or more open player reports are left out (see questionReports);
+ *   random drives the shuffle - a seeded one (see seededRandom) picks the same questions every time
  */
-const filterQuestionsFromRepo = (questions, category, difficulty, count) => {
+const filterQuestionsFromRepo = (questions, category, difficulty, count, types, options = {}) => {
   let filtered = questions;
+
+  if (options.reports?.length) {
+    const flagged = flaggedKeys(summarizeReports(questions, options.reports), options.reportThreshold);
+    if (flagged.size > 0) {
+      filtered = filtered.filter(q => !flagged.has(questionKey(q)));
+      log.info(`🚩 Holding back ${flagged.size} reported question(s)`);
+    }
+  }
   
-  if (category) {
-    filtered = filtered.filter(q => q.category === category);
+  if (types) {
+    filtered = filtered.filter(q => types.includes(q.type));
   }
   
-  if (difficulty) {
+  const categoryKeys = new Set([].concat(category || []).map(categoryKeyFor).filter(Boolean));
+  if (categoryKeys.size > 0) {
+    filtered = filtered.filter(q => categoryKeys.has(categoryKeyFor(q.category)));
+  }
+  
+  if (difficulty && !isRating(options.rating)) {
     filtered = filtered.filter(q => q.difficulty === difficulty);
   }
   
+  filtered = dedupeQuestions(filtered, { threshold: options.threshold, label: 'quiz' }).unique;
+  
   // Shuffle and return requested count
-  const shuffled = [...filtered].sort(() => Math.random() - 0.5);
-  return shuffled.slice(0, count);
+  const shuffled = shuffle(filtered, options.random);
+  // Closest rating first; the shuffle breaks ties
+  const ranked = isRating(options.rating) ? selectByRating(shuffled, options.rating) : shuffled;
+  return ranked.slice(0, count);
 };
 
-export { saveQuestionsToRepo, loadQuestionsFromRepo, filterQuestionsFromRepo };
+export { saveQuestionsToRepo, updateQuestionsInRepo, saveReportToRepo, saveSharedQuizToRepo, loadSharedQuizFromRepo, loadQuestionsFromRepo, loadReportsFromRepo, filterQuestionsFromRepo };
 
@@ -0,0 +1,35 @@
+/**
+ * IndexedDB Helpers
+ * Promise wrappers shared by the browser-side stores.
+ */
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+/**
+ * Open (and create or upgrade) a database
+ * @param {string} name - Database name
+ * @param {number} version - Schema version
+ * @param {Function} upgrade - (db) => void, creates missing object stores
+ * @returns {Promise<IDBDatabase>} Rejects when IndexedDB is unavailable or blocked
+ */
+const openDatabase = (name, version, upgrade) => new Promise((resolve, reject) => {
+  if (typeof indexedDB === 'undefined') {
+    reject(new Error('IndexedDB not available'));
+    return;
+  }
+  const request = indexedDB.open(name, version);
+  request.onupgradeneeded = () => upgrade(request.result);
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export { requestToPromise, transactionDone, openDatabase };
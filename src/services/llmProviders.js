@@ -0,0 +1,462 @@
+/**
+ * LLM Provider Layer
+ * Interchangeable text-generation backends used by the question generator.
+ * Every provider exposes the same shape:
+ *   { name, model, isConfigured(), generate(prompt, params) => Promise<string>,
+ *     stream(prompt, params) => AsyncIterable<string> }
+ * and is responsible for its own request body and response parsing.
+ * Providers run inside the API server, where credentials are kept.
+ */
+
+import { readSetting } from './serverEnv.js';
+import { createLogger } from './logger.js';
+
+const HUGGINGFACE_INFERENCE_URL = 'https://api-inference.huggingface.co';
+
+const log = createLogger('generation');
+
+const DEFAULT_MODELS = {
+  huggingface: 'meta-llama/Llama-3.2-3B-Instruct',
+  openai: 'gpt-4o-mini',
+  local: 'llama3.2'
+};
+
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const OPENAI_HOSTNAME = 'api.openai.com';
+const LOCAL_FLAVORS = ['ollama', 'llamacpp'];
+
+const readErrorBody = async (response) => {
+  const text = await response.text().catch(() => '');
+  try {
+    return JSON.parse(text);
+  } catch {
+    return { error: text || response.statusText };
+  }
+};
+
+/**
+ * Iterate over the lines of a streamed response body
+ * Handles both server-sent events ("data: ..." lines) and newline-delimited JSON
+ * @param {Response} response - fetch response with a readable body
+ * @returns {AsyncGenerator<string>} Payload of each non-empty line, "data: " prefix removed
+ */
+async function* readStreamLines(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const toPayload = (line) => line.trim().replace(/^data:\s*/, '');
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let newlineIndex;
+      while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+        const payload = toPayload(buffer.slice(0, newlineIndex));
+        buffer = buffer.slice(newlineIndex + 1);
+        if (payload) yield payload;
+      }
+    }
+  } finally {
+    // Stop the download if the consumer stopped early
+    reader.cancel().catch(() => {});
+  }
+
+  const payload = toPayload(buffer + decoder.decode());
+  if (payload) yield payload;
+}
+
+/**
+ * Parse each streamed line as JSON and yield the text picked out by `extract`
+ * Lines that are not JSON (SSE comments, "[DONE]") are skipped
+ */
+async function* streamTextFrom(response, extract) {
+  for await (const line of readStreamLines(response)) {
+    let data;
+    try {
+      data = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    const text = extract(data);
+    if (text) yield text;
+  }
+}
+
+const wrapNetworkError = (providerName, hint) => (fetchError) => {
+  log.error(`Fetch error (${providerName}):`, fetchError.message);
+  throw new Error(`Network error: ${fetchError.message}. ${hint}`);
+};
+
+/**
+ * Hugging Face Inference API (text-generation task)
+ * @param {Object} config - { apiToken, model, baseUrl }
+ */
+const createHuggingFaceProvider = ({ apiToken, model, baseUrl } = {}) => {
+  const modelId = model || DEFAULT_MODELS.huggingface;
+  const root = (baseUrl || HUGGINGFACE_INFERENCE_URL).replace(/\/+$/, '');
+
+  const request = async (prompt, params = {}, streamMode = false, isRetry = false) => {
+    const url = `${root}/models/${modelId}`;
+    log.debug('Calling Hugging Face API:', url);
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${apiToken}`
+      },
+      body: JSON.stringify({
+        inputs: prompt,
+        parameters: {
+          temperature: params.temperature,
+          max_new_tokens: params.maxTokens,
+          return_full_text: false,
+          top_p: params.topP,
+          do_sample: true
+        },
+        stream: streamMode
+      })
+    }).catch(wrapNetworkError('huggingface', 'Check that the API server can reach the Hugging Face Inference API.'));
+
+    log.debug('Hugging Face API response status:', response.status);
+
+    if (!response.ok) {
+      const errorData = await readErrorBody(response);
+      log.debug('Hugging Face API error:', errorData);
+
+      // Handle model loading case - wait and retry once
+      if (!isRetry && typeof errorData.error === 'string' && errorData.error.includes('loading')) {
+        log.warn('Model is loading, this may take 20-30 seconds. Retrying in 5 seconds...');
+        await new Promise(resolve => setTimeout(resolve, 5000));
+        return request(prompt, params, streamMode, true);
+      }
+
+      throw new Error(`Hugging Face API error: ${response.status} - ${errorData.error || JSON.stringify(errorData)}`);
+    }
+
+    return response;
+  };
+
+  const generate = async (prompt, params) => {
+    const response = await request(prompt, params);
+    const data = await response.json();
+
+    // Hugging Face returns different formats depending on the model
+    const first = Array.isArray(data) ? data[0] : data;
+    const content = first?.generated_text ?? first?.text;
+    if (typeof content !== 'string') {
+      log.debug('Unexpected response format:', data);
+      throw new Error('Unexpected response format from Hugging Face API. Response: ' + JSON.stringify(data).substring(0, 200));
+    }
+    return content.trim();
+  };
+
+  return {
+    name: 'huggingface',
+    model: modelId,
+    isConfigured: () => Boolean(apiToken),
+    generate,
+    // Text-generation streaming sends SSE events shaped like { token: { text } }
+    stream: async function* (prompt, params) {
+      const response = await request(prompt, params, true);
+      yield* streamTextFrom(response, data => (data.token?.special ? '' : data.token?.text));
+    }
+  };
+};
+
+/**
+ * OpenAI-compatible chat-completions endpoint (OpenAI, Together, Groq, vLLM, LM Studio, ...)
+ * @param {Object} config - { baseUrl, apiKey, model }
+ */
+const createOpenAIProvider = ({ baseUrl, apiKey, model } = {}) => {
+  const modelId = model || DEFAULT_MODELS.openai;
+  const root = (baseUrl || DEFAULT_OPENAI_BASE_URL).replace(/\/+$/, '');
+  const endpoint = `${root}/chat/completions`;
+  // OpenAI itself needs a key; other OpenAI-compatible servers (vLLM, LM Studio, ...) may not
+  const needsApiKey = (() => {
+    try {
+      return new URL(root).hostname === OPENAI_HOSTNAME;
+    } catch {
+      return true;
+    }
+  })();
+
+  const request = async (prompt, params = {}, streamMode = false) => {
+    log.debug('Calling OpenAI-compatible endpoint:', endpoint);
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: modelId,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: params.temperature,
+        top_p: params.topP,
+        max_tokens: params.maxTokens,
+        stream: streamMode
+      })
+    }).catch(wrapNetworkError('openai', 'Check the endpoint URL and that the API server can reach it.'));
+
+    if (!response.ok) {
+      const errorData = await readErrorBody(response);
+      log.debug('OpenAI-compatible API error:', errorData);
+      const message = errorData.error?.message || errorData.error || JSON.stringify(errorData);
+      throw new Error(`OpenAI API error: ${response.status} - ${message}`);
+    }
+
+    return response;
+  };
+
+  const generate = async (prompt, params) => {
+    const response = await request(prompt, params);
+    const data = await response.json();
+    const content = data.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+      log.debug('Unexpected response format:', data);
+      throw new Error('Unexpected response format from OpenAI-compatible API. Response: ' + JSON.stringify(data).substring(0, 200));
+    }
+    return content.trim();
+  };
+
+  return {
+    name: 'openai',
+    model: modelId,
+    isConfigured: () => Boolean(apiKey) || !needsApiKey,
+    generate,
+    // Chat-completions streaming sends SSE chunks shaped like { choices: [{ delta: { content } }] }
+    stream: async function* (prompt, params) {
+      const response = await request(prompt, params, true);
+      yield* streamTextFrom(response, data => data.choices?.[0]?.delta?.content);
+    }
+  };
+};
+
+/**
+ * Local inference server - Ollama (/api/generate) or llama.cpp (/completion)
+ * @param {Object} config - { baseUrl, model, flavor: 'ollama' | 'llamacpp' }
+ */
+const createLocalProvider = ({ baseUrl, model, flavor = 'ollama' } = {}) => {
+  if (!LOCAL_FLAVORS.includes(flavor)) {
+    throw new Error(`Unknown local LLM flavor "${flavor}" (LOCAL_LLM_FLAVOR). Expected one of: ${LOCAL_FLAVORS.join(', ')}`);
+  }
+  const modelId = model || DEFAULT_MODELS.local;
+  const isLlamaCpp = flavor === 'llamacpp';
+  const root = (baseUrl || (isLlamaCpp ? 'http://localhost:8080' : 'http://localhost:11434')).replace(/\/+$/, '');
+  const endpoint = isLlamaCpp ? `${root}/completion` : `${root}/api/generate`;
+
+  const request = async (prompt, params = {}, streamMode = false) => {
+    log.debug(`Calling local ${flavor} server:`, endpoint);
+
+    const body = isLlamaCpp
+      ? {
+          prompt,
+          n_predict: params.maxTokens,
+          temperature: params.temperature,
+          top_p: params.topP,
+          stream: streamMode
+        }
+      : {
+          model: modelId,
+          prompt,
+          stream: streamMode,
+          options: {
+            num_predict: params.maxTokens,
+            temperature: params.temperature,
+            top_p: params.topP
+          }
+        };
+
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    }).catch(wrapNetworkError('local', `Make sure the ${flavor} server is running at ${root}.`));
+
+    if (!response.ok) {
+      const errorData = await readErrorBody(response);
+      log.debug('Local LLM server error:', errorData);
+      throw new Error(`Local LLM API error: ${response.status} - ${errorData.error || JSON.stringify(errorData)}`);
+    }
+
+    return response;
+  };
+
+  const generate = async (prompt, params) => {
+    const response = await request(prompt, params);
+    const data = await response.json();
+    const content = isLlamaCpp ? data.content : data.response;
+    if (typeof content !== 'string') {
+      log.debug('Unexpected response format:', data);
+      throw new Error('Unexpected response format from local LLM server. Response: ' + JSON.stringify(data).substring(0, 200));
+    }
+    return content.trim();
+  };
+
+  return {
+    name: 'local',
+    model: modelId,
+    isConfigured: () => true,
+    generate,
+    // Ollama streams NDJSON { response }, llama.cpp streams SSE { content }
+    stream: async function* (prompt, params) {
+      const response = await request(prompt, params, true);
+      yield* streamTextFrom(response, data => (isLlamaCpp ? data.content : data.response));
+    }
+  };
+};
+
+/**
+ * Offline stub provider - returns canned questions so the app can run without a network
+ * @param {Object} config - { response } optional fixed string or (prompt, params) => string
+ */
+const createStubProvider = ({ response } = {}) => {
+  const generate = async (prompt, params = {}) => {
+    if (typeof response === 'function') {
+      return response(prompt, params);
+    }
+    if (typeof response === 'string') {
+      return response;
+    }
+
+    const count = params.count || 1;
+    if (prompt.includes('"spot-hallucination"')) {
+      return JSON.stringify(Array.from({ length: count }, (_, i) => ({
+        type: 'spot-hallucination',
+        question: `Which claim in stub round ${i + 1} is fabricated?`,
+        claims: [
+          `Stub round ${i + 1} has four claims.`,
+          `Exactly one claim in stub round ${i + 1} is made up.`,
+          `Stub round ${i + 1} was written on the planet Neptune.`,
+          `The stub provider works offline.`
+        ],
+        correct: 2,
+        hallucinatedSpan: 'on the planet Neptune',
+        explanation: `Stub round ${i + 1} was generated locally, not on Neptune.`
+      })));
+    }
+    // One question of each classic type in turn
+    const stubQuestion = (i) => [
+      {
+        type: 'multiple-choice',
+        question: `Stub question ${i + 1}: which option is correct?`,
+        options: ['Option A', 'Option B', 'Option C', 'Option D'],
+        correct: i % 4,
+        explanation: `Option ${'ABCD'[i % 4]} is correct for stub question ${i + 1}.`
+      },
+      {
+        type: 'true-false',
+        question: `Stub question ${i + 1} is a true statement.`,
+        correct: true,
+        explanation: 'Stub statements are always true.'
+      },
+      {
+        type: 'multi-select',
+        question: `Stub question ${i + 1}: which options are even numbers?`,
+        options: ['2', '3', '4', '5', '6'],
+        correct: [0, 2, 4],
+        explanation: '2, 4 and 6 are even.'
+      },
+      {
+        type: 'ordering',
+        question: `Stub question ${i + 1}: put the numbers in ascending order.`,
+        options: ['One', 'Two', 'Three', 'Four'],
+        correct: [0, 1, 2, 3],
+        explanation: 'One, two, three, four.'
+      },
+      {
+        type: 'numeric',
+        question: `Stub question ${i + 1}: how many stub questions are in this batch?`,
+        correct: count,
+        tolerance: 0,
+        explanation: `The batch has ${count} questions.`
+      },
+      {
+        type: 'short-answer',
+        question: `Stub question ${i + 1}: which provider wrote this question?`,
+        correct: 'Stub',
+        acceptedAnswers: ['The stub provider'],
+        explanation: 'It comes from the offline stub provider.'
+      }
+    ][i % 6];
+    const questions = Array.from({ length: count }, (_, i) => stubQuestion(i));
+    return JSON.stringify(questions);
+  };
+
+  return {
+    name: 'stub',
+    model: 'stub',
+    isConfigured: () => true,
+    generate,
+    // Replays the canned response in small chunks to exercise incremental parsing
+    stream: async function* (prompt, params) {
+      const content = await generate(prompt, params);
+      for (let i = 0; i < content.length; i += 16) {
+        yield content.slice(i, i + 16);
+      }
+    }
+  };
+};
+
+const providerFactories = {
+  huggingface: createHuggingFaceProvider,
+  openai: createOpenAIProvider,
+  local: createLocalProvider,
+  stub: createStubProvider
+};
+
+/**
+ * Create a provider by name
+ * @param {string} name - One of "huggingface", "openai", "local", "stub"
+ * @param {Object} config - Provider-specific configuration
+ */
+const createProvider = (name, config = {}) => {
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}". Expected one of: ${Object.keys(providerFactories).join(', ')}`);
+  }
+  return factory(config);
+};
+
+/**
+ * Build the provider selected by the server environment (LLM_PROVIDER)
+ * @param {Object} overrides - { name, model } to pick a different provider/model with the same credentials
+ */
+const getProviderFromEnv = (overrides = {}) => {
+  const configuredName = readSetting('LLM_PROVIDER', 'huggingface');
+  const name = overrides.name || configuredName;
+  // LLM_MODEL is a model of LLM_PROVIDER - any other provider uses its own default
+  const model = overrides.model || (name === configuredName ? readSetting('LLM_MODEL') : undefined) || undefined;
+
+  switch (name) {
+    case 'openai':
+      return createProvider('openai', {
+        baseUrl: readSetting('OPENAI_BASE_URL') || undefined,
+        apiKey: readSetting('OPENAI_API_KEY'),
+        model
+      });
+    case 'local':
+      return createProvider('local', {
+        baseUrl: readSetting('LOCAL_LLM_URL') || undefined,
+        flavor: readSetting('LOCAL_LLM_FLAVOR') || undefined,
+        model
+      });
+    case 'stub':
+      return createProvider('stub');
+    default:
+      return createProvider(name, {
+        apiToken: readSetting('HUGGINGFACE_API_TOKEN'),
+        model
+      });
+  }
+};
+
+export { createProvider, getProviderFromEnv };
@@ -0,0 +1,226 @@
+/**
+ * Local Question Store
+ * Persists every generated, imported and seed question in the browser (IndexedDB)
+ * so quizzes can be assembled offline. Questions are keyed by their normalized text,
+ * which makes the store itself the dedup boundary.
+ * Falls back to an in-memory store when IndexedDB is unavailable (private mode, SSR).
+ */
+
+import seedQuestions from '../data/seedQuestions.js';
+import { shuffle } from './seededRandom.js';
+import { validateQuestions, questionKey } from './questionSchema.js';
+import { requestToPromise, transactionDone, openDatabase } from './indexedDBUtils.js';
+import { isRating, selectByRating } from './adaptiveDifficulty.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('questions');
+
+const DB_NAME = 'truthteller';
+const DB_VERSION = 1;
+const QUESTION_STORE = 'questions';
+// Bookkeeping fields added to stored records and stripped before questions reach the quiz
+const RECORD_FIELDS = ['key', 'addedAt', 'lastServedAt', 'timesServed'];
+
+const toRecord = (question, now = new Date().toISOString()) => ({
+  ...question,
+  key: questionKey(question),
+  addedAt: now,
+  lastServedAt: null,
+  timesServed: 0
+});
+
+const toQuestion = (record) => {
+  const question = { ...record };
+  RECORD_FIELDS.forEach(field => delete question[field]);
+  return question;
+};
+
+const seedRecords = () => validateQuestions(seedQuestions, 'seed')
+  .valid.map(q => toRecord({ ...q, source: 'fallback' }));
+
+/**
+ * IndexedDB backend
+ */
+const createIndexedDBBackend = (db) => ({
+  getAll: async ({ category, difficulty } = {}) => {
+    const store = db.transaction(QUESTION_STORE, 'readonly').objectStore(QUESTION_STORE);
+    // Use the most selective index available; remaining filters are applied by the caller
+    if (category) return requestToPromise(store.index('category').getAll(category));
+    if (difficulty) return requestToPromise(store.index('difficulty').getAll(difficulty));
+    return requestToPromise(store.getAll());
+  },
+  get: async (key) => {
+    const store = db.transaction(QUESTION_STORE, 'readonly').objectStore(QUESTION_STORE);
+    return requestToPromise(store.get(key));
+  },
+  putAll: async (records) => {
+    const transaction = db.transaction(QUESTION_STORE, 'readwrite');
+    const store = transaction.objectStore(QUESTION_STORE);
+    records.forEach(record => store.put(record));
+    await transactionDone(transaction);
+  },
+  remove: async (key) => {
+    const transaction = db.transaction(QUESTION_STORE, 'readwrite');
+    transaction.objectStore(QUESTION_STORE).delete(key);
+    await transactionDone(transaction);
+  }
+});
+
+/**
+ * In-memory backend with the same interface, used when IndexedDB is unavailable
+ */
+const createMemoryBackend = () => {
+  const records = new Map(seedRecords().map(record => [record.key, record]));
+  return {
+    getAll: async () => [...records.values()],
+    get: async (key) => records.get(key),
+    putAll: async (items) => {
+      items.forEach(record => records.set(record.key, record));
+    },
+    remove: async (key) => {
+      records.delete(key);
+    }
+  };
+};
+
+const upgradeDatabase = (db) => {
+  if (!db.objectStoreNames.contains(QUESTION_STORE)) {
+    const store = db.createObjectStore(QUESTION_STORE, { keyPath: 'key' });
+    store.createIndex('category', 'category');
+    store.createIndex('difficulty', 'difficulty');
+    store.createIndex('type', 'type');
+    store.createIndex('source', 'source');
+    // Seed the bank with the built-in questions on first open
+    seedRecords().forEach(record => store.put(record));
+  }
+};
+
+let backendPromise = null;
+
+const getBackend = () => {
+  if (!backendPromise) {
+    backendPromise = (async () => {
+      if (typeof indexedDB === 'undefined') {
+        log.info('🗄️ IndexedDB not available, using in-memory question store');
+        return createMemoryBackend();
+      }
+      try {
+        return createIndexedDBBackend(await openDatabase(DB_NAME, DB_VERSION, upgradeDatabase));
+      } catch (error) {
+        log.warn('⚠️ Could not open IndexedDB, using in-memory question store:', error?.message);
+        return createMemoryBackend();
+      }
+    })();
+  }
+  return backendPromise;
+};
+
+/**
+ * Save questions to the local store
+ * New questions are validated and added; existing ones keep their serve history and learned rating
+ * @param {Array} questions - Questions to persist
+ * @returns {number} Number of questions that were new to the store
+ */
+const saveQuestionsToStore = async (questions) => {
+  const backend = await getBackend();
+  const { valid } = validateQuestions(questions, 'store');
+
+  const now = new Date().toISOString();
+  const records = [];
+  let added = 0;
+  for (const question of valid) {
+    const key = questionKey(question);
+    const existing = await backend.get(key);
+    if (existing) {
+      records.push({
+        ...toRecord(question, existing.addedAt),
+        lastServedAt: existing.lastServedAt,
+        timesServed: existing.timesServed,
+        ...(isRating(existing.rating) && { rating: existing.rating })
+      });
+    } else {
+      records.push(toRecord(question, now));
+      added++;
+    }
+  }
+  await backend.putAll(records);
+  if (added > 0) {
+    log.info(`🗄️ Stored ${added} new question(s) locally`);
+  }
+  return added;
+};
+
+/**
+ * Query the local store
+ * Least recently served questions come first so repeated quizzes rotate through the bank
+ * @param {Object} filters
+ * @param {string|null} filters.category - Category key, or null for any
+ * @param {string|null} filters.difficulty - Difficulty, or null for any
+ * @param {number} filters.rating - Target difficulty rating; replaces the difficulty filter when set (see adaptiveDifficulty)
+ * @param {Array<string>} filters.types - Question types to include (all when omitted)
+ * @param {Array} filters.exclude - Questions already in the quiz
+ * @param {number} filters.limit - Maximum number of questions
+ * @param {boolean} filters.markServed - Record the returned questions as served now
+ * @param {Function} filters.random - Source of the tie-breaking shuffle (seeded quizzes, see seededRandom)
+ * @returns {Array} Questions without store bookkeeping fields
+ */
+const queryQuestionsFromStore = async ({ category = null, difficulty = null, rating, types, exclude = [], limit = Infinity, markServed = false, random = Math.random } = {}) => {
+  const backend = await getBackend();
+  const excluded = new Set(exclude.map(questionKey));
+  const byRating = isRating(rating);
+  const difficultyFilter = byRating ? null : difficulty;
+
+  const candidates = (await backend.getAll({ category, difficulty: difficultyFilter }))
+    .filter(record => !category || record.category === category)
+    .filter(record => !difficultyFilter || record.difficulty === difficultyFilter)
+    .filter(record => !types || types.includes(record.type))
+    .filter(record => !excluded.has(record.key));
+
+  // Shuffle, then stable-sort by last serve time so ties come out in random order
+  const rotated = shuffle(candidates, random).sort((a, b) => (a.lastServedAt || '').localeCompare(b.lastServedAt || ''));
+  // Adaptive quizzes: questions near the target rating only, closest first (rotation breaks ties)
+  const records = (byRating ? selectByRating(rotated, rating) : rotated).slice(0, limit);
+
+  if (markServed && records.length > 0) {
+    const now = new Date().toISOString();
+    await backend.putAll(records.map(record => ({ ...record, lastServedAt: now, timesServed: (record.timesServed || 0) + 1 })));
+  }
+
+  return records.map(toQuestion);
+};
+
+/**
+ * Current stored copies of the given questions
+ * @param {Array} questions - Questions to look up (matched by normalized text)
+ * @returns {Array} Stored questions, in input order; questions not in the store are left out
+ */
+const getQuestionsFromStore = async (questions) => {
+  const backend = await getBackend();
+  const records = await Promise.all(questions.map(question => backend.get(questionKey(question))));
+  return records.filter(Boolean).map(toQuestion);
+};
+
+/**
+ * Record a question's new difficulty rating after it was answered
+ * @param {Object} question - Answered question (matched by normalized text)
+ * @param {number} rating - New rating (see adaptiveDifficulty.updateRatings)
+ * @returns {boolean} Whether the question was in the store
+ */
+const updateQuestionRating = async (question, rating) => {
+  const backend = await getBackend();
+  const existing = await backend.get(questionKey(question));
+  if (!existing) return false;
+  await backend.putAll([{ ...existing, rating }]);
+  return true;
+};
+
+/**
+ * Remove a question from the local store
+ * @param {Object} question - Question to remove (matched by normalized text)
+ */
+const removeQuestionFromStore = async (question) => {
+  const backend = await getBackend();
+  await backend.remove(questionKey(question));
+};
+
+export { saveQuestionsToStore, queryQuestionsFromStore, getQuestionsFromStore, updateQuestionRating, removeQuestionFromStore, seedQuestions };
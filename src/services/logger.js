@@ -0,0 +1,67 @@
+/**
+ * Logger
+ * Leveled console logging with a namespace per area (server, generation, repo, questions, rooms, proxy, and in
+ * the browser also quiz, players and review).
+ * LOG_LEVEL sets the level: a default plus optional per-namespace levels, e.g. "warn,generation:debug".
+ * Without LOG_LEVEL, production builds are silent, the server with NODE_ENV=production logs warnings and
+ * errors, and everything else logs "info".
+ */
+
+import { readSetting } from './serverEnv.js';
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const CONSOLE_METHODS = { debug: 'debug', info: 'log', warn: 'warn', error: 'error' };
+
+// Vite's build-time settings; undefined when the module runs in plain Node (the API server).
+// LOG_LEVEL is a server setting, so code bundled for the browser always uses the default level.
+const viteEnv = import.meta.env || {};
+
+const isProduction = () => (
+  Boolean(viteEnv.PROD) ||
+  (typeof process !== 'undefined' && process.env?.NODE_ENV === 'production')
+);
+
+/**
+ * Level without LOG_LEVEL - a production server still reports failed saves and provider errors
+ */
+const defaultLogLevel = () => {
+  if (viteEnv.PROD) return 'silent';
+  return isProduction() ? 'warn' : 'info';
+};
+
+/**
+ * Level in effect for a namespace
+ * @param {string} namespace - Logger namespace
+ * @param {string} setting - LOG_LEVEL value, e.g. "warn,generation:debug"
+ * @returns {string} Key of LOG_LEVELS
+ */
+const resolveLogLevel = (namespace, setting = readSetting('LOG_LEVEL')) => {
+  const levels = {};
+  String(setting || '').split(',').map(part => part.trim().toLowerCase()).filter(Boolean).forEach(part => {
+    const [scope, value] = part.includes(':') ? part.split(':') : ['*', part];
+    if (LOG_LEVELS[value]) levels[scope] = value;
+  });
+  return levels[namespace] || levels['*'] || defaultLogLevel();
+};
+
+/**
+ * Create a logger for one area of the app
+ * The level is checked on every call, so settings loaded after import (the server's .env) apply
+ * @param {string} namespace - Prefix of every line, e.g. "generation"
+ * @returns {Object} { debug, info, warn, error } - same arguments as console.log
+ */
+const createLogger = (namespace) => {
+  const write = (level) => (...args) => {
+    if (LOG_LEVELS[level] < LOG_LEVELS[resolveLogLevel(namespace)]) return;
+    console[CONSOLE_METHODS[level]](`[${namespace}]`, ...args);
+  };
+  return {
+    debug: write('debug'),
+    info: write('info'),
+    warn: write('warn'),
+    error: write('error')
+  };
+};
+
+export { LOG_LEVELS, isProduction, resolveLogLevel, createLogger };
@@ -0,0 +1,214 @@
+/**
+ * Moodle XML Format
+ * Moodle's full question export format (https://docs.moodle.org/en/Moodle_XML_format).
+ * Ordering questions use the ordering question type (qtype_ordering, part of Moodle 4.4+
+ * and a plugin before). The difficulty is kept as a "difficulty:<level>" tag.
+ */
+
+import { parseXml, escapeXml, childElements, firstChild, textContent } from './xmlUtils.js';
+import { categoryKeyFor } from './categories.js';
+
+const MOODLE_TYPES = ['multiple-choice', 'true-false', 'multi-select', 'ordering', 'numeric', 'short-answer'];
+
+const textElement = (name, text, attributes = '') => (
+  `<${name}${attributes}><text>${escapeXml(text)}</text></${name}>`
+);
+
+const answerElement = (fraction, text, extra = '') => (
+  `    <answer fraction="${fraction}" format="plain_text"><text>${escapeXml(text)}</text>${extra}</answer>`
+);
+
+/**
+ * The <question> element of one question
+ */
+const questionElement = (q, index) => {
+  const lines = [];
+  let type;
+  switch (q.type) {
+    case 'multiple-choice':
+    case 'multi-select': {
+      type = 'multichoice';
+      const single = q.type === 'multiple-choice';
+      const weight = single ? 100 : Number((100 / q.correct.length).toFixed(5));
+      lines.push(
+        `    <single>${single}</single>`,
+        '    <shuffleanswers>true</shuffleanswers>',
+        '    <answernumbering>abc</answernumbering>',
+        ...q.options.map((option, i) => {
+          const isCorrect = single ? i === q.correct : q.correct.includes(i);
+          return answerElement(isCorrect ? weight : single ? 0 : -100, option);
+        })
+      );
+      break;
+    }
+    case 'true-false':
+      type = 'truefalse';
+      lines.push(answerElement(q.correct ? 100 : 0, 'true'), answerElement(q.correct ? 0 : 100, 'false'));
+      break;
+    case 'ordering':
+      type = 'ordering';
+      lines.push(
+        '    <layouttype>VERTICAL</layouttype>',
+        '    <selecttype>ALL</selecttype>',
+        '    <selectcount>0</selectcount>',
+        '    <gradingtype>ABSOLUTE_POSITION</gradingtype>',
+        // Answers are listed in the correct order
+        ...q.correct.map(itemIndex => answerElement(100, q.options[itemIndex]))
+      );
+      break;
+    case 'numeric':
+      type = 'numerical';
+      lines.push(answerElement(100, String(q.correct), `<tolerance>${q.tolerance || 0}</tolerance>`));
+      if (q.unit) {
+        lines.push(`    <units><unit><multiplier>1</multiplier><unit_name>${escapeXml(q.unit)}</unit_name></unit></units>`);
+      }
+      break;
+    default:
+      type = 'shortanswer';
+      lines.push(
+        '    <usecase>0</usecase>',
+        ...[q.correct, ...(q.acceptedAnswers || [])].map(answer => answerElement(100, answer))
+      );
+  }
+
+  return [
+    `  <question type="${type}">`,
+    `    ${textElement('name', `Q${index + 1}`)}`,
+    `    ${textElement('questiontext', q.question, ' format="plain_text"')}`,
+    `    ${textElement('generalfeedback', q.explanation || '', ' format="plain_text"')}`,
+    '    <defaultgrade>1</defaultgrade>',
+    ...lines,
+    ...(q.difficulty ? [`    <tags><tag><text>difficulty:${escapeXml(q.difficulty)}</text></tag></tags>`] : []),
+    '  </question>'
+  ].join('\n');
+};
+
+/**
+ * Write questions as Moodle XML
+ * @param {Array} questions - Validated questions
+ * @returns {Object} { content, skipped: [{ question, reason }] }
+ */
+const formatMoodleXml = (questions) => {
+  const skipped = [];
+  const elements = [];
+  let currentCategory;
+
+  questions.forEach((q, index) => {
+    if (!MOODLE_TYPES.includes(q.type)) {
+      skipped.push({ question: q, reason: `Moodle XML has no ${q.type} questions` });
+      return;
+    }
+    if (q.category && q.category !== currentCategory) {
+      currentCategory = q.category;
+      elements.push([
+        '  <question type="category">',
+        `    <category><text>$course$/top/TruthtellerAI/${escapeXml(q.category)}</text></category>`,
+        '  </question>'
+      ].join('\n'));
+    }
+    elements.push(questionElement(q, index));
+  });
+
+  return {
+    content: `<?xml version="1.0" encoding="UTF-8"?>\n<quiz>\n${elements.join('\n')}\n</quiz>\n`,
+    skipped
+  };
+};
+
+/**
+ * Plain text of a Moodle text field; HTML-formatted fields lose their markup
+ */
+const fieldText = (element) => {
+  const text = textContent(firstChild(element, 'text'));
+  return element?.attributes.format === 'html'
+    ? text.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, '').replace(/&nbsp;/g, ' ').trim()
+    : text.trim();
+};
+
+const readAnswers = (question) => childElements(question, 'answer').map(answer => ({
+  text: fieldText(answer),
+  fraction: Number(answer.attributes.fraction) || 0,
+  tolerance: textContent(firstChild(answer, 'tolerance')).trim()
+}));
+
+/**
+ * Convert one Moodle <question> element to question fields
+ * @throws {Error} For question types the app cannot play
+ */
+const readQuestion = (element) => {
+  const type = element.attributes.type;
+  const answers = readAnswers(element);
+  const fields = {
+    question: fieldText(firstChild(element, 'questiontext')),
+    explanation: fieldText(firstChild(element, 'generalfeedback')) || undefined
+  };
+  const difficultyTag = childElements(firstChild(element, 'tags'), 'tag')
+    .map(tag => textContent(firstChild(tag, 'text')).trim().toLowerCase())
+    .find(tag => /^difficulty:(easy|medium|hard)$/.test(tag));
+  if (difficultyTag) fields.difficulty = difficultyTag.split(':')[1];
+
+  switch (type) {
+    case 'multichoice': {
+      const single = textContent(firstChild(element, 'single')).trim() !== 'false';
+      const correct = answers.map((answer, i) => (answer.fraction > 0 ? i : -1)).filter(i => i !== -1);
+      return single
+        ? { ...fields, type: 'multiple-choice', options: answers.map(a => a.text), correct: answers.findIndex(a => a.fraction >= 100) }
+        : { ...fields, type: 'multi-select', options: answers.map(a => a.text), correct };
+    }
+    case 'truefalse': {
+      const right = answers.find(answer => answer.fraction >= 100);
+      return { ...fields, type: 'true-false', correct: right?.text.toLowerCase() };
+    }
+    case 'ordering':
+      return { ...fields, type: 'ordering', options: answers.map(a => a.text) };
+    case 'numerical': {
+      const right = answers.find(answer => answer.fraction >= 100) || answers[0];
+      const unit = textContent(firstChild(firstChild(firstChild(element, 'units'), 'unit'), 'unit_name')).trim();
+      return { ...fields, type: 'numeric', correct: right?.text, tolerance: right?.tolerance || undefined, ...(unit && { unit }) };
+    }
+    case 'shortanswer': {
+      const accepted = answers.filter(answer => answer.fraction >= 100).map(answer => answer.text);
+      return { ...fields, type: 'short-answer', correct: accepted[0], acceptedAnswers: accepted.slice(1) };
+    }
+    default:
+      throw new Error(`"${type}" questions are not supported`);
+  }
+};
+
+/**
+ * Read Moodle XML
+ * @param {string} text - XML file content
+ * @returns {Object} { records: [{ line, question }], errors: [{ line, message }] } - questions are unvalidated
+ */
+const parseMoodleXml = (text) => {
+  const records = [];
+  const errors = [];
+  let root;
+  try {
+    root = parseXml(text);
+  } catch (error) {
+    const line = Number(error.message.match(/^Line (\d+)/)?.[1]) || 1;
+    return { records, errors: [{ line, message: error.message.replace(/^Line \d+: /, '') }] };
+  }
+  if (root.name !== 'quiz') {
+    return { records, errors: [{ line: root.line, message: `expected a <quiz> document, found <${root.name}>` }] };
+  }
+
+  let category;
+  childElements(root, 'question').forEach(element => {
+    if (element.attributes.type === 'category') {
+      const path = textContent(firstChild(firstChild(element, 'category'), 'text')).trim();
+      category = categoryKeyFor(path.split('/').pop()) || undefined;
+      return;
+    }
+    try {
+      records.push({ line: element.line, question: { ...readQuestion(element), ...(category && { category }) } });
+    } catch (error) {
+      errors.push({ line: element.line, message: error.message });
+    }
+  });
+
+  return { records, errors };
+};
+
+export { formatMoodleXml, parseMoodleXml, MOODLE_TYPES };
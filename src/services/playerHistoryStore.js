@@ -0,0 +1,270 @@
+/**
+ * Player History Store
+ * Player profiles and the result of every completed quiz, kept in the browser (IndexedDB)
+ * so progress survives reloads. Falls back to an in-memory store when IndexedDB is unavailable.
+ */
+
+import { requestToPromise, transactionDone, openDatabase } from './indexedDBUtils.js';
+import { removeReviewCards } from './reviewStore.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('players');
+
+const DB_NAME = 'truthteller-players';
+const DB_VERSION = 1;
+const PROFILE_STORE = 'profiles';
+const RESULT_STORE = 'quizResults';
+const ACTIVE_PROFILE_KEY = 'truthteller.activeProfileId';
+const DEFAULT_PROFILE_NAME = 'Player 1';
+const EXPORT_FORMAT = 'truthteller-history';
+const EXPORT_VERSION = 1;
+
+const createId = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * IndexedDB backend
+ */
+const createIndexedDBBackend = (db) => ({
+  getAll: async (storeName) => {
+    const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+    return requestToPromise(store.getAll());
+  },
+  getAllByProfile: async (storeName, profileId) => {
+    const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+    return requestToPromise(store.index('profileId').getAll(profileId));
+  },
+  get: async (storeName, id) => {
+    const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+    return requestToPromise(store.get(id));
+  },
+  put: async (storeName, record) => {
+    const transaction = db.transaction(storeName, 'readwrite');
+    transaction.objectStore(storeName).put(record);
+    await transactionDone(transaction);
+  },
+  remove: async (storeName, ids) => {
+    const transaction = db.transaction(storeName, 'readwrite');
+    const store = transaction.objectStore(storeName);
+    ids.forEach(id => store.delete(id));
+    await transactionDone(transaction);
+  }
+});
+
+/**
+ * In-memory backend with the same interface, used when IndexedDB is unavailable
+ */
+const createMemoryBackend = () => {
+  const stores = { [PROFILE_STORE]: new Map(), [RESULT_STORE]: new Map() };
+  return {
+    getAll: async (storeName) => [...stores[storeName].values()],
+    getAllByProfile: async (storeName, profileId) => (
+      [...stores[storeName].values()].filter(record => record.profileId === profileId)
+    ),
+    get: async (storeName, id) => stores[storeName].get(id),
+    put: async (storeName, record) => {
+      stores[storeName].set(record.id, record);
+    },
+    remove: async (storeName, ids) => {
+      ids.forEach(id => stores[storeName].delete(id));
+    }
+  };
+};
+
+const upgradeDatabase = (db) => {
+  if (!db.objectStoreNames.contains(PROFILE_STORE)) {
+    db.createObjectStore(PROFILE_STORE, { keyPath: 'id' });
+  }
+  if (!db.objectStoreNames.contains(RESULT_STORE)) {
+    const store = db.createObjectStore(RESULT_STORE, { keyPath: 'id' });
+    store.createIndex('profileId', 'profileId');
+    store.createIndex('completedAt', 'completedAt');
+  }
+};
+
+let backendPromise = null;
+let defaultProfilePromise = null;
+// Profile updates are read-modify-write, so they run one at a time
+let profileWriteQueue = Promise.resolve();
+
+const getBackend = () => {
+  if (!backendPromise) {
+    backendPromise = openDatabase(DB_NAME, DB_VERSION, upgradeDatabase)
+      .then(createIndexedDBBackend)
+      .catch(error => {
+        log.warn('⚠️ Could not open IndexedDB, quiz history will not survive a reload:', error?.message);
+        return createMemoryBackend();
+      });
+  }
+  return backendPromise;
+};
+
+// The active profile is a per-browser preference, so it lives in localStorage
+const readActiveProfileId = () => {
+  try {
+    return localStorage.getItem(ACTIVE_PROFILE_KEY);
+  } catch {
+    return null;
+  }
+};
+
+const writeActiveProfileId = (profileId) => {
+  try {
+    localStorage.setItem(ACTIVE_PROFILE_KEY, profileId);
+  } catch {
+    // Storage disabled - the choice only lasts for this session
+  }
+};
+
+/**
+ * All player profiles, oldest first
+ */
+const listProfiles = async () => {
+  const backend = await getBackend();
+  const profiles = await backend.getAll(PROFILE_STORE);
+  return profiles.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+/**
+ * Create a player profile and make it the active one
+ * @param {string} name - Display name
+ * @returns {Object} The new profile
+ */
+const createProfile = async (name) => {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) {
+    throw new Error('Profile name is required');
+  }
+  const profiles = await listProfiles();
+  if (profiles.some(profile => profile.name.toLowerCase() === trimmed.toLowerCase())) {
+    throw new Error(`A profile named "${trimmed}" already exists`);
+  }
+
+  const backend = await getBackend();
+  const profile = { id: createId('player'), name: trimmed, createdAt: new Date().toISOString(), lastPlayedAt: null };
+  await backend.put(PROFILE_STORE, profile);
+  writeActiveProfileId(profile.id);
+  log.info(`👤 Created player profile "${trimmed}"`);
+  return profile;
+};
+
+/**
+ * Delete a profile together with its quiz history and review cards
+ */
+const deleteProfile = async (profileId) => {
+  const backend = await getBackend();
+  const results = await backend.getAllByProfile(RESULT_STORE, profileId);
+  await backend.remove(RESULT_STORE, results.map(result => result.id));
+  await removeReviewCards(profileId);
+  await backend.remove(PROFILE_STORE, [profileId]);
+  if (readActiveProfileId() === profileId) {
+    writeActiveProfileId('');
+  }
+};
+
+/**
+ * The profile the player last used, creating a default one on first run
+ * @returns {Object} Active profile
+ */
+const getActiveProfile = async () => {
+  const profiles = await listProfiles();
+  if (profiles.length === 0) {
+    // Shared so that simultaneous first calls create a single default profile
+    defaultProfilePromise = defaultProfilePromise || createProfile(DEFAULT_PROFILE_NAME);
+    return defaultProfilePromise;
+  }
+  const activeId = readActiveProfileId();
+  return profiles.find(profile => profile.id === activeId) || profiles[0];
+};
+
+const setActiveProfile = (profileId) => {
+  writeActiveProfileId(profileId);
+};
+
+/**
+ * Merge `changes` into a stored profile
+ * @returns {Object|null} The updated profile, or null when it does not exist
+ */
+const patchProfile = (profileId, changes) => {
+  const write = profileWriteQueue.then(async () => {
+    const backend = await getBackend();
+    const profile = await backend.get(PROFILE_STORE, profileId);
+    if (!profile) return null;
+    const updated = { ...profile, ...changes };
+    await backend.put(PROFILE_STORE, updated);
+    return updated;
+  });
+  profileWriteQueue = write.catch(() => {});
+  return write;
+};
+
+/**
+ * Store a player's difficulty rating (see adaptiveDifficulty)
+ * @param {string} profileId - Profile to update
+ * @param {Object} rating - { rating, ratedAnswers }
+ * @returns {Object|null} The updated profile, or null when it does not exist
+ */
+const updateProfileRating = (profileId, { rating, ratedAnswers }) => (
+  patchProfile(profileId, { rating, ratedAnswers })
+);
+
+/**
+ * Store the result of a completed quiz
+ * @param {Object} result - { profileId, mode, category, difficulty, score, maxScore,
+ *   answers: [{ questionId, question, type, answer, correctAnswer, answerText, correctAnswerText,
+ *   isCorrect, credit, timeTaken, timedOut }] } - credit (0..1) only where the mode gives partial credit
+ * @returns {Object} The stored record (with id and completedAt)
+ */
+const saveQuizResult = async (result) => {
+  if (!result.profileId) {
+    throw new Error('Quiz result has no profileId');
+  }
+  const backend = await getBackend();
+  const record = {
+    ...result,
+    id: createId('quiz'),
+    completedAt: result.completedAt || new Date().toISOString()
+  };
+  await backend.put(RESULT_STORE, record);
+  await patchProfile(result.profileId, { lastPlayedAt: record.completedAt });
+  log.info(`📈 Saved quiz result: ${record.score}/${record.maxScore} points (${record.answers.length} answers)`);
+  return record;
+};
+
+/**
+ * Completed quizzes of a player, oldest first
+ */
+const listQuizResults = async (profileId) => {
+  const backend = await getBackend();
+  const results = await backend.getAllByProfile(RESULT_STORE, profileId);
+  return results.sort((a, b) => a.completedAt.localeCompare(b.completedAt));
+};
+
+/**
+ * Everything stored for a player, as a JSON-serializable export document
+ */
+const exportPlayerData = async (profileId) => {
+  const backend = await getBackend();
+  const profile = await backend.get(PROFILE_STORE, profileId);
+  if (!profile) {
+    throw new Error(`Unknown profile "${profileId}"`);
+  }
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    profile,
+    quizzes: await listQuizResults(profileId)
+  };
+};
+
+export {
+  listProfiles,
+  createProfile,
+  deleteProfile,
+  getActiveProfile,
+  setActiveProfile,
+  updateProfileRating,
+  saveQuizResult,
+  listQuizResults,
+  exportPlayerData
+};
@@ -0,0 +1,279 @@
+/**
+ * QTI 2.1 Format
+ * IMS Question & Test Interoperability items in a content package (a zip with
+ * imsmanifest.xml and one assessmentItem file per question), as read by most LMSs.
+ * Choice, true/false and multi-select questions are choiceInteractions, ordering is an
+ * orderInteraction, and numeric and short answers are textEntryInteractions.
+ * Category and difficulty are not part of QTI items; imports use the defaults chosen on import.
+ */
+
+import { parseXml, escapeXml, localName, childElements, firstChild, findElements, textContent } from './xmlUtils.js';
+import { createZip, readZip, isZip } from './zipUtils.js';
+
+const QTI_TYPES = ['multiple-choice', 'true-false', 'multi-select', 'ordering', 'numeric', 'short-answer'];
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const INTERACTIONS = ['choiceInteraction', 'orderInteraction', 'textEntryInteraction'];
+
+const choiceId = (index) => `choice_${String.fromCharCode(65 + index)}`;
+
+const value = (text) => `<value>${escapeXml(text)}</value>`;
+
+/**
+ * Response declaration, item body and the condition that decides whether the response is correct
+ */
+const interactionParts = (q) => {
+  switch (q.type) {
+    case 'true-false':
+    case 'multiple-choice':
+    case 'multi-select': {
+      const options = q.type === 'true-false' ? ['True', 'False'] : q.options;
+      const correct = q.type === 'true-false' ? [q.correct ? 0 : 1] : [].concat(q.correct);
+      const single = q.type !== 'multi-select';
+      return {
+        declaration: `<responseDeclaration identifier="RESPONSE" cardinality="${single ? 'single' : 'multiple'}" baseType="identifier">
+    <correctResponse>${correct.map(index => value(choiceId(index))).join('')}</correctResponse>
+  </responseDeclaration>`,
+        body: `<choiceInteraction responseIdentifier="RESPONSE" shuffle="${q.type !== 'true-false'}" maxChoices="${single ? 1 : 0}">
+      <prompt>${escapeXml(q.question)}</prompt>
+${options.map((option, index) => `      <simpleChoice identifier="${choiceId(index)}">${escapeXml(option)}</simpleChoice>`).join('\n')}
+    </choiceInteraction>`,
+        condition: '<match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>'
+      };
+    }
+    case 'ordering':
+      return {
+        declaration: `<responseDeclaration identifier="RESPONSE" cardinality="ordered" baseType="identifier">
+    <correctResponse>${q.correct.map(index => value(choiceId(index))).join('')}</correctResponse>
+  </responseDeclaration>`,
+        body: `<orderInteraction responseIdentifier="RESPONSE" shuffle="true">
+      <prompt>${escapeXml(q.question)}</prompt>
+${q.options.map((option, index) => `      <simpleChoice identifier="${choiceId(index)}">${escapeXml(option)}</simpleChoice>`).join('\n')}
+    </orderInteraction>`,
+        condition: '<match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>'
+      };
+    case 'numeric':
+      return {
+        declaration: `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="float">
+    <correctResponse>${value(q.correct)}</correctResponse>
+  </responseDeclaration>`,
+        body: `<p>${escapeXml(q.question)}</p>
+    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="10"/>${q.unit ? ` ${escapeXml(q.unit)}` : ''}</p>`,
+        condition: `<equal toleranceMode="absolute" tolerance="${q.tolerance || 0} ${q.tolerance || 0}"><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></equal>`
+      };
+    default: {
+      const accepted = [q.correct, ...(q.acceptedAnswers || [])];
+      return {
+        declaration: `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">
+    <correctResponse>${value(q.correct)}</correctResponse>
+    <mapping defaultValue="0">
+${accepted.map(answer => `      <mapEntry mapKey="${escapeXml(answer)}" mappedValue="1" caseSensitive="false"/>`).join('\n')}
+    </mapping>
+  </responseDeclaration>`,
+        body: `<p>${escapeXml(q.question)}</p>
+    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="30"/></p>`,
+        condition: '<gt><mapResponse identifier="RESPONSE"/><baseValue baseType="float">0</baseValue></gt>'
+      };
+    }
+  }
+};
+
+/**
+ * One assessmentItem document
+ */
+const itemDocument = (q, identifier) => {
+  const { declaration, body, condition } = interactionParts(q);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="${QTI_NAMESPACE} http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"
+  identifier="${identifier}" title="${escapeXml(q.question.slice(0, 80))}" adaptive="false" timeDependent="false">
+  ${declaration}
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+    <defaultValue><value>0</value></defaultValue>
+  </outcomeDeclaration>
+  <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>
+  <itemBody>
+    ${body}
+  </itemBody>
+  <responseProcessing>
+    <responseCondition>
+      <responseIf>
+        ${condition}
+        <setOutcomeValue identifier="SCORE"><baseValue baseType="float">1</baseValue></setOutcomeValue>
+      </responseIf>
+    </responseCondition>
+    <setOutcomeValue identifier="FEEDBACK"><baseValue baseType="identifier">EXPLANATION</baseValue></setOutcomeValue>
+  </responseProcessing>
+  <modalFeedback outcomeIdentifier="FEEDBACK" identifier="EXPLANATION" showHide="show">${escapeXml(q.explanation || '')}</modalFeedback>
+</assessmentItem>
+`;
+};
+
+const manifestDocument = (identifiers) => `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="truthteller-export">
+  <metadata>
+    <schema>QTIv2.1 Package</schema>
+    <schemaversion>1.0.0</schemaversion>
+  </metadata>
+  <organizations/>
+  <resources>
+${identifiers.map(identifier => `    <resource identifier="${identifier}" type="imsqti_item_xmlv2p1" href="items/${identifier}.xml">
+      <file href="items/${identifier}.xml"/>
+    </resource>`).join('\n')}
+  </resources>
+</manifest>
+`;
+
+/**
+ * Write questions as a QTI 2.1 content package
+ * @param {Array} questions - Validated questions
+ * @returns {Object} { content: Uint8Array (zip), skipped: [{ question, reason }] }
+ */
+const formatQti = (questions) => {
+  const skipped = [];
+  const files = [];
+  const identifiers = [];
+  questions.forEach((q, index) => {
+    if (!QTI_TYPES.includes(q.type)) {
+      skipped.push({ question: q, reason: `QTI export has no ${q.type} questions` });
+      return;
+    }
+    const identifier = `item-${index + 1}`;
+    identifiers.push(identifier);
+    files.push({ name: `items/${identifier}.xml`, content: itemDocument(q, identifier) });
+  });
+  return { content: createZip([{ name: 'imsmanifest.xml', content: manifestDocument(identifiers) }, ...files]), skipped };
+};
+
+/**
+ * Text of an element, leaving out the subtrees of the named elements
+ */
+const textWithout = (element, excluded) => (element?.children || [])
+  .map(child => {
+    if (typeof child === 'string') return child;
+    return excluded.includes(localName(child)) ? '' : textWithout(child, excluded);
+  })
+  .join('')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Convert one assessmentItem element to question fields
+ * @throws {Error} For interactions the app cannot play
+ */
+const readItem = (item) => {
+  const body = firstChild(item, 'itemBody');
+  const interaction = INTERACTIONS.flatMap(name => findElements(body, name))[0];
+  if (!interaction) {
+    const other = textContent(body).trim() ? 'an unsupported interaction' : 'no interaction';
+    throw new Error(`item "${item.attributes.identifier}" has ${other} - supported: ${INTERACTIONS.join(', ')}`);
+  }
+  const responseId = interaction.attributes.responseIdentifier;
+  const declaration = childElements(item, 'responseDeclaration').find(element => element.attributes.identifier === responseId);
+  const correctValues = childElements(firstChild(declaration, 'correctResponse'), 'value').map(element => textContent(element).trim());
+  const prompt = textContent(firstChild(interaction, 'prompt')).trim();
+  const explanation = childElements(item, 'modalFeedback').map(element => textContent(element).trim()).filter(Boolean).join(' ') || undefined;
+  const fields = { question: prompt || textWithout(body, INTERACTIONS), explanation };
+
+  const name = localName(interaction);
+  if (name === 'choiceInteraction' || name === 'orderInteraction') {
+    const choices = childElements(interaction, 'simpleChoice').map(choice => ({
+      id: choice.attributes.identifier,
+      text: textContent(choice).replace(/\s+/g, ' ').trim()
+    }));
+    const indices = correctValues.map(id => choices.findIndex(choice => choice.id === id));
+    if (indices.includes(-1)) {
+      throw new Error(`correct response names a choice that does not exist (${correctValues.join(', ')})`);
+    }
+    if (name === 'orderInteraction') {
+      return { ...fields, type: 'ordering', options: choices.map(choice => choice.text), correct: indices };
+    }
+    const texts = choices.map(choice => choice.text.toLowerCase());
+    const single = interaction.attributes.maxChoices === '1' || declaration?.attributes.cardinality === 'single';
+    if (single && choices.length === 2 && texts.includes('true') && texts.includes('false')) {
+      return { ...fields, type: 'true-false', correct: texts[indices[0]] };
+    }
+    return single
+      ? { ...fields, type: 'multiple-choice', options: choices.map(choice => choice.text), correct: indices[0] }
+      : { ...fields, type: 'multi-select', options: choices.map(choice => choice.text), correct: indices };
+  }
+
+  // textEntryInteraction
+  const baseType = declaration?.attributes.baseType;
+  if (baseType === 'float' || baseType === 'integer') {
+    const equal = findElements(firstChild(item, 'responseProcessing'), 'equal')[0];
+    const tolerance = equal?.attributes.tolerance?.trim().split(/\s+/)[0];
+    // Text beside the entry box is the unit; the rest of the body is the question
+    const blocks = childElements(body);
+    const entryBlock = blocks.find(block => findElements(block, 'textEntryInteraction').length > 0);
+    const unit = entryBlock ? textWithout(entryBlock, INTERACTIONS) : '';
+    const question = unit
+      ? blocks.filter(block => block !== entryBlock).map(block => textWithout(block, INTERACTIONS)).join(' ').trim()
+      : fields.question;
+    return { ...fields, question, type: 'numeric', correct: correctValues[0], tolerance, ...(unit && { unit }) };
+  }
+  const mapped = childElements(firstChild(declaration, 'mapping'), 'mapEntry')
+    .filter(entry => Number(entry.attributes.mappedValue) > 0)
+    .map(entry => entry.attributes.mapKey);
+  const correct = correctValues[0] ?? mapped[0];
+  return {
+    ...fields,
+    type: 'short-answer',
+    correct,
+    acceptedAnswers: mapped.filter(answer => answer.toLowerCase() !== String(correct).toLowerCase())
+  };
+};
+
+/**
+ * Read the assessmentItems of one XML file
+ */
+const parseItemsFile = (text, file) => {
+  const records = [];
+  const errors = [];
+  let root;
+  try {
+    root = parseXml(text);
+  } catch (error) {
+    const line = Number(error.message.match(/^Line (\d+)/)?.[1]) || 1;
+    return { records, errors: [{ file, line, message: error.message.replace(/^Line \d+: /, '') }] };
+  }
+  const items = localName(root) === 'assessmentItem' ? [root] : findElements(root, 'assessmentItem');
+  items.forEach(item => {
+    try {
+      records.push({ file, line: item.line, question: readItem(item) });
+    } catch (error) {
+      errors.push({ file, line: item.line, message: error.message });
+    }
+  });
+  return { records, errors };
+};
+
+/**
+ * Read a QTI 2.1 content package (zip) or a single item XML file
+ * @param {ArrayBuffer|Uint8Array|string} input - File content
+ * @returns {Object} { records: [{ file, line, question }], errors: [{ file, line, message }] } - questions are unvalidated
+ */
+const parseQti = async (input) => {
+  const bytes = typeof input === 'string' ? null : new Uint8Array(input);
+  if (!bytes || !isZip(bytes)) {
+    const text = typeof input === 'string' ? input : new TextDecoder().decode(bytes);
+    return parseItemsFile(text, null);
+  }
+
+  const decoder = new TextDecoder();
+  const records = [];
+  const errors = [];
+  const files = (await readZip(bytes))
+    .filter(file => /\.xml$/i.test(file.name) && !/(^|\/)imsmanifest\.xml$/i.test(file.name))
+    .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+  files.forEach(file => {
+    const result = parseItemsFile(decoder.decode(file.content), file.name);
+    records.push(...result.records);
+    errors.push(...result.errors);
+  });
+  if (files.length === 0) {
+    errors.push({ file: null, line: 1, message: 'the package contains no item files' });
+  }
+  return { records, errors };
+};
+
+export { formatQti, parseQti, QTI_TYPES };
@@ -0,0 +1,384 @@
+/**
+ * Question API Client
+ * The browser's only way to get questions: the local question store first, then the
+ * API server (server/index.js), which checks the Hugging Face repo and generates the rest.
+ * When the server cannot be reached, the quiz is filled from the local store alone.
+ */
+
+import { saveQuestionsToStore, queryQuestionsFromStore, getQuestionsFromStore } from './localQuestionStore.js';
+import { listDueCards } from './reviewStore.js';
+import { modeConfig } from './quizModes.js';
+import { questionKey } from './questionSchema.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('questions');
+
+// Base URL of the API server - empty means same origin (the Vite dev proxy or the server itself)
+const API_BASE_URL = (import.meta.env.VITE_API_URL || '').replace(/\/+$/, '');
+
+// sessionStorage key of the admin token
+const ADMIN_TOKEN_KEY = 'truthteller-admin-token';
+
+const apiUrl = (path) => `${API_BASE_URL}${path}`;
+
+const readApiError = async (response) => {
+  const data = await response.json().catch(() => ({}));
+  return Object.assign(new Error(`API server error: ${response.status} - ${data.error || response.statusText}`), { status: response.status });
+};
+
+/**
+ * Iterate over the JSON objects of a newline-delimited JSON response
+ */
+async function* readNdjson(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let newlineIndex;
+      while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newlineIndex).trim();
+        buffer = buffer.slice(newlineIndex + 1);
+        if (line) yield JSON.parse(line);
+      }
+    }
+  } finally {
+    // Closing the connection tells the server to stop generating
+    reader.cancel().catch(() => {});
+  }
+
+  const line = (buffer + decoder.decode()).trim();
+  if (line) yield JSON.parse(line);
+}
+
+/**
+ * Query the local store without ever throwing - a broken store must not block the quiz
+ */
+const queryLocal = async (filters) => {
+  try {
+    return await queryQuestionsFromStore(filters);
+  } catch (error) {
+    log.warn('⚠️ Could not read the local question store:', error.message);
+    return [];
+  }
+};
+
+/**
+ * Stream quiz questions
+ * Local store hits come first, then questions streamed by the API server. Everything the
+ * server sends (except disputed answers) is kept in the local store for offline play.
+ * @param {string|null} category - Category key or null for mixed
+ * @param {string} difficulty - easy | medium | hard
+ * @param {number} count - Number of questions
+ * @param {Object} options - { mode, rating, topic, exclude, seed } - game mode ("classic" by default, see QUIZ_MODES);
+ *   rating is the target difficulty rating of adaptive quizzes and replaces `difficulty`;
+ *   topic is the prompt description of a custom category (see customCategoryStore);
+ *   exclude lists questions already asked in this quiz;
+ *   seed makes the server's picks repeatable - the local store is skipped, as it differs between browsers
+ * @returns {AsyncGenerator<Object>} At most `count` unique questions
+ */
+async function* streamQuestions(category, difficulty, count, options = {}) {
+  const mode = options.mode || 'classic';
+  const types = modeConfig(mode).types;
+  const rating = options.rating;
+  const exclude = options.exclude || [];
+  const delivered = [];
+  const seen = new Set(exclude.map(questionKey));
+  const accept = (q) => {
+    const key = questionKey(q);
+    if (delivered.length >= count || seen.has(key)) return false;
+    seen.add(key);
+    delivered.push(q);
+    return true;
+  };
+
+  const localHits = options.seed ? [] : await queryLocal({ category, difficulty, rating, types, exclude, limit: count, markServed: true });
+  log.info(`🗄️ Found ${localHits.length} matching question(s) in the local store`);
+  for (const q of localHits) {
+    if (accept(q)) yield q;
+  }
+  if (delivered.length >= count) return;
+
+  const received = [];
+  try {
+    const response = await fetch(apiUrl('/api/questions/generate'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ category, difficulty, count: count - delivered.length, mode, rating, topic: options.topic, seed: options.seed, exclude: [...exclude, ...delivered] })
+    });
+    if (!response.ok) {
+      throw await readApiError(response);
+    }
+
+    for await (const q of readNdjson(response)) {
+      if (accept(q)) {
+        received.push(q);
+        yield q;
+      }
+      if (delivered.length >= count) break;
+    }
+  } catch (error) {
+    log.warn('⚠️ Could not get questions from the API server:', error.message);
+  } finally {
+    const keep = received.filter(q => q.source !== 'ai-disputed');
+    if (keep.length > 0) {
+      saveQuestionsToStore(keep).catch(err => {
+        log.warn('⚠️ Could not save questions to the local store:', err.message);
+      });
+    }
+  }
+
+  if (delivered.length >= count || received.length > 0) return;
+
+  // Server unreachable - fill the quiz from the local store, relaxing the filters step by step
+  log.info('🔄 Falling back to the local question bank...');
+  for (const filters of [{ category }, {}]) {
+    const more = await queryLocal({ ...filters, types, exclude: [...exclude, ...delivered], limit: count - delivered.length, markServed: true });
+    for (const q of more) {
+      if (accept(q)) yield q;
+    }
+    if (delivered.length >= count) return;
+  }
+}
+
+/**
+ * Stream questions grounded in a user document (see streamQuestionsFromDocument)
+ * Document questions are not cached in the local store and there is no offline fallback -
+ * questions about other things would not be a quiz on the document. Errors are thrown.
+ * @param {Object} document - { title, text } - text from extractDocumentText or pasted
+ * @param {string} difficulty - easy | medium | hard
+ * @param {number} count - Number of questions
+ * @param {Object} options - { exclude } - questions already asked in this quiz
+ * @returns {AsyncGenerator<Object>} Questions with a `citation` ({ document, passage, quote })
+ */
+async function* streamDocumentQuestions(document, difficulty, count, options = {}) {
+  const response = await fetch(apiUrl('/api/questions/generate'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ document, difficulty, count, exclude: options.exclude || [] })
+  });
+  if (!response.ok) {
+    throw await readApiError(response);
+  }
+
+  let delivered = 0;
+  for await (const q of readNdjson(response)) {
+    yield q;
+    if (++delivered >= count) break;
+  }
+}
+
+/**
+ * Stream a review session: the player's due spaced-repetition cards, most overdue first
+ * Each question is the current copy from the local store, else from the Hugging Face repo
+ * (through the API server), else the copy saved with the card.
+ * @param {string} profileId - Player
+ * @param {number} count - Maximum number of questions
+ * @returns {AsyncGenerator<Object>} Due questions
+ */
+async function* streamReviewQuestions(profileId, count) {
+  const cards = await listDueCards(profileId, { limit: count });
+  if (cards.length === 0) return;
+  log.info(`🔁 ${cards.length} question(s) due for review`);
+
+  const current = new Map();
+  const snapshots = cards.map(card => card.question);
+  try {
+    (await getQuestionsFromStore(snapshots)).forEach(q => current.set(questionKey(q), q));
+  } catch (error) {
+    log.warn('⚠️ Could not read the local question store:', error.message);
+  }
+
+  if (current.size < cards.length) {
+    try {
+      const { questions } = await fetchQuestionBank();
+      const missing = new Set(cards.map(card => card.key).filter(key => !current.has(key)));
+      questions.filter(q => missing.has(questionKey(q))).forEach(q => current.set(questionKey(q), q));
+    } catch (error) {
+      log.warn('⚠️ Could not load review questions from the repo, using saved copies:', error.message);
+    }
+  }
+
+  for (const card of cards) {
+    yield current.get(card.key) || card.question;
+  }
+}
+
+/**
+ * Questions from the shared Hugging Face repo (through the API server)
+ * @param {Object} filters - { category, difficulty, count, mode } - all optional
+ * @returns {Object} { questions, repoConfigured }
+ */
+const fetchQuestionBank = async (filters = {}) => {
+  const params = new URLSearchParams();
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) params.set(key, value);
+  });
+  const response = await fetch(apiUrl(`/api/questions/bank?${params}`));
+  if (!response.ok) {
+    throw await readApiError(response);
+  }
+  return response.json();
+};
+
+/**
+ * Save questions to the shared Hugging Face repo (through the API server)
+ * @param {Array} questions - Questions to save
+ * @returns {Object} { accepted, added, rejected, clusters } - added excludes questions already in the repo;
+ *   clusters lists near-duplicates that were skipped ({ kept, merged: [{ question, similarity }] })
+ */
+const saveQuestions = async (questions) => {
+  const response = await fetch(apiUrl('/api/questions/save'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ questions })
+  });
+  if (!response.ok) {
+    throw await readApiError(response);
+  }
+  return response.json();
+};
+
+/**
+ * Share a quiz - the same questions always get the same id (see sharedQuiz)
+ * @param {Array} questions - The quiz's questions, in order
+ * @param {Object} options - { category } - category key the quiz was played in
+ * @returns {Object} { id, count, path } - path is the page that plays the quiz (/quiz/<id>)
+ */
+const shareQuiz = async (questions, { category } = {}) => {
+  const response = await fetch(apiUrl('/api/quizzes'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ questions, category })
+  });
+  if (!response.ok) {
+    throw await readApiError(response);
+  }
+  return response.json();
+};
+
+/**
+ * A shared quiz
+ * @param {string} id - Shared quiz id
+ * @returns {Object} { id, questions, category, createdAt } - a 404 error when there is no such quiz
+ */
+const fetchSharedQuiz = async (id) => {
+  const response = await fetch(apiUrl(`/api/quizzes?id=${encodeURIComponent(id)}`));
+  if (!response.ok) {
+    throw await readApiError(response);
+  }
+  return (await response.json()).quiz;
+};
+
+/**
+ * Report a question to the moderators (stored in the shared Hugging Face repo)
+ * @param {Object} question - Reported question (its text, and a hallucination round's claims, identify it)
+ * @param {string} reason - Key of REPORT_REASONS (see questionReports)
+ * @param {string} note - Optional free text
+ * @returns {Object} { reported, repeated } - repeated when this client had already reported it
+ */
+const reportQuestion = async (question, reason, note) => {
+  const response = await fetch(apiUrl('/api/questions/report'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ question: { question: question.question, claims: question.claims }, reason, note })
+  });
+  if (!response.ok) {
+    throw await readApiError(response);
+  }
+  return response.json();
+};
+
+const adminHeaders = (adminToken) => (adminToken ? { 'X-Admin-Token': adminToken } : {});
+
+/**
+ * Admin token entered in the bank editor or debug drawer - kept for the browser session only
+ */
+const readAdminToken = () => {
+  try {
+    return sessionStorage.getItem(ADMIN_TOKEN_KEY) || '';
+  } catch {
+    return '';
+  }
+};
+
+const storeAdminToken = (token) => {
+  try {
+    sessionStorage.setItem(ADMIN_TOKEN_KEY, token);
+  } catch {
+    // Private mode: the token is kept in memory only
+  }
+};
+
+/**
+ * Every question in the shared Hugging Face repo, for the bank editor
+ * @param {Object} options - { adminToken } - needed when the server sets ADMIN_TOKEN (a 401 error otherwise)
+ * @returns {Object} { questions, reports, reportThreshold, repoConfigured } - each question carries its `key` for
+ *   updateBankQuestions; reports maps keys to open report summaries (see questionReports.summarizeReports)
+ */
+const fetchBankForEditing = async ({ adminToken } = {}) => {
+  const response = await fetch(apiUrl('/api/questions/admin'), { headers: adminHeaders(adminToken) });
+  if (!response.ok) {
+    throw await readApiError(response);
+  }
+  return response.json();
+};
+
+/**
+ * Edit and delete questions in the shared Hugging Face repo
+ * @param {Object} changes - { updates: [{ key, question }], deletions: [key] } - key as returned by fetchBankForEditing
+ * @param {Object} options - { adminToken }
+ * @returns {Object} { updated, deleted, missing, duplicates }
+ */
+const updateBankQuestions = async (changes, { adminToken } = {}) => {
+  const response = await fetch(apiUrl('/api/questions/admin'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...adminHeaders(adminToken) },
+    body: JSON.stringify(changes)
+  });
+  if (!response.ok) {
+    throw await readApiError(response);
+  }
+  return response.json();
+};
+
+/**
+ * Recent generation attempts recorded by the API server, for the debug drawer
+ * @param {Object} options - { adminToken } - needed when the server sets ADMIN_TOKEN
+ * @returns {Object} { generations, enabled } - newest first, see generationTrace; enabled is false when
+ *   the server keeps no traces (DEBUG_TRACE_SIZE=0, the production default)
+ */
+const fetchGenerationTraces = async ({ adminToken } = {}) => {
+  const response = await fetch(apiUrl('/api/debug/generations'), { headers: adminHeaders(adminToken) });
+  if (!response.ok) {
+    throw await readApiError(response);
+  }
+  return response.json();
+};
+
+const clearGenerationTraces = async ({ adminToken } = {}) => {
+  const response = await fetch(apiUrl('/api/debug/generations'), { method: 'DELETE', headers: adminHeaders(adminToken) });
+  if (!response.ok) {
+    throw await readApiError(response);
+  }
+};
+
+/**
+ * LLM provider and repo configuration of the API server
+ * @returns {Object|null} { provider, model, configured, repoConfigured }, or null when the server is unreachable
+ */
+const fetchServerStatus = async () => {
+  try {
+    const response = await fetch(apiUrl('/api/status'));
+    return response.ok ? await response.json() : null;
+  } catch {
+    return null;
+  }
+};
+
+export { apiUrl, streamQuestions, streamDocumentQuestions, streamReviewQuestions, fetchQuestionBank, saveQuestions, shareQuiz, fetchSharedQuiz, reportQuestion, readAdminToken, storeAdminToken, fetchBankForEditing, updateBankQuestions, fetchGenerationTraces, clearGenerationTraces, fetchServerStatus };
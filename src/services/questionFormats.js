@@ -0,0 +1,144 @@
+/**
+ * Question Formats
+ * Import and export of question banks in the formats other quiz tools read:
+ * GIFT, Moodle XML, CSV and QTI 2.1. Imported questions go through the same
+ * validation as AI-generated ones, with errors reported by line of the file.
+ */
+
+import { formatGift, parseGift, GIFT_TYPES } from './giftFormat.js';
+import { formatMoodleXml, parseMoodleXml, MOODLE_TYPES } from './moodleXmlFormat.js';
+import { formatCsv, parseCsv, CSV_TYPES } from './csvFormat.js';
+import { formatQti, parseQti, QTI_TYPES } from './qtiFormat.js';
+import { validateQuestion, questionKey } from './questionSchema.js';
+import { categoryKeyFor } from './categories.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('questions');
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const DEFAULT_IMPORT_CATEGORY = 'imported';
+
+const QUESTION_FORMATS = {
+  gift: {
+    label: 'GIFT',
+    extension: 'gift',
+    mimeType: 'text/plain',
+    types: GIFT_TYPES,
+    format: formatGift,
+    parse: parseGift
+  },
+  'moodle-xml': {
+    label: 'Moodle XML',
+    extension: 'xml',
+    mimeType: 'application/xml',
+    types: MOODLE_TYPES,
+    format: formatMoodleXml,
+    parse: parseMoodleXml
+  },
+  csv: {
+    label: 'CSV',
+    extension: 'csv',
+    mimeType: 'text/csv',
+    types: CSV_TYPES,
+    format: formatCsv,
+    parse: parseCsv
+  },
+  qti: {
+    label: 'QTI 2.1 (zip)',
+    extension: 'zip',
+    mimeType: 'application/zip',
+    types: QTI_TYPES,
+    format: formatQti,
+    parse: parseQti,
+    binary: true
+  }
+};
+
+const formatFor = (format) => {
+  const definition = QUESTION_FORMATS[format];
+  if (!definition) {
+    throw new Error(`Unknown question format "${format}"`);
+  }
+  return definition;
+};
+
+/**
+ * Guess the format of a file from its name
+ * @param {string} fileName - File name
+ * @returns {string|null} Format key, or null when the extension is not recognized
+ */
+const detectFormat = (fileName) => {
+  const extension = String(fileName || '').toLowerCase().split('.').pop();
+  if (extension === 'gift' || extension === 'txt') return 'gift';
+  if (extension === 'xml') return 'moodle-xml';
+  if (extension === 'csv') return 'csv';
+  if (extension === 'zip') return 'qti';
+  return null;
+};
+
+/**
+ * Write questions in an exchange format
+ * @param {Array} questions - Validated questions
+ * @param {string} format - Key of QUESTION_FORMATS
+ * @returns {Object} { filename, mimeType, data (string or Uint8Array), skipped: [{ question, reason }] }
+ */
+const exportQuestions = (questions, format) => {
+  const definition = formatFor(format);
+  const { content, skipped } = definition.format(questions);
+  const exported = questions.length - skipped.length;
+  log.info(`📤 Exported ${exported} question(s) as ${definition.label}${skipped.length ? `, skipped ${skipped.length}` : ''}`);
+  return {
+    filename: `truthteller-questions.${definition.extension}`,
+    mimeType: definition.mimeType,
+    data: content,
+    skipped
+  };
+};
+
+/**
+ * Read questions from an exchange format
+ * Each question is validated; category and difficulty fall back to the given defaults
+ * @param {string|ArrayBuffer} input - File content (QTI takes the zip bytes or item XML)
+ * @param {string} format - Key of QUESTION_FORMATS
+ * @param {Object} defaults - { category, difficulty } for questions that do not carry their own
+ * @returns {Object} { questions, errors: [{ line, message }] } - line includes the file inside a QTI package
+ */
+const importQuestions = async (input, format, { category, difficulty } = {}) => {
+  const definition = formatFor(format);
+  const text = typeof input === 'string' || definition.binary ? input : new TextDecoder().decode(input);
+  const { records, errors } = await definition.parse(text);
+  const defaultCategory = categoryKeyFor(category) || DEFAULT_IMPORT_CATEGORY;
+  const defaultDifficulty = DIFFICULTIES.includes(difficulty) ? difficulty : 'medium';
+  const importedAt = Date.now();
+  const seen = new Set();
+  const questions = [];
+  const lineErrors = errors.map(({ file, line, message }) => ({ line: file ? `${file}:${line}` : line, message }));
+
+  records.forEach(({ file, line, question }, index) => {
+    const where = file ? `${file}:${line}` : line;
+    const result = validateQuestion(question);
+    if (!result.valid) {
+      lineErrors.push({ line: where, message: result.errors.join('; ') });
+      return;
+    }
+    const key = questionKey(result.question);
+    if (seen.has(key)) {
+      lineErrors.push({ line: where, message: 'duplicate of an earlier question in this file' });
+      return;
+    }
+    seen.add(key);
+    questions.push({
+      ...result.question,
+      id: importedAt + index,
+      category: categoryKeyFor(result.question.category) || defaultCategory,
+      difficulty: DIFFICULTIES.includes(result.question.difficulty) ? result.question.difficulty : defaultDifficulty,
+      source: 'imported'
+    });
+  });
+
+  log.info(`📥 Imported ${questions.length} question(s) from ${definition.label}${lineErrors.length ? ` with ${lineErrors.length} error(s)` : ''}`);
+  lineErrors.sort((a, b) => String(a.line).localeCompare(String(b.line), undefined, { numeric: true }));
+  return { questions, errors: lineErrors };
+};
+
+export { QUESTION_FORMATS, detectFormat, exportQuestions, importQuestions };
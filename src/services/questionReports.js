@@ -0,0 +1,114 @@
+/**
+ * Question Reports
+ * Players report questions they think are wrong; reports are stored in the Hugging Face repo
+ * (see huggingFaceRepoService) with the normalized text of the question (question ids are not unique) and an
+ * anonymous id of the reporter. Each reporter counts once per question: a question reported by at least
+ * REPORT_THRESHOLD (default 3) different reporters is kept out of quizzes until a reviewer clears its reports
+ * in the bank editor, which stamps the question with reportsClearedAt.
+ */
+
+import { questionKey } from './questionSchema.js';
+import { readSetting } from './serverEnv.js';
+
+const REPORT_REASONS = {
+  'wrong-answer': 'Wrong answer',
+  ambiguous: 'Ambiguous',
+  offensive: 'Offensive',
+  duplicate: 'Duplicate'
+};
+const DEFAULT_REPORT_THRESHOLD = 3;
+const MAX_REPORT_NOTE_LENGTH = 500;
+
+/**
+ * Report threshold - an explicit value, else REPORT_THRESHOLD, else the default
+ */
+const resolveReportThreshold = (threshold) => {
+  const value = Number(threshold ?? readSetting('REPORT_THRESHOLD', String(DEFAULT_REPORT_THRESHOLD)));
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_REPORT_THRESHOLD;
+};
+
+/**
+ * Validate a report
+ * @param {Object} raw - { key, reason, note, reporter, reportedAt } - reports stored before reporters were
+ *   recorded have no reporter
+ * @returns {Object|null} Normalized report, or null when it is unusable
+ */
+const validateReport = (raw) => {
+  if (!raw || typeof raw !== 'object' || !REPORT_REASONS[raw.reason]) return null;
+  if (typeof raw.key !== 'string' || !raw.key) return null;
+  return {
+    key: raw.key,
+    reason: raw.reason,
+    ...(typeof raw.note === 'string' && raw.note.trim() && { note: raw.note.trim().slice(0, MAX_REPORT_NOTE_LENGTH) }),
+    ...(typeof raw.reporter === 'string' && raw.reporter && { reporter: raw.reporter }),
+    reportedAt: typeof raw.reportedAt === 'string' ? raw.reportedAt : new Date().toISOString()
+  };
+};
+
+/**
+ * Create the report a player files for a question
+ * @param {Object} question - Reported question
+ * @param {string} reason - Key of REPORT_REASONS
+ * @param {string} note - Optional free text
+ * @param {string} reporter - Anonymous id of the player (the server derives it from the client address)
+ */
+const createReport = (question, reason, note, reporter) => validateReport({
+  key: questionKey(question),
+  reason,
+  note,
+  reporter,
+  reportedAt: new Date().toISOString()
+});
+
+/**
+ * Whether the reporter of a new report already reported the same question
+ * @param {Array} reports - Stored reports
+ * @param {Object} report - New report (see createReport)
+ */
+const isRepeatReport = (reports, report) => Boolean(report.reporter) &&
+  reports.some(stored => stored.key === report.key && stored.reporter === report.reporter);
+
+/**
+ * Open (not yet cleared) reports per question, one per reporter
+ * Reports match a question by its normalized text - generated ids repeat, and shared quizzes renumber them
+ * @param {Array} questions - Bank questions
+ * @param {Array} reports - Stored reports
+ * @returns {Map} questionKey -> { count, reasons: { reason: count }, notes, lastReportedAt } - count is the
+ *   number of different reporters
+ */
+const summarizeReports = (questions, reports) => {
+  const byKey = new Map(questions.map(q => [questionKey(q), q]));
+
+  const summaries = new Map();
+  // "key\nreporter" of the reports already counted
+  const counted = new Set();
+  reports.forEach(report => {
+    const question = byKey.get(report.key);
+    if (!question || (question.reportsClearedAt && report.reportedAt <= question.reportsClearedAt)) return;
+    const key = questionKey(question);
+    if (report.reporter) {
+      if (counted.has(`${key}\n${report.reporter}`)) return;
+      counted.add(`${key}\n${report.reporter}`);
+    }
+    const summary = summaries.get(key) || { count: 0, reasons: {}, notes: [], lastReportedAt: null };
+    summary.count++;
+    summary.reasons[report.reason] = (summary.reasons[report.reason] || 0) + 1;
+    if (report.note) summary.notes.push(report.note);
+    if (!summary.lastReportedAt || report.reportedAt > summary.lastReportedAt) summary.lastReportedAt = report.reportedAt;
+    summaries.set(key, summary);
+  });
+  return summaries;
+};
+
+/**
+ * Keys of the questions held back from quizzes
+ * @param {Map} summaries - From summarizeReports
+ * @param {number} threshold - Reporters whose open reports hold a question back (defaults to REPORT_THRESHOLD or 3)
+ * @returns {Set} Question keys
+ */
+const flaggedKeys = (summaries, threshold) => {
+  const limit = resolveReportThreshold(threshold);
+  return new Set([...summaries].filter(([, summary]) => summary.count >= limit).map(([key]) => key));
+};
+
+export { REPORT_REASONS, resolveReportThreshold, validateReport, createReport, isRepeatReport, summarizeReports, flaggedKeys };
@@ -0,0 +1,370 @@
+/**
+ * Question Schema Validation
+ * Validates and repairs question objects coming from the AI, the Hugging Face repo
+ * or the fallback bank before they reach the quiz UI.
+ */
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('questions');
+
+const QUESTION_TYPES = ['multiple-choice', 'true-false', 'multi-select', 'ordering', 'numeric', 'short-answer', 'spot-hallucination'];
+const MULTIPLE_CHOICE_OPTION_COUNT = 4;
+const MIN_MULTI_SELECT_OPTIONS = 4;
+const MAX_MULTI_SELECT_OPTIONS = 6;
+const MIN_ORDERING_ITEMS = 3;
+const MAX_ORDERING_ITEMS = 6;
+const MIN_HALLUCINATION_CLAIMS = 3;
+const DEFAULT_EXPLANATION = 'No explanation provided.';
+const DEFAULT_HALLUCINATION_PROMPT = 'Which claim contains a fabricated fact?';
+
+const toBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'string') {
+    const normalized = value.trim().toLowerCase();
+    if (['true', 't', 'yes'].includes(normalized)) return true;
+    if (['false', 'f', 'no'].includes(normalized)) return false;
+  }
+  if (value === 1 || value === 0) return value === 1;
+  return undefined;
+};
+
+const inferType = (q) => {
+  if (Array.isArray(q.claims) && q.claims.length > 0) return 'spot-hallucination';
+  if (Array.isArray(q.options) && q.options.length > 0) {
+    return Array.isArray(q.correct) ? 'multi-select' : 'multiple-choice';
+  }
+  if (toBoolean(q.correct) !== undefined) return 'true-false';
+  if (typeof q.correct === 'number') return 'numeric';
+  if (typeof q.correct === 'string' && q.correct.trim()) return 'short-answer';
+  return undefined;
+};
+
+/**
+ * Parse a number the way models write them ("8,849", " 42 ", "1.5e3")
+ */
+const toNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+  if (typeof value === 'string' && /^\s*[-+]?[\d,]*\.?\d+(e[-+]?\d+)?\s*$/i.test(value)) {
+    const parsed = Number(value.replace(/[,\s]/g, ''));
+    return Number.isFinite(parsed) ? parsed : undefined;
+  }
+  return undefined;
+};
+
+const trimmedStrings = (values) => values.map(value => (typeof value === 'string' ? value.trim() : String(value ?? '').trim()));
+
+/**
+ * Check a list of options (or ordering items) for empty and duplicate entries
+ */
+const checkOptions = (options, min, max, label, errors) => {
+  if (options.some(option => !option)) {
+    errors.push(`empty ${label} text`);
+  }
+  if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+    errors.push(`duplicate ${label}s`);
+  }
+  if (options.length < min || options.length > max) {
+    errors.push(`expected ${min}-${max} ${label}s, got ${options.length}`);
+  }
+};
+
+/**
+ * Resolve a list of answers (indices, letters or option texts) to option indices
+ * Also accepts a comma-separated string ("A, C")
+ * @returns {Array|undefined} Indices, or undefined when one of them cannot be resolved
+ */
+const resolveCorrectIndices = (correct, options) => {
+  const list = typeof correct === 'string' ? correct.split(',') : correct;
+  if (!Array.isArray(list)) return undefined;
+  const indices = list.map(item => resolveCorrectIndex(typeof item === 'string' ? item.trim() : item, options));
+  return indices.some(index => index === undefined || index < 0 || index >= options.length) ? undefined : indices;
+};
+
+/**
+ * Resolve a multiple-choice answer to an option index
+ * Accepts an index, a numeric string, an option letter ("C") or the option text itself
+ */
+const resolveCorrectIndex = (correct, options) => {
+  if (Number.isInteger(correct)) return correct;
+  if (typeof correct === 'string') {
+    const trimmed = correct.trim();
+    if (/^\d+$/.test(trimmed)) return parseInt(trimmed, 10);
+    if (/^[A-Fa-f]$/.test(trimmed)) return trimmed.toUpperCase().charCodeAt(0) - 65;
+    const byText = options.findIndex(option => option.trim().toLowerCase() === trimmed.toLowerCase());
+    if (byText !== -1) return byText;
+  }
+  return undefined;
+};
+
+/**
+ * Validate a single question, repairing what can be repaired safely
+ * @param {Object} raw - Question object as received
+ * @returns {Object} { valid, question, errors, repairs } - question is the repaired copy when valid
+ */
+const validateQuestion = (raw) => {
+  const errors = [];
+  const repairs = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { valid: false, question: null, errors: ['not an object'], repairs };
+  }
+
+  const question = { ...raw };
+
+  // Hallucination rounds carry their content in `claims`; the prompt line is generic
+  if ((question.type === 'spot-hallucination' || Array.isArray(question.claims))
+    && (typeof question.question !== 'string' || !question.question.trim())) {
+    question.question = DEFAULT_HALLUCINATION_PROMPT;
+    repairs.push('added default hallucination prompt');
+  }
+
+  if (typeof question.question !== 'string' || !question.question.trim()) {
+    errors.push('empty question text');
+  } else if (question.question !== question.question.trim()) {
+    question.question = question.question.trim();
+    repairs.push('trimmed question text');
+  }
+
+  if (!QUESTION_TYPES.includes(question.type)) {
+    const inferred = inferType(question);
+    if (inferred) {
+      repairs.push(`type "${question.type}" inferred as "${inferred}"`);
+      question.type = inferred;
+    } else {
+      errors.push(`unknown type "${question.type}"`);
+    }
+  }
+
+  if (question.type === 'true-false') {
+    const correct = toBoolean(question.correct);
+    if (correct === undefined) {
+      errors.push(`true/false answer "${question.correct}" is not a boolean`);
+    } else if (correct !== question.correct) {
+      repairs.push(`coerced correct ${JSON.stringify(question.correct)} to ${correct}`);
+      question.correct = correct;
+    }
+    if (question.options?.length) {
+      repairs.push('dropped options from true/false question');
+    }
+    question.options = [];
+  }
+
+  if (question.type === 'multiple-choice') {
+    if (!Array.isArray(question.options)) {
+      errors.push('options is not an array');
+    } else {
+      const options = question.options.map(option => (typeof option === 'string' ? option.trim() : String(option ?? '').trim()));
+      if (options.some(option => !option)) {
+        errors.push('empty option text');
+      }
+      if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+        errors.push('duplicate options');
+      }
+
+      const correct = resolveCorrectIndex(question.correct, options);
+      if (correct === undefined) {
+        errors.push(`correct answer ${JSON.stringify(question.correct)} is not an option index`);
+      } else {
+        if (correct !== question.correct) {
+          repairs.push(`resolved correct ${JSON.stringify(question.correct)} to index ${correct}`);
+        }
+        if (correct < 0 || correct >= options.length) {
+          errors.push(`correct index ${correct} out of range for ${options.length} options`);
+        } else if (options.length > MULTIPLE_CHOICE_OPTION_COUNT && correct < MULTIPLE_CHOICE_OPTION_COUNT) {
+          repairs.push(`trimmed ${options.length} options to ${MULTIPLE_CHOICE_OPTION_COUNT}`);
+          options.length = MULTIPLE_CHOICE_OPTION_COUNT;
+        }
+      }
+
+      if (options.length !== MULTIPLE_CHOICE_OPTION_COUNT) {
+        errors.push(`expected ${MULTIPLE_CHOICE_OPTION_COUNT} options, got ${options.length}`);
+      }
+      question.options = options;
+      question.correct = correct;
+    }
+  }
+
+  if (question.type === 'multi-select') {
+    if (!Array.isArray(question.options)) {
+      errors.push('options is not an array');
+    } else {
+      const options = trimmedStrings(question.options);
+      checkOptions(options, MIN_MULTI_SELECT_OPTIONS, MAX_MULTI_SELECT_OPTIONS, 'option', errors);
+      const indices = resolveCorrectIndices(question.correct, options);
+      if (indices === undefined) {
+        errors.push(`correct answers ${JSON.stringify(question.correct)} are not option indices`);
+      } else {
+        const correct = [...new Set(indices)].sort((a, b) => a - b);
+        if (correct.length === 0 || correct.length === options.length) {
+          errors.push(`expected between 1 and ${options.length - 1} correct options, got ${correct.length}`);
+        }
+        if (JSON.stringify(correct) !== JSON.stringify(question.correct)) {
+          repairs.push(`resolved correct ${JSON.stringify(question.correct)} to indices ${JSON.stringify(correct)}`);
+        }
+        question.correct = correct;
+      }
+      question.options = options;
+    }
+  }
+
+  // Ordering items are stored in any order; `correct` lists their indices in the right order
+  if (question.type === 'ordering') {
+    if (!Array.isArray(question.options)) {
+      errors.push('options is not an array');
+    } else {
+      const options = trimmedStrings(question.options);
+      checkOptions(options, MIN_ORDERING_ITEMS, MAX_ORDERING_ITEMS, 'item', errors);
+      if (question.correct === undefined || question.correct === null) {
+        repairs.push('took the listed item order as the correct order');
+        question.correct = options.map((_, index) => index);
+      } else {
+        const order = resolveCorrectIndices(question.correct, options);
+        if (order === undefined || order.length !== options.length || new Set(order).size !== options.length) {
+          errors.push(`correct order ${JSON.stringify(question.correct)} is not an arrangement of all ${options.length} items`);
+        } else {
+          question.correct = order;
+        }
+      }
+      question.options = options;
+    }
+  }
+
+  if (question.type === 'numeric') {
+    const correct = toNumber(question.correct);
+    if (correct === undefined) {
+      errors.push(`numeric answer ${JSON.stringify(question.correct)} is not a number`);
+    } else {
+      if (correct !== question.correct) {
+        repairs.push(`coerced correct ${JSON.stringify(question.correct)} to ${correct}`);
+      }
+      question.correct = correct;
+    }
+    const tolerance = question.tolerance === undefined || question.tolerance === null ? 0 : toNumber(question.tolerance);
+    if (tolerance === undefined || tolerance < 0) {
+      repairs.push(`replaced invalid tolerance ${JSON.stringify(question.tolerance)} with 0`);
+      question.tolerance = 0;
+    } else {
+      question.tolerance = tolerance;
+    }
+    if (typeof question.unit === 'string' && question.unit.trim()) {
+      question.unit = question.unit.trim();
+    } else {
+      delete question.unit;
+    }
+    question.options = [];
+  }
+
+  if (question.type === 'short-answer') {
+    if (typeof question.correct !== 'string' && typeof question.correct !== 'number') {
+      errors.push(`short answer ${JSON.stringify(question.correct)} is not text`);
+    } else if (!String(question.correct).trim()) {
+      errors.push('empty short answer');
+    } else {
+      question.correct = String(question.correct).trim();
+    }
+    // Other spellings or names that also count as correct
+    const accepted = Array.isArray(question.acceptedAnswers) ? trimmedStrings(question.acceptedAnswers).filter(Boolean) : [];
+    if (question.acceptedAnswers !== undefined && accepted.length !== (question.acceptedAnswers?.length ?? 0)) {
+      repairs.push('dropped invalid accepted answers');
+    }
+    question.acceptedAnswers = accepted;
+    question.options = [];
+  }
+
+  if (question.type === 'spot-hallucination') {
+    if (!Array.isArray(question.claims)) {
+      errors.push('claims is not an array');
+    } else {
+      const claims = question.claims.map(claim => String(claim ?? '').trim());
+      if (claims.length < MIN_HALLUCINATION_CLAIMS) {
+        errors.push(`expected at least ${MIN_HALLUCINATION_CLAIMS} claims, got ${claims.length}`);
+      }
+      if (claims.some(claim => !claim)) {
+        errors.push('empty claim text');
+      }
+
+      const correct = resolveCorrectIndex(question.correct, claims);
+      if (correct === undefined || correct < 0 || correct >= claims.length) {
+        errors.push(`hallucinated claim index ${JSON.stringify(question.correct)} out of range for ${claims.length} claims`);
+      } else {
+        if (correct !== question.correct) {
+          repairs.push(`resolved correct ${JSON.stringify(question.correct)} to index ${correct}`);
+        }
+        const span = typeof question.hallucinatedSpan === 'string' ? question.hallucinatedSpan.trim() : '';
+        if (!span) {
+          errors.push('missing hallucinatedSpan');
+        } else if (!claims[correct].toLowerCase().includes(span.toLowerCase())) {
+          errors.push('hallucinatedSpan does not appear in the hallucinated claim');
+        } else {
+          question.hallucinatedSpan = span;
+        }
+      }
+      question.claims = claims;
+      question.correct = correct;
+    }
+    question.options = [];
+  }
+
+  // Learned difficulty rating (see adaptiveDifficulty) is optional
+  if (question.rating !== undefined && !(typeof question.rating === 'number' && Number.isFinite(question.rating))) {
+    repairs.push(`dropped invalid rating ${JSON.stringify(question.rating)}`);
+    delete question.rating;
+  }
+
+  if (typeof question.explanation !== 'string' || !question.explanation.trim()) {
+    repairs.push('added default explanation');
+    question.explanation = DEFAULT_EXPLANATION;
+  }
+
+  const valid = errors.length === 0;
+  return { valid, question: valid ? question : null, errors, repairs };
+};
+
+const normalizeKeyText = (text) => String(text ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Normalized question text used as a dedup key
+ * Hallucination rounds mostly share the generic prompt, so their claims are part of the key
+ * @param {Object} question - Question object
+ */
+const questionKey = (question) => {
+  const text = normalizeKeyText(question?.question);
+  return Array.isArray(question?.claims) ? [text, ...question.claims.map(normalizeKeyText)].join('\n') : text;
+};
+
+/**
+ * Validate a list of questions
+ * @param {Array} questions - Raw question objects
+ * @param {string} sourceLabel - Label used in log output (e.g. "ai", "repo", "fallback")
+ * @returns {Object} { valid: Array, rejected: Array<{ index, question, reasons }>, repaired: Array<{ index, repairs }> }
+ */
+const validateQuestions = (questions, sourceLabel = 'questions') => {
+  const valid = [];
+  const rejected = [];
+  const repaired = [];
+
+  (Array.isArray(questions) ? questions : []).forEach((raw, index) => {
+    const result = validateQuestion(raw);
+    if (result.valid) {
+      valid.push(result.question);
+      if (result.repairs.length > 0) {
+        repaired.push({ index, repairs: result.repairs });
+      }
+    } else {
+      rejected.push({ index, question: raw, reasons: result.errors });
+    }
+  });
+
+  if (rejected.length > 0) {
+    log.warn(`⚠️ [${sourceLabel}] Rejected ${rejected.length} malformed question(s)`);
+    rejected.forEach(({ index, reasons }) => log.debug(`   #${index}: ${reasons.join('; ')}`));
+  }
+  if (repaired.length > 0) {
+    log.debug(`🔧 [${sourceLabel}] Repaired ${repaired.length} question(s)`);
+  }
+
+  return { valid, rejected, repaired };
+};
+
+export { validateQuestion, validateQuestions, questionKey, toNumber, QUESTION_TYPES };
@@ -0,0 +1,205 @@
+/**
+ * Question Similarity
+ * Finds near-duplicate questions ("What is the capital of France?" vs "Which city is
+ * France's capital?") so the bank does not fill up with rephrasings of the same fact.
+ *
+ * Each question is reduced to a set of shingles: its content words (stop words removed,
+ * lightly stemmed) plus the words of its correct answer. MinHash signatures with LSH
+ * banding pick candidate pairs cheaply; candidates are confirmed with the exact Jaccard
+ * similarity of their shingle sets.
+ */
+
+import { questionKey } from './questionSchema.js';
+import { readSetting } from './serverEnv.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('repo');
+
+// Jaccard similarity at or above which two questions count as duplicates (DEDUP_THRESHOLD)
+const DEFAULT_SIMILARITY_THRESHOLD = 0.6;
+const NUM_HASHES = 60;
+// LSH bands x rows must equal NUM_HASHES; 20 bands of 3 rows find >99% of pairs at 0.6 similarity
+const LSH_BANDS = 20;
+const LSH_ROWS = NUM_HASHES / LSH_BANDS;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'of', 'in', 'on', 'at', 'to', 'for', 'by', 'with', 'from', 'as', 'and', 'or',
+  'is', 'are', 'was', 'were', 'be', 'been', 'do', 'does', 'did', 'has', 'have', 'had',
+  'what', 'which', 'who', 'whom', 'whose', 'when', 'where', 'why', 'how',
+  'this', 'that', 'these', 'those', 'it', 'its', 'there', 'following', 'known', 'called', 'named'
+]);
+
+const stem = (word) => {
+  const base = word.replace(/'s$/, '');
+  return base.length > 3 && base.endsWith('s') && !base.endsWith('ss') ? base.slice(0, -1) : base;
+};
+
+const contentWords = (text) => (text || '')
+  .toLowerCase()
+  .replace(/[’]/g, "'")
+  .replace(/[^\p{L}\p{N}'\s]/gu, ' ')
+  .split(/\s+/)
+  .map(stem)
+  .map(word => word.replace(/'/g, ''))
+  .filter(word => word && !STOP_WORDS.has(word));
+
+/**
+ * Shingle set of a question: content words of the question (or claims) and of the correct answer
+ */
+const questionShingles = (question) => {
+  const words = question.type === 'spot-hallucination'
+    ? (question.claims || []).flatMap(contentWords)
+    : contentWords(question.question);
+  if (question.type === 'multiple-choice' && Array.isArray(question.options)) {
+    words.push(...contentWords(String(question.options[question.correct] ?? '')));
+  }
+  if (question.type === 'short-answer') {
+    words.push(...contentWords(String(question.correct ?? '')));
+  }
+  return new Set(words);
+};
+
+// FNV-1a string hash
+const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Murmur3 finalizer - derives independent hash functions from one base hash
+const mixHash = (hash, seed) => {
+  let h = (hash ^ Math.imul(seed, 0x9e3779b1)) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+};
+
+const minHashSignature = (shingles) => {
+  const signature = new Array(NUM_HASHES).fill(0xffffffff);
+  shingles.forEach(shingle => {
+    const base = hashString(shingle);
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const value = mixHash(base, i + 1);
+      if (value < signature[i]) signature[i] = value;
+    }
+  });
+  return signature;
+};
+
+const jaccard = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let intersection = 0;
+  a.forEach(token => {
+    if (b.has(token)) intersection++;
+  });
+  return intersection / (a.size + b.size - intersection);
+};
+
+/**
+ * Similarity threshold - an explicit value, else DEDUP_THRESHOLD, else the default
+ */
+const resolveThreshold = (threshold) => {
+  const value = Number(threshold ?? readSetting('DEDUP_THRESHOLD', String(DEFAULT_SIMILARITY_THRESHOLD)));
+  return Number.isFinite(value) && value > 0 && value <= 1 ? value : DEFAULT_SIMILARITY_THRESHOLD;
+};
+
+/**
+ * Similarity of two questions (Jaccard similarity of their shingle sets, 0..1)
+ */
+const questionSimilarity = (a, b) => (
+  questionKey(a) === questionKey(b) ? 1 : jaccard(questionShingles(a), questionShingles(b))
+);
+
+/**
+ * Group near-duplicate questions into clusters
+ * Questions are visited in order; each one joins the most similar earlier kept question
+ * at or above the threshold, or is kept itself. List preferred questions first.
+ * @param {Array} questions - Questions to compare
+ * @param {Object} options - { threshold } - defaults to DEDUP_THRESHOLD or 0.6
+ * @returns {Array} Clusters with more than one member: [{ keptIndex, kept, merged: [{ index, question, similarity }] }]
+ */
+const findNearDuplicateClusters = (questions, { threshold } = {}) => {
+  const limit = resolveThreshold(threshold);
+  const clusters = new Map();
+  // LSH buckets holding the indices of kept questions only
+  const buckets = new Map();
+
+  questions.forEach((question, index) => {
+    const shingles = questionShingles(question);
+    const key = questionKey(question);
+    const signature = minHashSignature(shingles);
+    const bucketKeys = key ? [`text:${key}`] : [];
+    for (let band = 0; band < LSH_BANDS; band++) {
+      bucketKeys.push(`${band}:${signature.slice(band * LSH_ROWS, (band + 1) * LSH_ROWS).join(',')}`);
+    }
+
+    // Candidates share at least one bucket; identical text always does
+    const candidates = new Set(bucketKeys.flatMap(bucketKey => buckets.get(bucketKey) || []));
+    let best = null;
+    candidates.forEach(keptIndex => {
+      const kept = clusters.get(keptIndex);
+      const similarity = key && key === kept.key ? 1 : jaccard(shingles, kept.shingles);
+      if (similarity >= limit && (!best || similarity > best.similarity)) {
+        best = { keptIndex, similarity };
+      }
+    });
+
+    if (best) {
+      clusters.get(best.keptIndex).merged.push({ index, question, similarity: Math.round(best.similarity * 100) / 100 });
+      return;
+    }
+    clusters.set(index, { keptIndex: index, kept: question, merged: [], key, shingles });
+    bucketKeys.forEach(bucketKey => {
+      if (!buckets.has(bucketKey)) buckets.set(bucketKey, []);
+      buckets.get(bucketKey).push(index);
+    });
+  });
+
+  return [...clusters.values()]
+    .filter(cluster => cluster.merged.length > 0)
+    .map(({ keptIndex, kept, merged }) => ({ keptIndex, kept, merged }));
+};
+
+/**
+ * Log a readable report of merged clusters
+ * @param {Array} clusters - From findNearDuplicateClusters
+ * @param {string} label - Where the dedup ran (e.g. "repo save")
+ */
+const logClusterReport = (clusters, label) => {
+  if (clusters.length === 0) return;
+  const mergedCount = clusters.reduce((total, cluster) => total + cluster.merged.length, 0);
+  log.info(`🧬 [${label}] Merged ${mergedCount} near-duplicate question(s) in ${clusters.length} cluster(s):`);
+  clusters.forEach(cluster => {
+    log.debug(`   ✔ "${cluster.kept.question}"`);
+    cluster.merged.forEach(({ question, similarity }) => {
+      log.debug(`     ✖ "${question.question}" (similarity ${similarity})`);
+    });
+  });
+};
+
+/**
+ * Remove near-duplicates from a list, keeping the first question of each cluster
+ * @param {Array} questions - Questions in order of preference
+ * @param {Object} options - { threshold, label } - label tags the logged report
+ * @returns {Object} { unique, clusters }
+ */
+const dedupeQuestions = (questions, { threshold, label = 'dedup' } = {}) => {
+  const clusters = findNearDuplicateClusters(questions, { threshold });
+  const mergedIndices = new Set(clusters.flatMap(cluster => cluster.merged.map(({ index }) => index)));
+  logClusterReport(clusters, label);
+  return {
+    unique: questions.filter((_, index) => !mergedIndices.has(index)),
+    clusters
+  };
+};
+
+export {
+  questionSimilarity,
+  findNearDuplicateClusters,
+  dedupeQuestions,
+  logClusterReport,
+  DEFAULT_SIMILARITY_THRESHOLD
+};
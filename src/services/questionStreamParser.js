@@ -0,0 +1,91 @@
+/**
+ * Incremental JSON Array Parser
+ * Consumes model output chunk by chunk and emits each top-level object of the
+ * JSON array as soon as its closing brace arrives.
+ * Text before the opening "[" (chatter, markdown fences) is ignored; the array only starts at a
+ * "[" followed by "{", so brackets in the chatter ("Here are [5] questions:") are skipped too.
+ */
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('generation');
+
+/**
+ * Create a streaming parser
+ * @returns {Object} { push(chunk) => Array<Object>, isDone() => boolean }
+ */
+const createQuestionStreamParser = () => {
+  let inArray = false;
+  // Saw a "[" outside the array - it opens the array if the next non-whitespace character is "{"
+  let opening = false;
+  let done = false;
+  let depth = 0; // Nesting depth inside the top-level array (1 = directly inside it)
+  let inString = false;
+  let escaped = false;
+  let objectBuffer = '';
+
+  const push = (chunk) => {
+    const completed = [];
+    if (done || !chunk) return completed;
+
+    for (const char of chunk) {
+      if (!inArray) {
+        if (char === '[') {
+          opening = true;
+          continue;
+        }
+        if (!opening || /\s/.test(char)) continue;
+        opening = false;
+        if (char !== '{') continue;
+        inArray = true;
+        depth = 1;
+      }
+
+      if (depth > 1) {
+        objectBuffer += char;
+      }
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        if (depth === 1) {
+          objectBuffer = char;
+        }
+        depth++;
+      } else if (char === '}' || char === ']') {
+        depth--;
+        if (depth === 1 && char === '}') {
+          try {
+            completed.push(JSON.parse(objectBuffer));
+          } catch (error) {
+            log.warn('⚠️ Skipping unparseable streamed item:', error.message);
+          }
+          objectBuffer = '';
+        } else if (depth === 0) {
+          done = true;
+          break;
+        }
+      }
+    }
+
+    return completed;
+  };
+
+  return {
+    push,
+    isDone: () => done
+  };
+};
+
+export { createQuestionStreamParser };
@@ -0,0 +1,14 @@
+/**
+ * Quiz Modes
+ * Game modes and the question types each one plays with.
+ * Shared by the API server (generation) and the browser (local question bank).
+ */
+
+const QUIZ_MODES = {
+  classic: { types: ['multiple-choice', 'true-false', 'multi-select', 'ordering', 'numeric', 'short-answer'], tokensPerQuestion: 250 },
+  'spot-hallucination': { types: ['spot-hallucination'], tokensPerQuestion: 300 }
+};
+
+const modeConfig = (mode) => QUIZ_MODES[mode] || QUIZ_MODES.classic;
+
+export { QUIZ_MODES, modeConfig };
@@ -0,0 +1,414 @@
+/**
+ * Quiz Room Service
+ * Live multiplayer quizzes: a host creates a room from their quiz settings, players join with
+ * the room code and everyone gets the same question at the same time. The server owns the clock
+ * and the scores - clients only send the answer they picked. Runs inside the API server, which
+ * hands every WebSocket connection on /api/rooms to connect() (see server/webSocket.js).
+ *
+ * Client -> server: { type: "create", name, settings: { category, topic, difficulty, count, timeLimit, points } }
+ *                   { type: "join", code, name, token? } | { type: "start" } | { type: "answer", index, answer } | { type: "leave" }
+ * Server -> client: joined, room (lobby and progress), question (without the answer), reveal (answer,
+ *                   everyone's result and the leaderboard), finished, error
+ * "joined" carries a reconnect token; a player who lost the connection gets their seat back by
+ * joining again with the same name and that token.
+ */
+
+import { randomBytes } from 'node:crypto';
+import { generateQuestionsWithAI } from './aiQuestionService.js';
+import { scoreAnswer } from './answerScoring.js';
+import { categoryKeyFor, normalizeTopic } from './categories.js';
+import { shuffle } from './seededRandom.js';
+import { createLogger } from './logger.js';
+
+// Room codes skip I and O, which are easily mistaken for 1 and 0
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const ROOM_CODE_LENGTH = 5;
+const MAX_ROOMS = 100;
+const MAX_PLAYERS_PER_ROOM = 16;
+const MAX_NAME_LENGTH = 24;
+const MAX_ROOM_QUESTIONS = 20;
+const MAX_TEXT_ANSWER_LENGTH = 200;
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const TIME_LIMIT_RANGE = { min: 5, max: 120 };
+const POINTS_RANGE = { min: 1, max: 100 };
+// How long the answer and leaderboard stay up before the next question
+const REVEAL_MS = 6000;
+// A room nobody is connected to is kept this long, so players can reconnect
+const EMPTY_ROOM_TTL_MS = 60000;
+const RECONNECT_TOKEN_BYTES = 16;
+
+const log = createLogger('rooms');
+
+const roomError = (message) => Object.assign(new Error(message), { isRoomError: true });
+
+const createRoomCode = (rooms) => {
+  for (;;) {
+    const code = Array.from({ length: ROOM_CODE_LENGTH }, () => ROOM_CODE_ALPHABET[Math.floor(Math.random() * ROOM_CODE_ALPHABET.length)]).join('');
+    if (!rooms.has(code)) return code;
+  }
+};
+
+const parseName = (name) => {
+  const trimmed = typeof name === 'string' ? name.replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH) : '';
+  if (!trimmed) throw roomError('Enter a name to play');
+  return trimmed;
+};
+
+const parseInteger = (value, { min, max }, label) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw roomError(`"${label}" must be an integer between ${min} and ${max}`);
+  }
+  return number;
+};
+
+/**
+ * Validate the host's quiz settings
+ * @returns {Object} { category, topic, difficulty, count, timeLimit, points }
+ */
+const parseRoomSettings = (settings) => {
+  if (!settings || typeof settings !== 'object') throw roomError('"settings" are required');
+  const { category, topic, difficulty } = settings;
+  if (category !== undefined && category !== null && (typeof category !== 'string' || !categoryKeyFor(category))) {
+    throw roomError('"category" must be a category key or null');
+  }
+  if (!DIFFICULTIES.includes(difficulty)) {
+    throw roomError(`"difficulty" must be one of: ${DIFFICULTIES.join(', ')}`);
+  }
+  return {
+    category: category ? categoryKeyFor(category) : null,
+    topic: typeof topic === 'string' ? normalizeTopic(topic) : '',
+    difficulty,
+    count: parseInteger(settings.count, { min: 1, max: MAX_ROOM_QUESTIONS }, 'count'),
+    timeLimit: parseInteger(settings.timeLimit, TIME_LIMIT_RANGE, 'timeLimit'),
+    points: parseInteger(settings.points, POINTS_RANGE, 'points')
+  };
+};
+
+/**
+ * Whether an answer has a shape some question type accepts - anything else is ignored
+ */
+const isAnswerShape = (answer) => (
+  typeof answer === 'boolean'
+  || (typeof answer === 'number' && Number.isFinite(answer))
+  || (typeof answer === 'string' && answer.length <= MAX_TEXT_ANSWER_LENGTH)
+  || (Array.isArray(answer) && answer.length <= 10 && answer.every(Number.isInteger))
+);
+
+/**
+ * Shuffle the items of ordering questions - they are stored in the correct order
+ */
+const prepareQuestion = (question) => {
+  if (question.type !== 'ordering') return question;
+  const permutation = shuffle(question.options.map((_, index) => index));
+  return {
+    ...question,
+    options: permutation.map(index => question.options[index]),
+    correct: question.correct.map(index => permutation.indexOf(index))
+  };
+};
+
+/**
+ * What players see while the question is open: no answer, explanation or tolerance
+ */
+const publicQuestion = (question) => ({
+  id: question.id,
+  type: question.type,
+  question: question.question,
+  options: question.options,
+  category: question.category,
+  difficulty: question.difficulty,
+  ...(question.unit && { unit: question.unit })
+});
+
+/**
+ * Players by score; equal scores go to whoever answered faster overall
+ */
+const leaderboard = (room) => [...room.players.values()]
+  .sort((a, b) => b.score - a.score || a.answerTimeMs - b.answerTimeMs)
+  .map((player, index) => ({
+    rank: index + 1,
+    id: player.id,
+    name: player.name,
+    score: player.score,
+    correctCount: player.correctCount,
+    connected: Boolean(player.connection)
+  }));
+
+const roomSnapshot = (room) => ({
+  code: room.code,
+  hostId: room.hostId,
+  state: room.state,
+  settings: room.settings,
+  index: room.index,
+  total: room.questions.length,
+  players: [...room.players.values()].map(player => ({
+    id: player.id,
+    name: player.name,
+    score: player.score,
+    connected: Boolean(player.connection),
+    answered: room.answers.has(player.id)
+  }))
+});
+
+/**
+ * Create the room server
+ * @param {Object} options - { generateQuestions, revealMs } - generateQuestions has the signature of
+ *   generateQuestionsWithAI (the default); revealMs is how long each answer is shown
+ * @returns {Object} { connect(connection), roomCount() }
+ */
+const createRoomServer = ({ generateQuestions = generateQuestionsWithAI, revealMs = REVEAL_MS } = {}) => {
+  const rooms = new Map();
+  let nextPlayerId = 1;
+
+  const sendTo = (player, message) => {
+    if (player.connection) player.connection.send(JSON.stringify(message));
+  };
+
+  const broadcast = (room, message) => {
+    room.players.forEach(player => sendTo(player, message));
+  };
+
+  const broadcastRoom = (room) => broadcast(room, { type: 'room', room: roomSnapshot(room) });
+
+  const connectedPlayers = (room) => [...room.players.values()].filter(player => player.connection);
+
+  const questionMessage = (room) => {
+    const timeLimitMs = room.settings.timeLimit * 1000;
+    return {
+      type: 'question',
+      index: room.index,
+      total: room.questions.length,
+      question: publicQuestion(room.questions[room.index]),
+      timeLimit: room.settings.timeLimit,
+      // Clients count down from this rather than trusting their own clock
+      remainingMs: Math.max(0, timeLimitMs - (Date.now() - room.questionStartedAt))
+    };
+  };
+
+  const closeRoom = (room) => {
+    clearTimeout(room.timer);
+    clearTimeout(room.expiryTimer);
+    rooms.delete(room.code);
+    log.info(`🚪 Closed room ${room.code}`);
+  };
+
+  const finishGame = (room) => {
+    room.state = 'finished';
+    broadcast(room, { type: 'finished', leaderboard: leaderboard(room) });
+    broadcastRoom(room);
+  };
+
+  const nextQuestion = (room) => {
+    room.index++;
+    room.answers = new Map();
+    if (room.index >= room.questions.length) {
+      finishGame(room);
+      return;
+    }
+    room.state = 'question';
+    room.questionStartedAt = Date.now();
+    room.timer = setTimeout(() => revealAnswer(room), room.settings.timeLimit * 1000);
+    broadcast(room, questionMessage(room));
+    broadcastRoom(room);
+  };
+
+  const revealAnswer = (room) => {
+    clearTimeout(room.timer);
+    const question = room.questions[room.index];
+    const timeLimitMs = room.settings.timeLimit * 1000;
+    const results = {};
+    room.players.forEach(player => {
+      const entry = room.answers.get(player.id);
+      const { credit, isCorrect } = scoreAnswer(question, entry ? entry.answer : null);
+      const points = Math.round(room.settings.points * credit);
+      player.score += points;
+      if (isCorrect) player.correctCount++;
+      player.answerTimeMs += entry ? entry.timeTaken : timeLimitMs;
+      results[player.id] = { answer: entry ? entry.answer : null, credit, isCorrect, points, timeTaken: entry ? entry.timeTaken : null };
+    });
+    room.state = 'reveal';
+    broadcast(room, { type: 'reveal', index: room.index, question, results, leaderboard: leaderboard(room) });
+    broadcastRoom(room);
+    room.timer = setTimeout(() => nextQuestion(room), revealMs);
+  };
+
+  // Reveal as soon as everyone still connected has answered
+  const revealIfAllAnswered = (room) => {
+    const players = connectedPlayers(room);
+    if (room.state === 'question' && players.length > 0 && players.every(player => room.answers.has(player.id))) {
+      revealAnswer(room);
+    }
+  };
+
+  const startGame = async (room) => {
+    clearTimeout(room.timer);
+    room.state = 'loading';
+    room.questions = [];
+    room.index = -1;
+    room.answers = new Map();
+    room.players.forEach(player => {
+      player.score = 0;
+      player.correctCount = 0;
+      player.answerTimeMs = 0;
+    });
+    broadcastRoom(room);
+
+    const { category, topic, difficulty, count } = room.settings;
+    let questions = [];
+    try {
+      questions = await generateQuestions(category, difficulty, count, { topic, mode: 'classic' });
+    } catch (error) {
+      log.error(`❌ Could not generate questions for room ${room.code}:`, error.message);
+    }
+    if (rooms.get(room.code) !== room) return; // Closed while generating
+
+    if (questions.length === 0) {
+      room.state = 'lobby';
+      broadcast(room, { type: 'error', message: 'No questions could be generated. Check the server configuration and try again.' });
+      broadcastRoom(room);
+      return;
+    }
+    room.questions = questions.map(prepareQuestion);
+    log.info(`🎮 Room ${room.code} started with ${room.questions.length} question(s) and ${room.players.size} player(s)`);
+    nextQuestion(room);
+  };
+
+  const seatPlayer = (room, name, token, connection) => {
+    // A disconnected player who joins again with their name and reconnect token gets their seat and score back
+    const returning = [...room.players.values()].find(player => player.name.toLowerCase() === name.toLowerCase());
+    if (returning && (returning.connection || returning.token !== token)) {
+      throw roomError(`Someone called "${name}" is already in this room`);
+    }
+    if (!returning && room.players.size >= MAX_PLAYERS_PER_ROOM) throw roomError('This room is full');
+
+    clearTimeout(room.expiryTimer);
+    const player = returning || {
+      id: `p${nextPlayerId++}`,
+      name,
+      token: randomBytes(RECONNECT_TOKEN_BYTES).toString('hex'),
+      score: 0,
+      correctCount: 0,
+      answerTimeMs: 0
+    };
+    player.connection = connection;
+    room.players.set(player.id, player);
+    if (!room.players.has(room.hostId) || !room.players.get(room.hostId).connection) {
+      room.hostId = player.id;
+    }
+    return player;
+  };
+
+  const leaveRoom = (room, player, { remove = false } = {}) => {
+    player.connection = null;
+    if (remove) {
+      room.players.delete(player.id);
+      room.answers.delete(player.id);
+    }
+    const players = connectedPlayers(room);
+    if (players.length === 0) {
+      room.expiryTimer = setTimeout(() => closeRoom(room), EMPTY_ROOM_TTL_MS);
+      return;
+    }
+    if (room.hostId === player.id) {
+      room.hostId = players[0].id;
+    }
+    broadcastRoom(room);
+    revealIfAllAnswered(room);
+  };
+
+  /**
+   * Serve one client connection
+   * @param {EventEmitter} connection - Emits "message" (JSON text) and "close"; has send(text)
+   */
+  const connect = (connection) => {
+    let seat = null; // { room, player } once the client is in a room
+    const reply = (message) => connection.send(JSON.stringify(message));
+
+    const enter = (room, name, token = null) => {
+      const player = seatPlayer(room, name, token, connection);
+      seat = { room, player };
+      reply({ type: 'joined', code: room.code, playerId: player.id, token: player.token });
+      broadcastRoom(room);
+      if (room.state === 'question') reply(questionMessage(room));
+    };
+
+    const handlers = {
+      create: (message) => {
+        const name = parseName(message.name);
+        const settings = parseRoomSettings(message.settings);
+        if (rooms.size >= MAX_ROOMS) throw roomError('The server has too many open rooms, try again later');
+        const room = {
+          code: createRoomCode(rooms),
+          hostId: null,
+          settings,
+          players: new Map(),
+          state: 'lobby',
+          questions: [],
+          index: -1,
+          answers: new Map(),
+          questionStartedAt: null,
+          timer: null,
+          expiryTimer: null
+        };
+        rooms.set(room.code, room);
+        log.info(`🏠 Created room ${room.code}`);
+        enter(room, name);
+      },
+      join: (message) => {
+        const name = parseName(message.name);
+        const room = rooms.get(String(message.code || '').trim().toUpperCase());
+        if (!room) throw roomError('No room with that code - check it with the host');
+        enter(room, name, typeof message.token === 'string' ? message.token : null);
+      },
+      start: () => {
+        const { room, player } = seat;
+        if (room.hostId !== player.id) throw roomError('Only the host can start the quiz');
+        if (!['lobby', 'finished'].includes(room.state)) throw roomError('The quiz is already running');
+        startGame(room);
+      },
+      answer: (message) => {
+        const { room, player } = seat;
+        if (room.state !== 'question' || message.index !== room.index || room.answers.has(player.id)) return;
+        if (!isAnswerShape(message.answer)) throw roomError('That answer cannot be read');
+        room.answers.set(player.id, { answer: message.answer, timeTaken: Date.now() - room.questionStartedAt });
+        broadcastRoom(room);
+        revealIfAllAnswered(room);
+      },
+      leave: () => {
+        leaveRoom(seat.room, seat.player, { remove: true });
+        seat = null;
+      }
+    };
+
+    connection.on('message', (text) => {
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch {
+        reply({ type: 'error', message: 'Messages must be JSON' });
+        return;
+      }
+      const handler = handlers[message?.type];
+      try {
+        if (!handler) throw roomError(`Unknown message type "${message?.type}"`);
+        if (['create', 'join'].includes(message.type) === Boolean(seat)) {
+          throw roomError(seat ? 'Leave this room first' : 'Join a room first');
+        }
+        handler(message);
+      } catch (error) {
+        if (!error.isRoomError) log.error('❌ Room message failed:', error);
+        reply({ type: 'error', message: error.isRoomError ? error.message : 'Something went wrong' });
+      }
+    });
+
+    connection.on('close', () => {
+      if (seat) leaveRoom(seat.room, seat.player);
+      seat = null;
+    });
+  };
+
+  return { connect, roomCount: () => rooms.size };
+};
+
+export { createRoomServer, parseRoomSettings, publicQuestion };
@@ -0,0 +1,103 @@
+/**
+ * Quiz Session Store
+ * The classic quiz in progress - its questions, answers, score and timer - so a reload or a
+ * crashed tab can pick up where the player left off. Kept in localStorage (written synchronously,
+ * so nothing is lost when the page goes away); when storage is disabled nothing is kept.
+ * The text of a document quiz's document is stored once under its own key, not with every save.
+ */
+
+import { hashString } from './seededRandom.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('quiz');
+
+const STORAGE_KEY = 'truthteller.session';
+const DOCUMENT_STORAGE_KEY = 'truthteller.session.document';
+// Bumped when the stored shape changes; older sessions are dropped
+const SESSION_VERSION = 2;
+
+// Document last written to DOCUMENT_STORAGE_KEY and its reference, so it is not written again
+let storedDocument = null;
+let storedDocumentRef = null;
+
+const documentRef = (document) => hashString(`${document.title}\n${document.text}`).toString(36);
+
+/**
+ * Store the document once and return the reference the session keeps instead of its text
+ */
+const storeDocument = (document) => {
+  if (document !== storedDocument) {
+    storedDocumentRef = documentRef(document);
+    storedDocument = document;
+    try {
+      localStorage.setItem(DOCUMENT_STORAGE_KEY, JSON.stringify({ ref: storedDocumentRef, ...document }));
+    } catch (error) {
+      log.warn('⚠️ Could not save the quiz document, a resumed quiz will not know it:', error.message);
+    }
+  }
+  return { title: document.title, ref: storedDocumentRef };
+};
+
+/**
+ * The stored document a session refers to, or null when it is gone
+ */
+const loadDocument = (reference) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(DOCUMENT_STORAGE_KEY) || 'null');
+    return stored?.ref === reference?.ref && typeof stored.text === 'string' ? { title: stored.title, text: stored.text } : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Store the quiz in progress
+ * @param {Object} session - { profileId, questions, currentQuestion, score, answers, showResult, selectedAnswer,
+ *   timeLeft, isPaused, settings: { category, difficulty, isAdaptive, isReview, isRetry, sharedQuiz,
+ *   questionCount, scoringOptions, sourceDocument } }
+ */
+const saveQuizSession = (session) => {
+  const { sourceDocument } = session.settings;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      ...session,
+      settings: { ...session.settings, sourceDocument: sourceDocument ? storeDocument(sourceDocument) : null },
+      version: SESSION_VERSION,
+      savedAt: new Date().toISOString()
+    }));
+  } catch (error) {
+    log.warn('⚠️ Could not save the quiz in progress:', error.message);
+  }
+};
+
+/**
+ * The stored quiz in progress, or null when there is none (or it cannot be read)
+ * A document quiz whose document text is gone resumes as a plain quiz.
+ */
+const loadQuizSession = () => {
+  try {
+    const session = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    const isValid = session?.version === SESSION_VERSION &&
+      Array.isArray(session.questions) && session.questions.length > 0 &&
+      Number.isInteger(session.currentQuestion) && session.currentQuestion >= 0 && session.currentQuestion < session.questions.length &&
+      Array.isArray(session.answers) && session.settings;
+    if (!isValid) return null;
+    const sourceDocument = session.settings.sourceDocument ? loadDocument(session.settings.sourceDocument) : null;
+    return { ...session, settings: { ...session.settings, sourceDocument } };
+  } catch {
+    return null;
+  }
+};
+
+const clearQuizSession = () => {
+  storedDocument = null;
+  storedDocumentRef = null;
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+    localStorage.removeItem(DOCUMENT_STORAGE_KEY);
+  } catch {
+    // Storage disabled - nothing was stored
+  }
+};
+
+export { saveQuizSession, loadQuizSession, clearQuizSession };
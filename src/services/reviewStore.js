@@ -0,0 +1,167 @@
+/**
+ * Review Store
+ * Spaced-repetition cards of each player, kept in the browser (IndexedDB). A card holds
+ * a copy of the question and its SM-2 schedule (see spacedRepetition).
+ * Falls back to an in-memory store when IndexedDB is unavailable.
+ */
+
+import { requestToPromise, transactionDone, openDatabase } from './indexedDBUtils.js';
+import { questionKey } from './questionSchema.js';
+import { NEW_CARD, answerQuality, scheduleReview } from './spacedRepetition.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('review');
+
+const DB_NAME = 'truthteller-review';
+const DB_VERSION = 1;
+const CARD_STORE = 'cards';
+
+const cardId = (profileId, question) => `${profileId}:${questionKey(question)}`;
+
+/**
+ * IndexedDB backend
+ */
+const createIndexedDBBackend = (db) => ({
+  getAllByProfile: async (profileId) => {
+    const store = db.transaction(CARD_STORE, 'readonly').objectStore(CARD_STORE);
+    return requestToPromise(store.index('profileId').getAll(profileId));
+  },
+  get: async (id) => {
+    const store = db.transaction(CARD_STORE, 'readonly').objectStore(CARD_STORE);
+    return requestToPromise(store.get(id));
+  },
+  put: async (card) => {
+    const transaction = db.transaction(CARD_STORE, 'readwrite');
+    transaction.objectStore(CARD_STORE).put(card);
+    await transactionDone(transaction);
+  },
+  remove: async (ids) => {
+    const transaction = db.transaction(CARD_STORE, 'readwrite');
+    const store = transaction.objectStore(CARD_STORE);
+    ids.forEach(id => store.delete(id));
+    await transactionDone(transaction);
+  }
+});
+
+/**
+ * In-memory backend with the same interface, used when IndexedDB is unavailable
+ */
+const createMemoryBackend = () => {
+  const cards = new Map();
+  return {
+    getAllByProfile: async (profileId) => [...cards.values()].filter(card => card.profileId === profileId),
+    get: async (id) => cards.get(id),
+    put: async (card) => {
+      cards.set(card.id, card);
+    },
+    remove: async (ids) => {
+      ids.forEach(id => cards.delete(id));
+    }
+  };
+};
+
+const upgradeDatabase = (db) => {
+  if (!db.objectStoreNames.contains(CARD_STORE)) {
+    const store = db.createObjectStore(CARD_STORE, { keyPath: 'id' });
+    store.createIndex('profileId', 'profileId');
+    store.createIndex('dueAt', 'dueAt');
+  }
+};
+
+let backendPromise = null;
+
+const getBackend = () => {
+  if (!backendPromise) {
+    backendPromise = openDatabase(DB_NAME, DB_VERSION, upgradeDatabase)
+      .then(createIndexedDBBackend)
+      .catch(error => {
+        log.warn('⚠️ Could not open IndexedDB, review cards will not survive a reload:', error?.message);
+        return createMemoryBackend();
+      });
+  }
+  return backendPromise;
+};
+
+/**
+ * Record an answer and reschedule the question's review card (created on first answer)
+ * @param {string} profileId - Player who answered
+ * @param {Object} question - Answered question
+ * @param {Object} outcome - { isCorrect, timedOut, timeTaken, timeLimit }
+ * @returns {Object} The updated card
+ */
+const recordReview = async (profileId, question, outcome) => {
+  const backend = await getBackend();
+  const id = cardId(profileId, question);
+  const existing = await backend.get(id);
+  const card = {
+    id,
+    profileId,
+    key: questionKey(question),
+    question,
+    createdAt: existing?.createdAt || new Date().toISOString(),
+    ...scheduleReview(existing || null, answerQuality(outcome))
+  };
+  await backend.put(card);
+  return card;
+};
+
+/**
+ * Put questions in the review deck, due now - without counting as a review
+ * Cards that already exist keep their schedule history and are only brought forward.
+ * @param {string} profileId - Player
+ * @param {Array} questions - Questions to add
+ * @returns {number} Cards added or brought forward
+ */
+const saveToReviewDeck = async (profileId, questions, now = new Date()) => {
+  const backend = await getBackend();
+  const dueAt = now.toISOString();
+  for (const question of questions) {
+    const id = cardId(profileId, question);
+    const existing = await backend.get(id);
+    await backend.put(existing
+      ? { ...existing, question, dueAt: existing.dueAt < dueAt ? existing.dueAt : dueAt }
+      : {
+        id,
+        profileId,
+        key: questionKey(question),
+        question,
+        createdAt: dueAt,
+        ...NEW_CARD,
+        dueAt,
+        lastReviewedAt: null,
+        lastQuality: null
+      });
+  }
+  return questions.length;
+};
+
+/**
+ * Cards due for review, most overdue first
+ * @param {string} profileId - Player
+ * @param {Object} options - { now, limit }
+ */
+const listDueCards = async (profileId, { now = new Date(), limit = Infinity } = {}) => {
+  const backend = await getBackend();
+  const cutoff = now.toISOString();
+  const cards = await backend.getAllByProfile(profileId);
+  return cards
+    .filter(card => card.dueAt <= cutoff)
+    .sort((a, b) => a.dueAt.localeCompare(b.dueAt))
+    .slice(0, limit);
+};
+
+/**
+ * Number of cards due for review now
+ */
+const countDueCards = async (profileId) => (await listDueCards(profileId)).length;
+
+/**
+ * Delete every review card of a player
+ */
+const removeReviewCards = async (profileId) => {
+  const backend = await getBackend();
+  const cards = await backend.getAllByProfile(profileId);
+  await backend.remove(cards.map(card => card.id));
+};
+
+export { recordReview, saveToReviewDeck, listDueCards, countDueCards, removeReviewCards };
@@ -0,0 +1,65 @@
+/**
+ * Room Client
+ * The browser side of the multiplayer quiz rooms: a WebSocket to /api/rooms on the API server
+ * that sends and receives JSON messages (see quizRoomService.js for the message types).
+ */
+
+import { apiUrl } from './questionApiClient.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('rooms');
+
+/**
+ * WebSocket URL of the room server - same host as the API (VITE_API_URL or this page)
+ */
+const roomSocketUrl = () => {
+  const url = new URL(apiUrl('/api/rooms'), window.location.href);
+  url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+  return url.toString();
+};
+
+/**
+ * Open a connection to the room server
+ * Messages sent before the socket is open are queued.
+ * @param {Object} handlers - { onMessage(message), onClose({ wasOpen }) }
+ * @returns {Object} { send(message), close() }
+ */
+const openRoomConnection = ({ onMessage, onClose }) => {
+  const socket = new WebSocket(roomSocketUrl());
+  const queued = [];
+  let wasOpen = false;
+  let isClosing = false;
+
+  socket.addEventListener('open', () => {
+    wasOpen = true;
+    queued.splice(0).forEach(text => socket.send(text));
+  });
+  socket.addEventListener('message', (event) => {
+    try {
+      onMessage(JSON.parse(event.data));
+    } catch (error) {
+      log.error('Failed to read room message:', error);
+    }
+  });
+  socket.addEventListener('close', () => {
+    if (!isClosing) onClose?.({ wasOpen });
+  });
+
+  return {
+    send: (message) => {
+      const text = JSON.stringify(message);
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(text);
+      } else {
+        queued.push(text);
+      }
+    },
+    // Closing on purpose does not call onClose
+    close: () => {
+      isClosing = true;
+      socket.close();
+    }
+  };
+};
+
+export { roomSocketUrl, openRoomConnection };
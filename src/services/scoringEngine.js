@@ -0,0 +1,134 @@
+/**
+ * Scoring Engine
+ * Turns an answer's credit (see answerScoring.js) into points. The points are built by a list
+ * of rules applied in order - base points, question type weight, speed bonus, streak bonus and
+ * wrong-answer penalty - each adding its own part, so a quiz's score can be broken down by rule.
+ * Every rule but the base points is an option the player switches on in the quiz settings.
+ */
+
+// Speed bonus for an instant answer, as a share of the points earned (falls to 0 at the time limit)
+const TIME_BONUS_SHARE = 0.5;
+// Each answer of a streak raises the multiplier by this much, up to MAX_STREAK_MULTIPLIER
+const STREAK_STEP = 0.2;
+const MAX_STREAK_MULTIPLIER = 2;
+// Points lost for a wrong answer, as a share of the question's points (timeouts lose nothing)
+const WRONG_ANSWER_PENALTY = 0.25;
+
+// Question types that are harder to guess are worth more
+const TYPE_WEIGHTS = {
+  'true-false': 0.5,
+  'multiple-choice': 1,
+  'multi-select': 1.25,
+  ordering: 1.25,
+  numeric: 1.5,
+  'short-answer': 1.5
+};
+
+const DEFAULT_SCORING_OPTIONS = { timeBonus: false, streaks: false, negativeMarking: false, typeWeights: false };
+
+// Options shown in the quiz settings
+const SCORING_OPTIONS = {
+  timeBonus: { label: 'Speed Bonus', description: `Up to +${TIME_BONUS_SHARE * 100}% for a quick answer` },
+  streaks: { label: 'Streaks', description: `+${STREAK_STEP * 100}% per correct answer in a row, up to ×${MAX_STREAK_MULTIPLIER}` },
+  negativeMarking: { label: 'Negative Marking', description: `Wrong answers cost ${WRONG_ANSWER_PENALTY * 100}% of the points` },
+  typeWeights: { label: 'Type Weights', description: 'True/False ×0.5 up to Number and Short Answer ×1.5' }
+};
+
+const streakMultiplier = (streak) => Math.min(MAX_STREAK_MULTIPLIER, 1 + STREAK_STEP * Math.max(0, streak - 1));
+
+/**
+ * Scoring rules, applied in order. `apply` gets the answer context plus `earned` - the points of
+ * the rules before it - and returns this rule's part. `option` names the setting that enables it.
+ */
+const SCORING_RULES = [
+  {
+    key: 'base',
+    label: 'Answers',
+    apply: ({ basePoints, credit }) => basePoints * credit
+  },
+  {
+    key: 'typeWeight',
+    label: 'Question type weights',
+    option: 'typeWeights',
+    apply: ({ earned, weight }) => earned * (weight - 1)
+  },
+  {
+    key: 'timeBonus',
+    label: 'Speed bonus',
+    option: 'timeBonus',
+    apply: ({ earned, timeLeft, timeLimit }) => (timeLimit > 0 ? earned * TIME_BONUS_SHARE * Math.min(1, Math.max(0, timeLeft / timeLimit)) : 0)
+  },
+  {
+    key: 'streak',
+    label: 'Streak bonus',
+    option: 'streaks',
+    apply: ({ earned, isCorrect, streak }) => (isCorrect ? earned * (streakMultiplier(streak) - 1) : 0)
+  },
+  {
+    key: 'penalty',
+    label: 'Wrong answers',
+    option: 'negativeMarking',
+    apply: ({ basePoints, weight, credit, timedOut }) => (!timedOut && credit === 0 ? -basePoints * weight * WRONG_ANSWER_PENALTY : 0)
+  }
+];
+
+/**
+ * Points for one answer
+ * @param {Object} answer - { question, basePoints, credit, isCorrect, timedOut, timeLeft, timeLimit, previousStreak }
+ *   - previousStreak: correct answers in a row before this one
+ * @param {Object} options - Enabled rules, see DEFAULT_SCORING_OPTIONS
+ * @returns {Object} { points, parts: { [rule key]: points }, streak } - parts are rounded and add up to points
+ */
+const scoreQuestion = (answer, options = DEFAULT_SCORING_OPTIONS) => {
+  const streak = answer.isCorrect ? (answer.previousStreak || 0) + 1 : 0;
+  const context = {
+    ...answer,
+    streak,
+    weight: options.typeWeights ? TYPE_WEIGHTS[answer.question.type] ?? 1 : 1
+  };
+  const parts = {};
+  let earned = 0;
+  SCORING_RULES.forEach(rule => {
+    if (rule.option && !options[rule.option]) return;
+    const part = Math.round(rule.apply({ ...context, earned }));
+    if (part !== 0) parts[rule.key] = part;
+    earned += part;
+  });
+  return { points: earned, parts, streak };
+};
+
+/**
+ * Highest score a quiz allows: every answer correct and instant
+ * @param {Array} questions - [{ question, basePoints, timeLimit }]
+ */
+const maxQuizScore = (questions, options = DEFAULT_SCORING_OPTIONS) => {
+  let previousStreak = 0;
+  return questions.reduce((total, { question, basePoints, timeLimit }) => {
+    const result = scoreQuestion({ question, basePoints, credit: 1, isCorrect: true, timedOut: false, timeLeft: timeLimit, timeLimit, previousStreak }, options);
+    previousStreak = result.streak;
+    return total + result.points;
+  }, 0);
+};
+
+/**
+ * How a quiz's score was built, from answers that carry the `scoreParts` of scoreQuestion
+ * @returns {Object} { parts: [{ key, label, points }] in rule order, total, bestStreak }
+ */
+const summarizeScore = (answers) => {
+  const totals = {};
+  answers.forEach(answer => {
+    Object.entries(answer.scoreParts || {}).forEach(([key, points]) => {
+      totals[key] = (totals[key] || 0) + points;
+    });
+  });
+  const parts = SCORING_RULES
+    .filter(rule => totals[rule.key] !== undefined)
+    .map(rule => ({ key: rule.key, label: rule.label, points: totals[rule.key] }));
+  return {
+    parts,
+    total: parts.reduce((sum, part) => sum + part.points, 0),
+    bestStreak: answers.reduce((best, answer) => Math.max(best, answer.streak || 0), 0)
+  };
+};
+
+export { DEFAULT_SCORING_OPTIONS, SCORING_OPTIONS, SCORING_RULES, TYPE_WEIGHTS, scoreQuestion, maxQuizScore, summarizeScore };
@@ -0,0 +1,39 @@
+/**
+ * Scoring Settings Store
+ * The scoring rules the player switched on (see scoringEngine.js). Kept in localStorage;
+ * when storage is disabled they only last for the session.
+ */
+
+import { DEFAULT_SCORING_OPTIONS } from './scoringEngine.js';
+
+const STORAGE_KEY = 'truthteller.scoring';
+
+// Session copy used when localStorage is unavailable
+let memoryOptions = DEFAULT_SCORING_OPTIONS;
+
+/**
+ * Current scoring options - unknown or missing keys fall back to the defaults
+ * @returns {Object} { timeBonus, streaks, negativeMarking, typeWeights }
+ */
+const loadScoringOptions = () => {
+  let stored;
+  try {
+    stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+  } catch {
+    stored = memoryOptions;
+  }
+  return Object.fromEntries(Object.entries(DEFAULT_SCORING_OPTIONS).map(([key, value]) => (
+    [key, typeof stored?.[key] === 'boolean' ? stored[key] : value]
+  )));
+};
+
+const saveScoringOptions = (options) => {
+  memoryOptions = options;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(options));
+  } catch {
+    // Storage disabled - keep the session copy
+  }
+};
+
+export { loadScoringOptions, saveScoringOptions };
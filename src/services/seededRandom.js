@@ -0,0 +1,63 @@
+/**
+ * Seeded Random
+ * Deterministic random numbers for reproducible quizzes: the same seed always gives the same
+ * sequence, so question picks, prompt topics and option orders can be replayed. Without a seed
+ * everything falls back to Math.random. Also provides the string hash behind shared quiz ids.
+ */
+
+/**
+ * 53-bit hash of a string (cyrb53) - fast and well spread, not cryptographic
+ * @param {string} text - Text to hash
+ * @param {number} salt - Different salts give independent hashes of the same text
+ * @returns {number} Non-negative integer below 2^53
+ */
+const hashString = (text, salt = 0) => {
+  let h1 = 0xdeadbeef ^ salt;
+  let h2 = 0x41c6ce57 ^ salt;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+};
+
+/**
+ * Random number generator for a seed (mulberry32)
+ * @param {string|number|undefined} seed - Anything; undefined, null and '' mean "not seeded"
+ * @returns {Function} () => number in [0, 1) - Math.random when there is no seed
+ */
+const createRandom = (seed) => {
+  if (seed === undefined || seed === null || seed === '') return Math.random;
+  let state = hashString(String(seed)) >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Shuffled copy of a list (Fisher-Yates)
+ * @param {Array} items - List to shuffle (left unchanged)
+ * @param {Function} random - Source of numbers in [0, 1), e.g. from createRandom
+ */
+const shuffle = (items, random = Math.random) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+/**
+ * One item of a non-empty list
+ */
+const pickOne = (items, random = Math.random) => items[Math.floor(random() * items.length)];
+
+export { hashString, createRandom, shuffle, pickOne };
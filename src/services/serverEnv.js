@@ -0,0 +1,18 @@
+/**
+ * Server Environment
+ * Settings for the services that run inside the API server (server/index.js).
+ * They are read from process.env, so API tokens never end up in the browser bundle.
+ */
+
+/**
+ * Read a server setting
+ * Older .env files used VITE_-prefixed names; those are still accepted here
+ * @param {string} name - Setting name without prefix (e.g. "HUGGINGFACE_API_TOKEN")
+ * @param {string} fallback - Value used when the setting is missing or empty
+ */
+const readSetting = (name, fallback = '') => {
+  const env = typeof process !== 'undefined' && process.env ? process.env : {};
+  return env[name] || env[`VITE_${name}`] || fallback;
+};
+
+export { readSetting };
@@ -0,0 +1,71 @@
+/**
+ * Shared Quiz
+ * A quiz frozen for sharing: its questions in order, identified by a hash of their content.
+ * The same questions always get the same id, so a link like /quiz/<id> loads exactly the quiz
+ * its sender played - same questions, same order and (seeded by the id) the same item order of
+ * ordering questions. Shared quizzes are stored in the Hugging Face repo (see saveSharedQuizToRepo).
+ */
+
+import { hashString } from './seededRandom.js';
+
+const SHARED_QUIZ_PATH = '/quiz/';
+const SHARED_QUIZ_ID_PATTERN = /^[0-9a-z]{16}$/;
+// Fields that change without changing the question: generated ids and the learned difficulty rating
+const VOLATILE_FIELDS = ['id', 'rating'];
+
+/**
+ * JSON with object keys sorted, so equal questions always serialize the same way
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const stripVolatile = (question) => Object.fromEntries(Object.entries(question).filter(([key]) => !VOLATILE_FIELDS.includes(key)));
+
+/**
+ * Content id of a list of questions - 16 base-36 characters from two independent hashes
+ * @param {Array} questions - Validated questions, in quiz order
+ */
+const quizContentId = (questions) => {
+  const text = canonicalJson(questions.map(stripVolatile));
+  const part = (salt) => hashString(text, salt).toString(36).padStart(11, '0').slice(-8);
+  return part(1) + part(2);
+};
+
+const isSharedQuizId = (id) => typeof id === 'string' && SHARED_QUIZ_ID_PATTERN.test(id);
+
+/**
+ * Freeze questions into a shared quiz
+ * @param {Array} questions - Validated questions, in quiz order
+ * @param {Object} options - { category } - category key the quiz was played in (null for mixed)
+ * @returns {Object} { id, questions, category, createdAt } - questions are numbered 1..n
+ */
+const createSharedQuiz = (questions, { category = null } = {}) => {
+  const frozen = questions.map(stripVolatile);
+  return {
+    id: quizContentId(frozen),
+    questions: frozen.map((question, index) => ({ ...question, id: index + 1 })),
+    category,
+    createdAt: new Date().toISOString()
+  };
+};
+
+const sharedQuizPath = (id) => `${SHARED_QUIZ_PATH}${id}`;
+
+/**
+ * Shared quiz id of a page path (/quiz/<id>), or null
+ */
+const sharedQuizIdFromPath = (pathname) => {
+  if (!pathname?.startsWith(SHARED_QUIZ_PATH)) return null;
+  const id = pathname.slice(SHARED_QUIZ_PATH.length).replace(/\/+$/, '');
+  return isSharedQuizId(id) ? id : null;
+};
+
+export { quizContentId, isSharedQuizId, createSharedQuiz, sharedQuizPath, sharedQuizIdFromPath };
@@ -0,0 +1,72 @@
+/**
+ * Spaced Repetition
+ * SM-2 scheduling for review cards: every answered question gets an ease factor and a
+ * due date. Recalled questions come back after growing intervals; missed ones are due
+ * again straight away and start over.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INITIAL_EASE_FACTOR = 2.5;
+const MIN_EASE_FACTOR = 1.3;
+// Lowest answer quality (0..5) that counts as recalled
+const PASSING_QUALITY = 3;
+
+// Schedule of a card that has never been reviewed
+const NEW_CARD = { easeFactor: INITIAL_EASE_FACTOR, interval: 0, repetitions: 0, lapses: 0, reviews: 0 };
+
+/**
+ * SM-2 answer quality (0..5) of a quiz answer
+ * 0 = time ran out, 1 = wrong, 3..5 = correct, lower the longer it took
+ * @param {Object} outcome - { isCorrect, timedOut, timeTaken, timeLimit }
+ */
+const answerQuality = ({ isCorrect, timedOut, timeTaken, timeLimit }) => {
+  if (timedOut) return 0;
+  if (!isCorrect) return 1;
+  if (!(timeLimit > 0) || typeof timeTaken !== 'number') return 4;
+  const slowness = timeTaken / timeLimit;
+  if (slowness > 2 / 3) return 3;
+  if (slowness > 1 / 3) return 4;
+  return 5;
+};
+
+/**
+ * Next state of a review card after an answer of the given quality
+ * @param {Object|null} card - { easeFactor, interval, repetitions, lapses, reviews } - null for a new card
+ * @param {number} quality - 0..5 (see answerQuality)
+ * @param {Date} now - Review time
+ * @returns {Object} { easeFactor, interval, repetitions, lapses, reviews, dueAt, lastReviewedAt, lastQuality } -
+ *   interval in days, dates as ISO strings
+ */
+const scheduleReview = (card, quality, now = new Date()) => {
+  const previous = card || NEW_CARD;
+  const easeFactor = Math.max(
+    MIN_EASE_FACTOR,
+    previous.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  let { repetitions, interval, lapses } = previous;
+  if (quality < PASSING_QUALITY) {
+    repetitions = 0;
+    interval = 1;
+    lapses++;
+  } else {
+    repetitions++;
+    interval = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(previous.interval * easeFactor);
+  }
+
+  // Missed questions are drilled again right away, recalled ones wait out their interval
+  const dueAt = quality < PASSING_QUALITY ? now : new Date(now.getTime() + interval * DAY_MS);
+
+  return {
+    easeFactor: Math.round(easeFactor * 100) / 100,
+    interval,
+    repetitions,
+    lapses,
+    reviews: previous.reviews + 1,
+    dueAt: dueAt.toISOString(),
+    lastReviewedAt: now.toISOString(),
+    lastQuality: quality
+  };
+};
+
+export { NEW_CARD, answerQuality, scheduleReview };
@@ -0,0 +1,273 @@
+/**
+ * Question Verification Service
+ * Independently re-answers generated questions - against a local reference corpus
+ * or a second model - and records whether the result agrees with `correct`.
+ */
+
+import { getProviderFromEnv } from './llmProviders.js';
+import { questionKey } from './questionSchema.js';
+import { readSetting } from './serverEnv.js';
+import { createLogger } from './logger.js';
+
+const VERIFICATION_MODES = ['off', 'flag', 'drop'];
+// Question types the verifier knows how to re-answer
+const VERIFIABLE_TYPES = ['multiple-choice', 'true-false'];
+// Minimum token overlap (Jaccard) for a corpus entry to count as the same question
+const CORPUS_MATCH_THRESHOLD = 0.8;
+// Confidence assumed when the verifier model does not report one
+const DEFAULT_MODEL_CONFIDENCE = 0.7;
+
+const log = createLogger('generation');
+// The self-verification warning is logged once, not on every generation
+let warnedSelfVerification = false;
+
+const tokenize = (text) => new Set(
+  (text || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').split(/\s+/).filter(Boolean)
+);
+
+const jaccard = (a, b) => {
+  if (a.size === 0 && b.size === 0) return 1;
+  let intersection = 0;
+  a.forEach(token => {
+    if (b.has(token)) intersection++;
+  });
+  return intersection / (a.size + b.size - intersection);
+};
+
+const normalizeAnswerText = (text) => String(text ?? '').toLowerCase().trim();
+
+/**
+ * Human-readable answer of a question (option text for multiple choice)
+ */
+const answerOf = (question) => (
+  question.type === 'true-false' ? question.correct : question.options?.[question.correct]
+);
+
+/**
+ * Find the corpus entry that asks the same question
+ * @param {Object} question - Question to look up
+ * @param {Array} corpus - Reference questions with known-good answers
+ */
+const findCorpusMatch = (question, corpus = []) => {
+  const key = questionKey(question);
+  const exact = corpus.find(entry => entry.type === question.type && questionKey(entry) === key);
+  if (exact) return exact;
+
+  const tokens = tokenize(question.question);
+  let best = null;
+  let bestScore = 0;
+  corpus.forEach(entry => {
+    if (entry.type !== question.type) return;
+    const score = jaccard(tokens, tokenize(entry.question));
+    if (score > bestScore) {
+      best = entry;
+      bestScore = score;
+    }
+  });
+  return bestScore >= CORPUS_MATCH_THRESHOLD ? best : null;
+};
+
+const buildVerifierPrompt = (question) => {
+  if (question.type === 'true-false') {
+    return `Decide independently whether the following statement is true or false. Do not assume it is true.
+
+Statement: ${question.question}
+
+Reply with ONLY a JSON object: {"answer": "true" or "false", "confidence": number between 0 and 1}`;
+  }
+
+  const options = question.options.map((option, index) => `${String.fromCharCode(65 + index)}) ${option}`).join('\n');
+  return `Answer the following quiz question independently.
+
+Question: ${question.question}
+${options}
+
+Reply with ONLY a JSON object: {"answer": "<letter of the correct option>", "confidence": number between 0 and 1}`;
+};
+
+/**
+ * Parse the verifier model's reply into an answer comparable with `correct`
+ * @returns {Object|null} { answer, confidence } or null when unparseable
+ */
+const parseVerifierReply = (reply, question) => {
+  let answer;
+  let confidence;
+
+  const jsonMatch = reply.match(/\{[\s\S]*?\}/);
+  if (jsonMatch) {
+    try {
+      const data = JSON.parse(jsonMatch[0]);
+      answer = data.answer;
+      confidence = Number(data.confidence);
+    } catch {
+      // Fall through to plain-text parsing
+    }
+  }
+  if (answer === undefined) {
+    answer = question.type === 'true-false'
+      ? reply.match(/\b(true|false)\b/i)?.[1]
+      : reply.match(/\b([A-D])\b/)?.[1];
+  }
+  if (answer === undefined || answer === null) return null;
+
+  const text = String(answer).trim();
+  let parsed;
+  if (question.type === 'true-false') {
+    if (/^true$/i.test(text)) parsed = true;
+    else if (/^false$/i.test(text)) parsed = false;
+  } else if (/^[A-Da-d]$/.test(text)) {
+    parsed = text.toUpperCase().charCodeAt(0) - 65;
+  } else {
+    const byText = question.options.findIndex(option => normalizeAnswerText(option) === normalizeAnswerText(text));
+    if (byText !== -1) parsed = byText;
+  }
+  if (parsed === undefined) return null;
+
+  return {
+    answer: parsed,
+    confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : DEFAULT_MODEL_CONFIDENCE
+  };
+};
+
+/**
+ * Verify one question
+ * @param {Object} question - Validated question
+ * @param {Object} settings - { provider, corpus } - provider may be null to use the corpus only
+ * @returns {Object} { status: 'verified'|'disputed'|'unverified', method, confidence, verifierAnswer, reason, checkedAt }
+ */
+const verifyQuestion = async (question, { provider = null, corpus = [] } = {}) => {
+  const checkedAt = new Date().toISOString();
+
+  const reference = findCorpusMatch(question, corpus);
+  if (reference) {
+    const agrees = normalizeAnswerText(answerOf(reference)) === normalizeAnswerText(answerOf(question));
+    return {
+      status: agrees ? 'verified' : 'disputed',
+      method: 'corpus',
+      confidence: agrees ? 1 : 0,
+      verifierAnswer: answerOf(reference),
+      reason: agrees ? null : 'reference corpus has a different answer',
+      checkedAt
+    };
+  }
+
+  if (!provider || !provider.isConfigured()) {
+    return { status: 'unverified', method: null, confidence: null, verifierAnswer: null, reason: 'no corpus match and no verifier model', checkedAt };
+  }
+
+  try {
+    const reply = await provider.generate(buildVerifierPrompt(question), {
+      count: 1,
+      temperature: 0.1, // Low temperature - we want the model's best answer, not variety
+      maxTokens: 60,
+      topP: 1
+    });
+    const parsed = parseVerifierReply(reply || '', question);
+    if (!parsed) {
+      return { status: 'unverified', method: 'model', confidence: null, verifierAnswer: null, reason: 'unparseable verifier reply', checkedAt };
+    }
+
+    const agrees = parsed.answer === question.correct;
+    const verifierAnswer = question.type === 'true-false' ? parsed.answer : question.options[parsed.answer];
+    return {
+      status: agrees ? 'verified' : 'disputed',
+      method: 'model',
+      confidence: Math.round((agrees ? parsed.confidence : 1 - parsed.confidence) * 100) / 100,
+      verifierAnswer: verifierAnswer ?? null,
+      reason: agrees ? null : `verifier model answered "${verifierAnswer}"`,
+      checkedAt
+    };
+  } catch (error) {
+    log.warn('⚠️ Verifier model call failed:', error.message);
+    return { status: 'unverified', method: 'model', confidence: null, verifierAnswer: null, reason: error.message, checkedAt };
+  }
+};
+
+/**
+ * Verify a list of questions and apply the disagreement policy
+ * @param {Array} questions - Validated questions
+ * @param {Object} settings - { mode: 'flag'|'drop', provider, corpus }
+ * @returns {Array} Questions with a `verification` field; disputed ones removed when mode is "drop"
+ */
+const applyVerification = async (questions, settings) => {
+  if (!settings || settings.mode === 'off') {
+    return questions;
+  }
+
+  const kept = [];
+  for (const question of questions) {
+    if (!VERIFIABLE_TYPES.includes(question.type)) {
+      kept.push(question);
+      continue;
+    }
+    const verification = await verifyQuestion(question, settings);
+    if (verification.status === 'disputed') {
+      log.debug(`🔎 Disputed answer for "${question.question.substring(0, 60)}": ${verification.reason}`);
+      if (settings.mode === 'drop') continue;
+    }
+    kept.push({ ...question, verification });
+  }
+
+  const disputed = questions.length - kept.length;
+  if (disputed > 0) {
+    log.info(`🔎 Dropped ${disputed} question(s) that failed verification`);
+  }
+  return kept;
+};
+
+/**
+ * Verification settings from the server environment
+ * VERIFY_QUESTIONS: off | flag | drop
+ * VERIFIER_PROVIDER / VERIFIER_MODEL: second model used to re-answer questions - without one (or when it is
+ * the generation model itself) questions are only checked against the corpus
+ * @param {Array} corpus - Local reference corpus consulted before the verifier model
+ * @returns {Object|null} Settings for applyVerification, or null when verification is off
+ */
+const getVerificationSettingsFromEnv = (corpus = []) => {
+  const setting = readSetting('VERIFY_QUESTIONS');
+  const mode = VERIFICATION_MODES.includes(setting) ? setting : 'off';
+  if (mode === 'off') {
+    return null;
+  }
+
+  const verifierName = readSetting('VERIFIER_PROVIDER');
+  const verifierModel = readSetting('VERIFIER_MODEL');
+  if (!verifierName && !verifierModel) {
+    return { mode, provider: null, corpus };
+  }
+
+  // A model checking its own answers is no independent check
+  const provider = getProviderFromEnv({ name: verifierName, model: verifierModel });
+  const generator = getProviderFromEnv();
+  if (provider.name === generator.name && provider.model === generator.model) {
+    if (!warnedSelfVerification) {
+      warnedSelfVerification = true;
+      log.warn(`⚠️ The verifier is the generation model (${provider.model}) - checking against the reference corpus only`);
+    }
+    return { mode, provider: null, corpus };
+  }
+
+  return { mode, provider, corpus };
+};
+
+/**
+ * `source` value for an AI question given its verification result
+ * ai-generated (not checked), ai-verified, ai-disputed or ai-unverified
+ */
+const verificationSource = (verification) => (
+  verification ? `ai-${verification.status}` : 'ai-generated'
+);
+
+/**
+ * Whether a `source` value denotes an AI-generated question
+ */
+const isAISource = (source) => typeof source === 'string' && source.startsWith('ai-');
+
+export {
+  verifyQuestion,
+  applyVerification,
+  getVerificationSettingsFromEnv,
+  verificationSource,
+  isAISource,
+  VERIFICATION_MODES
+};
@@ -0,0 +1,129 @@
+/**
+ * XML Utilities
+ * A small XML reader and writer for the quiz exchange formats (Moodle XML, QTI).
+ * Works the same in the browser and in Node, and records the line of every element
+ * so import errors can point at the question that caused them.
+ */
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * Escape text for use in XML content or attribute values
+ */
+const escapeXml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+  }
+  return ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+const countNewlines = (text) => {
+  let count = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text.charCodeAt(i) === 10) count++;
+  }
+  return count;
+};
+
+/**
+ * Parse an XML document
+ * @param {string} text - XML source
+ * @returns {Object} Root element { name, attributes, children, line } - children are elements and strings
+ * @throws {Error} With the line number when the document is not well-formed
+ */
+const parseXml = (text) => {
+  const root = { name: '#document', attributes: {}, children: [], line: 1 };
+  const stack = [root];
+  const tagPattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/\s*([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+  let lastIndex = 0;
+  let line = 1;
+  // Move the read position forward, keeping `line` in step
+  const advance = (index) => {
+    line += countNewlines(text.slice(lastIndex, index));
+    lastIndex = index;
+  };
+  const appendText = (content) => {
+    const parent = stack[stack.length - 1];
+    if (content) parent.children.push(content);
+  };
+
+  let match;
+  while ((match = tagPattern.exec(text)) !== null) {
+    const between = text.slice(lastIndex, match.index);
+    if (between.includes('<')) {
+      advance(lastIndex + between.indexOf('<'));
+      throw new Error(`Line ${line}: malformed tag`);
+    }
+    appendText(decodeEntities(between));
+    advance(match.index);
+
+    const [whole, cdata, closingName, openingName, attributeText, selfClosing] = match;
+    if (cdata !== undefined) {
+      appendText(cdata);
+    } else if (closingName) {
+      const open = stack.pop();
+      if (!open || open === root || open.name !== closingName) {
+        throw new Error(`Line ${line}: closing tag </${closingName}> does not match <${open?.name}>`);
+      }
+    } else if (openingName) {
+      const attributes = {};
+      for (const [, name, doubleQuoted, singleQuoted] of attributeText.matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        attributes[name] = decodeEntities(doubleQuoted ?? singleQuoted ?? '');
+      }
+      const element = { name: openingName, attributes, children: [], line };
+      stack[stack.length - 1].children.push(element);
+      if (!selfClosing) stack.push(element);
+    }
+    advance(match.index + whole.length);
+  }
+
+  if (text.slice(lastIndex).includes('<')) {
+    advance(text.indexOf('<', lastIndex));
+    throw new Error(`Line ${line}: malformed tag`);
+  }
+  if (stack.length > 1) {
+    throw new Error(`Line ${stack[stack.length - 1].line}: <${stack[stack.length - 1].name}> is never closed`);
+  }
+  const documentElement = root.children.find(child => typeof child !== 'string');
+  if (!documentElement) {
+    throw new Error('Line 1: no XML element found');
+  }
+  return documentElement;
+};
+
+/**
+ * Element name without its namespace prefix ("imsqti:itemBody" -> "itemBody")
+ */
+const localName = (element) => element.name.replace(/^.*:/, '');
+
+/**
+ * Child elements, optionally only those with the given local name
+ */
+const childElements = (element, name) => (element?.children || [])
+  .filter(child => typeof child !== 'string' && (!name || localName(child) === name));
+
+const firstChild = (element, name) => childElements(element, name)[0] || null;
+
+/**
+ * All descendant elements with the given local name, in document order
+ */
+const findElements = (element, name) => childElements(element).flatMap(child => (
+  localName(child) === name ? [child, ...findElements(child, name)] : findElements(child, name)
+));
+
+/**
+ * Text content of an element and its descendants
+ */
+const textContent = (element) => (element?.children || [])
+  .map(child => (typeof child === 'string' ? child : textContent(child)))
+  .join('');
+
+export { parseXml, escapeXml, localName, childElements, firstChild, findElements, textContent };
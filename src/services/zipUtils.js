@@ -0,0 +1,166 @@
+/**
+ * Zip Utilities
+ * Writes and reads the zip packages used for QTI content packages.
+ * Written archives store files uncompressed; read archives may be stored or deflated
+ * (inflated with the platform's DecompressionStream).
+ */
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+// Bit 11: file names are UTF-8
+const FLAG_UTF8 = 0x0800;
+// MS-DOS date of 1980-01-01 - file times are not meaningful for exports
+const DOS_DATE = (1 << 5) | 1;
+
+let crcTable = null;
+
+const crc32 = (bytes) => {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Build a zip archive
+ * @param {Array} files - [{ name, content }] - content is a string (written as UTF-8) or Uint8Array
+ * @returns {Uint8Array} Archive bytes
+ */
+const createZip = (files) => {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(({ name, content }) => {
+    const nameBytes = encoder.encode(name);
+    const data = typeof content === 'string' ? encoder.encode(content) : content;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_FILE_HEADER, true);
+    local.setUint16(4, 20, true); // Version needed to extract
+    local.setUint16(6, FLAG_UTF8, true);
+    local.setUint16(8, METHOD_STORED, true);
+    local.setUint16(12, DOS_DATE, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, CENTRAL_DIRECTORY_HEADER, true);
+    central.setUint16(4, 20, true); // Version made by
+    central.setUint16(6, 20, true);
+    central.setUint16(8, FLAG_UTF8, true);
+    central.setUint16(10, METHOD_STORED, true);
+    central.setUint16(14, DOS_DATE, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const archive = new Uint8Array(offset + centralSize + 22);
+  let position = 0;
+  parts.forEach(part => {
+    archive.set(part, position);
+    position += part.length;
+  });
+  return archive;
+};
+
+const inflateRaw = async (bytes) => {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot read compressed zip files');
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * Read the files of a zip archive
+ * @param {ArrayBuffer|Uint8Array} input - Archive bytes
+ * @returns {Array} [{ name, content }] - content is a Uint8Array; directories are left out
+ */
+const readZip = async (input) => {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+
+  // The end record is at the end, followed by a comment of up to 64 KB
+  let endOffset = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset === -1) {
+    throw new Error('Not a zip file');
+  }
+
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let position = view.getUint32(endOffset + 16, true);
+  const files = [];
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(position, true) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Corrupt zip file (central directory)');
+    }
+    const method = view.getUint16(position + 10, true);
+    const compressedSize = view.getUint32(position + 20, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const extraLength = view.getUint16(position + 30, true);
+    const commentLength = view.getUint16(position + 32, true);
+    const localOffset = view.getUint32(position + 42, true);
+    const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+    position += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + compressedSize);
+    if (method === METHOD_STORED) {
+      files.push({ name, content: data });
+    } else if (method === METHOD_DEFLATED) {
+      files.push({ name, content: await inflateRaw(data) });
+    } else {
+      throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+    }
+  }
+  return files;
+};
+
+/**
+ * Whether bytes start like a zip archive
+ */
+const isZip = (bytes) => bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+
+export { createZip, readZip, isZip };
@@ -1,32 +1,27 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { createLogger } from './src/services/logger.js';
+
+// API server started with "npm run server" (see server/index.js)
+const apiServerUrl = process.env.API_SERVER_URL || 'http://localhost:8787';
+
+const log = createLogger('proxy');
 
 export default defineConfig({
   plugins: [react()],
   server: {
     proxy: {
-      '/api/huggingface': {
-        target: 'https://api-inference.huggingface.co',
+      '/api': {
+        target: apiServerUrl,
         changeOrigin: true,
-        secure: true,
-        rewrite: (path) => path.replace(/^\/api\/huggingface/, ''),
+        // Quiz rooms are a WebSocket on /api/rooms
+        ws: true,
         configure: (proxy, _options) => {
-          proxy.on('proxyReq', (proxyReq, req, _res) => {
-            // Forward the Authorization header from the custom header
-            const authHeader = req.headers['x-hf-token'];
-            if (authHeader) {
-              proxyReq.setHeader('Authorization', `Bearer ${authHeader}`);
-              // Remove the custom header so it doesn't get sent to Hugging Face
-              proxyReq.removeHeader('x-hf-token');
-            }
-            console.log('🔀 Proxying request to:', proxyReq.path);
-            console.log('🔑 Has auth token:', !!authHeader);
+          proxy.on('proxyReq', (_proxyReq, req) => {
+            log.debug(`${req.method} ${req.url} -> ${apiServerUrl}`);
           });
           proxy.on('error', (err, _req, _res) => {
-            console.error('❌ Proxy error:', err);
-          });
-          proxy.on('proxyRes', (proxyRes, req, _res) => {
-            console.log('✅ Proxy response status:', proxyRes.statusCode);
+            log.error('❌ API proxy error (is "npm run server" running?):', err.message);
           });
         },
       },